@@ -1,78 +1,332 @@
-const { app, BrowserWindow, ipcMain, dialog, Menu } = require('electron');
+const { app, BrowserWindow, dialog, Menu } = require('electron');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const { fileURLToPath } = require('url');
+const { readDocument, writeDocument, readImageAsDataURL, isSupportedDocument, NATIVE_EXTENSION } = require('./src/main/document-io');
+const { buildDocx } = require('./src/main/docx-export');
+const { MARKDOWN_EXTENSIONS, writeMarkdown } = require('./src/main/markdown');
+const ipc = require('./src/main/ipc');
+const { CHANNELS } = require('./src/shared/ipc-channels');
+const LIMITS = require('./src/shared/limits');
+const recoveryJournal = require('./src/main/recovery-journal');
+const versionHistory = require('./src/main/version-history');
+const recentFilesStore = require('./src/main/recent-files');
+const userDictionary = require('./src/main/user-dictionary');
+const { renderPDF } = require('./src/main/pdf-export');
+const { isConvertCommand, runConversion } = require('./src/main/batch-convert');
 // const { PDFDocument } = require('pdf-lib'); // No longer directly used here for printToPDF
 const { shell } = require('electron');
 
-// Application window state
-let mainWindow;
-let currentFilePath = null; // Tracks the currently open file path
-let documentIsModified = false; // Tracks if the document has unsaved changes
+// One window per open document, by webContents id:
+//   { window, filePath, savePath, modified, blank, snapshots, offerRecovery, onSaved, history, spellCheck }
+// filePath is only ever set here, by opening, saving or recovering the
+// document (setDocumentPath()); the page cannot name files of its own.
+// savePath is the file last picked in the window's Save As dialog, which the
+// next 'save-file' may write to.
+// modified and blank are reported by the renderer ('document-state');
+// blank means an untitled, untouched document that an opened file may replace.
+// history names the steps Undo and Redo would take ('history-state').
+// spellCheck is { enabled, language } with the document's language ('spell-check-state').
+const documentWindows = new Map();
+let quitConfirmed = false; // Every unsaved document was saved or discarded
 
-// Recent files list
-const recentFiles = [];
-const MAX_RECENT_FILES = 5;
+// Files named on the command line or by the OS before the first window
+// exists; null once it does
+let pendingOpenFiles = [];
 
-function createWindow() {
+// Recovery snapshots written by this session. Anything else in the journal
+// was left behind by a crash; these are removed again on a normal quit.
+const sessionSnapshots = new Set();
+
+
+// A sandboxed preload cannot require files of the app, so the names of the
+// declared channels and the shared limits are handed to it on its command line
+const PRELOAD_ARGUMENTS = [
+  `--media-sphere-channels=${JSON.stringify(
+    Object.fromEntries(Object.entries(CHANNELS).map(([kind, channels]) => [kind, Object.keys(channels)]))
+  )}`,
+  `--media-sphere-limits=${JSON.stringify(LIMITS)}`,
+];
+
+// Opened documents are untrusted; the page only gets what preload.js exposes
+const DOCUMENT_WEB_PREFERENCES = {
+  preload: path.join(__dirname, 'preload.js'),
+  nodeIntegration: false,
+  contextIsolation: true,
+  sandbox: true,
+  webSecurity: true,
+  additionalArguments: PRELOAD_ARGUMENTS,
+};
+
+// The first window offers crash recovery and, unless files are being
+// opened at launch, the start screen
+function createWindow({ isFirstWindow = false, showStartScreen = isFirstWindow } = {}) {
   // Create the browser window
-  mainWindow = new BrowserWindow({
+  const window = new BrowserWindow({
     width: 1200,
     height: 800,
-    webPreferences: {
-      nodeIntegration: true,
-      contextIsolation: false, // For easier integration with existing renderer.js
-      enableRemoteModule: true, // Deprecated, but kept for compatibility if needed
-    },
+    webPreferences: DOCUMENT_WEB_PREFERENCES,
     icon: path.join(__dirname, 'assets/icon.png'),
   });
 
+  const id = window.webContents.id;
+  const state = {
+    window,
+    filePath: null,
+    savePath: null,
+    sourcePath: null,
+    modified: false,
+    blank: true,
+    snapshots: new Set(),
+    offerRecovery: isFirstWindow, // Crash leftovers are offered once, in the first window
+    onSaved: null,
+    history: { undo: null, redo: null },
+    spellCheck: { enabled: true, language: null },
+  };
+  documentWindows.set(id, state);
+
   // Load the index.html of the app
-  mainWindow.loadFile('index.html');
+  window.loadFile('index.html');
+  window.webContents.on('did-finish-load', () => {
+    if (state.offerRecovery) {
+      state.offerRecovery = false;
+      offerRecovery(window);
+    }
+    if (showStartScreen && recentFilesStore.getEntries().length > 0) {
+      ipc.send(window.webContents, 'menu-start-screen');
+    }
+  });
+
+  // If the page crashes its snapshots must survive; reloading offers them back
+  window.webContents.on('render-process-gone', (event, details) => {
+    console.error(`Renderer process gone: ${details.reason}`);
+    if (details.reason !== 'clean-exit') {
+      state.snapshots.forEach(snapshotId => sessionSnapshots.delete(snapshotId));
+      state.snapshots.clear();
+      Object.assign(state, {
+        filePath: null, savePath: null, sourcePath: null, modified: false, blank: true, offerRecovery: true, history: { undo: null, redo: null },
+      });
+      showStartScreen = false;
+      window.reload();
+    }
+  });
+
+  // Links in documents open in the system browser, never inside the app window
+  window.webContents.setWindowOpenHandler(({ url }) => {
+    openExternalLink(url);
+    return { action: 'deny' };
+  });
+  window.webContents.on('will-navigate', (event, url) => {
+    if (url !== window.webContents.getURL()) {
+      event.preventDefault();
+      openExternalLink(url);
+    }
+  });
 
   // Open the DevTools in development mode
   if (process.env.NODE_ENV === 'development') {
-    mainWindow.webContents.openDevTools();
+    window.webContents.openDevTools();
   }
 
-  // Create application menu
-  createApplicationMenu();
-
   // Handle window being closed
-  mainWindow.on('close', async (event) => {
-    if (documentIsModified) { // Use our internal flag
+  window.on('close', (event) => {
+    if (state.modified && !quitConfirmed) {
       event.preventDefault(); // Prevent default close behavior
-      const { response } = await dialog.showMessageBox(mainWindow, {
+      confirmCloseWindow(state);
+    }
+  });
+
+  // A closed document's changes were saved or discarded on purpose
+  window.on('closed', () => {
+    try {
+      recoveryJournal.removeSnapshotsSync(Array.from(state.snapshots));
+    } catch (error) {
+      console.error('Could not clean up the recovery journal:', error);
+    }
+    state.snapshots.forEach(snapshotId => sessionSnapshots.delete(snapshotId));
+    documentWindows.delete(id);
+  });
+
+  return window;
+}
+
+function getWindowState(webContents) {
+  return documentWindows.get(webContents.id);
+}
+
+function setDocumentPath(state, filePath) {
+  state.filePath = filePath;
+  state.savePath = null;
+  if (filePath) state.window.setRepresentedFilename(filePath);
+}
+
+// Paths from the page may only name the window's own file, or for a save the
+// file just picked in its save dialog
+function checkDocumentPath(state, filePath, { saving = false } = {}) {
+  if (filePath && (filePath === state.filePath || (saving && filePath === state.savePath))) return;
+  throw new Error('The file is not the one this window shows');
+}
+
+// Dialogs belong to the window whose document asked for them
+function senderWindow(event) {
+  return BrowserWindow.fromWebContents(event.sender);
+}
+
+// Asks whether to save a modified document before its window closes.
+// Resolves to true once the window is gone, false if the user cancelled.
+async function confirmCloseWindow(state) {
+  if (state.closing) return false; // Already asking
+  state.closing = true;
+
+  try {
+    const { window } = state;
+    if (state.modified) {
+      window.show();
+      window.focus();
+      const name = state.filePath ? path.basename(state.filePath) : 'Untitled Document';
+      const { response } = await dialog.showMessageBox(window, {
         type: 'question',
         buttons: ['Save', 'Don\'t Save', 'Cancel'],
         defaultId: 0,
         cancelId: 2,
         title: 'Media Sphere Docs',
-        message: 'Do you want to save changes to this document?',
+        message: `Do you want to save changes to "${name}"?`,
       });
 
-      if (response === 0) { // Save
-        // Notify renderer to save, then quit once saved
-        ipcMain.once('document-saved-status', (event, success) => {
-            if (success) {
-                app.quit();
-            } else {
-                // If save failed, perhaps notify user or keep window open
-                dialog.showErrorBox('Save Error', 'Failed to save document. Please try again.');
-            }
-        });
-        mainWindow.webContents.send('menu-save'); // Trigger save in renderer
-      } else if (response === 1) { // Don't Save
-        documentIsModified = false; // Reset flag to allow quitting
-        app.quit();
-      } else { // Cancel
-        // Do nothing, keep window open
+      if (response === 2) return false; // Cancel, keep window open
+      if (response === 0 && !(await saveDocumentInWindow(state))) {
+        return false; // Saving was cancelled or failed; the renderer has already said so
       }
     }
+
+    // destroy() skips the page's beforeunload guard, which would block the close
+    window.destroy();
+    return true;
+  } finally {
+    state.closing = false;
+  }
+}
+
+// Triggers a save in the renderer and resolves with whether it succeeded
+function saveDocumentInWindow(state) {
+  return new Promise(resolve => {
+    state.onSaved = resolve;
+    ipc.send(state.window.webContents, 'menu-save');
   });
 }
 
+// Runs the editor for headless conversion (src/main/batch-convert.js)
+function createConversionWindow() {
+  const window = new BrowserWindow({
+    show: false,
+    width: 1200,
+    height: 800,
+    webPreferences: DOCUMENT_WEB_PREFERENCES,
+  });
+  window.loadFile('index.html');
+  return window;
+}
+
+// Tell the renderer about documents left in the recovery journal by a crash
+async function offerRecovery(window) {
+  try {
+    const snapshots = (await recoveryJournal.listSnapshots()).filter(snapshot => !sessionSnapshots.has(snapshot.id));
+    if (snapshots.length > 0 && !window.isDestroyed()) {
+      ipc.send(window.webContents, 'recovery-available', snapshots);
+    }
+  } catch (error) {
+    console.error('Could not read the recovery journal:', error);
+  }
+}
+
+// Sends an event once the window's page is ready to receive it
+function sendWhenLoaded(window, channel, ...args) {
+  if (window.webContents.isLoadingMainFrame()) {
+    window.webContents.once('did-finish-load', () => ipc.send(window.webContents, channel, ...args));
+  } else {
+    ipc.send(window.webContents, channel, ...args);
+  }
+}
+
+function findDocumentWindow(filePath) {
+  const resolved = path.resolve(filePath);
+  return Array.from(documentWindows.values())
+    .find(state => state.filePath && path.resolve(state.filePath) === resolved);
+}
+
+// Opened documents never replace one that has content: they go to the
+// requesting window only if it holds a blank new document, otherwise to a new window
+function windowForDocument(requester) {
+  const state = requester && !requester.isDestroyed() && getWindowState(requester.webContents);
+  if (state && state.blank) {
+    state.blank = false; // Claimed, so a second open in quick succession gets its own window
+    return requester;
+  }
+  return createWindow();
+}
+
+// Opens filePath, or focuses the window that already shows it. Imported
+// files become untitled documents, so they always get a window of their own.
+async function openDocument(filePath, requester, { imported = false } = {}) {
+  const existing = !imported && findDocumentWindow(filePath);
+  if (existing) {
+    existing.window.show();
+    existing.window.focus();
+    return;
+  }
+
+  const { document, warnings } = await readDocument(filePath);
+  addToRecentFiles(filePath);
+  const window = windowForDocument(requester);
+  const state = getWindowState(window.webContents);
+  if (imported) {
+    state.sourcePath = filePath; // Lets Save As suggest a name next to the source file
+  } else {
+    setDocumentPath(state, filePath);
+  }
+  sendWhenLoaded(window, 'document-opened', { filePath, document, warnings, imported });
+  window.focus();
+}
+
+// Opens files one after another; the first may take a blank window
+async function openFiles(filePaths, requester = BrowserWindow.getFocusedWindow() || BrowserWindow.getAllWindows()[0]) {
+  for (const filePath of filePaths) {
+    await openSpecificFile(filePath, requester);
+  }
+}
+
+// Documents named on a command line: the arguments after the app itself
+// that are not switches, resolved against the directory it was started in
+function documentsFromArgv(argv, workingDirectory) {
+  return argv.slice(process.defaultApp ? 2 : 1)
+    .filter(arg => !arg.startsWith('-'))
+    .map(arg => path.resolve(workingDirectory, arg))
+    .filter(isSupportedDocument);
+}
+
+// Menu commands act on the document in the focused window
+function sendToFocusedWindow(channel, ...args) {
+  const window = BrowserWindow.getFocusedWindow();
+  if (window && getWindowState(window.webContents)) {
+    ipc.send(window.webContents, channel, ...args);
+  }
+}
+
+// Only web and mail links are handed to the OS; file: and other schemes are ignored
+function openExternalLink(url) {
+  if (/^(https?|mailto):/i.test(url)) {
+    shell.openExternal(url);
+  }
+}
+
 // Create application menu
 function createApplicationMenu() {
+  // The renderer handles the Undo and Redo keys itself, across all its pages
+  const focused = BrowserWindow.getFocusedWindow();
+  const history = (focused && getWindowState(focused.webContents)?.history) || { undo: null, redo: null };
+  const spellCheck = (focused && getWindowState(focused.webContents)?.spellCheck) || { enabled: true };
+
   const template = [
     {
       label: 'File',
@@ -81,48 +335,90 @@ function createApplicationMenu() {
           label: 'New',
           accelerator: 'CmdOrCtrl+N',
           click: () => {
-            mainWindow.webContents.send('menu-new');
+            createWindow();
           },
         },
         {
           label: 'Open...',
           accelerator: 'CmdOrCtrl+O',
           click: () => {
-            mainWindow.webContents.send('menu-open'); // Let renderer handle open
+            sendToFocusedWindow('menu-open'); // Let renderer handle open
+          },
+        },
+        {
+          label: 'Import Word Document...',
+          accelerator: 'CmdOrCtrl+Shift+O',
+          click: () => {
+            sendToFocusedWindow('menu-import');
           },
         },
         {
           label: 'Save',
           accelerator: 'CmdOrCtrl+S',
           click: () => {
-            mainWindow.webContents.send('menu-save');
+            sendToFocusedWindow('menu-save');
           },
         },
         {
           label: 'Save As...',
           accelerator: 'CmdOrCtrl+Shift+S',
           click: () => {
-            mainWindow.webContents.send('menu-save-as');
+            sendToFocusedWindow('menu-save-as');
+          },
+        },
+        {
+          label: 'Version History...',
+          click: () => {
+            sendToFocusedWindow('menu-history');
+          },
+        },
+        {
+          label: 'Start Screen',
+          click: () => {
+            sendToFocusedWindow('menu-start-screen');
           },
         },
         { type: 'separator' },
         {
           label: 'Export as PDF',
           click: () => {
-            mainWindow.webContents.send('menu-export-pdf');
+            sendToFocusedWindow('menu-export-pdf');
+          },
+        },
+        {
+          label: 'Export as Word (.docx)',
+          click: () => {
+            sendToFocusedWindow('menu-export-docx');
+          },
+        },
+        {
+          label: 'Export as Markdown',
+          click: () => {
+            sendToFocusedWindow('menu-export-markdown');
           },
         },
         { type: 'separator' },
         buildRecentFilesMenu(),
         { type: 'separator' },
+        {
+          label: 'Page Setup...',
+          click: () => {
+            sendToFocusedWindow('menu-page-setup');
+          },
+        },
         {
           label: 'Print...',
           accelerator: 'CmdOrCtrl+P',
           click: () => {
-            mainWindow.webContents.send('menu-print');
+            sendToFocusedWindow('menu-print');
           },
         },
         { type: 'separator' },
+        {
+          label: 'Close Window',
+          accelerator: 'CmdOrCtrl+W',
+          role: 'close',
+        },
         {
           label: 'Exit',
           accelerator: process.platform === 'darwin' ? 'Cmd+Q' : 'Alt+F4',
@@ -135,8 +431,24 @@ function createApplicationMenu() {
     {
       label: 'Edit',
       submenu: [
-        { role: 'undo' },
-        { role: 'redo' },
+        {
+          label: history.undo ? `Undo ${history.undo}` : 'Undo',
+          accelerator: 'CmdOrCtrl+Z',
+          registerAccelerator: false,
+          enabled: Boolean(history.undo),
+          click: () => {
+            sendToFocusedWindow('menu-undo');
+          },
+        },
+        {
+          label: history.redo ? `Redo ${history.redo}` : 'Redo',
+          accelerator: process.platform === 'darwin' ? 'Shift+CmdOrCtrl+Z' : 'CmdOrCtrl+Y',
+          registerAccelerator: false,
+          enabled: Boolean(history.redo),
+          click: () => {
+            sendToFocusedWindow('menu-redo');
+          },
+        },
         { type: 'separator' },
         { role: 'cut' },
         { role: 'copy' },
@@ -149,7 +461,7 @@ function createApplicationMenu() {
           label: 'Find and Replace...',
           accelerator: 'CmdOrCtrl+F',
           click: () => {
-            mainWindow.webContents.send('menu-find');
+            sendToFocusedWindow('menu-find');
           },
         },
       ],
@@ -160,31 +472,57 @@ function createApplicationMenu() {
         {
           label: 'Reading Mode',
           click: () => {
-            mainWindow.webContents.send('toggle-reading-mode');
+            sendToFocusedWindow('toggle-reading-mode');
+          },
+        },
+        {
+          label: 'Navigation Pane',
+          click: () => {
+            sendToFocusedWindow('toggle-navigation');
+          },
+        },
+        {
+          label: 'Comments',
+          click: () => {
+            sendToFocusedWindow('toggle-comments');
+          },
+        },
+        {
+          label: 'Suggesting Mode',
+          click: () => {
+            sendToFocusedWindow('toggle-suggesting');
+          },
+        },
+        {
+          label: 'Tracked Changes...',
+          click: () => {
+            sendToFocusedWindow('show-revisions');
           },
         },
         { type: 'separator' },
         {
             label: 'Zoom In',
             accelerator: 'CmdOrCtrl+=',
-            click: () => {
-                const currentZoom = mainWindow.webContents.getZoomFactor();
-                mainWindow.webContents.setZoomFactor(currentZoom + 0.1);
+            click: (menuItem, window) => {
+                if (!window) return;
+                const currentZoom = window.webContents.getZoomFactor();
+                window.webContents.setZoomFactor(currentZoom + 0.1);
             }
         },
         {
             label: 'Zoom Out',
             accelerator: 'CmdOrCtrl+-',
-            click: () => {
-                const currentZoom = mainWindow.webContents.getZoomFactor();
-                mainWindow.webContents.setZoomFactor(currentZoom - 0.1);
+            click: (menuItem, window) => {
+                if (!window) return;
+                const currentZoom = window.webContents.getZoomFactor();
+                window.webContents.setZoomFactor(currentZoom - 0.1);
             }
         },
         {
             label: 'Actual Size',
             accelerator: 'CmdOrCtrl+0',
-            click: () => {
-                mainWindow.webContents.setZoomFactor(1.0);
+            click: (menuItem, window) => {
+                if (window) window.webContents.setZoomFactor(1.0);
             }
         },
         { type: 'separator' },
@@ -197,37 +535,63 @@ function createApplicationMenu() {
         {
           label: 'Image...',
           click: () => {
-            mainWindow.webContents.send('insert-image');
+            sendToFocusedWindow('insert-image');
           },
         },
         {
           label: 'Table...',
           click: () => {
-            mainWindow.webContents.send('insert-table');
+            sendToFocusedWindow('insert-table');
           },
         },
         {
           label: 'Link...',
           click: () => {
-            mainWindow.webContents.send('insert-link');
+            sendToFocusedWindow('insert-link');
           },
         },
         {
           label: 'Special Character...',
           click: () => {
-            mainWindow.webContents.send('insert-special-char');
+            sendToFocusedWindow('insert-special-char');
           },
         },
         {
           label: 'Horizontal Line',
           click: () => {
-            mainWindow.webContents.send('insert-hr');
+            sendToFocusedWindow('insert-hr');
+          },
+        },
+        {
+          label: 'Section Break',
+          click: () => {
+            sendToFocusedWindow('insert-section-break');
+          },
+        },
+        {
+          label: 'Header and Footer Field...',
+          click: () => {
+            sendToFocusedWindow('insert-header-footer-field');
+          },
+        },
+        { type: 'separator' },
+        {
+          label: 'Table of Contents',
+          click: () => {
+            sendToFocusedWindow('insert-toc');
           },
         },
+        {
+          label: 'Update Table of Contents',
+          click: () => {
+            sendToFocusedWindow('update-toc');
+          },
+        },
+        { type: 'separator' },
         {
           label: 'Comment',
           click: () => {
-            mainWindow.webContents.send('add-comment');
+            sendToFocusedWindow('add-comment');
           },
         },
       ],
@@ -239,59 +603,87 @@ function createApplicationMenu() {
           label: 'Bold',
           accelerator: 'CmdOrCtrl+B',
           click: () => {
-            mainWindow.webContents.send('format-command', 'bold');
+            sendToFocusedWindow('format-command', 'bold');
           },
         },
         {
           label: 'Italic',
           accelerator: 'CmdOrCtrl+I',
           click: () => {
-            mainWindow.webContents.send('format-command', 'italic');
+            sendToFocusedWindow('format-command', 'italic');
           },
         },
         {
           label: 'Underline',
           accelerator: 'CmdOrCtrl+U',
           click: () => {
-            mainWindow.webContents.send('format-command', 'underline');
+            sendToFocusedWindow('format-command', 'underline');
           },
         },
         { type: 'separator' },
+        {
+          label: 'Style',
+          submenu: [
+            {
+              label: 'Normal',
+              accelerator: 'CmdOrCtrl+Alt+0',
+              click: () => sendToFocusedWindow('apply-style', 'Normal'),
+            },
+            {
+              label: 'Title',
+              click: () => sendToFocusedWindow('apply-style', 'Title'),
+            },
+            ...[1, 2, 3].map(level => ({
+              label: `Heading ${level}`,
+              accelerator: `CmdOrCtrl+Alt+${level}`,
+              click: () => sendToFocusedWindow('apply-style', `Heading${level}`),
+            })),
+            {
+              label: 'Quote',
+              click: () => sendToFocusedWindow('apply-style', 'Quote'),
+            },
+            { type: 'separator' },
+            {
+              label: 'Styles...',
+              click: () => sendToFocusedWindow('show-styles'),
+            },
+          ],
+        },
         {
           label: 'Paragraph',
           submenu: [
             {
               label: 'Align Left',
               click: () => {
-                mainWindow.webContents.send('format-command', 'justifyLeft');
+                sendToFocusedWindow('format-command', 'justifyLeft');
               },
             },
             {
               label: 'Align Center',
               click: () => {
-                mainWindow.webContents.send('format-command', 'justifyCenter');
+                sendToFocusedWindow('format-command', 'justifyCenter');
               },
             },
             {
               label: 'Align Right',
               click: () => {
-                mainWindow.webContents.send('format-command', 'justifyRight');
+                sendToFocusedWindow('format-command', 'justifyRight');
               },
             },
             {
               label: 'Justify',
               click: () => {
-                mainWindow.webContents.send('format-command', 'justifyFull');
+                sendToFocusedWindow('format-command', 'justifyFull');
               },
             },
             { type: 'separator' },
             {
                 label: 'Line Spacing',
                 submenu: [
-                    { label: 'Single', click: () => mainWindow.webContents.send('format-command', 'lineHeight', '1') },
-                    { label: '1.15', click: () => mainWindow.webContents.send('format-command', 'lineHeight', '1.15') },
-                    { label: '1.5', click: () => mainWindow.webContents.send('format-command', 'lineHeight', '1.5') },
-                    { label: 'Double', click: () => mainWindow.webContents.send('format-command', 'lineHeight', '2') },
+                    { label: 'Single', click: () => sendToFocusedWindow('format-command', 'lineHeight', '1') },
+                    { label: '1.15', click: () => sendToFocusedWindow('format-command', 'lineHeight', '1.15') },
+                    { label: '1.5', click: () => sendToFocusedWindow('format-command', 'lineHeight', '1.5') },
+                    { label: 'Double', click: () => sendToFocusedWindow('format-command', 'lineHeight', '2') },
                 ]
             }
           ],
@@ -302,13 +694,13 @@ function createApplicationMenu() {
             {
               label: 'Bullet List',
               click: () => {
-                mainWindow.webContents.send('format-command', 'insertUnorderedList');
+                sendToFocusedWindow('format-command', 'insertUnorderedList');
               },
             },
             {
               label: 'Numbered List',
               click: () => {
-                mainWindow.webContents.send('format-command', 'insertOrderedList');
+                sendToFocusedWindow('format-command', 'insertOrderedList');
               },
             },
           ],
@@ -321,20 +713,28 @@ function createApplicationMenu() {
         {
           label: 'Spell Check',
           type: 'checkbox',
-          checked: true, // Initial state, will be updated by renderer
+          checked: spellCheck.enabled, // As the focused document reports it
           click: (menuItem) => {
-            // Send the new checked state to renderer if needed, or let renderer manage its own state
-            mainWindow.webContents.send('toggle-spell-check', menuItem.checked);
+            // The setting applies to every open document
+            documentWindows.forEach(state => ipc.send(state.window.webContents, 'toggle-spell-check', menuItem.checked));
+          },
+        },
+        {
+          label: 'Spelling and Grammar...',
+          accelerator: 'F7',
+          click: () => {
+            sendToFocusedWindow('show-proofing');
           },
         },
         {
           label: 'Word Count',
           click: () => {
-            mainWindow.webContents.send('show-word-count');
+            sendToFocusedWindow('show-word-count');
           },
         },
       ],
     },
+    { role: 'windowMenu' },
     {
       label: 'Help',
       submenu: [
@@ -372,18 +772,20 @@ function buildRecentFilesMenu() {
     submenu: [],
   };
 
-  if (recentFiles.length === 0) {
+  const entries = recentFilesStore.getEntries();
+  if (entries.length === 0) {
     recentFilesMenu.submenu.push({
       label: 'No Recent Files',
       enabled: false,
     });
   } else {
-    recentFiles.forEach((file) => {
+    entries.forEach((entry) => {
       recentFilesMenu.submenu.push({
-        label: path.basename(file),
-        toolTip: file, // Show full path on hover
+        label: `${entry.pinned ? '📌 ' : ''}${entry.name}${entry.missing ? ' (missing)' : ''}`,
+        toolTip: entry.filePath, // Show full path on hover
+        enabled: !entry.missing,
         click: () => {
-          openSpecificFile(file);
+          openSpecificFile(entry.filePath);
         },
       });
     });
@@ -400,58 +802,51 @@ function buildRecentFilesMenu() {
   return recentFilesMenu;
 }
 
-// Add a file to recent files list
-function addToRecentFiles(filePath) {
-  // Remove if already exists
-  const index = recentFiles.indexOf(filePath);
-  if (index !== -1) {
-    recentFiles.splice(index, 1);
-  }
-
-  // Add to beginning of array
-  recentFiles.unshift(filePath);
-
-  // Keep only the max number of recent files
-  if (recentFiles.length > MAX_RECENT_FILES) {
-    recentFiles.pop();
-  }
-
-  // Update menu to reflect recent files
+// Rebuild the menu and update the start screen after the list changed
+function recentFilesChanged() {
   createApplicationMenu();
+  const recent = {
+    entries: recentFilesStore.getEntries(),
+    maxEntries: recentFilesStore.getMaxEntries(),
+  };
+  documentWindows.forEach(state => ipc.send(state.window.webContents, 'recent-files-changed', recent));
 }
 
-// Clear recent files list
+// Add a file to recent files list (persisted, and in the OS recent documents)
+function addToRecentFiles(filePath) {
+  recentFilesStore.add(filePath)
+    .then(recentFilesChanged)
+    .catch(error => console.error('Could not update recent files:', error));
+}
+
+// Clear recent files list, except pinned files
 function clearRecentFiles() {
-  recentFiles.length = 0;
-  createApplicationMenu();
+  recentFilesStore.clearUnpinned()
+    .then(recentFilesChanged)
+    .catch(error => console.error('Could not clear recent files:', error));
 }
 
-// Open a specific file
-function openSpecificFile(filePath) {
+// Open a file from the recent files list
+async function openSpecificFile(filePath, requester = BrowserWindow.getFocusedWindow()) {
   // Check if the file still exists on disk
   if (!fs.existsSync(filePath)) {
-    dialog.showMessageBox(mainWindow, {
+    dialog.showMessageBox(requester, {
       type: 'error',
       title: 'File Not Found',
       message: `The file "${filePath}" could not be found. It may have been moved or deleted.`,
     });
-    // Remove from recent files if it no longer exists
-    const index = recentFiles.indexOf(filePath);
-    if (index !== -1) {
-        recentFiles.splice(index, 1);
-        createApplicationMenu();
+    // Forget it, unless the user pinned it (it may be on a drive that is not connected)
+    const entry = recentFilesStore.getEntries().find(item => item.filePath === filePath);
+    if (entry && !entry.pinned) {
+      recentFilesStore.remove(filePath)
+        .then(recentFilesChanged)
+        .catch(error => console.error('Could not update recent files:', error));
     }
     return;
   }
 
   try {
-    const content = fs.readFileSync(filePath, 'utf8');
-    currentFilePath = filePath; // Update current file path
-    addToRecentFiles(filePath); // Add to recent files
-    documentIsModified = false; // Mark as unmodified after opening
-
-    // Send content to renderer to load
-    mainWindow.webContents.send('document-opened', { filePath, content });
+    await openDocument(filePath, requester);
   } catch (error) {
     dialog.showErrorBox('Error Opening File', `An error occurred while opening the file: ${error.message}`);
   }
@@ -474,12 +869,15 @@ function showKeyboardShortcuts() {
     'Ctrl+B: Bold',
     'Ctrl+I: Italic',
     'Ctrl+U: Underline',
+    'Ctrl+Alt+0: Normal style',
+    'Ctrl+Alt+1, 2, 3: Heading 1, 2, 3',
+    'Tab / Shift+Tab: Next / previous table cell',
     'Ctrl+=: Zoom In',
     'Ctrl+-: Zoom Out',
     'Ctrl+0: Actual Size',
   ].join('\n');
 
-  dialog.showMessageBox(mainWindow, {
+  dialog.showMessageBox(BrowserWindow.getFocusedWindow(), {
     title: 'Keyboard Shortcuts',
     message: 'Keyboard Shortcuts',
     detail: shortcuts,
@@ -489,7 +887,7 @@ function showKeyboardShortcuts() {
 
 // Show about dialog
 function showAboutDialog() {
-  dialog.showMessageBox(mainWindow, {
+  dialog.showMessageBox(BrowserWindow.getFocusedWindow(), {
     title: 'About Media Sphere Docs',
     message: 'Media Sphere Docs',
     detail: `Version 1.0.0\nCopyright © ${new Date().getFullYear()} Media Sphere\n\nA powerful document editor for all your needs.`,
@@ -497,13 +895,97 @@ function showAboutDialog() {
   });
 }
 
+// `--convert` runs without any visible window, alongside a running instance
+const convertMode = isConvertCommand(process.argv);
+
+// A second launch (double-clicking a document, `electron . report.html`)
+// hands its files to the running instance and exits
+const hasInstanceLock = convertMode || app.requestSingleInstanceLock();
+if (!hasInstanceLock) {
+  app.quit();
+}
+
+app.on('second-instance', (event, argv, workingDirectory) => {
+  const filePaths = documentsFromArgv(argv, workingDirectory);
+  if (filePaths.length > 0) {
+    openFiles(filePaths);
+    return;
+  }
+  const window = BrowserWindow.getAllWindows()[0] || createWindow();
+  if (window.isMinimized()) window.restore();
+  window.focus();
+});
+
+// macOS delivers Finder opens this way, possibly before the app is ready
+app.on('open-file', (event, filePath) => {
+  event.preventDefault();
+  if (pendingOpenFiles) {
+    pendingOpenFiles.push(filePath);
+  } else {
+    openFiles([filePath]);
+  }
+});
+
 // When Electron has finished initialization
-app.whenReady().then(() => {
-  createWindow();
+app.whenReady().then(async () => {
+  if (!hasInstanceLock) return;
+
+  if (convertMode) {
+    let exitCode;
+    try {
+      exitCode = await runConversion(process.argv, process.cwd(), createConversionWindow);
+    } catch (error) {
+      console.error(error);
+      exitCode = 1;
+    }
+    app.exit(exitCode);
+    return;
+  }
+
+  await recentFilesStore.load();
+  await userDictionary.load();
+  createApplicationMenu();
+  pendingOpenFiles.push(...documentsFromArgv(process.argv, process.cwd()));
+  const firstWindow = createWindow({ isFirstWindow: true, showStartScreen: pendingOpenFiles.length === 0 });
+  openFiles(pendingOpenFiles, firstWindow);
+  pendingOpenFiles = null;
 
   app.on('activate', function () {
     if (BrowserWindow.getAllWindows().length === 0) createWindow();
   });
+
+  // The Edit menu names the focused document's undo steps, and the spell
+  // checker follows the focused document's language
+  app.on('browser-window-focus', (event, window) => {
+    createApplicationMenu();
+    const state = getWindowState(window.webContents);
+    if (state) applySpellCheckLanguage(state);
+  });
+});
+
+// Quitting asks about each unsaved document in turn; cancelling any of them
+// stops the quit and leaves the remaining windows open
+app.on('before-quit', async (event) => {
+  if (quitConfirmed) return;
+  const unsaved = Array.from(documentWindows.values()).filter(state => state.modified);
+  if (unsaved.length === 0) return;
+
+  event.preventDefault();
+  for (const state of unsaved) {
+    if (state.window.isDestroyed()) continue;
+    if (!(await confirmCloseWindow(state))) return;
+  }
+  quitConfirmed = true;
+  app.quit();
+});
+
+// A normal quit means every unsaved change was saved or discarded on purpose
+app.on('will-quit', () => {
+  try {
+    recoveryJournal.removeSnapshotsSync(Array.from(sessionSnapshots));
+  } catch (error) {
+    console.error('Could not clean up the recovery journal:', error);
+  }
 });
 
 // Quit when all windows are closed, except on macOS
@@ -513,40 +995,66 @@ app.on('window-all-closed', function () {
 
 // --- IPC Handlers ---
 
-// Renderer notifies main process about document modification status
-ipcMain.on('document-modified', (event, modified) => {
-    documentIsModified = modified;
-    mainWindow.setDocumentEdited(modified); // Electron's built-in flag
+// Renderer notifies main process about its document's modification status
+ipc.on('document-state', (event, { modified, blank }) => {
+    const state = getWindowState(event.sender);
+    if (!state) return;
+    Object.assign(state, { modified, blank });
+    state.window.setDocumentEdited(modified); // Electron's built-in flag
 });
 
-// Handle 'Save', 'Don't Save', 'Cancel' dialog when closing or opening new/file
-ipcMain.handle('show-save-dialog', async (event) => {
-    if (!documentIsModified) {
-        return 'no-changes'; // No changes, no dialog needed
-    }
-    const { response } = await dialog.showMessageBox(mainWindow, {
-        type: 'question',
-        buttons: ['Save', 'Don\'t Save', 'Cancel'],
-        defaultId: 0,
-        cancelId: 2,
-        title: 'Save Changes',
-        message: 'Do you want to save changes to this document?',
-    });
+// The menu is rebuilt when the focused document's Undo or Redo step changes
+ipc.on('history-state', (event, { undo, redo }) => {
+    const state = getWindowState(event.sender);
+    if (!state) return;
+    state.history = { undo: undo || null, redo: redo || null };
+    if (BrowserWindow.getFocusedWindow() === state.window) createApplicationMenu();
+});
 
-    if (response === 0) { // Save
-        return 'save';
-    } else if (response === 1) { // Don't Save
-        return 'discard';
-    } else { // Cancel
-        return 'cancel';
+// The Spell Check checkbox shows the focused document's setting
+ipc.on('spell-check-state', (event, { enabled, language }) => {
+    const state = getWindowState(event.sender);
+    if (!state) return;
+    state.spellCheck = { enabled, language: language || null };
+    if (BrowserWindow.getFocusedWindow() === state.window) {
+      createApplicationMenu();
+      applySpellCheckLanguage(state);
     }
 });
 
+// Answers a save requested by confirmCloseWindow
+ipc.on('document-saved-status', (event, success) => {
+    const state = getWindowState(event.sender);
+    if (!state || !state.onSaved) return;
+    const resolve = state.onSaved;
+    state.onSaved = null;
+    resolve(success);
+});
 
-ipcMain.handle('open-file', async () => {
-  const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+// Documents dropped onto the page open like files chosen in the Open dialog
+ipc.handle('open-files', async (event, { filePaths }) => {
+  const documents = filePaths.filter(filePath => typeof filePath === 'string' && isSupportedDocument(filePath));
+  if (documents.length === 0) {
+    throw new Error('None of these files is a document Media Sphere Docs can open');
+  }
+  await openFiles(documents, senderWindow(event));
+  return {};
+});
+
+ipc.handle('new-document', async () => {
+  createWindow();
+  return {};
+});
+
+// The document arrives in the chosen window through 'document-opened'
+ipc.handle('open-file', async (event) => {
+  const { canceled, filePaths } = await dialog.showOpenDialog(senderWindow(event), {
     properties: ['openFile'],
     filters: [
+      { name: 'All Documents', extensions: ['msdoc', 'docx', 'md', 'markdown', 'html', 'htm'] },
+      { name: 'Media Sphere Documents', extensions: ['msdoc'] },
+      { name: 'Word Documents', extensions: ['docx'] },
+      { name: 'Markdown', extensions: ['md', 'markdown'] },
       { name: 'HTML Documents', extensions: ['html', 'htm'] },
       { name: 'All Files', extensions: ['*'] },
     ],
@@ -554,12 +1062,8 @@ ipcMain.handle('open-file', async () => {
 
   if (!canceled && filePaths.length > 0) {
     try {
-      const filePath = filePaths[0];
-      const content = fs.readFileSync(filePath, 'utf8');
-      currentFilePath = filePath;
-      addToRecentFiles(filePath);
-      documentIsModified = false; // Mark as unmodified
-      return { filePath, content };
+      await openDocument(filePaths[0], senderWindow(event));
+      return {};
     } catch (error) {
       throw new Error(`Failed to open file: ${error.message}`);
     }
@@ -568,67 +1072,331 @@ ipcMain.handle('open-file', async () => {
   return { canceled: true }; // Indicate user cancelled
 });
 
-ipcMain.handle('save-file-dialog', async () => { // Used by saveAs
-  const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
-    filters: [{ name: 'HTML Documents', extensions: ['html'] }],
-    defaultPath: currentFilePath || 'Untitled.html' // Suggest current path or untitled
+// Import converts the file into a new untitled document
+ipc.handle('import-file', async (event) => {
+  const { canceled, filePaths } = await dialog.showOpenDialog(senderWindow(event), {
+    properties: ['openFile'],
+    filters: [
+      { name: 'Word Documents', extensions: ['docx'] },
+    ],
+  });
+
+  if (!canceled && filePaths.length > 0) {
+    try {
+      await openDocument(filePaths[0], senderWindow(event), { imported: true });
+      return {};
+    } catch (error) {
+      throw new Error(`Failed to import file: ${error.message}`);
+    }
+  }
+
+  return { canceled: true }; // Indicate user cancelled
+});
+
+ipc.handle('save-file-dialog', async (event) => { // Used by saveAs
+  // Suggest the native format, keeping the current (or imported) file name if there is one
+  const state = getWindowState(event.sender);
+  const currentPath = state.filePath || state.sourcePath;
+  const defaultPath = currentPath
+    ? path.join(path.dirname(currentPath), path.basename(currentPath, path.extname(currentPath)) + NATIVE_EXTENSION)
+    : `Untitled${NATIVE_EXTENSION}`;
+
+  const { canceled, filePath } = await dialog.showSaveDialog(senderWindow(event), {
+    filters: [
+      { name: 'Media Sphere Documents', extensions: ['msdoc'] },
+      { name: 'HTML Documents (text only)', extensions: ['html'] },
+    ],
+    defaultPath,
   });
 
   if (!canceled && filePath) {
+    state.savePath = filePath;
     return { filePath };
   }
   
   return { canceled: true }; // Indicate user cancelled
 });
 
-ipcMain.handle('save-file', async (event, { filePath, content }) => {
+ipc.handle('save-file', async (event, { filePath, document, wordCount }) => {
+  const state = getWindowState(event.sender);
+  checkDocumentPath(state, filePath, { saving: true });
   try {
-    fs.writeFileSync(filePath, content);
-    currentFilePath = filePath;
+    await writeDocument(filePath, document);
+    setDocumentPath(state, filePath);
+    state.modified = false; // Mark as unmodified after successful save
     addToRecentFiles(filePath);
-    documentIsModified = false; // Mark as unmodified after successful save
-    event.sender.send('document-saved-status', true); // Notify renderer of save status
-    return { success: true };
+    await recordSavedVersion(filePath, document, wordCount);
+    return {};
   } catch (error) {
     dialog.showErrorBox('Save Error', `Failed to save file: ${error.message}`);
-    event.sender.send('document-saved-status', false); // Notify renderer of save status
     throw new Error(`Failed to save file: ${error.message}`);
   }
 });
 
-ipcMain.handle('export-to-pdf', async () => {
-  const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+// Every explicit save becomes a version; the file is already written, so a
+// history failure is logged rather than reported as a failed save
+async function recordSavedVersion(filePath, document, wordCount) {
+  try {
+    await versionHistory.recordVersion(filePath, document, { wordCount: wordCount || 0 });
+  } catch (error) {
+    console.error('Could not record version history:', error);
+  }
+}
+
+ipc.handle('history-list', async (event, { filePath }) => {
+  checkDocumentPath(getWindowState(event.sender), filePath);
+  return { versions: await versionHistory.listVersions(filePath) };
+});
+
+ipc.handle('history-read', async (event, { filePath, id }) => {
+  checkDocumentPath(getWindowState(event.sender), filePath);
+  return { version: await versionHistory.readVersion(filePath, id) };
+});
+
+ipc.handle('history-checkpoint', async (event, { filePath, label, wordCount, document }) => {
+  checkDocumentPath(getWindowState(event.sender), filePath);
+  return { version: await versionHistory.recordVersion(filePath, document, { kind: 'checkpoint', label, wordCount }) };
+});
+
+// Writes an old version to a new file of the user's choice
+ipc.handle('history-save-copy', async (event, { filePath: documentPath, id }) => {
+  checkDocumentPath(getWindowState(event.sender), documentPath);
+  const version = await versionHistory.readVersion(documentPath, id);
+  const stamp = version.savedAt.slice(0, 16).replace(/[T:]/g, '-');
+  const { canceled, filePath } = await dialog.showSaveDialog(senderWindow(event), {
+    filters: [
+      { name: 'Media Sphere Documents', extensions: ['msdoc'] },
+      { name: 'HTML Documents (text only)', extensions: ['html'] },
+    ],
+    defaultPath: path.join(path.dirname(documentPath), `${path.basename(documentPath, path.extname(documentPath))} (${stamp})${NATIVE_EXTENSION}`),
+  });
+
+  if (canceled || !filePath) {
+    return { canceled: true }; // Indicate user cancelled
+  }
+  await writeDocument(filePath, version.document);
+  return { filePath };
+});
+
+// Auto-save writes to the recovery journal; the document's own file is only
+// ever written by an explicit save
+ipc.handle('auto-save-document', async (event, snapshot) => {
+  const state = getWindowState(event.sender);
+  const savedAt = await recoveryJournal.writeSnapshot({ ...snapshot, filePath: state.filePath });
+  sessionSnapshots.add(snapshot.id);
+  state.snapshots.add(snapshot.id);
+  return { savedAt };
+});
+
+// Like opened files, a recovered document gets a window of its own unless
+// the requesting one is blank; it arrives through 'document-recovered'
+ipc.handle('recover-document', async (event, { id }) => {
+  const snapshot = await recoveryJournal.readSnapshot(id);
+  const window = windowForDocument(senderWindow(event));
+  const state = getWindowState(window.webContents);
+  sessionSnapshots.add(id); // From now on it belongs to this session
+  state.snapshots.add(id);
+  setDocumentPath(state, snapshot.filePath || null); // Written to the journal from the window's own path
+  sendWhenLoaded(window, 'document-recovered', snapshot);
+  window.focus();
+  return {};
+});
+
+// Called after a save, when changes are discarded, and from the recovery panel
+ipc.handle('discard-recovery', async (event, { id }) => {
+  await recoveryJournal.removeSnapshot(id);
+  sessionSnapshots.delete(id);
+  documentWindows.forEach(state => state.snapshots.delete(id));
+  return {};
+});
+
+ipc.handle('export-to-pdf', async (event, { outline }) => {
+  const { filePath: currentFilePath } = getWindowState(event.sender);
+  const { canceled, filePath } = await dialog.showSaveDialog(senderWindow(event), {
     filters: [{ name: 'PDF Documents', extensions: ['pdf'] }],
-    defaultPath: currentFilePath ? currentFilePath.replace(/\.html$/, '.pdf') : 'Document.pdf'
+    defaultPath: currentFilePath ? currentFilePath.replace(/\.(html?|msdoc)$/i, '.pdf') : 'Document.pdf'
   });
 
   if (!canceled && filePath) {
     try {
-      const pdfData = await mainWindow.webContents.printToPDF({
-        printBackground: true,
-        margins: {
-          top: 36, // 0.5 inch
-          bottom: 36,
-          left: 36,
-          right: 36,
-        },
-        pageSize: 'A4',
-        // Prefer CSS media queries for print layout for better control
-      });
+      const pdfData = await renderPDF(event.sender, outline);
 
       fs.writeFileSync(filePath, pdfData);
-      return { success: true };
+      return { filePath };
     } catch (error) {
       dialog.showErrorBox('PDF Export Error', `Failed to export PDF: ${error.message}`);
       throw new Error(`Failed to export PDF: ${error.message}`);
     }
   }
   
-  return { success: false, canceled: true }; // Indicate user cancelled
+  return { canceled: true }; // Indicate user cancelled
+});
+
+ipc.handle('export-to-docx', async (event, { model, title, author }) => {
+  const { filePath: currentFilePath } = getWindowState(event.sender);
+  const { canceled, filePath } = await dialog.showSaveDialog(senderWindow(event), {
+    filters: [{ name: 'Word Documents', extensions: ['docx'] }],
+    defaultPath: currentFilePath ? currentFilePath.replace(/\.(html?|msdoc|docx)$/i, '.docx') : 'Document.docx'
+  });
+
+  if (!canceled && filePath) {
+    try {
+      const { buffer, warnings } = await buildDocx(model, { title, author });
+      fs.writeFileSync(filePath, buffer);
+      return { filePath, warnings };
+    } catch (error) {
+      dialog.showErrorBox('Word Export Error', `Failed to export Word document: ${error.message}`);
+      throw new Error(`Failed to export Word document: ${error.message}`);
+    }
+  }
+
+  return { canceled: true }; // Indicate user cancelled
 });
 
-ipcMain.handle('select-image', async () => {
-  const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+// Saving back to an opened .md file passes its path; exporting asks for one
+ipc.handle('export-to-markdown', async (event, { markdown, filePath: targetPath, document, wordCount }) => {
+  const state = getWindowState(event.sender);
+  if (targetPath) checkDocumentPath(state, targetPath);
+  const currentFilePath = state.filePath;
+  let filePath = targetPath;
+  if (!filePath) {
+    const result = await dialog.showSaveDialog(senderWindow(event), {
+      filters: [{ name: 'Markdown', extensions: MARKDOWN_EXTENSIONS.map(extension => extension.slice(1)) }],
+      defaultPath: currentFilePath ? currentFilePath.replace(/\.(html?|msdoc|docx|md|markdown)$/i, '.md') : 'Document.md'
+    });
+    if (result.canceled || !result.filePath) {
+      return { canceled: true }; // Indicate user cancelled
+    }
+    filePath = result.filePath;
+  }
+
+  try {
+    await writeMarkdown(filePath, markdown);
+    if (targetPath) {
+      state.modified = false;
+      if (document) await recordSavedVersion(filePath, document, wordCount);
+    }
+    return { filePath };
+  } catch (error) {
+    dialog.showErrorBox('Markdown Export Error', `Failed to write Markdown file: ${error.message}`);
+    throw new Error(`Failed to write Markdown file: ${error.message}`);
+  }
+});
+
+// Comments of the document as a Markdown review summary, next to the document by default
+ipc.handle('export-review-summary', async (event, { markdown }) => {
+  const { filePath: currentFilePath } = getWindowState(event.sender);
+  const { canceled, filePath } = await dialog.showSaveDialog(senderWindow(event), {
+    filters: [{ name: 'Markdown', extensions: MARKDOWN_EXTENSIONS.map(extension => extension.slice(1)) }],
+    defaultPath: currentFilePath
+      ? currentFilePath.replace(/\.(html?|msdoc|docx|md|markdown)$/i, ' - comments.md')
+      : 'Comments.md'
+  });
+  if (canceled || !filePath) return { canceled: true };
+
+  await writeMarkdown(filePath, markdown);
+  return { filePath };
+});
+
+// The name new comments are signed with until the user picks one
+ipc.handle('user-info', async () => {
+  try {
+    return { name: os.userInfo().username };
+  } catch (error) {
+    return { name: '' };
+  }
+});
+
+// --- Spelling ---
+
+// Every window shares the session's spell checker, so it is switched to the
+// language of the document in front. Languages the checker does not have are
+// left alone (on macOS the system checker picks the language itself).
+function applySpellCheckLanguage(state) {
+  const { language } = state.spellCheck;
+  const { session } = state.window.webContents;
+  if (!language || process.platform === 'darwin') return;
+  if (!session.availableSpellCheckerLanguages.includes(language)) return;
+  if (session.getSpellCheckerLanguages().join() !== language) session.setSpellCheckerLanguages([language]);
+}
+
+ipc.handle('spell-check-languages', async (event) => {
+  const { session } = event.sender;
+  return {
+    languages: process.platform === 'darwin' ? [] : session.availableSpellCheckerLanguages,
+    current: session.getSpellCheckerLanguages(),
+  };
+});
+
+ipc.handle('dictionary-words', async (event, { language }) => {
+  return { words: userDictionary.getWords(language) };
+});
+
+ipc.handle('dictionary-add', async (event, { language, word }) => {
+  await userDictionary.add(language, word);
+  return { words: userDictionary.getWords(language) };
+});
+
+ipc.handle('dictionary-remove', async (event, { language, word }) => {
+  await userDictionary.remove(language, word);
+  return { words: userDictionary.getWords(language) };
+});
+
+// --- Recent files and start screen ---
+
+ipc.handle('recent-files-list', async () => {
+  return { entries: recentFilesStore.getEntries(), maxEntries: recentFilesStore.getMaxEntries() };
+});
+
+// Only files on the recent files list can be opened this way
+ipc.handle('recent-files-open', async (event, { filePath }) => {
+  if (!recentFilesStore.getEntries().some(entry => entry.filePath === filePath) || !isSupportedDocument(filePath)) {
+    throw new Error('The file is not on the recent files list');
+  }
+  await openSpecificFile(filePath, senderWindow(event));
+  return {};
+});
+
+ipc.handle('recent-files-pin', async (event, { filePath, pinned }) => {
+  await recentFilesStore.setPinned(filePath, pinned);
+  recentFilesChanged();
+  return {};
+});
+
+ipc.handle('recent-files-remove', async (event, { filePath }) => {
+  await recentFilesStore.remove(filePath);
+  recentFilesChanged();
+  return {};
+});
+
+ipc.handle('recent-files-set-limit', async (event, { maxEntries }) => {
+  await recentFilesStore.setMaxEntries(maxEntries);
+  recentFilesChanged();
+  return {};
+});
+
+// rect is the visible part of the first page, in page coordinates. The
+// picture is of the file the window shows, never one the page names.
+ipc.handle('recent-files-thumbnail', async (event, { rect }) => {
+  const { filePath } = getWindowState(event.sender);
+  if (!filePath) throw new Error('The document has not been saved');
+  const bounds = {
+    x: Math.round(rect.x),
+    y: Math.round(rect.y),
+    width: Math.round(rect.width),
+    height: Math.round(rect.height),
+  };
+  if (bounds.width < 1 || bounds.height < 1) {
+    throw new Error('Nothing to capture');
+  }
+
+  const image = await event.sender.capturePage(bounds);
+  await recentFilesStore.setThumbnail(filePath, image.resize({ width: 240 }));
+  return {};
+});
+
+ipc.handle('select-image', async (event) => {
+  const { canceled, filePaths } = await dialog.showOpenDialog(senderWindow(event), {
     properties: ['openFile'],
     filters: [
       { name: 'Images', extensions: ['jpg', 'jpeg', 'png', 'gif', 'svg', 'webp'] },
@@ -637,8 +1405,28 @@ ipcMain.handle('select-image', async () => {
   });
 
   if (!canceled && filePaths.length > 0) {
-    return { filePath: filePaths[0] };
+    // Embedded rather than linked, so the image travels with the document
+    return { filePath: filePaths[0], url: await readImageAsDataURL(filePaths[0]) };
   }
   
   return { canceled: true }; // Indicate user cancelled
-});
\ No newline at end of file
+});
+
+// Linked images (e.g. from Markdown files) are embedded before they are edited.
+// They are read only from the document's folder or below it, such as the
+// "<name>.assets" folder of a Markdown file, so the page cannot read other files.
+ipc.handle('embed-image', async (event, { url }) => {
+  if (!/^file:/i.test(url)) throw new Error('Only images on this computer can be embedded');
+  const { filePath } = getWindowState(event.sender);
+  const imagePath = fileURLToPath(url);
+  if (!filePath || !(await isInsideFolder(path.dirname(filePath), imagePath))) {
+    throw new Error('Only images stored with the document can be embedded');
+  }
+  return { url: await readImageAsDataURL(imagePath) };
+});
+
+// Compares real paths, so a link cannot lead out of the folder
+async function isInsideFolder(folder, filePath) {
+  const relative = path.relative(await fs.promises.realpath(folder), await fs.promises.realpath(filePath));
+  return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
\ No newline at end of file
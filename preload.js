@@ -0,0 +1,92 @@
+// Preload script: the only bridge between the page and Electron.
+//
+// The renderer runs sandboxed, with contextIsolation and without Node, so
+// documents that contain scripts cannot reach the file system. What the page
+// may do is limited to the channels declared in src/shared/ipc-channels.js,
+// exposed as window.mediaSphere. The sandbox keeps this script from requiring
+// that file, so main.js passes the channel names in on the command line
+// (--media-sphere-channels); the payloads are validated by src/main/ipc.js.
+// src/shared/limits.js arrives the same way (--media-sphere-limits).
+const { contextBridge, ipcRenderer, webFrame } = require('electron');
+
+// The JSON main.js passed as --<name>=
+function readArgument(name, fallback) {
+  const prefix = `--${name}=`;
+  const argument = process.argv.find(arg => arg.startsWith(prefix));
+  try {
+    return JSON.parse(argument.slice(prefix.length));
+  } catch (error) {
+    console.error(`--${name} was not passed to the preload script`);
+    return fallback;
+  }
+}
+
+// { invoke: [names], send: [names], event: [names] }
+const CHANNELS = readArgument('media-sphere-channels', { invoke: [], send: [], event: [] });
+
+// { MAX_EMBEDDED_IMAGE_BYTES, ... }
+const LIMITS = readArgument('media-sphere-limits', {});
+
+function isChannel(kind, channel) {
+  return CHANNELS[kind].includes(channel);
+}
+
+// Listeners registered through the bridge, so they can be removed again
+const listeners = new Map();
+
+contextBridge.exposeInMainWorld('mediaSphere', {
+  eventChannels: [...CHANNELS.event],
+  limits: { ...LIMITS },
+
+  // Resolves to { ok: true, ...result } or { ok: false, error }
+  async invoke(channel, ...args) {
+    if (!isChannel('invoke', channel)) {
+      const problem = `IPC channel "${channel}" is not declared`;
+      console.error(`Invalid IPC request: ${problem}`);
+      return { ok: false, error: problem };
+    }
+
+    try {
+      return await ipcRenderer.invoke(channel, ...args);
+    } catch (error) {
+      return { ok: false, error: error.message };
+    }
+  },
+
+  send(channel, ...args) {
+    if (!isChannel('send', channel)) {
+      console.error(`Invalid IPC message: IPC channel "${channel}" is not declared`);
+      return;
+    }
+    ipcRenderer.send(channel, ...args);
+  },
+
+  // The IPC event object is not passed on; it gives access to the sender
+  on(channel, listener) {
+    if (!isChannel('event', channel)) {
+      console.error(`Cannot listen to undeclared IPC event "${channel}"`);
+      return;
+    }
+
+    const wrapped = (event, ...args) => listener(...args);
+    ipcRenderer.on(channel, wrapped);
+
+    if (!listeners.has(channel)) listeners.set(channel, []);
+    listeners.get(channel).push(wrapped);
+  },
+
+  removeAllListeners(channel) {
+    (listeners.get(channel) || []).forEach(wrapped => ipcRenderer.removeListener(channel, wrapped));
+    listeners.delete(channel);
+  },
+
+  // The session's spell checker, in the language main.js set for this document
+  spelling: {
+    isMisspelled(word) {
+      return typeof word === 'string' && webFrame.isWordMisspelled(word);
+    },
+    suggestions(word) {
+      return typeof word === 'string' ? webFrame.getWordSuggestions(word) : [];
+    },
+  },
+});
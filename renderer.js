@@ -1,16 +1,73 @@
 // Enhanced renderer.js - Document Editor
-const { ipcRenderer } = require('electron');
+// Everything outside the page goes through the bridge defined in preload.js
+const bridge = window.mediaSphere;
 
 class DocumentEditor {
   constructor() {
     this.documentModified = false;
     this.currentFilePath = null;
+    this.documentMeta = {}; // Metadata carried over from the opened .msdoc file
+    this.documentSettings = {}; // Settings with no UI of their own, e.g. the detected Markdown style
     this.currentPage = 1;
     this.totalPages = 1;
     this.selectedEditor = null;
     this.typingTimer = null;
-    this.pageHeight = 1120; // Default page height, should ideally be dynamic
-    this.editorPadding = 80; // Estimated padding/margin top+bottom for editor content within a page
+    this.internalDrag = false; // A drag that started inside the document
+    this.documentId = this.generateUniqueId(); // Names this document's recovery snapshot
+    this.snapshotPending = false; // Changed since the last recovery snapshot
+    this.saving = null; // The running saveFile(), which another Save joins
+    this.hasSnapshot = false;
+    this.pageSetup = new PageSetup(); // Page geometry; the setups themselves are in documentSettings and on section pages
+    this.layout = new LayoutEngine({
+      getUsableHeight: (page) => this.getUsableHeight(page),
+      isHardBreak: (page) => this.isHardPageBreak(page),
+      insertPageAfter: (page) => this.insertPageAfter(page),
+      removePage: (page) => page.remove()
+    });
+    this.documentStyles = new DocumentStyles(); // Named paragraph and character styles, see document-styles.js
+    this.editingStyleId = null; // The style in the style editor, null for a new one
+    this.headerFooter = new HeaderFooter();
+    this.documentHeaderFooter = this.headerFooter.normalize(null); // Shown on every page, see header-footer.js
+    this.tableEditor = new TableEditor();
+    this.tableResize = null; // The column border being dragged, see handleTableResize()
+    this.imageEditor = new ImageEditor(); // The selected image and its handles
+    this.altTextImage = null; // The image in the alt text panel
+    this.trackChanges = new TrackChanges(() => this.generateUniqueId()); // Suggesting mode, see track-changes.js
+    this.textSearch = new TextSearch((a, b) => this.layout.headOf(a) === this.layout.headOf(b)); // Find and replace, see text-search.js
+    // The find panel's matches; origin and selection are offsets into the body text
+    this.search = { matches: [], current: -1, origin: 0, selection: null };
+    this.outline = new DocumentOutline(element => this.outlineLevel(element)); // Moving sections and tables of contents, see document-outline.js
+    // The navigation pane's list; headings are the elements its items stand for
+    this.navigation = { view: 'headings', headings: [], dragging: null };
+    this.history = new EditHistory(); // Undo and redo for the whole document, see edit-history.js
+    this.historyPending = null; // { label, grouped } for the step recordHistory() will record
+    this.historyTimer = null;
+    this.restoringHistory = false;
+    this.reportedHistory = '';
+    this.proofing = new Proofing(); // Spelling and grammar checks, see proofing.js
+    // The review panel's issues in the checked text (index); ignored holds the
+    // keys of Ignore All, skipped the ranges of issues ignored one by one
+    this.spelling = {
+      enabled: localStorage.getItem('spellCheck') !== 'false',
+      issues: [],
+      current: -1,
+      index: null,
+      ignored: new Set(),
+      skipped: [],
+      dictionary: [], // The user's words in the document's language
+      dictionaryLanguage: null,
+      dictionaryLoaded: Promise.resolve()
+    };
+    this.reportedSpellCheck = '';
+    this.contextRevision = null; // The tracked change the context menu was opened on
+    this.contextIssue = null; // The spelling or grammar issue the context menu was opened on
+    this.revisionAuthors = '';
+    this.comments = new CommentThreads(); // Threads of the span.comment anchors in the pages
+    this.activeCommentId = null;
+    this.commentForm = null; // { id, replyId, mode: 'new' | 'edit' | 'reply', draft } for the one open form
+    this.commentFilter = { author: '', state: 'all' };
+    this.userName = localStorage.getItem('userName') || ''; // Signs comments and tracked changes
+    this.renderedCommentIds = '';
 
     // Initialize when DOM is ready
     if (document.readyState === 'loading') {
@@ -22,22 +79,30 @@ class DocumentEditor {
 
   init() {
     this.setupDOM();
+    // Document content may not reuse ids of the application UI, nor its
+    // class names, those of the still empty page frame included
+    this.sanitizer = new HtmlSanitizer({
+      reservedIds: new Set(Array.from(document.querySelectorAll('[id]'))
+        .filter(element => !element.closest('#page-container'))
+        .map(element => element.id)),
+      reservedClasses: new Set(Array.from(document.querySelectorAll('[class]')).flatMap(element => Array.from(element.classList)))
+    });
     this.setupEventListeners();
     this.setupKeyboardShortcuts();
     this.initializeTheme();
     this.initializeSpecialChars();
-    this.setupAutoPageBreak();
+    this.initializeStyles();
+    this.initializeHeaderFooterFields();
+    this.initializeUserName();
+    this.applySpellCheck();
     this.setupMobileResponsiveness();
+    this.setupAutoSave();
     this.updateUI();
+    this.resetHistory();
 
     // Focus on first editor
     this.focusFirstEditor();
 
-    // Calculate initial page height dynamically
-    this.calculatePageDimensions();
-    window.addEventListener('resize', this.calculatePageDimensions.bind(this));
-
-
     console.log('Document Editor initialized');
   }
 
@@ -62,11 +127,17 @@ class DocumentEditor {
     this.bindEvent('saveFile', this.saveFile.bind(this));
     this.bindEvent('saveAsFile', this.saveFileAs.bind(this));
     this.bindEvent('exportPDF', this.exportPDF.bind(this));
+    this.bindEvent('exportDOCX', this.exportDocx.bind(this));
+    this.bindEvent('exportMarkdown', () => this.exportMarkdown());
     this.bindEvent('printDoc', this.printDocument.bind(this));
 
     // Theme toggle
     this.bindEvent('themeToggle', this.toggleTheme.bind(this));
 
+    // Styles
+    this.bindChangeEvent('paragraphStyle', (value) => this.applyStyle(value));
+    this.bindEvent('stylesBtn', () => this.showStyles());
+
     // Font controls
     this.bindChangeEvent('fontName', (value) => this.execCmd('fontName', value));
     this.bindChangeEvent('fontSize', (value) => this.execCmd('fontSize', value));
@@ -100,19 +171,57 @@ class DocumentEditor {
     this.bindEvent('hrBtn', () => this.execCmd('insertHorizontalRule'));
     this.bindEvent('specialCharBtn', this.insertSpecialChar.bind(this));
 
+    // Table tools; the context menu has the same commands
+    document.querySelectorAll('.table-tools [data-table-command]').forEach(button => {
+      button.onclick = () => this.tableCommand(button.dataset.tableCommand);
+    });
+    this.bindChangeEvent('tableShading', (value) => this.tableCommand('shading', value));
+    ['tableBorders', 'tableVerticalAlign'].forEach(id => {
+      const select = document.getElementById(id);
+      if (!select) return;
+      // The lists are actions, so they go back to their label
+      select.onchange = () => {
+        this.tableCommand(select.dataset.tableCommand, select.value);
+        select.selectedIndex = 0;
+      };
+    });
+
+    // Image tools, for the selected image; the context menu has the same commands
+    document.querySelectorAll('.image-tools [data-image-command]').forEach(button => {
+      button.onclick = () => this.imageCommand(button.dataset.imageCommand);
+    });
+    this.bindChangeEvent('imageWrap', (value) => this.imageCommand('wrap', value));
+    this.bindEvent('saveImageAltBtn', () => this.saveImageAlt());
+    this.bindEvent('closeImageAltBtn', () => this.hidePanel('imageAltPanel'));
+    const decorative = document.getElementById('imageDecorative');
+    if (decorative) {
+      decorative.onchange = () => {
+        document.getElementById('imageAltText').disabled = decorative.checked;
+      };
+    }
+
     // Page operations
     this.bindEvent('addPageBtn', this.addPage.bind(this));
+    this.bindEvent('sectionBreakBtn', () => this.insertSectionBreak());
+    this.bindEvent('pageSetupBtn', () => this.showPageSetup());
 
     // Tools
     this.bindEvent('findReplaceBtn', this.showFindReplace.bind(this));
     this.bindEvent('wordCountBtn', this.countWords.bind(this));
-    this.bindEvent('spellCheckBtn', this.toggleSpellCheck.bind(this));
+    this.bindEvent('spellCheckBtn', () => this.toggleSpellCheck());
+    this.bindEvent('proofingBtn', () => this.showProofing());
     this.bindEvent('addCommentBtn', this.addComment.bind(this));
+    this.bindEvent('commentsBtn', () => this.toggleComments());
+    this.bindEvent('navigationBtn', () => this.toggleNavigation());
+    this.bindEvent('suggestBtn', () => this.toggleSuggesting());
+    this.bindEvent('revisionsBtn', () => this.showRevisions());
     this.bindEvent('readingModeBtn', this.toggleReadingMode.bind(this));
+    this.bindEvent('historyBtn', () => this.showHistory());
 
     // Header/Footer toggles
     this.bindEvent('toggleHeader', () => this.toggleHeaderFooter('header'));
     this.bindEvent('toggleFooter', () => this.toggleHeaderFooter('footer'));
+    this.bindEvent('headerFooterBtn', () => this.showHeaderFooterOptions());
 
     // Panel buttons
     this.setupPanelButtons();
@@ -146,10 +255,38 @@ class DocumentEditor {
 
   setupPanelButtons() {
     // Find/Replace panel
-    this.bindEvent('findNextBtn', this.findNext.bind(this));
+    this.bindEvent('findPrevBtn', () => this.findNext(true));
+    this.bindEvent('findNextBtn', () => this.findNext());
     this.bindEvent('replaceBtn', this.replaceText.bind(this));
     this.bindEvent('replaceAllBtn', this.replaceAllText.bind(this));
     this.bindEvent('closeFindBtn', () => this.hidePanel('findReplacePanel'));
+    ['matchCase', 'wholeWord', 'useRegex', 'findScope'].forEach(id => this.bindChangeEvent(id, () => this.runSearch(-1)));
+    const findInput = document.getElementById('findText');
+    if (findInput) {
+      findInput.oninput = () => this.runSearch(-1);
+      // Enter finds the next match, Shift+Enter the previous one; Escape goes to the current one
+      findInput.onkeydown = (e) => {
+        if (e.key === 'Enter') {
+          e.preventDefault();
+          this.findNext(e.shiftKey);
+        } else if (e.key === 'Escape') {
+          e.preventDefault();
+          this.selectSearchMatch();
+        }
+      };
+    }
+
+    // Spelling and grammar panel
+    this.bindEvent('proofingPrevBtn', () => this.stepProofing(true));
+    this.bindEvent('proofingNextBtn', () => this.stepProofing());
+    this.bindEvent('proofingIgnoreBtn', () => this.ignoreProofingIssue(this.spelling.issues[this.spelling.current]));
+    this.bindEvent('proofingIgnoreAllBtn', () => this.ignoreProofingIssue(this.spelling.issues[this.spelling.current], true));
+    this.bindEvent('proofingAddWordBtn', () => {
+      const issue = this.spelling.issues[this.spelling.current];
+      if (issue) this.addToDictionary(issue.text);
+    });
+    this.bindChangeEvent('proofingLanguage', (value) => this.setDocumentLanguage(value));
+    this.bindEvent('closeProofingBtn', () => this.hidePanel('proofingPanel'));
 
     // Table panel
     this.bindEvent('createTableBtn', this.createTable.bind(this));
@@ -162,6 +299,64 @@ class DocumentEditor {
     // Other panels
     this.bindEvent('closeSpecialCharBtn', () => this.hidePanel('specialCharPanel'));
     this.bindEvent('closeWordCountBtn', () => this.hidePanel('wordCountPanel'));
+    this.bindEvent('closeImportReportBtn', () => this.hidePanel('importReportPanel'));
+    this.bindEvent('closeRecoveryBtn', () => this.hidePanel('recoveryPanel'));
+
+    // Page setup panel
+    this.bindEvent('applyPageSetupBtn', () => this.applyPageSetupDialog());
+    this.bindEvent('closePageSetupBtn', () => this.hidePanel('pageSetupPanel'));
+
+    // Styles panel
+    this.bindChangeEvent('styleEditSelect', (value) => this.loadStyleForm(value));
+    this.bindChangeEvent('styleType', () => this.updateStyleFormFields());
+    this.bindEvent('newStyleBtn', () => this.loadStyleForm(this.editingStyleId, { create: true }));
+    this.bindEvent('saveStyleBtn', () => this.saveStyleForm());
+    this.bindEvent('deleteStyleBtn', () => this.deleteStyle());
+    this.bindEvent('resetStyleBtn', () => this.resetStyle());
+    this.bindEvent('closeStylesBtn', () => this.hidePanel('stylesPanel'));
+
+    // Tracked changes panel
+    this.bindEvent('acceptAllRevisionsBtn', () => this.resolveAllRevisions(true));
+    this.bindEvent('rejectAllRevisionsBtn', () => this.resolveAllRevisions(false));
+    this.bindEvent('closeRevisionsBtn', () => this.hidePanel('revisionsPanel'));
+    this.bindChangeEvent('revisionAuthorName', (value) => this.setUserName(value));
+
+    // Navigation pane
+    this.bindEvent('closeNavigationBtn', () => this.setNavigationVisible(false));
+    this.bindEvent('navigationHeadingsTab', () => this.setNavigationView('headings'));
+    this.bindEvent('navigationPagesTab', () => this.setNavigationView('pages'));
+    this.bindEvent('updateTocBtn', () => this.updateTableOfContents({ notify: true }));
+
+    // Comments sidebar
+    this.bindEvent('prevCommentBtn', () => this.navigateComments(-1));
+    this.bindEvent('nextCommentBtn', () => this.navigateComments(1));
+    this.bindEvent('closeCommentsBtn', () => this.setCommentsVisible(false));
+    this.bindEvent('exportCommentsBtn', () => this.exportCommentSummary());
+    this.bindChangeEvent('commentAuthorFilter', (value) => this.setCommentFilter({ author: value }));
+    this.bindChangeEvent('commentStateFilter', (value) => this.setCommentFilter({ state: value }));
+    this.bindChangeEvent('commentAuthorName', (value) => this.setUserName(value));
+    const printComments = document.getElementById('printComments');
+    if (printComments) {
+      printComments.onchange = () => {
+        this.documentSettings.printComments = printComments.checked;
+        this.markDocumentAsModified('Print Comments');
+      };
+    }
+
+    // Header & footer panel
+    this.bindEvent('applyHeaderFooterBtn', () => this.applyHeaderFooterOptions());
+    this.bindEvent('closeHeaderFooterBtn', () => this.hidePanel('headerFooterPanel'));
+
+    // Start screen
+    this.bindEvent('startNewBtn', () => this.createNewDocument());
+    this.bindEvent('startOpenBtn', () => this.openFile());
+    this.bindEvent('startCloseBtn', () => this.hideStartScreen());
+    this.bindChangeEvent('recentLimit', (value) => this.setRecentFilesLimit(value));
+
+    // History panel
+    this.bindEvent('createCheckpointBtn', () => this.createCheckpoint());
+    this.bindEvent('historyCompareBtn', () => this.compareVersions());
+    this.bindEvent('closeHistoryBtn', () => this.hidePanel('historyPanel'));
 
     // Context menu actions
     this.bindEvent('contextCut', () => {
@@ -184,6 +379,38 @@ class DocumentEditor {
       this.addComment();
       this.hideContextMenu();
     });
+    this.bindEvent('contextAddToDictionary', () => {
+      if (this.contextIssue) this.addToDictionary(this.contextIssue.text);
+      this.hideContextMenu();
+    });
+    this.bindEvent('contextIgnoreIssue', () => {
+      this.ignoreProofingIssue(this.contextIssue);
+      this.hideContextMenu();
+    });
+    this.bindEvent('contextUpdateToc', () => {
+      this.updateTableOfContents({ notify: true });
+      this.hideContextMenu();
+    });
+    this.bindEvent('contextAcceptChange', () => {
+      this.resolveRevision(this.contextRevision, true);
+      this.hideContextMenu();
+    });
+    this.bindEvent('contextRejectChange', () => {
+      this.resolveRevision(this.contextRevision, false);
+      this.hideContextMenu();
+    });
+    document.querySelectorAll('#contextMenu [data-table-command]').forEach(item => {
+      item.onclick = () => {
+        this.tableCommand(item.dataset.tableCommand);
+        this.hideContextMenu();
+      };
+    });
+    document.querySelectorAll('#contextMenu [data-image-command]').forEach(item => {
+      item.onclick = () => {
+        this.imageCommand(item.dataset.imageCommand);
+        this.hideContextMenu();
+      };
+    });
 
     // Panel click outside to close
     this.setupPanelClickOutside();
@@ -191,7 +418,7 @@ class DocumentEditor {
 
   setupPanelClickOutside() {
     document.addEventListener('click', (e) => {
-      if (!e.target.closest('.panel') && !e.target.closest('[data-panel]')) {
+      if (!e.target.closest('.panel') && !e.target.closest('[data-panel], [data-panel-trigger]')) {
         this.hideAllPanels();
       }
     });
@@ -206,7 +433,7 @@ class DocumentEditor {
     document.addEventListener('contextmenu', (e) => {
       if (e.target.closest('[contenteditable]')) {
         e.preventDefault();
-        this.showContextMenu(e.pageX, e.pageY);
+        this.showContextMenu(e.pageX, e.pageY, e.target, { x: e.clientX, y: e.clientY });
       }
     });
 
@@ -219,18 +446,144 @@ class DocumentEditor {
 
     // Track selected editor and current page
     document.addEventListener('click', (e) => {
-      const editable = e.target.closest('[contenteditable]');
+      const editable = e.target.closest('[contenteditable="true"]');
       if (editable) {
         this.selectedEditor = editable;
         this.updateCurrentPage(editable);
       }
+      const image = this.getEditorImage(e.target);
+      if (image) this.selectImage(image);
+      const anchor = e.target.closest('#page-container .comment[data-comment-id]');
+      if (anchor && this.isCommentsVisible()) this.selectComment(anchor.dataset.commentId);
+      // Table of contents entries go to their heading
+      const link = e.target.closest(`#page-container .${OUTLINE_TOC_CLASS} a[href^="#"]`);
+      if (link) {
+        e.preventDefault();
+        this.goToHeading(document.getElementById(link.getAttribute('href').slice(1)));
+      }
+    });
+
+    // The style list shows the style at the caret, and the table and image tools show when they apply
+    document.addEventListener('selectionchange', () => {
+      this.updateStyleSelect();
+      this.updateTableTools();
+      this.updateImageTools();
+    });
+
+    // Tab moves between table cells
+    document.addEventListener('keydown', (e) => {
+      if (e.key !== 'Tab' || e.ctrlKey || e.altKey || e.metaKey) return;
+      const cell = this.getTableCell(window.getSelection().anchorNode);
+      if (!cell || !e.target.closest?.('#page-container .editor')) return;
+      e.preventDefault();
+      this.moveToNextCell(cell, e.shiftKey);
+    });
+
+    // Column borders can be dragged
+    ['mousemove', 'mousedown', 'mouseup'].forEach(type => {
+      document.addEventListener(type, (e) => this.handleTableResize(e));
+    });
+
+    // So can the handles of the selected image; Enter and Escape end cropping
+    ['mousemove', 'mousedown', 'mouseup'].forEach(type => {
+      document.addEventListener(type, (e) => this.handleImageDrag(e));
+    });
+    document.addEventListener('keydown', (e) => {
+      if (!this.imageEditor.crop || (e.key !== 'Enter' && e.key !== 'Escape')) return;
+      e.preventDefault();
+      if (e.key === 'Enter') {
+        this.imageCommand('crop');
+      } else {
+        this.imageEditor.cancelCrop();
+        this.updateImageTools();
+      }
     });
 
+    // Comment cards follow their text when the zoom changes
+    document.getElementById('page-container')?.addEventListener('transitionend', () => this.positionCommentCards());
+
     // Setup input handling with debouncing
     document.addEventListener('input', (e) => {
+      if (e.target.closest?.('#page-container')) this.recordInput(e.inputType);
       if (e.target.classList.contains('editor')) {
         this.handleEditorInput(e.target);
+      } else if (e.target.closest?.('.page .header, .page .footer')) {
+        this.updateHeaderFooter(e.target.closest('.header, .footer'));
+      }
+    });
+
+    // Images and web fonts change the height of the text once they arrive
+    document.addEventListener('load', (e) => {
+      if (e.target.tagName === 'IMG' && e.target.closest('#page-container .editor')) {
+        this.scheduleReflow(e.target.closest('.page'));
+      }
+    }, true);
+    document.fonts?.addEventListener('loadingdone', () => this.scheduleReflow());
+
+    // Paste and drag-and-drop from outside the editor go through the sanitizer
+    document.addEventListener('paste', (e) => {
+      if (!e.target.closest('#page-container [contenteditable]')) return;
+      e.preventDefault();
+      this.insertTransferredData(e.clipboardData, 'pasted content');
+    });
+
+    // A step of typing ends when something else starts: a click, a command
+    // key, moving the caret or another kind of edit. The browser's own undo
+    // would only know about one page, so ours takes its place.
+    document.addEventListener('mousedown', () => this.commitHistory(), true);
+    document.addEventListener('keydown', (e) => {
+      if (e.ctrlKey || e.metaKey || e.altKey || /^(Arrow|Page|Home|End|Tab|Escape)/.test(e.key)) this.commitHistory();
+    }, true);
+    document.addEventListener('beforeinput', (e) => {
+      if (!e.target.closest?.('#page-container')) return;
+      if (e.inputType === 'historyUndo' || e.inputType === 'historyRedo') {
+        e.preventDefault();
+        this.stepHistory(e.inputType === 'historyUndo' ? -1 : 1);
+      } else if (this.historyPending && this.historyPending.label !== (HISTORY_INPUT_LABELS[e.inputType] || 'Edit')) {
+        this.commitHistory();
+      }
+    }, true);
+
+    // In suggesting mode typing and deleting become tracked changes
+    document.addEventListener('beforeinput', (e) => {
+      if (this.isSuggesting() && e.target.closest?.('#page-container .editor')) this.handleSuggestingInput(e);
+    });
+
+    document.addEventListener('dragstart', (e) => {
+      // Moving text is not tracked; cut and paste it instead
+      if (this.isSuggesting() && e.target.closest?.('#page-container')) {
+        e.preventDefault();
+        return;
+      }
+      this.internalDrag = Boolean(e.target.closest?.('#page-container'));
+    });
+    document.addEventListener('dragend', () => {
+      this.internalDrag = false;
+    });
+
+    // Files may be dropped anywhere on the pages, not just on editable text
+    document.addEventListener('dragover', (e) => {
+      if (e.dataTransfer.types.includes('Files') && e.target.closest('#page-container')) {
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+      }
+    });
+
+    document.addEventListener('drop', (e) => {
+      if (e.dataTransfer.files.length > 0) {
+        if (!e.target.closest('#page-container')) return;
+        e.preventDefault();
+        this.placeCaretAtPoint(e);
+        this.openDroppedFiles(Array.from(e.dataTransfer.files));
+        return;
       }
+
+      // Moving text within the document keeps the browser's own behaviour
+      if (this.internalDrag) return;
+      if (!e.target.closest('#page-container [contenteditable]')) return;
+      e.preventDefault();
+      this.placeCaretAtPoint(e);
+      this.insertTransferredData(e.dataTransfer, 'dropped content');
     });
 
     // Backspace deletes empty page (if not first)
@@ -251,20 +604,7 @@ class DocumentEditor {
 
           if (currentIndex > 0) {
             e.preventDefault(); // Prevent default Backspace behavior (e.g., navigating back)
-            currentPage.remove();
-
-            // Focus previous editor
-            const prevEditor = pages[currentIndex - 1].querySelector('.editor');
-            if (prevEditor) {
-              prevEditor.focus();
-              this.selectedEditor = prevEditor;
-            }
-
-            this.updatePageNumbers();
-            this.totalPages = document.querySelectorAll('.page').length;
-            this.currentPage = Math.min(this.currentPage, this.totalPages);
-            this.updateStatusBar();
-            this.showToast('Empty page removed');
+            this.deleteEmptyPage(currentPage);
           }
         }
       }
@@ -297,16 +637,23 @@ class DocumentEditor {
     this.markDocumentAsModified();
     this.updateWordCount();
 
-    // Debounced overflow check
-    clearTimeout(this.typingTimer);
-    this.typingTimer = setTimeout(() => {
-      this.checkPageOverflow(editor);
-    }, 500); // Reduced debounce to 500ms for quicker response
+    this.scheduleReflow(editor.closest('.page'));
   }
 
   setupKeyboardShortcuts() {
     document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.isStartScreenVisible()) {
+        this.hideStartScreen();
+        return;
+      }
       if (!e.ctrlKey && !e.metaKey) return;
+      // Undo and redo cover the whole document; text fields in panels keep their own
+      const key = e.key.toLowerCase();
+      if ((key === 'z' || key === 'y') && !e.altKey && !e.target.closest?.('input, textarea')) {
+        e.preventDefault();
+        this.stepHistory(key === 'y' || e.shiftKey ? 1 : -1);
+        return;
+      }
 
       const shortcuts = {
         's': () => { e.preventDefault(); this.saveFile(); },
@@ -323,18 +670,72 @@ class DocumentEditor {
 
   setupIPCListeners() {
     const ipcEvents = {
-      'menu-new': this.createNewDocument.bind(this),
       'menu-open': this.openFile.bind(this),
+      'menu-import': this.importFile.bind(this),
       'menu-save': this.saveFile.bind(this),
       'menu-save-as': this.saveFileAs.bind(this),
       'menu-export-pdf': this.exportPDF.bind(this),
+      'menu-export-docx': this.exportDocx.bind(this),
+      'menu-export-markdown': () => this.exportMarkdown(),
+      'menu-history': () => this.showHistory(),
+      'menu-start-screen': () => this.showStartScreen(),
+      'menu-page-setup': () => this.showPageSetup(),
       'menu-print': this.printDocument.bind(this),
+      'menu-undo': () => this.stepHistory(-1),
+      'menu-redo': () => this.stepHistory(1),
       'menu-find': this.showFindReplace.bind(this),
-      'menu-theme-toggle': this.toggleTheme.bind(this)
+      'menu-theme-toggle': this.toggleTheme.bind(this),
+      'insert-image': this.insertImage.bind(this),
+      'insert-table': this.insertTable.bind(this),
+      'insert-link': this.insertLink.bind(this),
+      'insert-special-char': this.insertSpecialChar.bind(this),
+      'insert-hr': () => this.execCmd('insertHorizontalRule'),
+      'insert-section-break': () => this.insertSectionBreak(),
+      'insert-header-footer-field': () => this.showHeaderFooterOptions(),
+      'insert-toc': () => this.insertTableOfContents(),
+      'update-toc': () => this.updateTableOfContents({ notify: true }),
+      'add-comment': this.addComment.bind(this),
+      'format-command': (command, value) => {
+        if (command === 'lineHeight') {
+          this.changeLineSpacing(value);
+        } else {
+          this.execCmd(command, value);
+        }
+      },
+      'toggle-reading-mode': this.toggleReadingMode.bind(this),
+      'toggle-comments': () => this.toggleComments(),
+      'toggle-navigation': () => this.toggleNavigation(),
+      'toggle-suggesting': () => this.toggleSuggesting(),
+      'show-revisions': () => this.showRevisions(),
+      'apply-style': (id) => this.applyStyle(id),
+      'show-styles': () => this.showStyles(),
+      'toggle-spell-check': (enabled) => this.toggleSpellCheck(enabled),
+      'show-proofing': () => this.showProofing(),
+      'show-word-count': this.countWords.bind(this),
+      'recovery-available': (snapshots) => this.showRecoveryPanel(snapshots),
+      'recent-files-changed': (recent) => {
+        if (this.isStartScreenVisible()) this.renderStartScreen(recent);
+      },
+      // Imported files become untitled documents; the path only names the report
+      'document-opened': ({ filePath, document, warnings, imported }) => {
+        const removed = this.loadDocument(imported ? null : filePath, document);
+        this.showImportReport(filePath, [...warnings, ...removed]);
+      },
+      'document-recovered': (snapshot) => this.restoreSnapshot(snapshot),
+      'convert-document': (request) => this.convertDocument(request)
     };
 
-    Object.entries(ipcEvents).forEach(([event, handler]) => {
-      ipcRenderer.on(event, handler);
+    // A declared event without a handler is a menu item that does nothing
+    bridge.eventChannels.forEach(channel => {
+      if (!ipcEvents[channel]) console.warn(`No handler for IPC event "${channel}"`);
+    });
+
+    // Menu commands end a step of typing before they change anything
+    Object.entries(ipcEvents).forEach(([channel, handler]) => {
+      bridge.on(channel, (...args) => {
+        this.commitHistory();
+        return handler(...args);
+      });
     });
   }
 
@@ -348,10 +749,20 @@ class DocumentEditor {
     window.addEventListener('resize', this.handleResize.bind(this));
   }
 
-  // Core editing functions
-  execCmd(command, value = null) {
+  // Core editing functions; label names the undo step instead of the browser's inputType
+  execCmd(command, value = null, label = null) {
     try {
-      document.execCommand(command, false, value);
+      if (label) {
+        this.commitHistory();
+        this.recordHistory(label);
+      }
+      if (command === 'insertHTML') {
+        value = this.sanitizeHTML(value);
+      }
+      const editor = this.isSuggesting() ? this.getSelectionEditor() : null;
+      if (!editor || !this.execTrackedCmd(command, value, editor)) {
+        document.execCommand(command, false, value);
+      }
       if (this.selectedEditor) {
         this.selectedEditor.focus();
       }
@@ -363,9 +774,138 @@ class DocumentEditor {
     }
   }
 
-  markDocumentAsModified() {
-    this.documentModified = true;
+  // label names the undo step for the change; see recordHistory()
+  markDocumentAsModified(label = null) {
+    this.setDocumentModified(true);
+    this.snapshotPending = true;
     this.updateStatusBar();
+    this.recordHistory(label);
+  }
+
+  setDocumentModified(modified) {
+    const changed = this.documentModified !== modified;
+    this.documentModified = modified;
+    if (changed) this.reportDocumentState();
+  }
+
+  // Keeps the main process in sync so closing the window can ask to save,
+  // and so opened files only replace a blank document. The main process
+  // keeps the document's path itself.
+  reportDocumentState() {
+    bridge.send('document-state', {
+      modified: this.documentModified,
+      blank: !this.currentFilePath && !this.documentModified && this.isDocumentEmpty()
+    });
+  }
+
+  // Undo history; see src/renderer/edit-history.js. Starts over from the document as it is now.
+  resetHistory() {
+    clearTimeout(this.historyTimer);
+    this.historyPending = null;
+    this.history.reset(this.serializeDocument(), this.historyCaret());
+    this.history.markSaved(!this.documentModified);
+    this.reportHistoryState();
+  }
+
+  // Records the document as an undo step once the current task is done, so
+  // what a change sets off (layout, renumbering) is part of it. Changes made
+  // in one task are one step, named by the first label given. Grouped steps,
+  // typing and deleting, go on while the same kind of edit follows before a
+  // pause; anything else ends them.
+  recordHistory(label = null, grouped = false) {
+    if (this.restoringHistory) return;
+    const pending = this.historyPending;
+    if (pending && pending.grouped && (!label || (grouped && pending.label === label))) {
+      if (label) this.scheduleHistory(HISTORY_TYPING_PAUSE);
+      return;
+    }
+    if (pending && !pending.grouped && pending.label) return;
+    this.historyPending = { label, grouped };
+    this.scheduleHistory(grouped ? HISTORY_TYPING_PAUSE : 0);
+  }
+
+  // The browser's own edits are named by their inputType
+  recordInput(inputType) {
+    const label = HISTORY_INPUT_LABELS[inputType] || 'Edit';
+    this.recordHistory(label, HISTORY_GROUPED_LABELS.has(label));
+  }
+
+  scheduleHistory(delay) {
+    clearTimeout(this.historyTimer);
+    this.historyTimer = setTimeout(() => this.commitHistory(), delay);
+  }
+
+  // Records the pending step now, before anything else changes the document
+  commitHistory() {
+    clearTimeout(this.historyTimer);
+    const pending = this.historyPending;
+    if (!pending) return;
+    this.historyPending = null;
+    this.history.record(pending.label || 'Edit', this.serializeDocument(), this.historyCaret());
+    this.reportHistoryState();
+  }
+
+  // Where the caret is, as an offset into the body text, or null if it is not in the body
+  historyCaret() {
+    const selection = window.getSelection();
+    if (selection.rangeCount === 0) return null;
+    const { startContainer, startOffset } = selection.getRangeAt(0);
+    const element = startContainer.nodeType === Node.ELEMENT_NODE ? startContainer : startContainer.parentElement;
+    if (!element?.closest('#page-container .editor')) return null;
+    return this.textSearch.offsetAt(this.textSearch.index(this.searchRoots('body')), startContainer, startOffset);
+  }
+
+  // Undo (direction -1) and Redo (1) for Edit menu and the keyboard. Text
+  // fields outside the document keep their own undo.
+  stepHistory(direction) {
+    if (document.activeElement?.matches('input, textarea')) {
+      document.execCommand(direction < 0 ? 'undo' : 'redo');
+      return;
+    }
+    this.commitHistory();
+    const step = direction < 0 ? this.history.undo() : this.history.redo();
+    if (!step) return;
+
+    this.restoringHistory = true;
+    try {
+      this.showDocument(step.state);
+      this.setDocumentModified(!this.history.isSaved());
+      this.snapshotPending = true;
+      this.reflowDocument(); // Updates the rest of the UI
+      if (this.isCommentsVisible()) this.renderComments(); // Comment texts may differ with the same threads
+      this.placeHistoryCaret(step.caret);
+    } finally {
+      this.restoringHistory = false;
+    }
+    this.reportHistoryState();
+  }
+
+  placeHistoryCaret(caret) {
+    if (caret === null) return;
+    const index = this.textSearch.index(this.searchRoots('body'));
+    if (index.pieces.length === 0) return;
+    const offset = Math.min(caret, index.text.length);
+    const range = this.textSearch.range(index, offset, offset);
+    const editor = range.startContainer.parentElement.closest('.editor');
+    editor.focus({ preventScroll: true });
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+    range.startContainer.parentElement.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+  }
+
+  // The Edit menu names the steps Undo and Redo would take
+  reportHistoryState() {
+    const state = { undo: this.history.undoLabel, redo: this.history.redoLabel };
+    const key = JSON.stringify(state);
+    if (key === this.reportedHistory) return;
+    this.reportedHistory = key;
+    bridge.send('history-state', state);
+  }
+
+  isDocumentEmpty() {
+    return Array.from(document.querySelectorAll('#page-container [contenteditable]'))
+      .every(element => !element.textContent.trim() && !element.querySelector('img, table, hr'));
   }
 
   focusFirstEditor() {
@@ -386,15 +926,19 @@ class DocumentEditor {
 
     if (this.documentModified) docName += ' *';
     statusElement.textContent = `${docName} | Page ${this.currentPage} of ${this.totalPages}`;
+    document.title = `${docName} - Media Sphere Docs`; // Tells the windows apart
   }
 
   updateWordCount() {
     const statusElement = document.getElementById('statusWordCount');
     if (!statusElement) return;
 
+    statusElement.textContent = `Words: ${this.getWordCount()}`;
+  }
+
+  getWordCount() {
     const allText = this.getAllText();
-    const words = allText.trim() ? allText.trim().split(/\s+/).length : 0;
-    statusElement.textContent = `Words: ${words}`;
+    return allText.trim() ? allText.trim().split(/\s+/).length : 0;
   }
 
   updateCurrentPage(editable) {
@@ -403,6 +947,7 @@ class DocumentEditor {
       const pages = Array.from(document.querySelectorAll('.page'));
       this.currentPage = pages.indexOf(page) + 1;
       this.updateStatusBar();
+      this.markCurrentNavigation();
     }
   }
 
@@ -410,6 +955,11 @@ class DocumentEditor {
     this.updateStatusBar();
     this.updateWordCount();
     this.updatePageNumbers();
+    this.applyPageSetup();
+    this.refreshRevisions();
+    this.refreshComments();
+    this.renderNavigation();
+    this.updateProofing();
   }
 
   updatePageNumbers() {
@@ -420,13 +970,14 @@ class DocumentEditor {
       }
     });
     this.totalPages = document.querySelectorAll('.page').length;
+    this.renderHeadersFooters();
   }
 
   // Text and content functions
   getAllText() {
     let allText = '';
     document.querySelectorAll('.editor').forEach(editor => {
-      allText += editor.innerText + ' ';
+      allText += this.layout.visibleText(editor) + ' ';
     });
     return allText;
   }
@@ -439,17 +990,49 @@ class DocumentEditor {
     return content;
   }
 
-  // Document operations
-  createNewDocument() {
-    if (this.documentModified) {
-      if (!confirm('You have unsaved changes. Do you want to continue without saving?')) {
-        return;
-      }
+  // Build the document object saved as .msdoc (see src/main/msdoc.js)
+  serializeDocument() {
+    // Threads whose text was deleted are not saved
+    const commentIds = this.syncCommentThreads();
+
+    // Blocks the layout split are saved whole, on the page they start on
+    const logicalPages = this.layout.logicalCopy(document.getElementById('page-container'));
+    const pages = Array.from(logicalPages.querySelectorAll('.page')).map((page, index) => {
+      const editor = page.querySelector('.editor');
+      return {
+        content: editor?.innerHTML || '',
+        lineHeight: editor?.style.lineHeight || null,
+        pageSetup: index > 0 && page.dataset.pageSetup ? JSON.parse(page.dataset.pageSetup) : null, // Starts a section
+        pageBreak: index > 0 && page.dataset.pageBreak === 'true' // Added with Add Page rather than by the layout
+      };
+    });
+
+    return {
+      meta: this.documentMeta,
+      settings: {
+        ...this.documentSettings,
+        showHeader: this.isHeaderFooterVisible('header'),
+        showFooter: this.isHeaderFooterVisible('footer')
+      },
+      headerFooter: this.documentHeaderFooter,
+      styles: this.documentStyles.serialize(),
+      pages,
+      comments: this.comments.serialize(commentIds)
+    };
+  }
+
+  // Document operations. Every document has its own window.
+  async createNewDocument() {
+    const result = await bridge.invoke('new-document');
+    if (!result.ok) {
+      console.error('Error creating document:', result.error);
+      this.showToast('Error creating document');
     }
-    this.resetDocument();
   }
 
   resetDocument() {
+    this.hideStartScreen();
+
     // Clear all pages except the first one
     const pageContainer = document.getElementById('page-container');
     const firstPage = pageContainer.querySelector('.page');
@@ -467,11 +1050,29 @@ class DocumentEditor {
       el.innerHTML = '';
     });
 
+    firstPage.querySelector('.editor').style.lineHeight = '';
+
     // Reset state
     this.currentPage = 1;
     this.totalPages = 1;
     this.currentFilePath = null;
-    this.documentModified = false;
+    this.documentMeta = {};
+    this.documentSettings = {};
+    this.spelling.ignored.clear();
+    this.spelling.skipped = [];
+    document.getElementById('printComments').checked = false;
+    this.updateSuggestingState();
+    this.documentHeaderFooter = this.headerFooter.normalize(null);
+    this.documentStyles.load([]);
+    this.renderStyleOptions();
+    this.applyDocumentStyles();
+    this.comments.load([]);
+    this.activeCommentId = null;
+    this.commentForm = null;
+    this.setDocumentModified(false);
+    this.discardSnapshot();
+    this.documentId = this.generateUniqueId();
+    this.reportDocumentState();
 
     // Focus and update UI
     this.focusFirstEditor();
@@ -479,112 +1080,356 @@ class DocumentEditor {
     this.showToast('New document created');
   }
 
+  // The file opens here if this document is blank, otherwise in a new
+  // window; either way it arrives through 'document-opened'
   async openFile() {
-    if (this.documentModified) {
-      if (!confirm('You have unsaved changes. Do you want to continue without saving?')) {
-        return;
-      }
-    }
-
     try {
-      const result = await ipcRenderer.invoke('open-file');
-      if (result) {
-        this.loadDocument(result.filePath, result.content);
-      }
+      const result = await bridge.invoke('open-file');
+      if (!result.ok) throw new Error(result.error);
     } catch (error) {
       console.error('Error opening file:', error);
       this.showToast('Error opening file');
     }
   }
 
-  loadDocument(filePath, content) {
-    this.resetDocument();
+  // Import converts a Word document into a new, untitled document
+  async importFile() {
+    try {
+      const result = await bridge.invoke('import-file');
+      if (!result.ok) throw new Error(result.error);
+    } catch (error) {
+      console.error('Error importing file:', error);
+      this.showToast('Error importing file');
+    }
+  }
 
-    // Set content
-    const editor = document.querySelector('.editor');
-    if (editor) {
-      editor.innerHTML = content;
+  // List anything the converter could not carry over instead of dropping it silently
+  showImportReport(filePath, warnings) {
+    if (!warnings || warnings.length === 0) return;
+
+    const fileName = filePath ? filePath.split(/[/\\]/).pop() : 'document';
+    const total = warnings.reduce((sum, warning) => sum + warning.count, 0);
+
+    const summary = document.getElementById('importReportSummary');
+    if (summary) {
+      summary.textContent = `${fileName} was converted with ${total} issue${total === 1 ? '' : 's'}. ` +
+        'The following content could not be fully imported:';
+    }
+
+    const list = document.getElementById('importReportList');
+    if (list) {
+      list.innerHTML = '';
+      warnings.forEach(warning => {
+        const item = document.createElement('li');
+        item.className = `report-${warning.type}`;
+        item.textContent = warning.count > 1 ? `${warning.message} (×${warning.count})` : warning.message;
+        list.appendChild(item);
+      });
     }
 
-    // Update state
+    this.showPanel('importReportPanel');
+    this.showToast(`Imported with ${total} issue${total === 1 ? '' : 's'}`);
+  }
+
+  // Returns what the sanitizer removed from the file, in import report format.
+  // The undo history starts over, unless historyLabel names a step for loading it.
+  loadDocument(filePath, doc, historyLabel = null) {
+    this.resetDocument();
+
+    // Files come from outside, so every part is sanitized before it is shown
+    const removed = new Map();
+    const clean = (html) => {
+      const result = this.sanitizer.sanitize(html || '');
+      result.removed.forEach(({ message, count }) => removed.set(message, (removed.get(message) || 0) + count));
+      return result.html;
+    };
+    this.showDocument(doc, clean);
+
     this.currentFilePath = filePath;
-    this.documentModified = false;
+    this.setDocumentModified(false);
+    this.reportDocumentState();
 
     this.updateUI();
-    // After loading, ensure all pages are checked for overflow
-    this.checkAllPagesForOverflow();
-    this.showToast(`Document loaded: ${filePath.split(/[/\\]/).pop()}`);
+    this.reflowDocument();
+    if (this.comments.threads.size > 0) this.setCommentsVisible(true);
+    this.showToast(filePath ? `Document loaded: ${filePath.split(/[/\\]/).pop()}` : 'Document loaded');
+    if (filePath) this.captureThumbnail(filePath);
+    if (historyLabel) {
+      this.recordHistory(historyLabel);
+    } else {
+      this.resetHistory();
+    }
+
+    return Array.from(removed, ([message, count]) => ({ type: 'warning', message, count }));
+  }
+
+  // Replaces the pages, headers and footers, comments, styles and settings
+  // with those of doc, a serializeDocument() object; clean filters each part's HTML
+  showDocument(doc, clean = (html) => html || '') {
+    // Recreate the saved page layout, reusing the first page for page 1
+    const pageContainer = document.getElementById('page-container');
+    Array.from(pageContainer.children).slice(1).forEach(page => page.remove());
+    const pages = doc.pages && doc.pages.length > 0 ? doc.pages : [{}];
+    pages.forEach((pageData, index) => {
+      let page = pageContainer.querySelector('.page');
+      if (index > 0) {
+        page = this.createPageElement();
+        pageContainer.appendChild(page);
+        this.setupPageEvents(page);
+        if (pageData.pageSetup) page.dataset.pageSetup = JSON.stringify(this.pageSetup.normalize(pageData.pageSetup));
+        if (pageData.pageBreak) page.dataset.pageBreak = 'true';
+      }
+
+      const editor = page.querySelector('.editor');
+      if (editor) {
+        editor.innerHTML = clean(pageData.content);
+        editor.style.lineHeight = pageData.lineHeight || '';
+        // Tables of contents are filled in, not typed in; files do not keep that
+        editor.querySelectorAll(`.${OUTLINE_TOC_CLASS}`).forEach(toc => { toc.contentEditable = 'false'; });
+      }
+    });
+
+    this.comments.load(doc.comments);
+    this.activeCommentId = null;
+    this.commentForm = null;
+
+    // Every page shows these once updateUI() renders them. Documents from before
+    // headers were document-wide had one per page; the first page's stands for all.
+    const headerFooter = doc.headerFooter || { header: { default: pages[0].header }, footer: { default: pages[0].footer } };
+    this.documentHeaderFooter = this.headerFooter.normalize(headerFooter, clean);
+
+    this.documentStyles.load(doc.styles);
+    this.renderStyleOptions();
+    this.applyDocumentStyles();
+
+    const settings = doc.settings || {};
+    this.setHeaderFooterVisible('header', settings.showHeader !== false);
+    this.setHeaderFooterVisible('footer', settings.showFooter !== false);
+
+    this.documentMeta = doc.meta || {};
+    const { showHeader, showFooter, ...otherSettings } = settings;
+    this.documentSettings = otherSettings;
+    document.getElementById('printComments').checked = otherSettings.printComments === true;
+    this.updateSuggestingState();
   }
 
+  // Resolves to whether the document was saved. Saving again while a save is
+  // running waits for that one rather than writing the file a second time.
   saveFile() {
-    if (this.currentFilePath) {
-      this.saveDocumentToFile(this.currentFilePath);
+    if (!this.saving) {
+      this.saving = this.runSave().finally(() => {
+        this.saving = null;
+      });
+    }
+    return this.saving;
+  }
+
+  async runSave() {
+    let saved;
+    // Files migrated from plain HTML go through Save As so they get the native format
+    if (this.currentFilePath && /\.msdoc$/i.test(this.currentFilePath)) {
+      saved = await this.saveDocumentToFile(this.currentFilePath);
+    } else if (this.currentFilePath && /\.(md|markdown)$/i.test(this.currentFilePath)) {
+      saved = await this.exportMarkdown(this.currentFilePath);
     } else {
-      this.saveFileAs();
+      saved = await this.saveFileAs();
     }
+    bridge.send('document-saved-status', saved); // Lets a pending window close go ahead
+    return saved;
   }
 
   async saveFileAs() {
     try {
-      const result = await ipcRenderer.invoke('save-file-as');
-      if (result && result.filePath) {
-        this.saveDocumentToFile(result.filePath);
-      }
+      const result = await bridge.invoke('save-file-dialog');
+      if (!result.ok) throw new Error(result.error);
+      if (result.canceled) return false;
+      return await this.saveDocumentToFile(result.filePath);
     } catch (error) {
       console.error('Error in save as:', error);
       this.showToast('Error saving file');
+      return false;
     }
   }
 
   async saveDocumentToFile(filePath) {
+    this.commitHistory(); // Undoing to what is saved clears the modified mark
     try {
-      const result = await ipcRenderer.invoke('save-document', {
+      const result = await bridge.invoke('save-file', {
         filePath: filePath,
-        content: this.getAllContent()
+        document: this.serializeDocument(),
+        wordCount: this.getWordCount()
       });
+      if (!result.ok) throw new Error(result.error);
 
-      if (result.success) {
-        this.currentFilePath = filePath;
-        this.documentModified = false;
-        this.updateStatusBar();
-        this.showToast(`Document saved: ${filePath.split(/[/\\]/).pop()}`);
-      } else {
-        this.showToast('Error saving document');
-      }
+      this.currentFilePath = filePath;
+      this.setDocumentModified(false);
+      this.history.markSaved();
+      this.reportDocumentState();
+      this.updateStatusBar();
+      this.renderHeadersFooters(); // File name and title fields
+      this.showToast(`Document saved: ${filePath.split(/[/\\]/).pop()}`);
+      this.discardSnapshot();
+      this.captureThumbnail(filePath);
+      return true;
     } catch (error) {
       console.error('Error saving document:', error);
       this.showToast('Error saving document');
+      return false;
     }
   }
 
+  // The PDF is printed from the page as it is, saved or not
   async exportPDF() {
-    if (!this.currentFilePath) {
-      this.showToast('Please save your document first');
-      return;
+    try {
+      this.updateTableOfContents();
+      this.renderCommentsAppendix();
+      const result = await bridge.invoke('export-to-pdf', { outline: this.getDocumentOutline() });
+      if (!result.ok) throw new Error(result.error);
+      if (!result.canceled) {
+        this.showToast('PDF exported successfully');
+      }
+    } catch (error) {
+      console.error('Error exporting PDF:', error);
+      this.showToast('Error exporting PDF');
     }
+  }
 
-    if (this.documentModified) {
-      this.showToast('Please save your changes before exporting to PDF');
-      return;
+  async exportDocx() {
+    try {
+      this.updateTableOfContents();
+      const result = await bridge.invoke('export-to-docx', {
+        model: this.serializeDocx(),
+        title: this.getDocumentTitle(),
+        author: this.documentMeta.author || null
+      });
+      if (!result.ok) throw new Error(result.error);
+      if (!result.canceled) {
+        const skipped = result.warnings?.length || 0;
+        this.showToast(skipped > 0
+          ? `Word document exported (${skipped} item${skipped === 1 ? '' : 's'} skipped)`
+          : 'Word document exported successfully');
+        result.warnings?.forEach(warning => console.warn('Word export:', warning));
+      }
+    } catch (error) {
+      console.error('Error exporting Word document:', error);
+      this.showToast('Error exporting Word document');
     }
+  }
 
+  // With a filePath this saves in place (Markdown files stay Markdown) and
+  // resolves to whether it worked; otherwise it asks where to export
+  async exportMarkdown(filePath = null) {
+    this.updateTableOfContents();
+    if (filePath) this.commitHistory();
     try {
-      const result = await ipcRenderer.invoke('export-pdf', {
-        filePath: this.currentFilePath
+      const baseDir = this.currentFilePath ? this.currentFilePath.replace(/[/\\][^/\\]*$/, '') : null;
+      const markdown = this.serializeMarkdown(baseDir);
+
+      // Saving in place also records a version, which needs the document itself
+      const result = await bridge.invoke('export-to-markdown', filePath
+        ? { markdown, filePath, document: this.serializeDocument(), wordCount: this.getWordCount() }
+        : { markdown, filePath });
+      if (!result.ok) throw new Error(result.error);
+      if (result.canceled) return false;
+      if (filePath) {
+        this.setDocumentModified(false);
+        this.history.markSaved();
+        this.discardSnapshot();
+        this.updateStatusBar();
+        this.showToast(`Document saved: ${filePath.split(/[/\\]/).pop()}`);
+      } else {
+        this.showToast('Markdown exported successfully');
+      }
+      return true;
+    } catch (error) {
+      console.error('Error exporting Markdown:', error);
+      this.showToast('Error exporting Markdown');
+      return false;
+    }
+  }
+
+  serializeDocx() {
+    // Word lays split paragraphs and tables out itself, so it gets them whole.
+    // The serializer measures tables and images, so the copy is laid out off screen.
+    const logicalPages = this.layout.logicalCopy(document.getElementById('page-container'));
+    logicalPages.removeAttribute('id');
+    logicalPages.classList.add('layout-copy');
+    document.body.appendChild(logicalPages);
+
+    // Word gets each header and footer variant once, with its fields as Word fields
+    const headerFooter = { ...this.documentHeaderFooter };
+    const values = { ...this.getFieldValues(this.totalPages), page: '1' };
+    ['header', 'footer'].forEach(type => {
+      headerFooter[type] = {};
+      HEADER_FOOTER_VARIANTS.forEach(variant => {
+        const element = document.createElement('div');
+        element.className = type;
+        logicalPages.appendChild(element);
+        this.headerFooter.render(element, this.documentHeaderFooter[type][variant], values);
+        headerFooter[type][variant] = element;
       });
+    });
 
-      if (result.success) {
-        this.showToast('PDF exported successfully');
-      } else {
-        this.showToast('Error exporting PDF');
+    try {
+      return new DocxSerializer().serialize(logicalPages, {
+        showHeader: this.isHeaderFooterVisible('header'),
+        showFooter: this.isHeaderFooterVisible('footer'),
+        headerFooter,
+        pageNumbers: true,
+        trackChanges: this.isSuggesting(),
+        styles: this.documentStyles.list(),
+        // Main has no paper size table, so it gets the sheet dimensions too
+        pageSetups: this.getSectionSetups().map(setup => ({ ...setup, ...this.pageSetup.dimensions(setup) }))
+      });
+    } finally {
+      logicalPages.remove();
+    }
+  }
+
+  // baseDir is the folder the Markdown file will be in, for relative image paths
+  serializeMarkdown(baseDir) {
+    return new MarkdownSerializer(this.documentSettings.markdown)
+      .serialize(this.layout.logicalCopy(document.getElementById('page-container')), { baseDir });
+  }
+
+  getDocumentTitle() {
+    if (this.documentMeta.title) return this.documentMeta.title;
+    return this.currentFilePath
+      ? this.currentFilePath.split(/[/\\]/).pop().replace(/\.[^.]+$/, '')
+      : 'Untitled Document';
+  }
+
+  // Headless conversion (src/main/batch-convert.js): lay the document out as
+  // it would be on screen, then hand back what the requested format needs
+  async convertDocument({ filePath, document: doc, format, outputDir }) {
+    try {
+      const removed = this.loadDocument(filePath, doc);
+      await document.fonts.ready;
+      await Promise.all(Array.from(document.querySelectorAll('#page-container img'))
+        .map(image => image.decode().catch(() => {}))); // Broken images are exported as they are
+      this.reflowDocument();
+      this.updateTableOfContents();
+      this.renderCommentsAppendix();
+
+      const output = { document: this.serializeDocument(), warnings: removed };
+      if (format === 'docx') {
+        output.model = this.serializeDocx();
+        output.title = this.getDocumentTitle();
+        output.author = this.documentMeta.author || null;
+      } else if (format === 'md') {
+        output.markdown = this.serializeMarkdown(outputDir);
+      } else if (format === 'pdf') {
+        output.outline = this.getDocumentOutline();
       }
+      bridge.send('conversion-output', output);
     } catch (error) {
-      console.error('Error exporting PDF:', error);
-      this.showToast('Error exporting PDF');
+      bridge.send('conversion-output', { error: error.message });
     }
   }
 
   printDocument() {
+    this.updateTableOfContents();
+    this.renderCommentsAppendix();
     document.body.classList.add('print-mode');
     window.print();
     setTimeout(() => {
@@ -593,14 +1438,22 @@ class DocumentEditor {
   }
 
   // Page management
-  addPage() {
-    const pageContainer = document.getElementById('page-container');
+  createPageElement() {
     const pageTemplate = document.querySelector('.page').cloneNode(true);
 
     // Clear content but keep structure
     pageTemplate.querySelectorAll('[contenteditable]').forEach(el => {
       el.innerHTML = '';
     });
+    pageTemplate.querySelector('.editor').style.lineHeight = '';
+    delete pageTemplate.dataset.pageSetup; // New pages continue the section they follow
+    delete pageTemplate.dataset.pageBreak;
+    return pageTemplate;
+  }
+
+  addPage() {
+    const pageContainer = document.getElementById('page-container');
+    const pageTemplate = this.createPageElement();
 
     // Update page number - this will be handled by updatePageNumbers
     // const pageNumber = pageTemplate.querySelector('.page-number');
@@ -608,7 +1461,8 @@ class DocumentEditor {
     //   pageNumber.textContent = this.totalPages;
     // }
 
-    // Add the new page
+    // Add the new page; the layout never moves content onto it from the page before
+    pageTemplate.dataset.pageBreak = 'true';
     pageContainer.appendChild(pageTemplate);
 
     // Setup events and focus
@@ -623,447 +1477,2870 @@ class DocumentEditor {
     this.showToast('New page added');
   }
 
-  // Calculates the actual usable height of a page for content
-  calculatePageDimensions() {
-    const firstPage = document.querySelector('.page');
-    if (firstPage) {
-      // Assuming a fixed header/footer height, or calculating it from CSS
-      const pageStyle = getComputedStyle(firstPage);
-      const editorStyle = getComputedStyle(firstPage.querySelector('.editor'));
-
-      const pageHeight = parseFloat(pageStyle.height);
-      const editorPaddingTop = parseFloat(editorStyle.paddingTop);
-      const editorPaddingBottom = parseFloat(editorStyle.paddingBottom);
-      const editorMarginTop = parseFloat(editorStyle.marginTop);
-      const editorMarginBottom = parseFloat(editorStyle.marginBottom);
-
-      // Estimate header/footer height or just subtract a fixed value for margins/padding
-      const header = firstPage.querySelector('.header');
-      const footer = firstPage.querySelector('.footer');
-      let headerHeight = header ? header.offsetHeight : 0;
-      let footerHeight = footer ? footer.offsetHeight : 0;
-
-      // Adjust for the page padding/margins if any on the .page element itself
-      const pagePaddingTop = parseFloat(pageStyle.paddingTop);
-      const pagePaddingBottom = parseFloat(pageStyle.paddingBottom);
-
-      // This calculation needs to be precise based on your CSS.
-      // For simplicity, let's assume `pageHeight` is the total fixed height of a page element
-      // and we need to subtract space taken by header, footer, and editor's own padding/margins.
-      // You might need to adjust this based on your actual page/editor CSS.
-      // Example: If page is A4 (1122px) and has 20px top/bottom padding, and editor has 10px top/bottom margin
-      // usable height = 1122 - (20*2) - (10*2) - header_height - footer_height
-      this.pageHeight = pageHeight - headerHeight - footerHeight - pagePaddingTop - pagePaddingBottom - editorPaddingTop - editorPaddingBottom - editorMarginTop - editorMarginBottom;
-
-      // Ensure a reasonable minimum height
-      if (this.pageHeight <= 0) {
-        this.pageHeight = 1120; // Fallback
-        console.warn('Calculated page height is too small, using fallback.');
+  // Setup of every page, in order: the document's until a page starts a new section
+  getSectionSetups() {
+    let setup = this.pageSetup.normalize(this.documentSettings.pageSetup);
+    return Array.from(document.querySelectorAll('#page-container .page')).map((page, index) => {
+      if (index > 0 && page.dataset.pageSetup) {
+        setup = this.pageSetup.normalize(JSON.parse(page.dataset.pageSetup));
       }
-      console.log('Calculated usable page height for editor:', this.pageHeight);
-    }
+      return setup;
+    });
   }
 
+  // Sizes every page from its section's setup and updates the @page rules
+  // that give each section its own sheet size when printing
+  applyPageSetup() {
+    const pages = Array.from(document.querySelectorAll('#page-container .page'));
+    const namedPages = new Map();
+    let section = 0;
+    this.getSectionSetups().forEach((setup, index) => {
+      if (index > 0 && pages[index].dataset.pageSetup) section++;
+      const name = `section-${section + 1}`;
+      namedPages.set(name, setup);
+      this.pageSetup.apply(pages[index], setup, name);
+    });
 
-  checkPageOverflow(editor) {
-    if (!editor) return;
-
-    // Use the dynamically calculated page height
-    const page = editor.closest('.page');
-    // Ensure the editor has rendered properly before checking scrollHeight
-    // Sometimes scrollHeight is 0 or incorrect right after content insertion
-    if (editor.scrollHeight === 0 && editor.innerText.trim() !== '') {
-        console.log('Editor scrollHeight is 0 but has content. Retrying overflow check.');
-        clearTimeout(this.typingTimer);
-        this.typingTimer = setTimeout(() => this.checkPageOverflow(editor), 100);
-        return;
+    let styles = document.getElementById('pageSetupStyles');
+    if (!styles) {
+      styles = document.createElement('style');
+      styles.id = 'pageSetupStyles';
+      document.head.appendChild(styles);
     }
+    styles.textContent = this.pageSetup.printStyles(namedPages);
+  }
 
-    // Check if the current editor's content overflows its container
-    // `editor.offsetHeight` is the visible height. `editor.scrollHeight` is the full content height.
-    // We want to detect if scrollHeight exceeds the available 'this.pageHeight'
-    if (editor.scrollHeight > this.pageHeight + 5) { // Add a small buffer
-      console.log('Overflow detected in editor:', editor, 'scrollHeight:', editor.scrollHeight, 'pageHeight:', this.pageHeight);
-      const currentPageElem = editor.closest('.page');
-      const pages = Array.from(document.querySelectorAll('.page'));
-      const currentIndex = pages.indexOf(currentPageElem);
-
-      let overflowContent = '';
-      // Attempt to find a suitable split point (e.g., last full paragraph or line)
-      overflowContent = this.extractOverflowContent(editor, this.pageHeight);
-
-      if (overflowContent.trim() !== '') {
-        if (currentIndex === pages.length - 1) { // If it's the last page
-          this.addPage();
-          const newPageEditor = document.querySelector('.page:last-child .editor');
-          if (newPageEditor) {
-            newPageEditor.innerHTML = overflowContent;
-            // Recursively check the new page for overflow
-            this.checkPageOverflow(newPageEditor);
-          }
-        } else {
-          // Move content to the next existing page
-          const nextPageEditor = pages[currentIndex + 1].querySelector('.editor');
-          if (nextPageEditor) {
-            // Prepend overflow content to the next page
-            nextPageEditor.innerHTML = overflowContent + nextPageEditor.innerHTML;
-            // Recursively check the next page for overflow
-            this.checkPageOverflow(nextPageEditor);
-          } else {
-              // This case should ideally not happen if pages are managed correctly,
-              // but as a fallback, add a new page if next one isn't found.
-              this.addPage();
-              const newPageEditor = document.querySelector('.page:last-child .editor');
-              if(newPageEditor) {
-                newPageEditor.innerHTML = overflowContent;
-                this.checkPageOverflow(newPageEditor);
-              }
-          }
-        }
-      }
+  // The page that starts the section a page belongs to
+  getSectionStart(page) {
+    const pages = Array.from(document.querySelectorAll('#page-container .page'));
+    for (let index = pages.indexOf(page); index > 0; index--) {
+      if (pages[index].dataset.pageSetup) return pages[index];
     }
-    // After adjustments, ensure the current page is not empty and update UI
-    this.updateUI();
+    return pages[0];
   }
 
-  // Improved overflow extraction, attempts to break at block-level elements or lines
-  extractOverflowContent(editor, maxHeight) {
-    const tempDiv = document.createElement('div');
-    tempDiv.style.cssText = `
-      position: absolute;
-      visibility: hidden;
-      width: ${editor.clientWidth}px; /* Use clientWidth for accurate width */
-      font: ${getComputedStyle(editor).font};
-      line-height: ${getComputedStyle(editor).lineHeight};
-      box-sizing: border-box; /* Crucial for consistent sizing */
-      padding: ${getComputedStyle(editor).padding};
-      border: ${getComputedStyle(editor).border};
-      margin: ${getComputedStyle(editor).margin};
-    `;
-    tempDiv.innerHTML = editor.innerHTML;
-    document.body.appendChild(tempDiv);
-
-    let overflowHTML = '';
-    const originalNodes = Array.from(editor.childNodes);
-    const tempNodes = Array.from(tempDiv.childNodes);
-    let currentHeight = 0;
-    let splitIndex = -1;
-
-    for (let i = 0; i < tempNodes.length; i++) {
-        const node = tempNodes[i];
-        const nodeHeight = node.offsetHeight;
-
-        if (currentHeight + nodeHeight > maxHeight) {
-            splitIndex = i;
-            break;
-        }
-        currentHeight += nodeHeight;
+  showPageSetup() {
+    const sizeSelect = document.getElementById('pageSize');
+    if (sizeSelect && sizeSelect.options.length === 0) {
+      Object.entries(PAPER_SIZES).forEach(([value, { label }]) => sizeSelect.add(new Option(label, value)));
     }
 
-    if (splitIndex !== -1) {
-        // Collect overflow content from tempDiv
-        for (let i = splitIndex; i < tempNodes.length; i++) {
-            overflowHTML += tempNodes[i].outerHTML || tempNodes[i].textContent;
-        }
+    const page = this.selectedEditor?.closest('.page') || document.querySelector('#page-container .page');
+    const pages = Array.from(document.querySelectorAll('#page-container .page'));
+    const setup = this.getSectionSetups()[pages.indexOf(page)];
+    const fields = {
+      pageSize: setup.size,
+      pageOrientation: setup.orientation,
+      marginTop: setup.margins.top,
+      marginBottom: setup.margins.bottom,
+      marginLeft: setup.margins.left,
+      marginRight: setup.margins.right,
+      marginGutter: setup.gutter,
+      headerDistance: setup.headerDistance,
+      footerDistance: setup.footerDistance
+    };
+    Object.entries(fields).forEach(([id, value]) => {
+      const field = document.getElementById(id);
+      if (field) field.value = value;
+    });
 
-        // Remove overflow content from the original editor
-        // We need to carefully remove corresponding nodes from the actual editor
-        while (editor.childNodes.length > splitIndex) {
-            editor.removeChild(editor.childNodes[splitIndex]);
-        }
-        // Ensure the editor doesn't become completely empty with no focusable content
-        if (editor.innerHTML.trim() === '') {
-            editor.innerHTML = '<br>'; // Keep a break tag for focus and typing
+    // "This section" only means something once the document has more than one
+    const scope = document.getElementById('pageSetupScope');
+    if (scope) {
+      const hasSections = pages.some((item, index) => index > 0 && item.dataset.pageSetup);
+      scope.disabled = !hasSections;
+      scope.value = hasSections ? 'section' : 'document';
+    }
+    this.pageSetupTarget = page;
+    this.showPanel('pageSetupPanel');
+  }
+
+  applyPageSetupDialog() {
+    const value = (id) => document.getElementById(id)?.value;
+    const setup = this.pageSetup.normalize({
+      size: value('pageSize'),
+      orientation: value('pageOrientation'),
+      margins: {
+        top: value('marginTop'),
+        bottom: value('marginBottom'),
+        left: value('marginLeft'),
+        right: value('marginRight')
+      },
+      gutter: value('marginGutter'),
+      headerDistance: value('headerDistance'),
+      footerDistance: value('footerDistance')
+    });
+    const problem = this.pageSetup.validate(setup);
+    if (problem) {
+      this.showToast(problem);
+      return;
+    }
+
+    const pages = Array.from(document.querySelectorAll('#page-container .page'));
+    const target = pages.includes(this.pageSetupTarget) ? this.pageSetupTarget : pages[0];
+    const sectionStart = this.getSectionStart(target);
+    if (value('pageSetupScope') === 'section' && sectionStart !== pages[0]) {
+      sectionStart.dataset.pageSetup = JSON.stringify(setup);
+    } else if (value('pageSetupScope') === 'section') {
+      this.documentSettings.pageSetup = setup;
+    } else {
+      this.documentSettings.pageSetup = setup;
+      pages.forEach((page, index) => {
+        if (index > 0 && page.dataset.pageSetup) page.dataset.pageSetup = JSON.stringify(setup);
+      });
+    }
+
+    this.hidePanel('pageSetupPanel');
+    this.reflowDocument();
+    this.markDocumentAsModified('Page Setup');
+  }
+
+  // Moves everything after the caret onto a new page that starts a section.
+  // It keeps the current setup until Page Setup changes it.
+  insertSectionBreak() {
+    const selection = window.getSelection();
+    const editor = this.selectedEditor;
+    if (!editor || selection.rangeCount === 0 || !editor.contains(selection.getRangeAt(0).startContainer)) {
+      this.showToast('Place the cursor in the text where the new section should start');
+      return;
+    }
+
+    const page = editor.closest('.page');
+    const pages = Array.from(document.querySelectorAll('#page-container .page'));
+    const setup = this.getSectionSetups()[pages.indexOf(page)];
+
+    const range = selection.getRangeAt(0).cloneRange();
+    range.collapse(true);
+    range.setEnd(editor, editor.childNodes.length);
+    const rest = range.extractContents();
+
+    const newPage = this.createPageElement();
+    newPage.dataset.pageSetup = JSON.stringify(setup);
+    page.after(newPage);
+    this.setupPageEvents(newPage);
+    const newEditor = newPage.querySelector('.editor');
+    newEditor.appendChild(rest);
+    if (newEditor.innerHTML.trim() === '') newEditor.innerHTML = '<p><br></p>';
+
+    newEditor.focus();
+    this.selectedEditor = newEditor;
+    this.layout.markDirty(page);
+    this.layout.markDirty(newPage);
+    this.reflow();
+    this.markDocumentAsModified('Section Break');
+    this.showToast('Section break inserted');
+  }
+
+  // Height the editor of a page may fill before its content moves on
+  getUsableHeight(page) {
+    const editorStyle = getComputedStyle(page.querySelector('.editor'));
+    return this.pageSetup.bodyHeight(page) - parseFloat(editorStyle.marginTop) - parseFloat(editorStyle.marginBottom);
+  }
+
+  // Lays out the pages that changed since the last pass; see src/renderer/layout-engine.js
+  reflow() {
+    const pageContainer = document.getElementById('page-container');
+    if (!pageContainer) return;
+    this.updatePageNumbers(); // Renders the headers and footers, whose heights decide where the body ends
+    this.applyPageSetup();
+    this.imageEditor.numberCaptions(pageContainer);
+    this.layout.reflow(pageContainer);
+
+    // Pages the layout added only get their header and footer now, and a first
+    // or even page's may be taller than the one of the page it was copied from
+    for (let pass = 0; pass < 3; pass++) {
+      const geometry = new Map(Array.from(pageContainer.querySelectorAll('.page'), page => [page, page.style.cssText]));
+      this.updatePageNumbers();
+      this.applyPageSetup();
+      const moved = Array.from(geometry.keys()).filter(page => page.style.cssText !== geometry.get(page));
+      if (moved.length === 0) break;
+      moved.forEach(page => this.layout.markDirty(page));
+      this.layout.reflow(pageContainer);
+    }
+
+    const selection = window.getSelection();
+    const editor = selection.rangeCount > 0 ? selection.anchorNode?.parentElement?.closest('.page .editor') : null;
+    if (editor) this.selectedEditor = editor;
+    if (!this.selectedEditor || !this.selectedEditor.isConnected) {
+      this.selectedEditor = pageContainer.querySelector('.editor');
+    }
+    // The selected image may be on another page now, or gone
+    if (this.imageEditor.image) {
+      this.imageEditor.position();
+      if (!this.imageEditor.image) this.updateImageTools();
+    }
+    this.updateUI();
+    // Matches move with the text, and headers and comments are drawn anew
+    if (document.getElementById('findReplacePanel')?.style.display === 'block') this.runSearch();
+  }
+
+  // Lays out page (all pages without one) once typing pauses
+  scheduleReflow(page = null) {
+    this.layout.markDirty(page);
+    clearTimeout(this.typingTimer);
+    this.typingTimer = setTimeout(() => this.reflow(), 300);
+  }
+
+  // Lays out every page now, e.g. after loading or a page setup change
+  reflowDocument() {
+    clearTimeout(this.typingTimer);
+    this.layout.markDirty(null);
+    this.reflow();
+  }
+
+  // Pages can be added with Add Page or created by the layout; content only
+  // flows onto the latter
+  isHardPageBreak(page) {
+    return Boolean(page.dataset.pageSetup || page.dataset.pageBreak);
+  }
+
+  // Deletes an empty page other than the first. A section or page break the
+  // page starts moves on to the page after it; deleting the only page of a
+  // section joins it to the section before, once the user agrees.
+  deleteEmptyPage(page) {
+    const pages = Array.from(document.querySelectorAll('#page-container .page'));
+    const index = pages.indexOf(page);
+    if (index < 1) return;
+    const next = pages[index + 1];
+
+    if (page.dataset.pageSetup) {
+      if (next && !next.dataset.pageSetup) {
+        next.dataset.pageSetup = page.dataset.pageSetup;
+        delete next.dataset.pageBreak;
+      } else if (!confirm('This page is the only one in its section. Delete it and its page setup?')) {
+        return;
+      }
+    } else if (page.dataset.pageBreak && next && !this.isHardPageBreak(next)) {
+      next.dataset.pageBreak = 'true';
+    }
+
+    // Focus previous editor
+    const prevEditor = pages[index - 1].querySelector('.editor');
+    if (prevEditor) {
+      prevEditor.focus();
+      this.selectedEditor = prevEditor;
+    }
+
+    this.layout.removePage(page);
+    this.reflow();
+    this.currentPage = Math.min(this.currentPage, this.totalPages);
+    this.updateStatusBar();
+    this.markDocumentAsModified('Delete Page');
+    this.showToast('Empty page removed');
+  }
+
+  // A new page after page, in its section, for content the layout moves on
+  insertPageAfter(page) {
+    const newPage = this.createPageElement();
+    newPage.style.cssText = page.style.cssText; // Same section, same geometry
+    page.after(newPage);
+    this.setupPageEvents(newPage);
+    return newPage;
+  }
+
+  // Styles (see src/renderer/document-styles.js)
+  initializeStyles() {
+    // The style editor offers the fonts of the toolbar
+    const fonts = document.getElementById('styleFont');
+    const toolbarFonts = document.getElementById('fontName');
+    if (fonts && toolbarFonts) {
+      Array.from(toolbarFonts.options).forEach(option => fonts.add(new Option(option.text, option.value)));
+    }
+    this.renderStyleOptions();
+    this.applyDocumentStyles();
+  }
+
+  // Fills the toolbar's style list and the style editor's with the document's styles
+  renderStyleOptions() {
+    const toolbar = document.getElementById('paragraphStyle');
+    if (toolbar) {
+      toolbar.innerHTML = '';
+      const paragraphs = document.createElement('optgroup');
+      paragraphs.label = 'Paragraph';
+      this.documentStyles.list('paragraph').forEach(style => paragraphs.appendChild(new Option(style.name, style.id)));
+      const characters = document.createElement('optgroup');
+      characters.label = 'Character';
+      characters.appendChild(new Option('Default Paragraph Font', ''));
+      this.documentStyles.list('character').forEach(style => characters.appendChild(new Option(style.name, style.id)));
+      toolbar.append(paragraphs, characters);
+    }
+
+    const editor = document.getElementById('styleEditSelect');
+    if (editor) {
+      editor.innerHTML = '';
+      this.documentStyles.list().forEach(style => {
+        editor.appendChild(new Option(style.type === 'character' ? `${style.name} (character)` : style.name, style.id));
+      });
+    }
+    this.updateStyleSelect();
+  }
+
+  // Every use of a style is formatted by this stylesheet, so changing it restyles them all
+  applyDocumentStyles() {
+    let styles = document.getElementById('documentStyles');
+    if (!styles) {
+      styles = document.createElement('style');
+      styles.id = 'documentStyles';
+      document.head.appendChild(styles);
+    }
+    styles.textContent = this.documentStyles.css();
+  }
+
+  // Shows the style of the text at the caret, its character style if it has one
+  updateStyleSelect() {
+    const select = document.getElementById('paragraphStyle');
+    const editor = this.getSelectionEditor();
+    if (!select || !editor || document.activeElement === select) return;
+    const { paragraph, character } = this.documentStyles.stylesAt(window.getSelection().getRangeAt(0).startContainer, editor);
+    select.value = (character || paragraph).id;
+  }
+
+  // Applies a paragraph style to the paragraphs the selection touches or a
+  // character style to the selected text; id '' takes the character style off
+  applyStyle(id) {
+    const style = id ? this.documentStyles.get(id) : null;
+    const pageContainer = document.getElementById('page-container');
+    if (id && !style) return;
+
+    // Paragraphs the layout split over pages get the style as a whole
+    const caret = this.layout.saveCaret(pageContainer);
+    if (!caret) {
+      this.showToast('Place the cursor in the document first');
+      return;
+    }
+    this.layout.unsplit(pageContainer);
+    const range = document.createRange();
+    range.setStartAfter(caret.start);
+    if (caret.end) {
+      range.setEndBefore(caret.end);
+    } else {
+      range.collapse(true);
+    }
+
+    // A selection over several pages is styled page by page; the parts are
+    // taken before any page changes, since they move the boundaries of range
+    const parts = Array.from(pageContainer.querySelectorAll('.page .editor'))
+      .filter(editor => range.intersectsNode(editor))
+      .map(editor => {
+        const part = range.cloneRange();
+        if (!editor.contains(range.startContainer)) part.setStart(editor, 0);
+        if (!editor.contains(range.endContainer)) part.setEnd(editor, editor.childNodes.length);
+        return { editor, part };
+      });
+    parts.forEach(({ editor, part }) => {
+      if (!style || style.type === 'character') {
+        if (!part.collapsed) this.documentStyles.applyCharacterStyle(part, editor, id);
+      } else {
+        this.documentStyles.applyParagraphStyle(part, editor, id);
+      }
+    });
+
+    this.layout.restoreCaret(pageContainer, { ...caret, focused: true });
+    this.reflowDocument();
+    this.markDocumentAsModified(style ? `Apply ${style.name}` : 'Clear Character Style');
+    this.updateStyleSelect();
+  }
+
+  showStyles() {
+    const editor = this.getSelectionEditor();
+    const { paragraph, character } = editor
+      ? this.documentStyles.stylesAt(window.getSelection().getRangeAt(0).startContainer, editor)
+      : { paragraph: this.documentStyles.get('Normal'), character: null };
+    this.renderStyleOptions();
+    this.loadStyleForm((character || paragraph).id);
+    this.showPanel('stylesPanel');
+  }
+
+  // Fills the style editor with a style, or with a copy of it to start a new one from
+  loadStyleForm(id, { create = false } = {}) {
+    const style = this.documentStyles.get(id) || this.documentStyles.get('Normal');
+    const builtIn = this.documentStyles.isBuiltIn(style.id);
+    this.editingStyleId = create ? null : style.id;
+
+    const flag = (value) => (value === null ? '' : String(value));
+    const number = (value) => (value === null ? '' : value);
+    const fields = {
+      styleEditSelect: style.id,
+      styleName: create ? '' : style.name,
+      styleType: style.type,
+      styleOutline: style.outline || '',
+      styleFont: style.font || '',
+      styleSize: number(style.size),
+      styleBold: flag(style.bold),
+      styleItalic: flag(style.italic),
+      styleUnderline: flag(style.underline),
+      styleColor: style.color || '#000000',
+      styleAlign: style.align || '',
+      styleSpaceBefore: number(style.spaceBefore),
+      styleSpaceAfter: number(style.spaceAfter),
+      styleLineHeight: number(style.lineHeight),
+      styleIndent: number(style.indent)
+    };
+    Object.entries(fields).forEach(([fieldId, value]) => {
+      const field = document.getElementById(fieldId);
+      if (field) field.value = value;
+    });
+    const colorSet = document.getElementById('styleColorSet');
+    if (colorSet) colorSet.checked = Boolean(style.color);
+
+    // Built-in styles keep their name and level; no style changes its type
+    const disable = (fieldId, disabled) => {
+      const field = document.getElementById(fieldId);
+      if (field) field.disabled = disabled;
+    };
+    disable('styleName', !create && builtIn);
+    disable('styleType', !create);
+    this.updateStyleFormFields();
+    if (!create && builtIn) disable('styleOutline', true);
+    disable('deleteStyleBtn', create || builtIn);
+    disable('resetStyleBtn', create || !builtIn);
+  }
+
+  // Paragraph properties do nothing in a character style
+  updateStyleFormFields() {
+    const character = document.getElementById('styleType')?.value === 'character';
+    ['styleOutline', 'styleAlign', 'styleSpaceBefore', 'styleSpaceAfter', 'styleLineHeight', 'styleIndent'].forEach(fieldId => {
+      const field = document.getElementById(fieldId);
+      if (field) field.disabled = character;
+    });
+  }
+
+  readStyleForm() {
+    const value = (fieldId) => document.getElementById(fieldId)?.value ?? '';
+    const number = (fieldId) => (value(fieldId) === '' ? null : parseFloat(value(fieldId)));
+    const flag = (fieldId) => (value(fieldId) === '' ? null : value(fieldId) === 'true');
+    return {
+      name: value('styleName').trim(),
+      type: value('styleType'),
+      outline: value('styleOutline') ? parseInt(value('styleOutline'), 10) : null,
+      font: value('styleFont') || null,
+      size: number('styleSize'),
+      bold: flag('styleBold'),
+      italic: flag('styleItalic'),
+      underline: flag('styleUnderline'),
+      color: document.getElementById('styleColorSet')?.checked ? value('styleColor') : null,
+      align: value('styleAlign') || null,
+      spaceBefore: number('styleSpaceBefore'),
+      spaceAfter: number('styleSpaceAfter'),
+      lineHeight: number('styleLineHeight'),
+      indent: number('styleIndent')
+    };
+  }
+
+  saveStyleForm() {
+    const properties = this.readStyleForm();
+    let style;
+    if (this.editingStyleId) {
+      const previous = this.documentStyles.get(this.editingStyleId);
+      style = this.documentStyles.update(this.editingStyleId, properties);
+      // A custom style moved to another outline level changes the element of every use
+      this.restyleDocument(previous.outline === style.outline ? null : (editor) => {
+        this.documentStyles.uses(editor, previous).forEach(use => this.documentStyles.restyle(use, style));
+      });
+    } else {
+      if (!properties.name) {
+        this.showToast('Enter a name for the new style');
+        return;
+      }
+      style = this.documentStyles.create(properties.name, properties);
+      this.restyleDocument(null, 'New Style');
+    }
+    this.renderStyleOptions();
+    this.loadStyleForm(style.id);
+    this.showToast(`Style "${style.name}" saved`);
+  }
+
+  // Paragraphs in a deleted style become Normal and its text loses it
+  deleteStyle() {
+    const style = this.documentStyles.get(this.editingStyleId);
+    if (!style || this.documentStyles.isBuiltIn(style.id)) return;
+    this.documentStyles.remove(style.id);
+    this.restyleDocument((editor) => {
+      this.documentStyles.uses(editor, style).forEach(use => {
+        if (style.type === 'character') {
+          use.replaceWith(...use.childNodes);
+        } else {
+          this.documentStyles.restyle(use, this.documentStyles.get('Normal'));
         }
+      });
+    }, 'Delete Style');
+    this.renderStyleOptions();
+    this.loadStyleForm('Normal');
+    this.showToast(`Style "${style.name}" deleted`);
+  }
+
+  resetStyle() {
+    if (!this.documentStyles.isBuiltIn(this.editingStyleId)) return;
+    this.documentStyles.reset(this.editingStyleId);
+    this.restyleDocument(null, 'Reset Style');
+    this.loadStyleForm(this.editingStyleId);
+  }
+
+  // Lays the document out again after its styles changed. change(editor), if
+  // given, first edits the pages, with the blocks the layout split joined.
+  // label names the undo step.
+  restyleDocument(change = null, label = 'Modify Style') {
+    const pageContainer = document.getElementById('page-container');
+    if (change) {
+      const caret = this.layout.saveCaret(pageContainer);
+      this.layout.unsplit(pageContainer);
+      pageContainer.querySelectorAll('.page .editor').forEach(editor => change(editor));
+      this.layout.restoreCaret(pageContainer, caret);
+    }
+    this.applyDocumentStyles();
+    this.reflowDocument();
+    this.markDocumentAsModified(label);
+  }
+
+  // The outline level of a heading's style, 0 for other elements
+  outlineLevel(element) {
+    if (!/^H[1-6]$/.test(element.tagName)) return 0;
+    return this.documentStyles.styleOf(element)?.outline || 0;
+  }
+
+  // The headings on the pages in order, as { heading, title, level, page, top }
+  // with page the index of the page and top the heading's distance from its top in CSS pixels
+  getOutlineHeadings() {
+    const outline = [];
+    document.querySelectorAll('#page-container .page').forEach((page, index) => {
+      const pageRect = page.getBoundingClientRect();
+      const scale = page.offsetHeight ? pageRect.height / page.offsetHeight : 1; // The zoom
+      page.querySelectorAll('.editor h1, .editor h2, .editor h3, .editor h4, .editor h5, .editor h6').forEach(heading => {
+        const level = this.outlineLevel(heading);
+        // The rest of a heading split over pages is not a heading of its own
+        if (!level || this.layout.isContinuation(heading)) return;
+        const copy = heading.cloneNode(true);
+        copy.querySelectorAll('del.revision').forEach(deleted => deleted.remove());
+        const title = copy.textContent.replace(/\s+/g, ' ').trim();
+        if (!title) return;
+        outline.push({ heading, title, level, page: index, top: (heading.getBoundingClientRect().top - pageRect.top) / scale });
+      });
+    });
+    return outline;
+  }
+
+  // The outline as PDF bookmarks: { title, level, page, top }
+  getDocumentOutline() {
+    return this.getOutlineHeadings().map(({ heading, ...entry }) => entry);
+  }
+
+  // Navigation pane: the headings, or the pages, live as the document changes
+  isNavigationVisible() {
+    return document.getElementById('navigationPane')?.style.display !== 'none';
+  }
+
+  setNavigationVisible(visible) {
+    const pane = document.getElementById('navigationPane');
+    if (!pane) return;
+    pane.style.display = visible ? '' : 'none';
+    document.getElementById('navigationBtn')?.classList.toggle('active', visible);
+    this.renderNavigation();
+  }
+
+  toggleNavigation() {
+    this.setNavigationVisible(!this.isNavigationVisible());
+  }
+
+  setNavigationView(view) {
+    this.navigation.view = view;
+    document.getElementById('navigationHeadingsTab')?.classList.toggle('active', view === 'headings');
+    document.getElementById('navigationPagesTab')?.classList.toggle('active', view === 'pages');
+    this.renderNavigation();
+  }
+
+  renderNavigation() {
+    const list = document.getElementById('navigationList');
+    // The list stays as it is while a heading is dragged over it
+    if (!list || !this.isNavigationVisible() || this.navigation.dragging !== null) return;
+    list.innerHTML = '';
+
+    if (this.navigation.view === 'pages') {
+      document.querySelectorAll('#page-container .page').forEach((page, index) => {
+        const item = document.createElement('li');
+        item.className = 'navigation-page';
+        item.dataset.page = index;
+        const number = document.createElement('strong');
+        number.textContent = `Page ${index + 1}`;
+        const text = document.createElement('span');
+        text.textContent = this.layout.visibleText(page.querySelector('.editor')).replace(/\s+/g, ' ').trim().slice(0, 80);
+        item.append(number, text);
+        item.onclick = () => this.goToPage(index);
+        list.appendChild(item);
+      });
+      this.markCurrentNavigation();
+      return;
+    }
+
+    const headings = this.getOutlineHeadings();
+    this.navigation.headings = headings.map(({ heading }) => heading);
+    if (headings.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'navigation-empty';
+      empty.textContent = 'No headings. Text styled as a heading is listed here.';
+      list.appendChild(empty);
+      return;
+    }
+    headings.forEach(({ heading, title, level, page }, index) => {
+      const item = document.createElement('li');
+      item.className = `navigation-heading level-${level}`;
+      item.dataset.page = page;
+      item.textContent = title;
+      item.title = `${title} (page ${page + 1})`;
+      item.onclick = () => this.goToHeading(heading);
+      // Dragging a heading moves its section in front of the heading it is dropped on
+      item.draggable = this.outline.section(heading).length > 0;
+      item.addEventListener('dragstart', (e) => {
+        this.navigation.dragging = index;
+        list.classList.add('dragging');
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', title);
+      });
+      list.appendChild(item);
+    });
+    // Dropping after the last heading moves a section to the end
+    const end = document.createElement('li');
+    end.className = 'navigation-end';
+    end.textContent = 'End of document';
+    list.appendChild(end);
+
+    Array.from(list.children).forEach((item, index) => {
+      item.addEventListener('dragover', (e) => {
+        if (this.navigation.dragging === null) return;
+        e.preventDefault();
+        item.classList.add('drop-target');
+      });
+      item.addEventListener('dragleave', () => item.classList.remove('drop-target'));
+      item.addEventListener('drop', (e) => {
+        e.preventDefault();
+        const from = this.navigation.dragging;
+        this.navigation.dragging = null;
+        this.moveSection(from, index);
+      });
+      item.addEventListener('dragend', () => {
+        this.navigation.dragging = null;
+        this.renderNavigation();
+      });
+    });
+    this.markCurrentNavigation();
+  }
+
+  // The page with the caret, or the heading of the section it is in
+  markCurrentNavigation() {
+    const list = document.getElementById('navigationList');
+    if (!list) return;
+    const page = this.currentPage - 1;
+    const items = Array.from(list.querySelectorAll('[data-page]'));
+    const current = this.navigation.view === 'pages'
+      ? items[page]
+      : items.filter(item => Number(item.dataset.page) <= page).pop();
+    items.forEach(item => item.classList.toggle('active', item === current));
+  }
+
+  goToHeading(heading) {
+    if (!heading || !heading.isConnected) return;
+    const editor = heading.closest('.editor');
+    editor.focus({ preventScroll: true });
+    const range = document.createRange();
+    range.setStart(heading, 0);
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+    heading.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    this.selectedEditor = editor;
+    this.updateCurrentPage(editor);
+  }
+
+  goToPage(index) {
+    const page = document.querySelectorAll('#page-container .page')[index];
+    if (!page) return;
+    const editor = page.querySelector('.editor');
+    editor.focus({ preventScroll: true });
+    const range = document.createRange();
+    range.setStart(editor, 0);
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+    page.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    this.selectedEditor = editor;
+    this.updateCurrentPage(editor);
+  }
+
+  // Moves the section of the heading at index from in the navigation pane in
+  // front of the one at index to, or to the end of the document
+  moveSection(from, to) {
+    const { headings } = this.navigation;
+    const heading = headings[from];
+    if (!heading || !heading.isConnected || from === to) {
+      this.renderNavigation();
+      return;
+    }
+    const pageContainer = document.getElementById('page-container');
+    this.layout.unsplit(pageContainer);
+    const editors = pageContainer.querySelectorAll('.page .editor');
+    const moved = this.outline.moveSection(heading, headings[to] || null, editors[editors.length - 1]);
+    this.reflowDocument();
+    if (!moved) {
+      this.showToast('A section cannot be moved into itself');
+      return;
+    }
+    this.markDocumentAsModified('Move Section');
+    this.goToHeading(heading);
+  }
+
+  // Inserts a table of contents in front of the block with the caret, or at
+  // the start of the document
+  insertTableOfContents() {
+    const editor = this.getSelectionEditor();
+    const selection = window.getSelection();
+    let block = null;
+    if (editor) {
+      const node = selection.getRangeAt(0).startContainer;
+      block = Array.from(editor.children).find(child => child.contains(node)) || null;
+    }
+    const toc = this.outline.createTableOfContents();
+    if (block) {
+      block.before(toc);
+      // It takes the place of an empty paragraph
+      if (!block.textContent.trim() && !block.querySelector('img, table, hr')) block.remove();
+    } else {
+      (editor || document.querySelector('#page-container .editor')).prepend(toc);
+    }
+    this.updateTableOfContents({ label: 'Table of Contents' });
+  }
+
+  // Fills every table of contents in with the headings and their pages as
+  // they are now, e.g. before exporting. Returns whether any changed.
+  updateTableOfContents({ label = 'Update Table of Contents', notify = false } = {}) {
+    const pageContainer = document.getElementById('page-container');
+    const tables = () => Array.from(pageContainer.querySelectorAll(`.page .editor .${OUTLINE_TOC_CLASS}`))
+      .filter(toc => !this.layout.isContinuation(toc));
+    if (tables().length === 0) {
+      if (notify) this.showToast('The document has no table of contents');
+      return false;
+    }
+
+    // The entries take up room and can move the headings onto other pages,
+    // so they are filled in again until the page numbers stay
+    const replaceable = new Set(tables().flatMap(toc => this.outline.targets(toc)));
+    let changed = false;
+    for (let pass = 0; pass < 3; pass++) {
+      const entries = this.getOutlineHeadings();
+      this.outline.anchor(entries, replaceable);
+      this.layout.unsplit(pageContainer);
+      const filled = tables().map(toc => this.outline.fill(toc, entries)).some(Boolean);
+      this.reflowDocument();
+      if (!filled) break;
+      changed = true;
+    }
+    if (changed) this.markDocumentAsModified(label);
+    if (notify) this.showToast(changed ? 'Table of contents updated' : 'The table of contents is up to date');
+    return changed;
+  }
+
+  // Insert functions
+  insertLink() {
+    const selection = window.getSelection();
+    if (selection.rangeCount > 0) {
+      const selectedText = selection.toString();
+      const linkTextInput = document.getElementById('linkText');
+      if (selectedText && linkTextInput) {
+        linkTextInput.value = selectedText;
+      }
+    }
+    this.showPanel('linkPanel');
+  }
+
+  createLink() {
+    const text = document.getElementById('linkText')?.value || '';
+    const url = document.getElementById('linkUrl')?.value || '';
+
+    if (url) {
+      const href = this.sanitizer.sanitizeURL(url);
+      if (href === null) {
+        this.showToast('Links can only point to web, e-mail or phone addresses');
+        return;
+      }
+
+      const link = document.createElement('a');
+      link.href = href;
+      link.target = '_blank';
+      link.textContent = text || url;
+      this.execCmd('insertHTML', link.outerHTML, 'Insert Link');
+    }
+    this.hidePanel('linkPanel');
+  }
+
+  // The image is embedded, see 'select-image' in main.js
+  async insertImage() {
+    try {
+      const result = await bridge.invoke('select-image');
+      if (!result.ok) throw new Error(result.error);
+      if (!result.canceled) {
+        const name = result.filePath.split(/[/\\]/).pop().replace(/\.[^.]+$/, '');
+        this.execCmd('insertHTML', this.imageEditor.create(result.url, name).outerHTML, 'Insert Image');
+      }
+    } catch (error) {
+      console.error('Error inserting image:', error);
+      this.showToast(`Error inserting image: ${error.message}`);
+    }
+  }
+
+  insertTable() {
+    this.showPanel('tablePanel');
+  }
+
+  createTable() {
+    const rows = Math.min(Math.max(parseInt(document.getElementById('tableRows')?.value) || 2, 1), 100);
+    const cols = Math.min(Math.max(parseInt(document.getElementById('tableCols')?.value) || 2, 1), 30);
+    const table = this.tableEditor.create(rows, cols);
+    this.execCmd('insertHTML', `${table.outerHTML}<p><br></p>`, 'Insert Table'); // A paragraph after the table for easier typing
+    this.hidePanel('tablePanel');
+  }
+
+  // Tables (see src/renderer/table-editor.js)
+
+  // The table cell a node is in, if it is in the document
+  getTableCell(node) {
+    const element = node?.nodeType === Node.ELEMENT_NODE ? node : node?.parentElement;
+    const cell = element?.closest('td, th');
+    return cell && cell.closest('#page-container .editor') && !cell.closest(`[${LAYOUT_REPEAT_ATTRIBUTE}]`) ? cell : null;
+  }
+
+  // Runs change({ table, cell, endCell }) on the table the selection is in, with
+  // tables split over pages joined first, then lays the pages out again. The
+  // selection runs from cell to endCell. change returns false if it did
+  // nothing, or a cell to move the caret to; selectContents selects all of it.
+  // label names the undo step.
+  editTable(change, { selectContents = false, label = 'Edit Table' } = {}) {
+    const pageContainer = document.getElementById('page-container');
+    const caret = this.layout.saveCaret(pageContainer);
+    const cell = this.getTableCell(caret?.start);
+    if (!cell) {
+      this.layout.restoreCaret(pageContainer, caret);
+      this.showToast('Place the cursor in a table first');
+      return;
+    }
+    this.layout.unsplit(pageContainer);
+    const table = cell.closest('table');
+    const endCell = this.getTableCell(caret.end);
+
+    const following = table.nextSibling;
+    const parent = table.parentNode;
+
+    const result = change({ table, cell, endCell: endCell?.closest('table') === table ? endCell : cell });
+    let target = result instanceof Element ? result : null;
+    if (result === null) {
+      // The table went; the caret goes to what followed it
+      target = following?.nodeType === Node.ELEMENT_NODE && following.isConnected ? following : null;
+      if (!target) {
+        target = document.createElement('p');
+        target.appendChild(document.createElement('br'));
+        parent.insertBefore(target, following?.isConnected ? following : null);
+      }
+    }
+    if (target) {
+      // Its markers are not needed once the caret moves
+      this.layout.restoreCaret(pageContainer, caret);
+      const range = document.createRange();
+      range.selectNodeContents(target);
+      if (!selectContents) range.collapse(true);
+      const selection = window.getSelection();
+      selection.removeAllRanges();
+      selection.addRange(range);
+      target.closest('.editor')?.focus({ preventScroll: true });
+    } else {
+      this.layout.restoreCaret(pageContainer, { ...caret, focused: true });
     }
+    this.reflowDocument();
+    if (result !== false) this.markDocumentAsModified(label);
+  }
+
+  // command is one of the table toolbar's and context menu's data-table-command values
+  tableCommand(command, value = null) {
+    const tables = this.tableEditor;
+    const cellsOf = ({ table, cell, endCell }) => tables.cellsIn(table, tables.rect(table, cell, endCell));
+    const commands = {
+      insertRowAbove: ({ table, cell }) => tables.insertRow(table, cell, false),
+      insertRowBelow: ({ table, cell, endCell }) => tables.insertRow(table, endCell, true),
+      insertColumnLeft: ({ table, cell }) => tables.insertColumn(table, cell, false),
+      insertColumnRight: ({ table, endCell }) => tables.insertColumn(table, endCell, true),
+      deleteRow: ({ table, cell, endCell }) => tables.deleteRows(table, cell, endCell),
+      deleteColumn: ({ table, cell, endCell }) => tables.deleteColumns(table, cell, endCell),
+      deleteTable: ({ table }) => {
+        table.remove();
+        return null;
+      },
+      mergeCells: ({ table, cell, endCell }) => {
+        const merged = tables.merge(table, cell, endCell);
+        if (!merged) this.showToast('Select the cells to merge first');
+        return merged ? undefined : false;
+      },
+      splitCell: ({ table, cell }) => {
+        if (tables.split(table, cell)) return undefined;
+        this.showToast('Only merged cells can be split');
+        return false;
+      },
+      toggleHeaderRow: ({ table }) => {
+        tables.toggleHeaderRow(table);
+      },
+      sortAscending: ({ table, cell }) => this.sortTable(table, cell, false),
+      sortDescending: ({ table, cell }) => this.sortTable(table, cell, true),
+      shading: (target) => tables.setShading(cellsOf(target), value),
+      clearShading: (target) => tables.setShading(cellsOf(target), null),
+      borders: ({ table, cell, endCell }) => tables.setBorders(table, cell, endCell, value),
+      verticalAlign: (target) => tables.setVerticalAlign(cellsOf(target), value)
+    };
+    // Undo steps are named like the toolbar buttons
+    const label = document.querySelector(`#tableTools [data-table-command="${command}"]`)?.title;
+    if (commands[command]) this.editTable(commands[command], { label });
+  }
+
+  sortTable(table, cell, descending) {
+    if (this.tableEditor.sort(table, this.tableEditor.position(table, cell).column, descending)) return undefined;
+    this.showToast('Tables with cells merged across rows cannot be sorted');
+    return false;
+  }
+
+  // Tab moves to the next cell and past the last one adds a row; Shift+Tab goes back
+  moveToNextCell(cell, backward) {
+    // Within the part of the table on this page nothing needs to be laid out again
+    const next = this.tableEditor.nextCell(cell.closest('table'), cell, backward);
+    if (next && !next.closest(`[${LAYOUT_REPEAT_ATTRIBUTE}]`)) {
+      const range = document.createRange();
+      range.selectNodeContents(next);
+      const selection = window.getSelection();
+      selection.removeAllRanges();
+      selection.addRange(range);
+      next.closest('.editor')?.focus({ preventScroll: true });
+      return;
+    }
+    this.editTable(({ table, cell: current }) => {
+      const target = this.tableEditor.nextCell(table, current, backward);
+      if (target || backward) return target || false;
+      const last = this.tableEditor.rows(table).flatMap(row => Array.from(row.cells)).pop();
+      return this.tableEditor.insertRow(table, last, true);
+    }, { selectContents: true, label: 'Insert Row' });
+  }
+
+  // Shows the table tools while the caret is in a table
+  updateTableTools() {
+    const tools = document.getElementById('tableTools');
+    if (!tools) return;
+    const selection = window.getSelection();
+    const inTable = selection.rangeCount > 0 && Boolean(this.getTableCell(selection.anchorNode));
+    tools.style.display = inTable ? '' : 'none';
+  }
+
+  // Dragging the border between two columns resizes them. The columns of a
+  // table split over pages are the same on every page, so the widths are
+  // kept on its first part when the drag ends.
+  handleTableResize(e) {
+    if (this.tableResize) {
+      if (e.type === 'mousemove') {
+        const { table, column, startX, widths, tableWidth } = this.tableResize;
+        this.tableResize.current = this.tableEditor.resizeColumn(widths, column, (e.clientX - startX) / tableWidth * 100);
+        this.tableEditor.setColumnWidths(table, this.tableResize.current);
+      } else if (e.type === 'mouseup') {
+        this.finishTableResize();
+      }
+      return;
+    }
+
+    const cell = this.getTableCell(e.target);
+    const table = cell?.closest('table');
+    const column = cell ? this.tableEditor.borderAt(table, cell, e.clientX) : -1;
+    document.body.classList.toggle('table-resize-cursor', column >= 0);
+    if (e.type !== 'mousedown' || e.button !== 0 || column < 0) return;
+
+    e.preventDefault();
+    const widths = this.tableEditor.columnWidths(table);
+    this.tableResize = { table, column, startX: e.clientX, widths, current: widths, tableWidth: table.getBoundingClientRect().width };
+    this.tableEditor.setColumnWidths(table, widths);
+    // A continued table's columns are a copy the next layout replaces
+    if (this.layout.isContinuation(table)) table.querySelector(':scope > colgroup').setAttribute(LAYOUT_REPEAT_ATTRIBUTE, '');
+  }
+
+  finishTableResize() {
+    const { table, current } = this.tableResize;
+    this.tableResize = null;
+    document.body.classList.remove('table-resize-cursor');
+    const pageContainer = document.getElementById('page-container');
+    const head = this.layout.headOf(table);
+    const caret = this.layout.saveCaret(pageContainer);
+    this.layout.unsplit(pageContainer);
+    if (head.isConnected) this.tableEditor.setColumnWidths(head, current);
+    this.layout.restoreCaret(pageContainer, caret);
+    this.reflowDocument();
+    this.markDocumentAsModified('Resize Column');
+  }
+
+  // Images (see src/renderer/image-editor.js)
+
+  // The image node is, if it is in the document's text
+  getEditorImage(node) {
+    return node?.tagName === 'IMG' && node.closest('#page-container .editor') &&
+      !node.closest(`[${LAYOUT_REPEAT_ATTRIBUTE}]`) ? node : null;
+  }
+
+  // Selects image, showing its handles and the image tools
+  selectImage(image) {
+    const range = document.createRange();
+    range.selectNode(image);
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+    this.imageEditor.select(image);
+    this.updateImageTools();
+  }
+
+  // Keeps the image tools and the handles with the selected image, and lets
+  // go of it once the selection in the document moves elsewhere
+  updateImageTools() {
+    const images = this.imageEditor;
+    const selection = window.getSelection();
+    const range = selection.rangeCount > 0 ? selection.getRangeAt(0) : null;
+    const inDocument = range && range.startContainer.parentElement?.closest('#page-container');
+    if (images.image && !images.drag && inDocument && !images.isSelected(images.image, range)) {
+      images.deselect();
+    }
+    if (images.image) images.position(); // Deselects an image that went
+
+    const tools = document.getElementById('imageTools');
+    if (!tools) return;
+    tools.style.display = images.image ? '' : 'none';
+    if (!images.image) return;
+    const wrap = document.getElementById('imageWrap');
+    wrap.value = images.wrapOf(images.image);
+    wrap.querySelector('option[value="inline"]').disabled = Boolean(images.figureOf(images.image));
+    document.getElementById('imageCropBtn')?.classList.toggle('active', Boolean(images.crop));
+  }
+
+  // command is one of the image toolbar's and context menu's data-image-command values
+  async imageCommand(command, value = null) {
+    const images = this.imageEditor;
+    const image = images.image;
+    if (!image?.isConnected) {
+      this.showToast('Select an image first');
+      return;
+    }
+
+    switch (command) {
+      case 'wrap':
+        if (!images.setWrap(image, value)) {
+          this.showToast('A captioned image cannot sit in a line of text');
+          this.updateImageTools();
+          return;
+        }
+        break;
+      case 'resetSize':
+        if (!images.resetSize(image)) return;
+        break;
+      case 'rotateLeft':
+      case 'rotateRight':
+        if (!await this.redrawImage(image, () => images.rotate(image, command === 'rotateRight'))) return;
+        break;
+      case 'crop':
+        if (!images.crop) {
+          images.startCrop();
+          this.updateImageTools();
+          return;
+        }
+        if (!await this.redrawImage(image, () => images.applyCrop())) {
+          this.updateImageTools();
+          return;
+        }
+        break;
+      case 'caption':
+        this.toggleCaption(image);
+        return;
+      case 'altText':
+        this.showImageAlt(image);
+        return;
+      case 'deleteImage': {
+        const frame = images.frameOf(image);
+        const range = document.createRange();
+        range.setStartBefore(frame);
+        range.collapse(true);
+        images.deselect();
+        frame.closest('.editor')?.focus({ preventScroll: true });
+        frame.remove();
+        const selection = window.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(range);
+        this.reflowDocument();
+        this.markDocumentAsModified('Delete Image');
+        this.updateImageTools();
+        return;
+      }
+      default:
+        return;
+    }
+    this.reflowDocument();
+    const label = command === 'wrap' ? 'Wrap Text' : document.querySelector(`#imageTools [data-image-command="${command}"]`)?.title;
+    this.markDocumentAsModified(label.replace(/ \(.*\)$/, '')); // Without the keys of Crop
+    if (image.isConnected) this.selectImage(image);
+  }
+
+  // Rotating and cropping redraw the picture; a linked one is embedded first.
+  // Resolves to whether redraw() changed it.
+  async redrawImage(image, redraw) {
+    try {
+      if (/^file:/i.test(image.src)) {
+        const result = await bridge.invoke('embed-image', { url: image.src });
+        if (!result.ok) throw new Error(result.error);
+        image.src = result.url;
+      }
+      return (await redraw()) !== false;
+    } catch (error) {
+      console.error('Error editing image:', error);
+      this.showToast(`Could not edit the image: ${error.message}`);
+      return false;
+    }
+  }
+
+  // Adds a caption below the image and puts the caret in it, or removes the caption it has
+  toggleCaption(image) {
+    // Captioning moves the image out of its paragraph, which may be split over pages
+    const pageContainer = document.getElementById('page-container');
+    const caret = this.layout.saveCaret(pageContainer);
+    this.layout.unsplit(pageContainer);
+    this.layout.restoreCaret(pageContainer, caret);
+
+    if (this.imageEditor.removeCaption(image)) {
+      this.reflowDocument();
+      this.selectImage(image);
+    } else {
+      const caption = this.imageEditor.addCaption(image);
+      this.imageEditor.deselect();
+      this.reflowDocument(); // Numbers the caption
+      const range = document.createRange();
+      range.selectNodeContents(caption);
+      range.collapse(false);
+      const selection = window.getSelection();
+      selection.removeAllRanges();
+      selection.addRange(range);
+      caption.closest('.editor')?.focus({ preventScroll: true });
+    }
+    this.markDocumentAsModified('Caption');
+  }
+
+  showImageAlt(image) {
+    this.altTextImage = image;
+    const decorative = image.getAttribute('alt') === '';
+    const text = document.getElementById('imageAltText');
+    text.value = image.getAttribute('alt') || '';
+    text.disabled = decorative;
+    document.getElementById('imageDecorative').checked = decorative;
+    this.showPanel('imageAltPanel');
+  }
+
+  // A decorative image has an empty alt, which screen readers skip
+  saveImageAlt() {
+    const image = this.altTextImage;
+    const decorative = document.getElementById('imageDecorative').checked;
+    const alt = decorative ? '' : document.getElementById('imageAltText').value.replace(/\s+/g, ' ').trim();
+    if (!decorative && !alt) {
+      this.showToast('Describe the image, or mark it as decorative');
+      return;
+    }
+    this.hidePanel('imageAltPanel');
+    if (!image?.isConnected || (image.hasAttribute('alt') && image.getAttribute('alt') === alt)) return;
+    image.alt = alt;
+    this.markDocumentAsModified('Alt Text');
+  }
+
+  // Dragging a handle of the selected image resizes or crops it
+  handleImageDrag(e) {
+    const images = this.imageEditor;
+    if (images.drag) {
+      if (e.type === 'mousemove') {
+        images.dragTo(e.clientX, e.clientY);
+      } else if (e.type === 'mouseup' && images.endDrag()) {
+        this.reflowDocument();
+        this.markDocumentAsModified('Resize Image');
+        if (images.image) this.selectImage(images.image);
+      }
+      return;
+    }
+
+    const handle = e.type === 'mousedown' && e.button === 0 ? e.target.closest?.('[data-image-handle]') : null;
+    if (!handle || !images.image) return;
+    e.preventDefault();
+    images.startDrag(handle.dataset.imageHandle, e.clientX, e.clientY);
+  }
+
+  insertSpecialChar() {
+    this.showPanel('specialCharPanel');
+  }
+
+  initializeSpecialChars() {
+    const specialChars = [
+      '©', '®', '™', '€', '£', '¥', '¢', '§', '¶', '°', '±', '÷', '×',
+      '≠', '≤', '≥', '∑', '√', '∞', '∝', '∂', '∫', 'Α', 'Β', 'Γ', 'Δ',
+      'Ω', 'α', 'β', 'γ', 'δ', 'ω', '←', '→', '↑', '↓', '↔', '⇐',
+      '⇒', '⇔', '♠', '♣', '♥', '♦'
+    ];
+
+    const grid = document.querySelector('.special-chars-grid');
+    if (grid) {
+      grid.innerHTML = '';
+      specialChars.forEach(char => {
+        const btn = document.createElement('button');
+        btn.innerHTML = char;
+        btn.onclick = () => {
+          this.execCmd('insertHTML', char, 'Insert Symbol');
+          this.hidePanel('specialCharPanel');
+        };
+        grid.appendChild(btn);
+      });
+    }
+  }
+
+  // Tools and utilities
+  countWords() {
+    const allText = this.getAllText();
+    const words = allText.trim() ? allText.trim().split(/\s+/).length : 0;
+    const charNoSpaces = allText.replace(/\s+/g, '').length;
+    const charWithSpaces = allText.length;
+    const paragraphs = allText.split(/\n\s*\n/).filter(p => p.trim().length > 0).length;
+
+    const elements = {
+      'wordCount': words,
+      'charCountNoSpace': charNoSpaces,
+      'charCountWithSpace': charWithSpaces,
+      'paragraphCount': paragraphs
+    };
+
+    Object.entries(elements).forEach(([id, value]) => {
+      const element = document.getElementById(id);
+      if (element) element.textContent = value;
+    });
+
+    this.showPanel('wordCountPanel');
+  }
+
+  // Find and replace searches the text as the reader sees it; see src/renderer/text-search.js
+  showFindReplace() {
+    // Searching starts at the caret; a selection can be searched in, or searched for if it is short
+    const selection = window.getSelection();
+    const range = selection.rangeCount > 0 ? selection.getRangeAt(0) : null;
+    const scope = document.getElementById('findScope');
+    const findInput = document.getElementById('findText');
+    this.search.origin = 0;
+    this.search.selection = null;
+    if (range && range.startContainer.parentElement?.closest('#page-container .editor')) {
+      const index = this.textSearch.index(this.searchRoots('body'));
+      const start = this.textSearch.offsetAt(index, range.startContainer, range.startOffset);
+      const end = this.textSearch.offsetAt(index, range.endContainer, range.endOffset);
+      const selected = index.text.slice(start, end);
+      this.search.origin = start;
+      if (end > start) this.search.selection = { start, end };
+      if (selected.includes('\n') || selected.length > 50) {
+        if (scope) scope.value = 'selection';
+      } else if (selected && findInput) {
+        findInput.value = selected;
+      }
+    }
+    if (scope && scope.value === 'selection' && !this.search.selection) scope.value = 'body';
+
+    this.showPanel('findReplacePanel');
+    if (findInput) findInput.select();
+    this.runSearch(-1);
+  }
+
+  readSearchOptions() {
+    const value = (id) => document.getElementById(id)?.value || '';
+    const checked = (id) => document.getElementById(id)?.checked || false;
+    return {
+      query: value('findText'),
+      replacement: value('replaceText'),
+      regex: checked('useRegex'),
+      matchCase: checked('matchCase'),
+      wholeWord: checked('wholeWord'),
+      scope: value('findScope') || 'body'
+    };
+  }
+
+  // What a scope searches: the page bodies (the Selection scope narrows their
+  // matches down), one of each header and footer shown, or the comments
+  searchRoots(scope) {
+    if (scope === 'headers') {
+      const seen = new Set();
+      return Array.from(document.querySelectorAll('#page-container .page .header, #page-container .page .footer')).filter(element => {
+        const type = element.classList.contains('header') ? 'header' : 'footer';
+        const key = `${type} ${element.dataset.variant || 'default'}`;
+        if (seen.has(key) || !this.isHeaderFooterVisible(type)) return false;
+        seen.add(key);
+        return true;
+      });
+    }
+    if (scope === 'comments') return Array.from(document.querySelectorAll('#commentCards .comment-text'));
+    return Array.from(document.querySelectorAll('#page-container .page .editor'));
+  }
+
+  // Finds the panel's query and highlights every match; current is the index
+  // of the match to show as the current one, -1 for none until Find Next
+  runSearch(current = this.search.current) {
+    const options = this.readSearchOptions();
+    const count = document.getElementById('findCount');
+    this.search.matches = [];
+    this.search.current = -1;
+    if (count) {
+      count.textContent = '';
+      count.classList.remove('error');
+    }
+
+    let pattern = null;
+    try {
+      if (options.query) pattern = this.textSearch.pattern(options);
+    } catch (error) {
+      if (count) {
+        count.textContent = 'Invalid regular expression';
+        count.classList.add('error');
+      }
+    }
+    if (pattern) {
+      if (options.scope === 'comments' && !this.isCommentsVisible()) this.setCommentsVisible(true);
+      const index = this.textSearch.index(this.searchRoots(options.scope));
+      let matches = this.textSearch.find(index, pattern);
+      if (options.scope === 'selection') {
+        const { selection } = this.search;
+        matches = selection ? matches.filter(({ start, end }) => start >= selection.start && end <= selection.end) : [];
+      }
+      this.search.matches = matches.map(match => ({
+        ...match,
+        range: this.textSearch.range(index, match.start, match.end),
+        highlight: this.textSearch.textRanges(index, match.start, match.end)
+      }));
+      this.search.current = Math.min(current, matches.length - 1);
+      this.updateSearchCount();
+    }
+    this.highlightSearch();
+  }
+
+  updateSearchCount() {
+    const count = document.getElementById('findCount');
+    if (!count) return;
+    const { matches, current } = this.search;
+    const total = matches.length;
+    if (total === 0) {
+      count.textContent = this.readSearchOptions().scope === 'selection' && !this.search.selection
+        ? 'Select text to search in first'
+        : 'No matches';
+    } else {
+      count.textContent = current >= 0 ? `${current + 1} of ${total}` : `${total} match${total === 1 ? '' : 'es'}`;
+    }
+  }
+
+  // Every match gets a highlight, the current one a stronger one; the document is not changed
+  highlightSearch() {
+    if (!window.CSS?.highlights) return;
+    const { matches, current } = this.search;
+    CSS.highlights.set('search-match', new Highlight(...matches.flatMap(({ highlight }) => highlight)));
+    if (current >= 0) {
+      CSS.highlights.set('search-current', new Highlight(...matches[current].highlight));
+    } else {
+      CSS.highlights.delete('search-current');
+    }
+  }
+
+  clearSearch() {
+    this.search.matches = [];
+    this.search.current = -1;
+    this.highlightSearch();
+  }
+
+  findNext(backward = false) {
+    const { matches, current, origin } = this.search;
+    if (matches.length === 0) return;
+    let next;
+    if (current >= 0) {
+      next = (current + (backward ? -1 : 1) + matches.length) % matches.length;
+    } else {
+      // The first search goes from where the caret was in the body
+      const inBody = ['body', 'selection'].includes(this.readSearchOptions().scope);
+      const after = inBody ? matches.findIndex(({ start }) => start >= origin) : 0;
+      next = backward ? (after > 0 ? after : matches.length) - 1 : Math.max(after, 0);
+    }
+    this.showSearchMatch(next);
+  }
+
+  showSearchMatch(index) {
+    this.search.current = index;
+    this.highlightSearch();
+    this.updateSearchCount();
+    this.search.matches[index].range.startContainer.parentElement?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }
+
+  // Closes the panel with the current match selected, to go on editing there
+  selectSearchMatch() {
+    const match = this.search.matches[this.search.current];
+    this.hidePanel('findReplacePanel');
+    if (!match || !match.range.startContainer.isConnected) return;
+    const editable = match.range.startContainer.parentElement.closest('[contenteditable="true"]');
+    if (editable) editable.focus();
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(match.range);
+  }
+
+  // Replaces the current match and moves on to the next one. With none
+  // current yet, the first press only finds one, as in Word.
+  replaceText() {
+    const { matches, current } = this.search;
+    if (current < 0) {
+      this.findNext();
+      return;
+    }
+    const options = this.readSearchOptions();
+    const { start, match } = matches[current];
+    const after = start + this.textSearch.expand(options.replacement, match, options.regex).length;
+    this.replaceMatches([current], options, 'Replace');
+    this.runSearch(-1);
+    if (this.search.matches.length > 0) {
+      const next = this.search.matches.findIndex(({ start: matchStart }) => matchStart >= after);
+      this.showSearchMatch(next >= 0 ? next : 0);
+    }
+  }
+
+  // All matches are replaced as one undo step
+  replaceAllText() {
+    const options = this.readSearchOptions();
+    this.runSearch(-1);
+    const count = this.search.matches.length;
+    if (count === 0) {
+      if (options.query) this.showToast('No matches to replace');
+      return;
+    }
+
+    this.replaceMatches(this.search.matches.map((match, index) => index), options, `Replace All (${count})`);
+    this.runSearch(-1);
+    this.showToast(`Replaced ${count} occurrence${count === 1 ? '' : 's'}. Press Ctrl+Z to undo.`);
+  }
+
+  // Replaces the matches at indexes in this.search.matches with the panel's
+  // replacement, as suggestions in the body when suggesting; label names the undo step
+  replaceMatches(indexes, options, label) {
+    const inBody = ['body', 'selection'].includes(options.scope);
+    // Text split across pages has to be whole to replace. The text does not
+    // change by joining it, so the matches' offsets still hold.
+    if (inBody) this.layout.unsplit(document.getElementById('page-container'));
+    const index = this.textSearch.index(this.searchRoots(options.scope));
+    const changed = new Set();
+    let shift = 0;
+
+    // From the last, so the offsets of the ones before stay valid
+    indexes.map(i => this.search.matches[i]).sort((a, b) => b.start - a.start).forEach(({ start, end, match }) => {
+      const range = this.textSearch.range(index, start, end);
+      const text = this.textSearch.expand(options.replacement, match, options.regex);
+      const root = range.startContainer.parentElement.closest('.editor, .header, .footer, .comment-text');
+      if (inBody && this.isSuggesting()) {
+        const caret = this.trackChanges.deleteRange(range, root, this.userName, { backward: false });
+        if (caret && text) this.trackChanges.insertText(caret, text, this.userName);
+      } else {
+        this.textSearch.replace(range, text);
+      }
+      changed.add(root);
+      shift += text.length - (end - start);
+    });
+
+    if (options.scope === 'selection' && this.search.selection) this.search.selection.end += shift;
+    if (options.scope === 'headers') changed.forEach(element => this.updateHeaderFooter(element));
+    if (options.scope === 'comments') {
+      changed.forEach(element => this.comments.edit(element.dataset.commentId, element.dataset.replyId || null, element.textContent));
+      this.renderComments();
+    }
+    this.markDocumentAsModified(label);
+    this.reflowDocument();
+  }
+
+  // Spell check is an application setting, remembered across sessions like the
+  // user name. The attribute on the page container covers every page's body,
+  // header and footer, including pages added later.
+  applySpellCheck() {
+    const container = document.getElementById('page-container');
+    if (container) container.spellcheck = this.spelling.enabled;
+    const button = document.getElementById('spellCheckBtn');
+    if (button) button.classList.toggle('active', this.spelling.enabled);
+  }
+
+  // enabled comes from the Tools menu checkbox; the toolbar button just toggles
+  toggleSpellCheck(enabled) {
+    this.spelling.enabled = typeof enabled === 'boolean' ? enabled : !this.spelling.enabled;
+    localStorage.setItem('spellCheck', String(this.spelling.enabled));
+    this.applySpellCheck();
+    this.updateProofing();
+    this.showToast(`Spell check ${this.spelling.enabled ? 'enabled' : 'disabled'}`);
+  }
+
+  // Spelling and grammar; see src/renderer/proofing.js. The document's
+  // language is saved with it; without one it is the application's.
+  documentLanguage() {
+    return this.documentSettings.language || navigator.language || 'en-US';
+  }
+
+  setDocumentLanguage(language) {
+    if (!language || language === this.documentLanguage()) return;
+    this.documentSettings.language = language;
+    this.markDocumentAsModified('Language');
+    this.updateProofing();
+    if (this.isPanelVisible('proofingPanel')) this.loadDictionary().then(() => this.runProofing(this.proofingOffset()));
+  }
+
+  // Tells the main process what the Spell Check checkbox shows and which
+  // language the spell checker uses while this window is in front
+  reportSpellCheckState() {
+    const state = { enabled: this.spelling.enabled, language: this.documentLanguage() };
+    const key = JSON.stringify(state);
+    if (key === this.reportedSpellCheck) return;
+    this.reportedSpellCheck = key;
+    bridge.send('spell-check-state', state);
+  }
+
+  // The words the user added for the document's language; resolves once they are loaded
+  loadDictionary() {
+    const language = this.documentLanguage();
+    if (this.spelling.dictionaryLanguage !== language) {
+      this.spelling.dictionaryLanguage = language;
+      this.spelling.dictionaryLoaded = bridge.invoke('dictionary-words', { language }).then(result => {
+        if (!result.ok || this.spelling.dictionaryLanguage !== language) return;
+        this.spelling.dictionary = result.words;
+        this.renderDictionary();
+      });
+    }
+    return this.spelling.dictionaryLoaded;
+  }
+
+  async addToDictionary(text) {
+    const word = text.replace(/’/g, "'");
+    const language = this.documentLanguage();
+    const result = await bridge.invoke('dictionary-add', { language, word });
+    if (!result.ok) {
+      this.showToast(result.error || 'Could not add the word to the dictionary');
+      return;
+    }
+    this.spelling.dictionary = result.words;
+    this.renderDictionary();
+    this.updateProofing();
+    if (this.isPanelVisible('proofingPanel')) this.runProofing(this.proofingOffset());
+    this.showToast(`"${word}" added to the dictionary`);
+  }
+
+  async removeFromDictionary(word) {
+    const result = await bridge.invoke('dictionary-remove', { language: this.documentLanguage(), word });
+    if (!result.ok) return;
+    this.spelling.dictionary = result.words;
+    this.renderDictionary();
+    if (this.isPanelVisible('proofingPanel')) this.runProofing(this.proofingOffset());
+  }
+
+  // What spelling and grammar are checked in: the page bodies, then one of
+  // each header and footer shown
+  proofingRoots() {
+    return [...this.searchRoots('body'), ...this.searchRoots('headers')];
+  }
+
+  // The issues in index, less those ignored. spelling asks the spell checker
+  // about every word, so only the review panel and the context menu do.
+  checkProofing(index, { spelling = false } = {}) {
+    const issues = this.proofing.check(index, {
+      language: this.documentLanguage(),
+      spelling: spelling ? bridge.spelling || null : null,
+      known: new Set(this.spelling.dictionary)
+    });
+    this.spelling.skipped = this.spelling.skipped.filter(range => range.startContainer.isConnected && !range.collapsed);
+    return issues.map(issue => ({ ...issue, range: this.textSearch.range(index, issue.start, issue.end) })).filter(issue => {
+      if (this.spelling.ignored.has(this.proofing.key(issue))) return false;
+      return !this.spelling.skipped.some(range => range.toString() === issue.text &&
+        range.startContainer === issue.range.startContainer && range.startOffset === issue.range.startOffset);
+    });
+  }
+
+  // Runs after every change: keeps the main process up to date and, while
+  // spell check is on, underlines grammar issues (Chromium underlines spelling)
+  updateProofing() {
+    this.reportSpellCheckState();
+    this.loadDictionary();
+    if (!window.CSS?.highlights) return;
+    if (!this.spelling.enabled) {
+      CSS.highlights.delete('proofing-issue');
+      return;
+    }
+    const index = this.textSearch.index(this.proofingRoots());
+    const ranges = this.checkProofing(index).flatMap(({ start, end }) => this.textSearch.textRanges(index, start, end));
+    CSS.highlights.set('proofing-issue', new Highlight(...ranges));
+  }
+
+  isPanelVisible(panelId) {
+    const panel = document.getElementById(panelId);
+    return Boolean(panel) && panel.style.display !== 'none';
+  }
+
+  // The review panel steps through every issue, starting at the caret
+  async showProofing() {
+    this.showPanel('proofingPanel');
+    await Promise.all([this.renderLanguageOptions(), this.loadDictionary()]);
+    this.renderDictionary();
+    this.runProofing(this.proofingOffset());
+  }
+
+  // Where the caret is in the checked text, or where the current issue was
+  proofingOffset() {
+    const issue = this.spelling.issues[this.spelling.current];
+    if (issue) return issue.start;
+    const selection = window.getSelection();
+    if (selection.rangeCount === 0) return 0;
+    const range = selection.getRangeAt(0);
+    if (!range.startContainer.parentElement?.closest('#page-container .editor')) return 0;
+    return this.textSearch.offsetAt(this.textSearch.index(this.proofingRoots()), range.startContainer, range.startOffset);
+  }
+
+  async renderLanguageOptions() {
+    const select = document.getElementById('proofingLanguage');
+    if (!select) return;
+    const result = await bridge.invoke('spell-check-languages');
+    const current = this.documentLanguage();
+    const languages = new Set(result.ok ? result.languages : []);
+    languages.add(current);
+    const names = window.Intl?.DisplayNames ? new Intl.DisplayNames([navigator.language], { type: 'language' }) : null;
+    const name = (code) => {
+      try {
+        return names ? `${names.of(code)} (${code})` : code;
+      } catch (error) {
+        return code;
+      }
+    };
+    select.replaceChildren(...Array.from(languages).sort().map(code => new Option(name(code), code, false, code === current)));
+  }
+
+  // Checks the document again and shows the first issue at or after offset
+  runProofing(offset = 0) {
+    const index = this.textSearch.index(this.proofingRoots());
+    this.spelling.issues = this.checkProofing(index, { spelling: true });
+    this.spelling.index = index;
+    const next = this.spelling.issues.findIndex(({ end }) => end > offset);
+    this.showProofingIssue(this.spelling.issues.length === 0 ? -1 : Math.max(next, 0));
+  }
+
+  showProofingIssue(current) {
+    const { issues, index } = this.spelling;
+    const issue = issues[current];
+    this.spelling.current = issue ? current : -1;
+    const count = document.getElementById('proofingCount');
+    if (count) count.textContent = issue ? `${current + 1} of ${issues.length}` : 'No spelling or grammar issues';
+    const type = document.getElementById('proofingType');
+    if (type) type.textContent = issue ? this.proofing.title(issue) : '';
+    const message = document.getElementById('proofingMessage');
+    if (message) message.textContent = issue ? issue.message : '';
+    const addWord = document.getElementById('proofingAddWordBtn');
+    if (addWord) addWord.disabled = !issue || issue.type !== 'spelling';
+    ['proofingPrevBtn', 'proofingNextBtn', 'proofingIgnoreBtn', 'proofingIgnoreAllBtn'].forEach(id => {
+      const button = document.getElementById(id);
+      if (button) button.disabled = !issue;
+    });
+
+    const suggestions = document.getElementById('proofingSuggestions');
+    if (suggestions) {
+      suggestions.replaceChildren(...(issue ? this.proofingSuggestions(issue) : []).map(text => {
+        const button = document.createElement('button');
+        button.textContent = this.suggestionLabel(text);
+        button.onclick = () => this.fixProofingIssue(issue, text);
+        return button;
+      }));
+      if (issue && suggestions.children.length === 0) {
+        suggestions.textContent = issue.type === 'passive' ? 'Rewrite the sentence yourself.' : 'No suggestions';
+      }
+    }
+
+    if (window.CSS?.highlights) {
+      if (issue) {
+        CSS.highlights.set('proofing-current', new Highlight(...this.textSearch.textRanges(index, issue.start, issue.end)));
+      } else {
+        CSS.highlights.delete('proofing-current');
+      }
+    }
+    if (issue) issue.range.startContainer.parentElement?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }
+
+  // The texts an issue can be replaced with; spelling asks the spell checker once
+  proofingSuggestions(issue) {
+    if (issue.type === 'spelling' && issue.suggestions.length === 0 && bridge.spelling) {
+      issue.suggestions = bridge.spelling.suggestions(issue.text).slice(0, PROOFING_MAX_SUGGESTIONS);
+    }
+    return issue.suggestions;
+  }
+
+  suggestionLabel(text) {
+    return text === ' ' ? 'One space' : text;
+  }
+
+  stepProofing(backward = false) {
+    const { issues, current } = this.spelling;
+    if (issues.length === 0) return;
+    this.showProofingIssue((current + (backward ? -1 : 1) + issues.length) % issues.length);
+  }
+
+  // Ignore leaves this one issue alone for as long as its text stays where it
+  // is; Ignore All every issue like it until another document is opened
+  ignoreProofingIssue(issue, all = false) {
+    if (!issue) return;
+    if (all) {
+      this.spelling.ignored.add(this.proofing.key(issue));
+    } else {
+      this.spelling.skipped.push(issue.range.cloneRange());
+    }
+    this.updateProofing();
+    if (this.isPanelVisible('proofingPanel')) this.runProofing(issue.start);
+  }
+
+  // Replaces the text of an issue, as a suggestion in the body when suggesting.
+  // Returns the caret after the new text, or null if the text has changed since it was checked.
+  replaceProofingIssue(issue, text) {
+    const inBody = Boolean(issue.range.startContainer.parentElement?.closest('#page-container .editor'));
+    // The text does not change by joining the pages, so the issue's offsets still hold
+    if (inBody) this.layout.unsplit(document.getElementById('page-container'));
+    const index = this.textSearch.index(this.proofingRoots());
+    if (index.text.slice(issue.start, issue.end) !== issue.text) return null;
+    const range = this.textSearch.range(index, issue.start, issue.end);
+    const root = range.startContainer.parentElement.closest('.editor, .header, .footer');
+    let caret;
+    if (inBody && this.isSuggesting()) {
+      caret = this.trackChanges.deleteRange(range, root, this.userName, { backward: false });
+      if (caret && text) this.trackChanges.insertText(caret, text, this.userName);
+    } else {
+      caret = this.textSearch.replace(range, text);
+    }
+    if (!inBody) this.updateHeaderFooter(root);
+    this.markDocumentAsModified(issue.type === 'spelling' ? 'Spelling' : 'Grammar');
+    this.reflowDocument();
+    return caret;
+  }
+
+  fixProofingIssue(issue, text) {
+    if (!this.replaceProofingIssue(issue, text)) this.showToast('The text has changed since it was checked');
+    this.runProofing(issue.start + text.length);
+  }
+
+  renderDictionary() {
+    const language = document.getElementById('proofingDictionaryLanguage');
+    if (language) language.textContent = this.documentLanguage();
+    const list = document.getElementById('proofingDictionary');
+    if (!list) return;
+    list.replaceChildren();
+    if (this.spelling.dictionary.length === 0) {
+      const empty = document.createElement('li');
+      empty.textContent = 'No words yet. Words you add are not marked as misspelled.';
+      list.appendChild(empty);
+      return;
+    }
+    this.spelling.dictionary.forEach(word => {
+      const item = document.createElement('li');
+      const text = document.createElement('span');
+      text.textContent = word;
+      const remove = document.createElement('button');
+      remove.textContent = '✕';
+      remove.title = `Remove "${word}" from the dictionary`;
+      remove.onclick = () => this.removeFromDictionary(word);
+      item.append(text, remove);
+      list.appendChild(item);
+    });
+  }
+
+  clearProofing() {
+    this.spelling.issues = [];
+    this.spelling.current = -1;
+    if (window.CSS?.highlights) CSS.highlights.delete('proofing-current');
+  }
+
+  // The issue at a point in the pages, for the context menu. Only the line
+  // there is checked, so the spell checker is asked about few words.
+  proofingIssueAt(x, y) {
+    const point = document.caretRangeFromPoint?.(x, y);
+    if (!point || point.startContainer.nodeType !== Node.TEXT_NODE) return null;
+    const index = this.textSearch.index(this.proofingRoots());
+    if (!index.pieces.some(({ node }) => node === point.startContainer)) return null;
+    const offset = this.textSearch.offsetAt(index, point.startContainer, point.startOffset);
+    const lineStart = index.text.lastIndexOf('\n', offset - 1) + 1;
+    const lineEnd = index.text.indexOf('\n', offset);
+    const line = index.text.slice(lineStart, lineEnd < 0 ? index.text.length : lineEnd);
+    // Offsets in the line are offsets in index once lineStart is added to them
+    const lineIndex = { text: line, pieces: index.pieces.map(piece => ({ ...piece, start: piece.start - lineStart })) };
+    const issues = this.checkProofing(lineIndex, { spelling: true })
+      .filter(({ start, end }) => start <= offset - lineStart && offset - lineStart <= end)
+      .map(issue => ({ ...issue, start: issue.start + lineStart, end: issue.end + lineStart }));
+    // A misspelled word before the grammar issue it is part of
+    return issues.find(({ type }) => type === 'spelling') || issues[0] || null;
+  }
+
+  // The context menu's suggestions, its Add to Dictionary for spelling and
+  // Ignore for grammar
+  renderContextProofing(contextMenu) {
+    const issue = this.contextIssue;
+    contextMenu.querySelectorAll('.context-suggestion').forEach(item => item.remove());
+    contextMenu.querySelectorAll('.context-proofing').forEach(item => {
+      const shown = issue && (!item.classList.contains('context-spelling') || issue.type === 'spelling') &&
+        (!item.classList.contains('context-grammar') || issue.type !== 'spelling');
+      item.style.display = shown ? '' : 'none';
+    });
+    if (!issue) return;
+
+    const message = document.getElementById('contextProofingMessage');
+    const suggestions = this.proofingSuggestions(issue);
+    if (message) {
+      message.textContent = suggestions.length > 0 || issue.type !== 'spelling' ? issue.message : 'No spelling suggestions';
+      message.after(...suggestions.map(text => {
+        const item = document.createElement('li');
+        item.className = 'context-suggestion';
+        item.textContent = this.suggestionLabel(text);
+        item.onclick = () => {
+          this.hideContextMenu();
+          const caret = this.replaceProofingIssue(issue, text);
+          if (!caret || !caret.startContainer.isConnected) return;
+          const selection = window.getSelection();
+          selection.removeAllRanges();
+          selection.addRange(caret);
+        };
+        return item;
+      }));
+    }
+  }
+
+  // Tracked changes (see src/renderer/track-changes.js)
+  isSuggesting() {
+    return this.documentSettings.trackChanges === true;
+  }
+
+  // Suggesting mode is saved with the document, like Word's Track Changes
+  toggleSuggesting() {
+    this.documentSettings.trackChanges = !this.isSuggesting();
+    this.updateSuggestingState();
+    this.markDocumentAsModified('Track Changes');
+    this.showToast(this.isSuggesting() ? 'Suggesting: your edits are tracked as changes' : 'Editing: changes are no longer tracked');
+  }
+
+  updateSuggestingState() {
+    document.body.classList.toggle('suggesting', this.isSuggesting());
+    document.getElementById('suggestBtn')?.classList.toggle('active', this.isSuggesting());
+  }
+
+  // The page editor holding the whole selection, if any
+  getSelectionEditor() {
+    const selection = window.getSelection();
+    if (selection.rangeCount === 0) return null;
+    const node = selection.getRangeAt(0).commonAncestorContainer;
+    const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+    return element?.closest('#page-container .editor') || null;
+  }
+
+  // Typing and deleting in suggesting mode. Anything else, like Enter or
+  // formatting, and deleting only a paragraph break, is left to the browser.
+  handleSuggestingInput(e) {
+    const insert = e.inputType === 'insertText' || e.inputType === 'insertReplacementText';
+    if (!insert && !e.inputType.startsWith('delete')) return;
+
+    const editor = e.target.closest('.editor');
+    const selection = window.getSelection();
+    const target = e.getTargetRanges()[0] || (selection.rangeCount > 0 ? selection.getRangeAt(0) : null);
+    if (!target) return;
+    const range = document.createRange();
+    range.setStart(target.startContainer, target.startOffset);
+    range.setEnd(target.endContainer, target.endOffset);
+    if (!insert && range.collapsed) return;
+
+    let caret = range;
+    if (!range.collapsed) {
+      caret = this.trackChanges.deleteRange(range, editor, this.userName, { backward: e.inputType.includes('Backward') });
+      if (!caret) return;
+    }
+    e.preventDefault();
+    if (insert) this.trackChanges.insertText(caret, e.data ?? e.dataTransfer?.getData('text/plain') ?? '', this.userName);
+    selection.removeAllRanges();
+    selection.addRange(caret);
+    this.recordInput(e.inputType); // No input event follows the one prevented
+    this.handleEditorInput(editor);
+  }
+
+  // execCmd() in suggesting mode for the commands that insert or remove
+  // text; returns false for the others, which run untracked
+  execTrackedCmd(command, value, editor) {
+    if (!['insertText', 'insertHTML', 'cut'].includes(command)) return false;
+
+    const selection = window.getSelection();
+    let caret = selection.getRangeAt(0).cloneRange();
+    if (command === 'cut') document.execCommand('copy');
+    if (!caret.collapsed) {
+      caret = this.trackChanges.deleteRange(caret, editor, this.userName, { backward: false }) || caret;
+      caret.collapse(false);
+    }
+
+    // Not through execCommand, which turns the deletions after the caret into styled spans
+    if (command === 'insertText') {
+      this.trackChanges.insertText(caret, value || '', this.userName);
+    } else if (command === 'insertHTML') {
+      this.trackChanges.insertHTML(caret, value, editor, this.userName);
+    }
+    selection.removeAllRanges();
+    selection.addRange(caret);
+    this.handleEditorInput(editor);
+    return true;
+  }
+
+  // Keeps each author's colour and the open tracked changes panel up to date
+  refreshRevisions() {
+    const pageContainer = document.getElementById('page-container');
+    const authors = new Set(Array.from(pageContainer.querySelectorAll('ins.revision, del.revision'), mark => mark.dataset.author || ''));
+    const key = Array.from(authors).sort().join('\n');
+    if (key !== this.revisionAuthors) {
+      this.revisionAuthors = key;
+      let styles = document.getElementById('revisionStyles');
+      if (!styles) {
+        styles = document.createElement('style');
+        styles.id = 'revisionStyles';
+        document.head.appendChild(styles);
+      }
+      styles.textContent = this.trackChanges.authorStyles(Array.from(authors));
+    }
+    if (document.getElementById('revisionsPanel')?.style.display === 'block') this.renderRevisions();
+  }
+
+  showRevisions() {
+    this.renderRevisions();
+    this.showPanel('revisionsPanel');
+  }
+
+  renderRevisions() {
+    const list = document.getElementById('revisionList');
+    if (!list) return;
+    const changes = this.trackChanges.list(document.getElementById('page-container'));
+    list.innerHTML = '';
+    if (changes.length === 0) {
+      const empty = document.createElement('li');
+      empty.textContent = 'No tracked changes. Turn on Suggesting mode (✍️) to track your edits.';
+      list.appendChild(empty);
+    }
+
+    changes.forEach(change => {
+      const item = document.createElement('li');
+      item.className = `history-item revision-${change.type}`;
+      const title = document.createElement('div');
+      title.className = 'history-title';
+      const text = change.text.replace(/\s+/g, ' ').trim();
+      title.textContent = `${change.type === 'insert' ? 'Inserted' : 'Deleted'}: “${text.length > 80 ? `${text.slice(0, 80)}…` : text}”`;
+      title.onclick = () => this.selectRevision(change.id);
+      const details = document.createElement('div');
+      details.className = 'history-details';
+      details.textContent = `${change.author || 'Unknown author'} · ${change.date ? new Date(change.date).toLocaleString() : 'unknown date'}`;
+
+      const acceptButton = document.createElement('button');
+      acceptButton.textContent = 'Accept';
+      acceptButton.onclick = () => this.resolveRevision(change.id, true);
+      const rejectButton = document.createElement('button');
+      rejectButton.textContent = 'Reject';
+      rejectButton.onclick = () => this.resolveRevision(change.id, false);
+
+      item.append(title, details, acceptButton, rejectButton);
+      list.appendChild(item);
+    });
+  }
+
+  selectRevision(id) {
+    const elements = this.trackChanges.elements(document.getElementById('page-container'), id);
+    if (elements.length === 0) return;
+    const range = document.createRange();
+    range.setStartBefore(elements[0]);
+    range.setEndAfter(elements[elements.length - 1]);
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+    elements[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }
+
+  resolveRevision(id, accept) {
+    if (!id) return;
+    this.trackChanges.resolve(document.getElementById('page-container'), id, accept);
+    this.markDocumentAsModified(accept ? 'Accept Change' : 'Reject Change');
+    this.reflowDocument();
+    this.showToast(accept ? 'Change accepted' : 'Change rejected');
+  }
+
+  resolveAllRevisions(accept) {
+    const pageContainer = document.getElementById('page-container');
+    const changes = this.trackChanges.list(pageContainer);
+    if (changes.length === 0) return;
+    changes.forEach(change => this.trackChanges.resolve(pageContainer, change.id, accept));
+    this.markDocumentAsModified(accept ? 'Accept All Changes' : 'Reject All Changes');
+    this.reflowDocument();
+    this.showToast(`${accept ? 'Accepted' : 'Rejected'} ${changes.length} change${changes.length === 1 ? '' : 's'}`);
+  }
+
+  // Comments
+  addComment() {
+    const selection = window.getSelection();
+    const range = selection.rangeCount > 0 ? selection.getRangeAt(0) : null;
+    if (!range || !selection.toString().trim()) {
+      this.showToast('Please select text to add a comment');
+      return;
+    }
+
+    const id = this.generateUniqueId();
+    if (this.wrapCommentRange(range, id).length === 0) {
+      this.showToast('Comments can only be added to the document text');
+      return;
+    }
+    selection.removeAllRanges();
+    this.comments.add(id, this.userName, '');
+    this.markDocumentAsModified('Add Comment');
+    this.setCommentsVisible(true);
+    this.openCommentForm(id, null, 'new');
+  }
+
+  // Wraps the selected text in span.comment anchors, one per text node, so a
+  // selection across paragraphs or pages stays valid markup. Returns the spans.
+  wrapCommentRange(range, id) {
+    const segments = [];
+    document.querySelectorAll('#page-container .editor').forEach(editor => {
+      if (!range.intersectsNode(editor)) return;
+      const walker = document.createTreeWalker(editor, NodeFilter.SHOW_TEXT);
+      for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+        if (!range.intersectsNode(node) || node.parentElement.closest('[data-layout-repeat]')) continue;
+        const start = node === range.startContainer ? range.startOffset : 0;
+        const end = node === range.endContainer ? range.endOffset : node.length;
+        if (node.data.slice(start, end).trim()) segments.push({ node, start, end });
+      }
+    });
+
+    // Offsets are taken before any node is split
+    return segments.map(({ node, start, end }) => {
+      let text = node;
+      if (end < text.length) text.splitText(end);
+      if (start > 0) text = text.splitText(start);
+      const span = document.createElement('span');
+      span.className = 'comment';
+      span.dataset.commentId = id;
+      text.parentNode.insertBefore(span, text);
+      span.appendChild(text);
+      return span;
+    });
+  }
+
+  commentAnchors(id) {
+    return Array.from(document.querySelectorAll(`#page-container .comment[data-comment-id="${CSS.escape(id)}"]`));
+  }
+
+  commentQuote(id) {
+    return this.commentAnchors(id).map(span => span.textContent).join(' ');
+  }
+
+  removeCommentAnchors(id) {
+    this.commentAnchors(id).forEach(span => {
+      const parent = span.parentNode;
+      span.replaceWith(...span.childNodes);
+      parent.normalize();
+    });
+  }
+
+  // Ids of the commented text in document order. Anchors without a thread
+  // (pasted, or from files that kept only a title) get one, and every anchor's
+  // title shows its comment, which is also what Markdown footnotes use.
+  syncCommentThreads() {
+    const ids = [];
+    document.querySelectorAll('#page-container .comment').forEach(span => {
+      if (!span.dataset.commentId) span.dataset.commentId = this.generateUniqueId();
+      const id = span.dataset.commentId;
+      if (!ids.includes(id)) ids.push(id);
+      const thread = this.comments.get(id) || this.comments.adopt(id, span.title || '');
+      if (span.title !== thread.text) span.title = thread.text;
+    });
+    return ids;
+  }
+
+  // Called on every UI update; cards are only rebuilt when comments come or go
+  refreshComments() {
+    const ids = this.syncCommentThreads();
+    if (ids.join() !== this.renderedCommentIds) {
+      this.renderComments(ids);
+    } else {
+      this.positionCommentCards();
+    }
+  }
+
+  renderComments(ids = this.syncCommentThreads()) {
+    this.renderedCommentIds = ids.join();
+    const shown = ids.filter(id => this.comments.matches(this.comments.get(id), this.commentFilter));
+    if (!shown.includes(this.activeCommentId)) this.activeCommentId = null;
+
+    const authorFilter = document.getElementById('commentAuthorFilter');
+    if (authorFilter) {
+      const authors = this.comments.authors(ids);
+      if (this.commentFilter.author && !authors.includes(this.commentFilter.author)) authors.push(this.commentFilter.author);
+      authorFilter.replaceChildren(new Option('All authors', ''), ...authors.map(name => new Option(name, name)));
+      authorFilter.value = this.commentFilter.author;
+    }
+
+    // Anchors are styled per thread: faded when resolved, plain when filtered out
+    let styles = document.getElementById('commentStyles');
+    if (!styles) {
+      styles = document.createElement('style');
+      styles.id = 'commentStyles';
+      document.head.appendChild(styles);
+    }
+    styles.textContent = ids.map(id => {
+      const selector = `#page-container .comment[data-comment-id="${CSS.escape(id)}"]`;
+      if (!shown.includes(id)) return `${selector} { background-color: transparent; border-bottom: none; cursor: text; }`;
+      if (id === this.activeCommentId) return `${selector} { background-color: rgba(255, 200, 0, 0.8); }`;
+      if (this.comments.get(id).resolved) return `${selector} { background-color: rgba(255, 255, 0, 0.2); }`;
+      return '';
+    }).join('\n');
+
+    const container = document.getElementById('commentCards');
+    if (!container) return;
+    container.replaceChildren(...shown.map(id => this.createCommentCard(this.comments.get(id))));
+    if (shown.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'comments-empty';
+      empty.textContent = ids.length ? 'No comments match the filter' : 'No comments yet. Select text and click 💬 to add one.';
+      container.appendChild(empty);
+    }
+    this.positionCommentCards();
+  }
+
+  createCommentCard(thread) {
+    const card = document.createElement('div');
+    card.className = 'comment-card';
+    card.dataset.commentId = thread.id;
+    card.classList.toggle('active', thread.id === this.activeCommentId);
+    card.classList.toggle('resolved', thread.resolved);
+    card.onclick = (e) => {
+      if (!e.target.closest('button, textarea')) this.selectComment(thread.id, { scroll: true });
+    };
+
+    const quote = document.createElement('div');
+    quote.className = 'comment-quote';
+    quote.textContent = this.commentQuote(thread.id);
+    card.append(quote, this.createCommentEntry(thread, null));
+    thread.replies.forEach(reply => card.appendChild(this.createCommentEntry(thread, reply)));
+
+    if (thread.resolved) {
+      const resolved = document.createElement('div');
+      resolved.className = 'comment-meta';
+      resolved.textContent = `Resolved${thread.resolvedBy ? ` by ${thread.resolvedBy}` : ''} · ${this.formatCommentTime(thread.resolvedAt)}`;
+      card.appendChild(resolved);
+    }
+
+    const form = this.commentForm;
+    if (form && form.id === thread.id && form.mode === 'reply') {
+      card.appendChild(this.createCommentForm());
+    } else if (!(form && form.id === thread.id && form.mode === 'new')) {
+      card.appendChild(this.createCommentActions([
+        ['Reply', () => this.openCommentForm(thread.id, null, 'reply')],
+        ['Edit', () => this.openCommentForm(thread.id, null, 'edit')],
+        [thread.resolved ? 'Reopen' : 'Resolve', () => this.resolveComment(thread.id, !thread.resolved)],
+        ['Delete', () => this.deleteComment(thread.id)]
+      ]));
+    }
+    return card;
+  }
+
+  // The comment that starts a thread (reply null) or one of its replies
+  createCommentEntry(thread, reply) {
+    const entry = reply || thread;
+    const element = document.createElement('div');
+    element.className = reply ? 'comment-reply' : 'comment-body';
+
+    const meta = document.createElement('div');
+    meta.className = 'comment-meta';
+    const author = document.createElement('strong');
+    author.textContent = entry.author || 'Unknown author';
+    meta.append(author, ` · ${this.formatCommentTime(entry.created)}${entry.edited ? ' (edited)' : ''}`);
+    element.appendChild(meta);
+
+    const form = this.commentForm;
+    if (form && form.id === thread.id && form.mode !== 'reply' && form.replyId === (reply ? reply.id : null)) {
+      element.appendChild(this.createCommentForm());
+      return element;
+    }
+
+    const text = document.createElement('div');
+    text.className = 'comment-text';
+    text.textContent = entry.text;
+    // Find and replace edits the entry through these
+    text.dataset.commentId = thread.id;
+    if (reply) text.dataset.replyId = reply.id;
+    element.appendChild(text);
+    if (reply) {
+      element.appendChild(this.createCommentActions([
+        ['Edit', () => this.openCommentForm(thread.id, reply.id, 'edit')],
+        ['Delete', () => this.deleteCommentReply(thread.id, reply.id)]
+      ]));
+    }
+    return element;
+  }
+
+  createCommentActions(actions) {
+    const element = document.createElement('div');
+    element.className = 'comment-actions';
+    actions.forEach(([label, handler]) => {
+      const button = document.createElement('button');
+      button.textContent = label;
+      button.onclick = handler;
+      element.appendChild(button);
+    });
+    return element;
+  }
+
+  // The form for this.commentForm; its draft survives the cards being rebuilt
+  createCommentForm() {
+    const form = this.commentForm;
+    const element = document.createElement('div');
+    const textarea = document.createElement('textarea');
+    textarea.value = form.draft;
+    textarea.placeholder = form.mode === 'reply' ? 'Reply...' : 'Comment...';
+    textarea.oninput = () => {
+      form.draft = textarea.value;
+      this.positionCommentCards();
+    };
+    textarea.onkeydown = (e) => {
+      if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+        e.preventDefault();
+        this.submitCommentForm();
+      } else if (e.key === 'Escape') {
+        e.preventDefault();
+        this.cancelCommentForm();
+      }
+    };
+    element.append(textarea, this.createCommentActions([
+      [form.mode === 'reply' ? 'Reply' : 'Save', () => this.submitCommentForm()],
+      ['Cancel', () => this.cancelCommentForm()]
+    ]));
+    return element;
+  }
+
+  formatCommentTime(time) {
+    return time ? new Date(time).toLocaleString() : 'unknown date';
+  }
+
+  // mode is 'new' for a comment just added, 'edit' or 'reply'
+  openCommentForm(id, replyId, mode) {
+    if (this.commentForm && this.commentForm.id !== id) this.cancelCommentForm();
+    const thread = this.comments.get(id);
+    const entry = mode === 'edit' ? (replyId ? thread.replies.find(reply => reply.id === replyId) : thread) : null;
+    this.commentForm = { id, replyId, mode, draft: entry ? entry.text : '' };
+    this.activeCommentId = id;
+    this.renderComments();
+    document.querySelector('#commentCards textarea')?.focus();
+  }
+
+  submitCommentForm() {
+    const form = this.commentForm;
+    const text = form.draft.trim();
+    if (!text) {
+      if (form.mode === 'new') this.cancelCommentForm();
+      else this.showToast('A comment cannot be empty');
+      return;
+    }
+
+    if (form.mode === 'reply') {
+      this.comments.reply(form.id, this.generateUniqueId(), this.userName, text);
+    } else if (form.mode === 'new') {
+      this.comments.add(form.id, this.userName, text);
+      this.showToast('Comment added');
+    } else {
+      this.comments.edit(form.id, form.replyId, text);
+    }
+    this.commentForm = null;
+    this.markDocumentAsModified({ reply: 'Reply', new: 'Comment' }[form.mode] || 'Edit Comment');
+    this.renderComments();
+  }
+
+  // A comment that was never written is taken out of the text again
+  cancelCommentForm() {
+    const form = this.commentForm;
+    this.commentForm = null;
+    if (form && form.mode === 'new') {
+      this.removeCommentAnchors(form.id);
+      this.comments.remove(form.id);
+    }
+    this.renderComments();
+  }
+
+  deleteComment(id) {
+    if (!confirm('Delete this comment and its replies?')) return;
+    if (this.commentForm && this.commentForm.id === id) this.commentForm = null;
+    this.removeCommentAnchors(id);
+    this.comments.remove(id);
+    this.markDocumentAsModified('Delete Comment');
+    this.renderComments();
+    this.showToast('Comment deleted');
+  }
+
+  deleteCommentReply(id, replyId) {
+    if (!confirm('Delete this reply?')) return;
+    if (this.commentForm && this.commentForm.replyId === replyId) this.commentForm = null;
+    this.comments.removeReply(id, replyId);
+    this.markDocumentAsModified('Delete Reply');
+    this.renderComments();
+  }
+
+  resolveComment(id, resolved) {
+    this.comments.setResolved(id, resolved, this.userName);
+    this.markDocumentAsModified(resolved ? 'Resolve Comment' : 'Reopen Comment');
+    this.renderComments();
+  }
+
+  selectComment(id, { scroll = false } = {}) {
+    this.activeCommentId = id;
+    this.renderComments();
+    if (scroll) this.commentAnchors(id)[0]?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }
+
+  // Moves to the previous (-1) or next (1) comment the filter shows, wrapping around
+  navigateComments(step) {
+    const ids = this.syncCommentThreads().filter(id => this.comments.matches(this.comments.get(id), this.commentFilter));
+    if (ids.length === 0) {
+      this.showToast('No comments to show');
+      return;
+    }
+    const index = ids.indexOf(this.activeCommentId);
+    const next = index === -1 ? (step > 0 ? 0 : ids.length - 1) : (index + step + ids.length) % ids.length;
+    this.setCommentsVisible(true);
+    this.selectComment(ids[next], { scroll: true });
+  }
 
-    document.body.removeChild(tempDiv);
-    return overflowHTML;
+  setCommentFilter(change) {
+    Object.assign(this.commentFilter, change);
+    this.renderComments();
   }
 
-  // Call this after loading content to ensure all pages are correctly flowed
-  checkAllPagesForOverflow() {
-    document.querySelectorAll('.page .editor').forEach(editor => {
-        this.checkPageOverflow(editor);
+  // Each card sits level with the start of its text, below the card before it
+  positionCommentCards() {
+    const container = document.getElementById('commentCards');
+    if (!container || !this.isCommentsVisible()) return;
+    const origin = container.getBoundingClientRect().top;
+    let bottom = 0;
+    container.querySelectorAll('.comment-card').forEach(card => {
+      const anchor = this.commentAnchors(card.dataset.commentId)[0];
+      const top = Math.max(anchor ? anchor.getBoundingClientRect().top - origin : 0, bottom);
+      card.style.top = `${top}px`;
+      bottom = top + card.offsetHeight + 8;
     });
+    container.style.height = `${bottom}px`;
   }
 
-  setupAutoPageBreak() {
-    // Simple mutation observer for content changes
-    // This now debounces to checkPageOverflow directly
-    const observer = new MutationObserver((mutations) => {
-      mutations.forEach((mutation) => {
-        const target = mutation.target;
-        if (target.classList && target.classList.contains('editor')) {
-          clearTimeout(this.typingTimer);
-          this.typingTimer = setTimeout(() => this.checkPageOverflow(target), 500);
-        }
-      });
-    });
+  isCommentsVisible() {
+    return document.getElementById('commentsSidebar')?.style.display !== 'none';
+  }
 
-    document.querySelectorAll('.editor').forEach(editor => {
-      observer.observe(editor, { childList: true, subtree: true, characterData: true });
-    });
+  setCommentsVisible(visible) {
+    const sidebar = document.getElementById('commentsSidebar');
+    if (!sidebar) return;
+    sidebar.style.display = visible ? '' : 'none';
+    document.getElementById('commentsBtn')?.classList.toggle('active', visible);
+    if (visible) this.renderComments();
   }
 
-  // Insert functions
-  insertLink() {
-    const selection = window.getSelection();
-    if (selection.rangeCount > 0) {
-      const selectedText = selection.toString();
-      const linkTextInput = document.getElementById('linkText');
-      if (selectedText && linkTextInput) {
-        linkTextInput.value = selectedText;
-      }
+  toggleComments() {
+    this.setCommentsVisible(!this.isCommentsVisible());
+  }
+
+  // Comments and tracked changes are signed with the name set in the comments
+  // sidebar or the tracked changes panel, or the login name
+  async initializeUserName() {
+    if (!this.userName) {
+      const result = await bridge.invoke('user-info');
+      if (result.ok) this.userName = result.name;
     }
-    this.showPanel('linkPanel');
+    this.setUserName(this.userName, { remember: false });
   }
 
-  createLink() {
-    const text = document.getElementById('linkText')?.value || '';
-    const url = document.getElementById('linkUrl')?.value || '';
+  setUserName(name, { remember = true } = {}) {
+    this.userName = name.trim();
+    if (remember) localStorage.setItem('userName', this.userName);
+    ['commentAuthorName', 'revisionAuthorName'].forEach(id => {
+      const input = document.getElementById(id);
+      if (input) input.value = this.userName;
+    });
+  }
 
-    if (url) {
-      const html = `<a href="${url}" target="_blank">${text || url}</a>`;
-      this.execCmd('insertHTML', html);
-    }
-    this.hidePanel('linkPanel');
+  // The page of comments printed after the document when settings.printComments is set
+  renderCommentsAppendix() {
+    const ids = this.syncCommentThreads();
+    const include = this.documentSettings.printComments === true && ids.length > 0;
+    document.body.classList.toggle('print-comments', include);
+    const appendix = document.getElementById('commentsAppendix');
+    if (!appendix) return;
+    appendix.replaceChildren();
+    if (!include) return;
+
+    // Printed on the first section's sheet, with its margins
+    appendix.style.cssText = document.querySelector('#page-container .page')?.style.cssText || '';
+    const heading = document.createElement('h2');
+    heading.textContent = 'Comments';
+    appendix.appendChild(heading);
+    ids.forEach((id, index) => {
+      const thread = this.comments.get(id);
+      const element = document.createElement('div');
+      element.className = 'appendix-comment';
+      const quote = document.createElement('strong');
+      quote.textContent = `${index + 1}. “${this.commentQuote(id).replace(/\s+/g, ' ').trim()}”${thread.resolved ? ' (resolved)' : ''}`;
+      element.appendChild(quote);
+      [thread, ...thread.replies].forEach(entry => {
+        const paragraph = document.createElement('p');
+        paragraph.textContent = `${entry.author || 'Unknown author'} · ${this.formatCommentTime(entry.created)}: ${entry.text}`;
+        element.appendChild(paragraph);
+      });
+      appendix.appendChild(element);
+    });
   }
 
-  async insertImage() {
+  async exportCommentSummary() {
+    const ids = this.syncCommentThreads();
+    if (ids.length === 0) {
+      this.showToast('There are no comments to export');
+      return;
+    }
     try {
-      const result = await ipcRenderer.invoke('select-image');
-      if (result && result.filePath) {
-        const imgTag = `<img src="${result.filePath}" alt="Image" style="max-width: 100%; display: block; margin: 5px 0;" />`; // Added display:block and margin
-        this.execCmd('insertHTML', imgTag);
-      }
+      const entries = ids.map(id => ({ thread: this.comments.get(id), quote: this.commentQuote(id) }));
+      const result = await bridge.invoke('export-review-summary', {
+        markdown: this.comments.summary(entries, this.getDocumentTitle())
+      });
+      if (!result.ok) throw new Error(result.error);
+      if (!result.canceled) this.showToast('Review summary exported');
     } catch (error) {
-      console.error('Error inserting image:', error);
-      this.showToast('Error inserting image');
+      console.error('Error exporting review summary:', error);
+      this.showToast('Error exporting review summary');
     }
   }
 
-  insertTable() {
-    this.showPanel('tablePanel');
+  toggleReadingMode() {
+    document.body.classList.toggle('reading-mode');
+    const button = document.getElementById('readingModeBtn');
+    if (button) {
+      button.classList.toggle('active');
+      const isActive = button.classList.contains('active');
+      this.showToast(`Reading mode ${isActive ? 'enabled' : 'disabled'}`);
+    }
   }
 
-  createTable() {
-    const rows = parseInt(document.getElementById('tableRows')?.value) || 2;
-    const cols = parseInt(document.getElementById('tableCols')?.value) || 2;
+  // Start screen listing recent documents (see src/main/recent-files.js).
+  // At launch the main process opens it when there is something to list.
+  async showStartScreen() {
+    const result = await bridge.invoke('recent-files-list');
+    if (!result.ok) {
+      console.error('Error reading recent files:', result.error);
+      return;
+    }
 
-    let tableHTML = '<table style="width:100%; border-collapse: collapse;">';
+    this.renderStartScreen(result);
+    const screen = document.getElementById('startScreen');
+    if (screen) screen.style.display = 'flex';
+  }
+
+  hideStartScreen() {
+    const screen = document.getElementById('startScreen');
+    if (screen) screen.style.display = 'none';
+  }
+
+  isStartScreenVisible() {
+    return document.getElementById('startScreen')?.style.display === 'flex';
+  }
+
+  renderStartScreen({ entries, maxEntries }) {
+    const limit = document.getElementById('recentLimit');
+    if (limit) limit.value = maxEntries;
 
-    // Header row
-    tableHTML += '<thead><tr>';
-    for (let i = 0; i < cols; i++) {
-      tableHTML += `<th style="border: 1px solid #ddd; padding: 8px; text-align: left;">Header ${i + 1}</th>`;
+    const list = document.getElementById('startRecentList');
+    if (!list) return;
+    list.innerHTML = '';
+
+    if (entries.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'start-empty';
+      empty.textContent = 'Documents you open or save will appear here.';
+      list.appendChild(empty);
+      return;
     }
-    tableHTML += '</tr></thead><tbody>';
 
-    // Data rows
-    for (let i = 0; i < rows - 1; i++) {
-      tableHTML += '<tr>';
-      for (let j = 0; j < cols; j++) {
-        tableHTML += `<td style="border: 1px solid #ddd; padding: 8px;">Cell ${i + 1}-${j + 1}</td>`;
+    entries.forEach(entry => {
+      const card = document.createElement('div');
+      card.className = `start-card${entry.missing ? ' missing' : ''}${entry.pinned ? ' pinned' : ''}`;
+      card.title = entry.filePath;
+
+      const thumbnail = document.createElement('div');
+      thumbnail.className = 'start-thumbnail';
+      if (entry.thumbnailURL) {
+        const image = document.createElement('img');
+        image.src = entry.thumbnailURL;
+        image.alt = '';
+        thumbnail.appendChild(image);
       }
-      tableHTML += '</tr>';
-    }
 
-    tableHTML += '</tbody></table><p><br></p>'; // Add a paragraph after table for easier typing
-    this.execCmd('insertHTML', tableHTML);
-    this.hidePanel('tablePanel');
-  }
+      const name = document.createElement('div');
+      name.className = 'start-name';
+      name.textContent = entry.name;
+      const details = document.createElement('div');
+      details.className = 'start-details';
+      details.textContent = entry.missing ? 'File not found' : `Opened ${new Date(entry.openedAt).toLocaleString()}`;
+
+      const pinButton = document.createElement('button');
+      pinButton.className = 'start-pin';
+      pinButton.textContent = entry.pinned ? 'Unpin' : 'Pin';
+      pinButton.onclick = (e) => {
+        e.stopPropagation();
+        this.updateRecentFile('recent-files-pin', { filePath: entry.filePath, pinned: !entry.pinned });
+      };
+      const removeButton = document.createElement('button');
+      removeButton.className = 'start-remove';
+      removeButton.textContent = 'Remove';
+      removeButton.onclick = (e) => {
+        e.stopPropagation();
+        this.updateRecentFile('recent-files-remove', { filePath: entry.filePath });
+      };
 
-  insertSpecialChar() {
-    this.showPanel('specialCharPanel');
+      card.append(thumbnail, name, details, pinButton, removeButton);
+      if (!entry.missing) {
+        card.onclick = () => this.openRecentFile(entry.filePath);
+      }
+      list.appendChild(card);
+    });
   }
 
-  initializeSpecialChars() {
-    const specialChars = [
-      '©', '®', '™', '€', '£', '¥', '¢', '§', '¶', '°', '±', '÷', '×',
-      '≠', '≤', '≥', '∑', '√', '∞', '∝', '∂', '∫', 'Α', 'Β', 'Γ', 'Δ',
-      'Ω', 'α', 'β', 'γ', 'δ', 'ω', '←', '→', '↑', '↓', '↔', '⇐',
-      '⇒', '⇔', '♠', '♣', '♥', '♦'
-    ];
-
-    const grid = document.querySelector('.special-chars-grid');
-    if (grid) {
-      grid.innerHTML = '';
-      specialChars.forEach(char => {
-        const btn = document.createElement('button');
-        btn.innerHTML = char;
-        btn.onclick = () => {
-          this.execCmd('insertHTML', char);
-          this.hidePanel('specialCharPanel');
-        };
-        grid.appendChild(btn);
-      });
+  // Like openFile, the document arrives through the 'document-opened' event
+  async openRecentFile(filePath) {
+    const result = await bridge.invoke('recent-files-open', { filePath });
+    if (!result.ok) {
+      console.error('Error opening recent file:', result.error);
+      this.showToast('Error opening file');
+      return;
     }
+    this.hideStartScreen();
   }
 
-  // Tools and utilities
-  countWords() {
-    const allText = this.getAllText();
-    const words = allText.trim() ? allText.trim().split(/\s+/).length : 0;
-    const charNoSpaces = allText.replace(/\s+/g, '').length;
-    const charWithSpaces = allText.length;
-    const paragraphs = allText.split(/\n\s*\n/).filter(p => p.trim().length > 0).length;
+  // The main process answers with 'recent-files-changed', which redraws the list
+  async updateRecentFile(channel, payload) {
+    const result = await bridge.invoke(channel, payload);
+    if (!result.ok) {
+      console.error('Error updating recent files:', result.error);
+      this.showToast('Could not update the recent files list');
+    }
+  }
 
-    const elements = {
-      'wordCount': words,
-      'charCountNoSpace': charNoSpaces,
-      'charCountWithSpace': charWithSpaces,
-      'paragraphCount': paragraphs
-    };
+  setRecentFilesLimit(value) {
+    const maxEntries = parseInt(value, 10);
+    if (!Number.isInteger(maxEntries)) return;
+    this.updateRecentFile('recent-files-set-limit', { maxEntries });
+  }
 
-    Object.entries(elements).forEach(([id, value]) => {
-      const element = document.getElementById(id);
-      if (element) element.textContent = value;
-    });
+  // First-page picture for the start screen. Only the part of the page that
+  // is on screen can be captured, so this waits until the layout settled.
+  captureThumbnail(filePath) {
+    setTimeout(async () => {
+      const page = document.querySelector('#page-container .page');
+      if (!page || this.currentFilePath !== filePath || this.isStartScreenVisible()) return;
+
+      const bounds = page.getBoundingClientRect();
+      const rect = {
+        x: Math.max(bounds.left, 0),
+        y: Math.max(bounds.top, 0),
+        width: Math.min(bounds.right, window.innerWidth) - Math.max(bounds.left, 0),
+        height: Math.min(bounds.bottom, window.innerHeight) - Math.max(bounds.top, 0)
+      };
+      if (rect.width < 50 || rect.height < 50) return;
 
-    this.showPanel('wordCountPanel');
+      const result = await bridge.invoke('recent-files-thumbnail', { rect });
+      if (!result.ok) console.warn('Could not capture a thumbnail:', result.error);
+    }, 500);
   }
 
-  showFindReplace() {
-    this.showPanel('findReplacePanel');
-    const findInput = document.getElementById('findText');
-    if (findInput) findInput.focus();
+  // Version history (see src/main/version-history.js). Versions exist only
+  // for saved files, since the history is kept per file path.
+  async showHistory() {
+    if (!this.currentFilePath) {
+      this.showToast('Save the document to start its version history');
+      return;
+    }
+    if (await this.refreshHistory()) {
+      this.showPanel('historyPanel');
+    }
   }
 
-  findNext() {
-    const searchText = document.getElementById('findText')?.value;
-    if (!searchText) return;
+  async refreshHistory() {
+    const result = await bridge.invoke('history-list', { filePath: this.currentFilePath });
+    if (!result.ok) {
+      console.error('Error reading version history:', result.error);
+      this.showToast('Could not read the version history');
+      return false;
+    }
 
-    const matchCase = document.getElementById('matchCase')?.checked || false;
-    const wholeWord = document.getElementById('wholeWord')?.checked || false;
+    const versions = result.versions; // Newest first
+    const list = document.getElementById('historyList');
+    if (list) {
+      list.innerHTML = '';
+      if (versions.length === 0) {
+        const empty = document.createElement('li');
+        empty.textContent = 'No versions yet. A version is recorded every time you save.';
+        list.appendChild(empty);
+      }
 
-    if (window.find) {
-      window.find(searchText, matchCase, false, true, wholeWord, false, false);
-    } else {
-      this.showToast('Find function is not supported in this environment.');
+      versions.forEach((version, index) => {
+        const older = versions[index + 1];
+        const delta = version.wordCount - (older ? older.wordCount : 0);
+
+        const item = document.createElement('li');
+        item.className = `history-item history-${version.kind}`;
+        const title = document.createElement('div');
+        title.className = 'history-title';
+        title.textContent = version.kind === 'checkpoint' ? `★ ${version.label}` : 'Saved';
+        const details = document.createElement('div');
+        details.className = 'history-details';
+        details.textContent = `${new Date(version.savedAt).toLocaleString()} · ${version.author} · ` +
+          `${delta >= 0 ? '+' : '−'}${Math.abs(delta)} word${Math.abs(delta) === 1 ? '' : 's'}`;
+
+        const restoreButton = document.createElement('button');
+        restoreButton.textContent = 'Restore';
+        restoreButton.onclick = () => this.restoreVersion(version.id);
+        const copyButton = document.createElement('button');
+        copyButton.textContent = 'Save Copy...';
+        copyButton.onclick = () => this.saveVersionCopy(version.id);
+
+        item.append(title, details, restoreButton, copyButton);
+        list.appendChild(item);
+      });
     }
+
+    // Compare the latest version with what is on screen by default
+    ['historyCompareFrom', 'historyCompareTo'].forEach((id, selectIndex) => {
+      const select = document.getElementById(id);
+      if (!select) return;
+      select.innerHTML = '';
+      select.appendChild(new Option('Current document', 'current'));
+      versions.forEach(version => {
+        const name = version.kind === 'checkpoint' ? version.label : 'Saved';
+        select.appendChild(new Option(`${name} – ${new Date(version.savedAt).toLocaleString()}`, version.id));
+      });
+      select.value = selectIndex === 0 && versions.length > 0 ? versions[0].id : 'current';
+    });
+
+    const diff = document.getElementById('historyDiff');
+    if (diff) diff.innerHTML = '';
+    return true;
   }
 
-  replaceText() {
-    const searchText = document.getElementById('findText')?.value;
-    const replaceTextVal = document.getElementById('replaceText')?.value;
+  async readVersionDocument(id) {
+    if (id === 'current') return this.serializeDocument();
 
-    if (!searchText) return;
+    const result = await bridge.invoke('history-read', { filePath: this.currentFilePath, id });
+    if (!result.ok) throw new Error(result.error);
+    return result.version.document;
+  }
 
-    const matchCase = document.getElementById('matchCase')?.checked || false;
-    const selected = window.getSelection().toString();
-    const selectedMatch = matchCase ? selected : selected.toLowerCase();
-    const searchTextMatch = matchCase ? searchText : searchText.toLowerCase();
+  async compareVersions() {
+    const fromId = document.getElementById('historyCompareFrom')?.value;
+    const toId = document.getElementById('historyCompareTo')?.value;
+    const container = document.getElementById('historyDiff');
+    if (!fromId || !toId || !container) return;
 
-    if (selectedMatch === searchTextMatch) {
-      this.execCmd('insertText', replaceTextVal);
-      this.findNext();
-    } else {
-      this.findNext();
+    try {
+      const [oldDoc, newDoc] = await Promise.all([this.readVersionDocument(fromId), this.readVersionDocument(toId)]);
+      const { inserted, deleted } = new VersionDiff().render(container, oldDoc, newDoc);
+      this.showToast(`${inserted} word${inserted === 1 ? '' : 's'} added, ${deleted} removed`);
+    } catch (error) {
+      console.error('Error comparing versions:', error);
+      this.showToast('Could not compare these versions');
     }
   }
 
-  replaceAllText() {
-    const searchText = document.getElementById('findText')?.value;
-    const replaceTextVal = document.getElementById('replaceText')?.value;
+  // The restored text replaces the editor content; saving it records a new version
+  async restoreVersion(id) {
+    if (!confirm('Restore this version? Edit > Undo brings the current text back.')) return;
 
-    if (!searchText) return;
+    try {
+      const restored = await this.readVersionDocument(id);
+      const removed = this.loadDocument(this.currentFilePath, restored, 'Restore Version');
+      this.markDocumentAsModified();
+      this.hidePanel('historyPanel');
+      this.showToast('Version restored. Save to keep it.');
+      if (removed.length > 0) this.showImportReport(this.currentFilePath, removed);
+    } catch (error) {
+      console.error('Error restoring version:', error);
+      this.showToast('Could not restore this version');
+    }
+  }
 
-    const matchCase = document.getElementById('matchCase')?.checked || false;
-    const wholeWord = document.getElementById('wholeWord')?.checked || false;
+  async saveVersionCopy(id) {
+    const result = await bridge.invoke('history-save-copy', { filePath: this.currentFilePath, id });
+    if (!result.ok) {
+      console.error('Error saving version copy:', result.error);
+      this.showToast('Could not save a copy of this version');
+    } else if (!result.canceled) {
+      this.showToast(`Copy saved: ${result.filePath.split(/[/\\]/).pop()}`);
+    }
+  }
 
-    let count = 0;
-    document.querySelectorAll('.editor').forEach(editor => {
-      let content = editor.innerHTML;
-      let flags = 'g';
-      if (!matchCase) flags += 'i';
+  async createCheckpoint() {
+    const input = document.getElementById('checkpointName');
+    const label = input?.value.trim();
+    if (!label) {
+      this.showToast('Enter a name for the checkpoint');
+      return;
+    }
 
-      let regex;
-      if (wholeWord) {
-        regex = new RegExp(`\\b${this.escapeRegExp(searchText)}\\b`, flags);
-      } else {
-        regex = new RegExp(this.escapeRegExp(searchText), flags);
-      }
+    const result = await bridge.invoke('history-checkpoint', {
+      filePath: this.currentFilePath,
+      label,
+      wordCount: this.getWordCount(),
+      document: this.serializeDocument()
+    });
+    if (!result.ok) {
+      console.error('Error creating checkpoint:', result.error);
+      this.showToast('Could not create the checkpoint');
+      return;
+    }
+
+    input.value = '';
+    await this.refreshHistory();
+    this.showToast(`Checkpoint "${label}" created`);
+  }
 
-      const matches = content.match(regex);
-      if (matches) count += matches.length;
+  // Header/Footer functions
+  isHeaderFooterVisible(type) {
+    return document.querySelector(`.${type}`)?.style.display !== 'none';
+  }
 
-      content = content.replace(regex, replaceTextVal);
-      editor.innerHTML = content;
+  setHeaderFooterVisible(type, visible) {
+    document.querySelectorAll(`.${type}`).forEach(element => {
+      element.style.display = visible ? 'block' : 'none';
     });
 
-    this.showToast(`Replaced ${count} occurrences.`);
-    this.markDocumentAsModified();
+    const button = document.getElementById(`toggle${type.charAt(0).toUpperCase() + type.slice(1)}`);
+    if (button) {
+      button.classList.toggle('active', !visible);
+    }
+    this.scheduleReflow(); // A hidden header or footer no longer pushes the body away
   }
 
-  escapeRegExp(string) {
-    return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  toggleHeaderFooter(type) {
+    const isVisible = this.isHeaderFooterVisible(type);
+    this.setHeaderFooterVisible(type, !isVisible);
+
+    const name = type.charAt(0).toUpperCase() + type.slice(1);
+    this.showToast(`${name} ${isVisible ? 'hidden' : 'shown'}`);
+    this.markDocumentAsModified(`${isVisible ? 'Hide' : 'Show'} ${name}`);
   }
 
-  toggleSpellCheck() {
-    const editors = document.querySelectorAll('.editor');
-    const spellCheckEnabled = editors[0]?.spellcheck || false;
+  // Text of every field except the page number, which differs per page
+  getFieldValues(pageCount) {
+    return {
+      pages: String(pageCount),
+      date: new Date().toLocaleDateString(),
+      filename: this.currentFilePath ? this.currentFilePath.split(/[/\\]/).pop() : 'Untitled',
+      title: this.getDocumentTitle(),
+      author: this.documentMeta.author || ''
+    };
+  }
 
-    editors.forEach(editor => {
-      editor.spellcheck = !spellCheckEnabled;
+  // Shows every page the header and footer variant that applies to it, with
+  // its fields filled in. except is a header or footer being typed in.
+  renderHeadersFooters(except = null) {
+    const pages = document.querySelectorAll('#page-container .page');
+    const values = this.getFieldValues(pages.length);
+    pages.forEach((page, index) => {
+      const variant = this.headerFooter.variant(this.documentHeaderFooter, index);
+      const pageValues = { ...values, page: String(index + 1) };
+      ['header', 'footer'].forEach(type => {
+        const element = page.querySelector(`.${type}`);
+        if (!element) return;
+        element.dataset.variant = variant;
+        element.dataset.placeholder = this.headerFooter.placeholder(type, variant, this.documentHeaderFooter);
+        if (element === except) {
+          this.headerFooter.fillFields(element, pageValues);
+        } else {
+          this.headerFooter.render(element, this.documentHeaderFooter[type][variant], pageValues);
+        }
+      });
     });
+  }
 
-    const button = document.getElementById('spellCheckBtn');
-    if (button) button.classList.toggle('active');
+  // Typing in one page's header changes it on every page that shows the same variant
+  updateHeaderFooter(element) {
+    const type = element.classList.contains('header') ? 'header' : 'footer';
+    this.documentHeaderFooter[type][element.dataset.variant || 'default'] = this.headerFooter.definition(element);
+    this.renderHeadersFooters(element);
+    this.scheduleReflow(); // A taller header or footer pushes the body away
+  }
 
-    this.showToast(`Spell check ${!spellCheckEnabled ? 'enabled' : 'disabled'}`);
+  initializeHeaderFooterFields() {
+    const container = document.querySelector('.header-footer-fields');
+    if (!container) return;
+    container.innerHTML = '';
+    Object.entries(HEADER_FOOTER_FIELDS).forEach(([name, { label }]) => {
+      const button = document.createElement('button');
+      button.textContent = label;
+      button.onclick = () => this.insertHeaderFooterField(name);
+      container.appendChild(button);
+    });
   }
-  addComment() {
+
+  showHeaderFooterOptions() {
+    // The panel takes the focus, so remember where a field would go
     const selection = window.getSelection();
-    if (selection.rangeCount > 0 && selection.toString()) {
-      const comment = prompt('Add a comment:');
-      if (comment) {
-        const span = document.createElement('span');
-        span.className = 'comment';
-        span.title = comment;
-        span.style.cssText = 'background-color: yellow; cursor: help;';
-
-        try {
-          const range = selection.getRangeAt(0);
-          range.surroundContents(span);
-          this.markDocumentAsModified();
-          this.showToast('Comment added');
-        } catch (error) {
-          console.error('Error adding comment:', error);
-          this.showToast('Could not add comment to selection');
-        }
-      }
-    } else {
-      this.showToast('Please select text to add a comment');
-    }
+    const range = selection.rangeCount > 0 ? selection.getRangeAt(0) : null;
+    this.fieldTarget = range && range.startContainer.parentElement?.closest('.page .header, .page .footer')
+      ? range.cloneRange()
+      : null;
+
+    const fields = {
+      differentFirstPage: this.documentHeaderFooter.differentFirstPage,
+      differentOddEven: this.documentHeaderFooter.differentOddEven
+    };
+    Object.entries(fields).forEach(([id, checked]) => {
+      const field = document.getElementById(id);
+      if (field) field.checked = checked;
+    });
+    const title = document.getElementById('documentTitle');
+    if (title) title.value = this.documentMeta.title || '';
+    const author = document.getElementById('documentAuthor');
+    if (author) author.value = this.documentMeta.author || '';
+
+    this.showPanel('headerFooterPanel');
   }
 
-  toggleReadingMode() {
-    document.body.classList.toggle('reading-mode');
-    const button = document.getElementById('readingModeBtn');
-    if (button) {
-      button.classList.toggle('active');
-      const isActive = button.classList.contains('active');
-      this.showToast(`Reading mode ${isActive ? 'enabled' : 'disabled'}`);
+  insertHeaderFooterField(name) {
+    const range = this.fieldTarget;
+    const element = range?.startContainer.parentElement?.closest('.page .header, .page .footer');
+    if (!element || !element.isConnected) {
+      this.showToast('Place the cursor in a header or footer first');
+      return;
     }
+
+    this.hidePanel('headerFooterPanel');
+    element.focus();
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+    const pages = Array.from(document.querySelectorAll('#page-container .page'));
+    const values = { ...this.getFieldValues(pages.length), page: String(pages.indexOf(element.closest('.page')) + 1) };
+    this.execCmd('insertHTML', this.headerFooter.fieldHTML(name, values[name] || ' '), 'Insert Field');
+    this.fieldTarget = null;
   }
 
-  // Header/Footer functions
-  toggleHeaderFooter(type) {
-    const elements = document.querySelectorAll(`.${type}`);
-    const isVisible = elements[0]?.style.display !== 'none';
+  applyHeaderFooterOptions() {
+    const checked = (id) => Boolean(document.getElementById(id)?.checked);
+    this.documentHeaderFooter.differentFirstPage = checked('differentFirstPage');
+    this.documentHeaderFooter.differentOddEven = checked('differentOddEven');
 
-    elements.forEach(element => {
-      element.style.display = isVisible ? 'none' : 'block';
+    // Saved with the document; without a title the file name stands in
+    Object.entries({ title: 'documentTitle', author: 'documentAuthor' }).forEach(([key, id]) => {
+      const value = document.getElementById(id)?.value.trim();
+      if (value) {
+        this.documentMeta[key] = value;
+      } else {
+        delete this.documentMeta[key];
+      }
     });
 
-    const button = document.getElementById(`toggle${type.charAt(0).toUpperCase() + type.slice(1)}`);
-    if (button) {
-      button.classList.toggle('active');
-    }
-
-    this.showToast(`${type.charAt(0).toUpperCase() + type.slice(1)} ${isVisible ? 'hidden' : 'shown'}`);
-    this.markDocumentAsModified();
+    this.hidePanel('headerFooterPanel');
+    this.reflowDocument(); // Renders the headers and footers again
+    this.markDocumentAsModified('Header & Footer Options');
   }
 
   // Theme and appearance
@@ -1103,7 +4380,8 @@ class DocumentEditor {
 
     const lineHeight = spacingMap[spacing] || '1';
     this.selectedEditor.style.lineHeight = lineHeight;
-    this.markDocumentAsModified();
+    this.scheduleReflow(this.selectedEditor.closest('.page'));
+    this.markDocumentAsModified('Line Spacing');
   }
 
   changeZoom(zoomLevel) {
@@ -1127,8 +4405,6 @@ class DocumentEditor {
       } else {
         pageContainer.style.width = ''; // Reset to default
       }
-      this.calculatePageDimensions(); // Recalculate page height after zoom
-      this.checkAllPagesForOverflow(); // Re-check overflow
     }
   }
 
@@ -1152,19 +4428,48 @@ class DocumentEditor {
     if (panel) {
       panel.style.display = 'none';
     }
+    if (panelId === 'findReplacePanel') this.clearSearch();
+    if (panelId === 'proofingPanel') this.clearProofing();
   }
 
   hideAllPanels() {
     document.querySelectorAll('.panel').forEach(panel => {
       panel.style.display = 'none';
     });
+    this.clearSearch();
+    this.clearProofing();
   }
 
   // Context menu
-  showContextMenu(x, y) {
+  // point is where in the window it was opened, to look for a spelling or grammar issue there
+  showContextMenu(x, y, target = null, point = null) {
     const contextMenu = document.getElementById('contextMenu');
     if (!contextMenu) return;
 
+    this.contextIssue = point ? this.proofingIssueAt(point.x, point.y) : null;
+    this.renderContextProofing(contextMenu);
+
+    // Accept and reject only show on a tracked change
+    const revision = target?.closest('#page-container .editor') ? this.trackChanges.revisionAt(target) : null;
+    this.contextRevision = revision ? revision.dataset.revisionId : null;
+    contextMenu.querySelectorAll('.context-revision').forEach(item => {
+      item.style.display = revision ? '' : 'none';
+    });
+    const inContents = Boolean(target?.closest(`#page-container .${OUTLINE_TOC_CLASS}`));
+    contextMenu.querySelectorAll('.context-toc').forEach(item => {
+      item.style.display = inContents ? '' : 'none';
+    });
+    const inTable = Boolean(target && this.getTableCell(target));
+    contextMenu.querySelectorAll('.context-table').forEach(item => {
+      item.style.display = inTable ? '' : 'none';
+    });
+    // The image commands act on the selected image, so right-clicking one selects it
+    const image = target && this.getEditorImage(target);
+    if (image) this.selectImage(image);
+    contextMenu.querySelectorAll('.context-image').forEach(item => {
+      item.style.display = image ? '' : 'none';
+    });
+
     contextMenu.style.display = 'block';
     contextMenu.style.left = `${x}px`;
     contextMenu.style.top = `${y}px`;
@@ -1210,9 +4515,8 @@ class DocumentEditor {
 
   handleResize() {
     // Recalculate page layouts if needed
-    this.setupMobileResponsiveness();
-    this.calculatePageDimensions(); // Re-calculate page dimensions on resize
-    this.checkAllPagesForOverflow(); // Re-check overflow on all pages
+    this.setupMobileResponsiveness(); // Pages have a fixed size, so the layout stays as it is
+    this.positionCommentCards();
   }
 
   // Toast notifications
@@ -1236,26 +4540,112 @@ class DocumentEditor {
   }
 
   sanitizeHTML(html) {
-    const temp = document.createElement('div');
-    temp.innerHTML = html;
-
-    // Remove script tags and event handlers
-    temp.querySelectorAll('script').forEach(script => script.remove());
-    temp.querySelectorAll('*').forEach(el => {
-      Array.from(el.attributes).forEach(attr => {
-        if (attr.name.startsWith('on')) {
-          el.removeAttribute(attr.name);
-        }
-      });
+    const { html: clean, removed } = this.sanitizer.sanitize(html);
+    removed.forEach(item => console.warn('Sanitizer:', item.message, `(×${item.count})`));
+    return clean;
+  }
+
+  // Moves the caret to where something was dropped, if that is editable
+  placeCaretAtPoint(e) {
+    if (!e.target.closest('#page-container [contenteditable]')) return;
+    const range = document.caretRangeFromPoint(e.clientX, e.clientY);
+    if (range) {
+      const selection = window.getSelection();
+      selection.removeAllRanges();
+      selection.addRange(range);
+    }
+  }
+
+  // Dropped images are embedded at the drop point; documents open like
+  // files chosen with Open (in this window only if it is blank)
+  async openDroppedFiles(files) {
+    const images = files.filter(file => /^image\//.test(file.type));
+    const documents = files.filter(file => /\.(msdoc|docx|md|markdown|html?)$/i.test(file.name));
+    const ignored = files.length - images.length - documents.length;
+
+    // Dropped on a margin: insert where the caret last was
+    const anchor = window.getSelection().anchorNode;
+    const anchorElement = anchor && (anchor.nodeType === Node.ELEMENT_NODE ? anchor : anchor.parentElement);
+    if (images.length > 0 && !anchorElement?.closest('#page-container [contenteditable]')) {
+      (this.selectedEditor || document.querySelector('#page-container .editor'))?.focus();
+    }
+
+    await this.insertImageFiles(images);
+
+    if (documents.length > 0) {
+      // Electron gives dropped files their path on disk
+      const result = await bridge.invoke('open-files', { filePaths: documents.map(file => file.path) });
+      if (!result.ok) {
+        console.error('Error opening dropped files:', result.error);
+        this.showToast('Error opening file');
+      }
+    }
+
+    if (ignored > 0) {
+      this.showToast(`${ignored} dropped file${ignored === 1 ? ' is' : 's are'} neither an image nor a document`);
+    }
+  }
+
+  // Embeds image files at the caret, named after the file for their alt text.
+  // Files over the limit of src/shared/limits.js are refused, as main.js does.
+  async insertImageFiles(files) {
+    const { MAX_EMBEDDED_IMAGE_BYTES } = bridge.limits;
+    for (const file of files) {
+      if (file.size > MAX_EMBEDDED_IMAGE_BYTES) {
+        this.showToast(`${file.name} is too large to embed (over ${MAX_EMBEDDED_IMAGE_BYTES / 1024 / 1024} MB)`);
+        continue;
+      }
+      try {
+        const image = this.imageEditor.create(await this.readFileAsDataURL(file), file.name.replace(/\.[^.]+$/, ''));
+        this.execCmd('insertHTML', image.outerHTML, 'Insert Image');
+      } catch (error) {
+        console.error(`Error inserting ${file.name}:`, error);
+        this.showToast(`Could not insert ${file.name}`);
+      }
+    }
+  }
+
+  readFileAsDataURL(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(file);
     });
+  }
+
+  // Pasted and dropped content comes from other applications: images without
+  // text (a screenshot, a copied picture) are embedded, HTML is sanitized and
+  // anything else is inserted as plain text
+  insertTransferredData(dataTransfer, description) {
+    const images = Array.from(dataTransfer.files || []).filter(file => /^image\//.test(file.type));
+    if (images.length > 0 && !dataTransfer.getData('text/plain').trim()) {
+      this.insertImageFiles(images);
+      return;
+    }
+
+    const label = description === 'dropped content' ? 'Drop' : 'Paste';
+    const html = dataTransfer.getData('text/html');
+    if (!html) {
+      this.execCmd('insertText', dataTransfer.getData('text/plain'), label);
+      return;
+    }
+
+    const { html: clean, removed } = this.sanitizer.sanitize(html);
+    this.execCmd('insertHTML', clean, label);
 
-    return temp.innerHTML;
+    const total = removed.reduce((sum, item) => sum + item.count, 0);
+    if (total > 0) {
+      removed.forEach(item => console.warn(`Sanitizer (${description}):`, item.message, `(×${item.count})`));
+      this.showToast(`Removed ${total} unsafe item${total === 1 ? '' : 's'} from ${description}`);
+    }
   }
 
   // Export functions for external access
   getDocumentData() {
     return {
       content: this.getAllContent(),
+      document: this.serializeDocument(),
       text: this.getAllText(),
       modified: this.documentModified,
       filePath: this.currentFilePath,
@@ -1265,15 +4655,18 @@ class DocumentEditor {
   }
 
   loadFromData(data) {
-    if (data.content) {
-      this.loadDocument(data.filePath || null, data.content);
+    if (data.document) {
+      this.loadDocument(data.filePath || null, data.document);
+    } else if (data.content) {
+      this.loadDocument(data.filePath || null, { pages: [{ content: data.content }] });
     }
   }
 
-  // Auto-save functionality
+  // Auto-save: snapshots go to the recovery journal (see src/main/recovery-journal.js),
+  // untitled documents included; the file itself is only written by Save
   setupAutoSave() {
     setInterval(() => {
-      if (this.documentModified && this.currentFilePath) {
+      if (this.documentModified && this.snapshotPending) {
         this.autoSave();
       }
     }, 30000); // Auto-save every 30 seconds
@@ -1281,30 +4674,100 @@ class DocumentEditor {
 
   async autoSave() {
     try {
-      const result = await ipcRenderer.invoke('auto-save-document', {
-        filePath: this.currentFilePath,
-        content: this.getAllContent()
+      this.snapshotPending = false;
+      const result = await bridge.invoke('auto-save-document', {
+        id: this.documentId,
+        title: this.currentFilePath ? this.currentFilePath.split(/[/\\]/).pop() : 'Untitled Document',
+        preview: this.getAllText().replace(/\s+/g, ' ').trim().slice(0, 200),
+        document: this.serializeDocument()
       });
+      if (!result.ok) throw new Error(result.error);
 
-      if (result.success) {
-        console.log('Document auto-saved');
-      }
+      this.hasSnapshot = true;
     } catch (error) {
+      this.snapshotPending = true;
       console.error('Auto-save failed:', error);
     }
   }
 
-  // Format preservation
-  preserveFormatting() {
-    document.querySelectorAll('.editor').forEach(editor => {
-      // Ensure formatting is preserved when content changes
-      editor.addEventListener('paste', (e) => {
-        e.preventDefault();
-        const text = e.clipboardData.getData('text/html') || e.clipboardData.getData('text/plain');
-        const sanitizedHTML = this.sanitizeHTML(text);
-        this.execCmd('insertHTML', sanitizedHTML);
-      });
+  discardSnapshot() {
+    if (!this.hasSnapshot) return;
+    this.hasSnapshot = false;
+    bridge.invoke('discard-recovery', { id: this.documentId }).then(result => {
+      if (!result.ok) console.error('Could not discard recovery snapshot:', result.error);
+    });
+  }
+
+  // Lists documents a crash left in the recovery journal
+  showRecoveryPanel(snapshots) {
+    const list = document.getElementById('recoveryList');
+    if (!list) return;
+
+    list.innerHTML = '';
+    snapshots.forEach(snapshot => {
+      const item = document.createElement('li');
+      item.className = 'recovery-item';
+
+      const title = document.createElement('div');
+      title.className = 'recovery-title';
+      title.textContent = snapshot.title;
+      const time = document.createElement('div');
+      time.className = 'recovery-time';
+      time.textContent = `Last saved ${new Date(snapshot.savedAt).toLocaleString()}` +
+        (snapshot.filePath ? ` · ${snapshot.filePath}` : '');
+      const preview = document.createElement('div');
+      preview.className = 'recovery-preview';
+      preview.textContent = snapshot.preview || '(empty document)';
+
+      const recoverButton = document.createElement('button');
+      recoverButton.textContent = 'Recover';
+      recoverButton.onclick = () => this.recoverSnapshot(snapshot.id, item);
+      const discardButton = document.createElement('button');
+      discardButton.textContent = 'Discard';
+      discardButton.onclick = async () => {
+        const result = await bridge.invoke('discard-recovery', { id: snapshot.id });
+        if (!result.ok) {
+          this.showToast('Could not discard the recovered document');
+          return;
+        }
+        this.removeRecoveryItem(item);
+      };
+
+      item.append(title, time, preview, recoverButton, discardButton);
+      list.appendChild(item);
     });
+
+    this.showPanel('recoveryPanel');
+  }
+
+  removeRecoveryItem(item) {
+    const list = item.parentElement;
+    item.remove();
+    if (list && list.children.length === 0) {
+      this.hidePanel('recoveryPanel');
+    }
+  }
+
+  // The document opens here if this one is blank, otherwise in a new window
+  async recoverSnapshot(id, item) {
+    const result = await bridge.invoke('recover-document', { id });
+    if (!result.ok) {
+      console.error('Error recovering document:', result.error);
+      this.showToast('Could not recover the document');
+      return;
+    }
+    this.removeRecoveryItem(item);
+  }
+
+  restoreSnapshot(snapshot) {
+    const removed = this.loadDocument(snapshot.filePath, snapshot.document);
+    // The recovered text is not in any file yet, and keeps its snapshot until saved
+    this.documentId = snapshot.id;
+    this.hasSnapshot = true;
+    this.history.markSaved(false);
+    this.markDocumentAsModified();
+    this.showToast(`Recovered ${snapshot.title}`);
+    if (removed.length > 0) this.showImportReport(snapshot.filePath, removed);
   }
 
   // Cleanup function
@@ -1313,15 +4776,13 @@ class DocumentEditor {
     clearTimeout(this.typingTimer);
 
     // Remove IPC listeners
-    const events = ['menu-new', 'menu-open', 'menu-save', 'menu-save-as', 'menu-export-pdf', 'menu-print', 'menu-find', 'menu-theme-toggle'];
-    events.forEach(event => {
-      ipcRenderer.removeAllListeners(event);
+    bridge.eventChannels.forEach(channel => {
+      bridge.removeAllListeners(channel);
     });
 
     // Remove window event listeners
     window.removeEventListener('beforeunload', (e) => { if (this.documentModified) e.returnValue = true; });
     window.removeEventListener('resize', this.handleResize.bind(this));
-    window.removeEventListener('resize', this.calculatePageDimensions.bind(this));
 
 
     console.log('Document Editor destroyed');
@@ -0,0 +1,261 @@
+// Headless conversion from the command line:
+//
+//   mediasphere --convert <file or glob>... --to <pdf|docx|md|html|msdoc> [--out <dir>]
+//
+// Each input is read like File > Open, loaded into a hidden window running
+// the normal editor (so it is sanitized and laid out exactly as on screen)
+// and written with the same code as the export commands. Outputs go next to
+// their input unless --out names a directory. The exit code is 0 when every
+// file converted, 1 when any failed and 2 for a usage error.
+const fs = require('fs');
+const path = require('path');
+const ipc = require('./ipc');
+const { readDocument, writeDocument, writeFileAtomic, isSupportedDocument } = require('./document-io');
+const { buildDocx } = require('./docx-export');
+const { writeMarkdown } = require('./markdown');
+const { renderPDF } = require('./pdf-export');
+
+const OUTPUT_EXTENSIONS = {
+  pdf: '.pdf',
+  docx: '.docx',
+  md: '.md',
+  html: '.html',
+  msdoc: '.msdoc',
+};
+
+const FORMAT_ALIASES = { markdown: 'md', htm: 'html', word: 'docx' };
+
+const CONVERSION_TIMEOUT = 60000; // Per document
+
+const USAGE = 'Usage: mediasphere --convert <file or glob>... --to <pdf|docx|md|html|msdoc> [--out <dir>]';
+
+class UsageError extends Error {}
+
+// Resolves the document currently being laid out; one at a time
+let pendingConversion = null;
+
+function isConvertCommand(args) {
+  return args.some(arg => arg === '--convert' || arg.startsWith('--convert='));
+}
+
+// Accepts both "--to pdf" and "--to=pdf"; every other argument after
+// --convert is an input. Unknown switches (e.g. added by Chromium) are ignored.
+function parseArgs(args) {
+  const options = { inputs: [], format: null, outDir: null };
+  let collecting = false;
+
+  for (let i = 0; i < args.length; i++) {
+    const [flag, inlineValue] = args[i].startsWith('--') ? args[i].split(/=(.*)/s) : [args[i]];
+    const value = () => {
+      if (inlineValue !== undefined) return inlineValue;
+      if (i + 1 >= args.length) throw new UsageError(`${flag} needs a value`);
+      return args[++i];
+    };
+
+    if (flag === '--convert') {
+      collecting = true;
+      if (inlineValue) options.inputs.push(inlineValue);
+    } else if (flag === '--to') {
+      options.format = value().toLowerCase().replace(/^\./, '');
+      collecting = false;
+    } else if (flag === '--out') {
+      options.outDir = value();
+      collecting = false;
+    } else if (flag.startsWith('-')) {
+      collecting = false;
+    } else if (collecting) {
+      options.inputs.push(flag);
+    }
+  }
+
+  options.format = FORMAT_ALIASES[options.format] || options.format;
+  if (options.inputs.length === 0) throw new UsageError('No input files given');
+  if (!options.format) throw new UsageError('No output format given (--to)');
+  if (!OUTPUT_EXTENSIONS[options.format]) throw new UsageError(`Unknown output format "${options.format}"`);
+  return options;
+}
+
+function hasWildcard(pattern) {
+  return /[*?]/.test(pattern);
+}
+
+// "*" and "?" match within one path segment and "**" any number of directories
+function segmentToRegExp(segment) {
+  const source = Array.from(segment, char => {
+    if (char === '*') return '.*';
+    if (char === '?') return '.';
+    return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  }).join('');
+  return new RegExp(`^${source}$`, process.platform === 'win32' ? 'i' : '');
+}
+
+// Shells usually expand globs already; this covers quoted patterns and Windows
+async function expandPattern(pattern, cwd) {
+  const absolute = path.resolve(cwd, pattern);
+  if (!hasWildcard(pattern)) return [absolute];
+
+  const { root } = path.parse(absolute);
+  const segments = absolute.slice(root.length).split(/[/\\]+/).filter(Boolean);
+  const matches = new Set();
+
+  const walk = async (dir, index) => {
+    if (index === segments.length) {
+      const stats = await fs.promises.stat(dir).catch(() => null);
+      if (stats && stats.isFile()) matches.add(dir);
+      return;
+    }
+
+    const segment = segments[index];
+    if (!hasWildcard(segment)) {
+      await walk(path.join(dir, segment), index + 1);
+      return;
+    }
+
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      return; // Not a directory, or unreadable
+    }
+    // Like shells, wildcards skip hidden files unless the pattern names them
+    const visible = entries.filter(entry => segment.startsWith('.') || !entry.name.startsWith('.'));
+
+    if (segment === '**') {
+      await walk(dir, index + 1);
+      for (const entry of visible.filter(item => item.isDirectory())) {
+        await walk(path.join(dir, entry.name), index);
+      }
+      return;
+    }
+
+    const matcher = segmentToRegExp(segment);
+    for (const entry of visible.filter(item => matcher.test(item.name))) {
+      await walk(path.join(dir, entry.name), index + 1);
+    }
+  };
+
+  await walk(root, 0);
+  return Array.from(matches).sort();
+}
+
+function waitForLoad(window) {
+  return new Promise((resolve, reject) => {
+    window.webContents.once('did-finish-load', resolve);
+    window.webContents.once('did-fail-load', (event, code, description) => reject(new Error(description)));
+  });
+}
+
+// Loads one document into the conversion window and resolves with what the
+// renderer sends back on 'conversion-output'
+function renderDocument(window, request) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      pendingConversion = null;
+      reject(new Error('Timed out while laying out the document'));
+    }, CONVERSION_TIMEOUT);
+
+    pendingConversion = (output) => {
+      clearTimeout(timer);
+      pendingConversion = null;
+      if (output.error) {
+        reject(new Error(output.error));
+      } else {
+        resolve(output);
+      }
+    };
+    ipc.send(window.webContents, 'convert-document', request);
+  });
+}
+
+async function convertFile(window, inputPath, { format, outDir }) {
+  if (!isSupportedDocument(inputPath)) {
+    throw new Error('Not a document Media Sphere Docs can open');
+  }
+
+  const outputDir = outDir || path.dirname(inputPath);
+  const outputPath = path.join(outputDir, path.basename(inputPath, path.extname(inputPath)) + OUTPUT_EXTENSIONS[format]);
+  if (path.resolve(outputPath) === path.resolve(inputPath)) {
+    throw new Error('The output would overwrite the input');
+  }
+
+  const { document, warnings } = await readDocument(inputPath);
+  const output = await renderDocument(window, { filePath: inputPath, document, format, outputDir });
+  const allWarnings = [...warnings, ...(output.warnings || [])];
+
+  if (format === 'pdf') {
+    await writeFileAtomic(outputPath, await renderPDF(window.webContents, output.outline));
+  } else if (format === 'docx') {
+    const result = await buildDocx(output.model, { title: output.title, author: output.author });
+    await writeFileAtomic(outputPath, result.buffer);
+    result.warnings.forEach(message => allWarnings.push({ type: 'warning', message, count: 1 }));
+  } else if (format === 'md') {
+    await writeMarkdown(outputPath, output.markdown);
+  } else {
+    await writeDocument(outputPath, output.document);
+  }
+
+  return { outputPath, warnings: allWarnings };
+}
+
+// Runs the whole command and resolves with the process exit code.
+// createWindow returns a hidden BrowserWindow that is loading the editor.
+async function runConversion(args, cwd, createWindow) {
+  let options;
+  try {
+    options = parseArgs(args);
+  } catch (error) {
+    if (!(error instanceof UsageError)) throw error;
+    console.error(`${error.message}\n${USAGE}`);
+    return 2;
+  }
+
+  let failures = 0;
+  const inputs = [];
+  for (const pattern of options.inputs) {
+    const matches = await expandPattern(pattern, cwd);
+    if (matches.length === 0) {
+      console.error(`No files match ${pattern}`);
+      failures++;
+    }
+    matches.forEach(match => { if (!inputs.includes(match)) inputs.push(match); });
+  }
+
+  if (options.outDir) {
+    options.outDir = path.resolve(cwd, options.outDir);
+    await fs.promises.mkdir(options.outDir, { recursive: true });
+  }
+
+  const window = createWindow();
+  ipc.on('conversion-output', (event, output) => {
+    if (event.sender === window.webContents && pendingConversion) {
+      pendingConversion(output);
+    }
+  });
+
+  try {
+    await waitForLoad(window);
+    for (const inputPath of inputs) {
+      try {
+        const { outputPath, warnings } = await convertFile(window, inputPath, options);
+        console.log(`${inputPath} -> ${outputPath}`);
+        warnings.forEach(warning => {
+          console.warn(`  warning: ${warning.message}${warning.count > 1 ? ` (x${warning.count})` : ''}`);
+        });
+      } catch (error) {
+        console.error(`${inputPath}: ${error.message}`);
+        failures++;
+      }
+    }
+  } finally {
+    window.destroy();
+  }
+
+  return failures > 0 ? 1 : 0;
+}
+
+module.exports = {
+  isConvertCommand,
+  parseArgs,
+  expandPattern,
+  runConversion,
+};
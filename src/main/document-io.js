@@ -0,0 +1,177 @@
+// Reading and writing documents on disk, dispatched on file extension
+const fs = require('fs');
+const path = require('path');
+const { fileURLToPath } = require('url');
+const msdoc = require('./msdoc');
+const { importDocx } = require('./docx-import');
+const { isMarkdownFile, importMarkdown } = require('./markdown');
+const { MAX_EMBEDDED_IMAGE_BYTES } = require('../shared/limits');
+
+const NATIVE_EXTENSION = '.msdoc';
+
+// Everything readDocument understands, for file associations and drops
+const DOCUMENT_EXTENSIONS = [NATIVE_EXTENSION, '.docx', '.md', '.markdown', '.html', '.htm'];
+
+// Image types that can be embedded, by file extension
+const IMAGE_MIME_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.svg': 'image/svg+xml',
+  '.webp': 'image/webp',
+  '.bmp': 'image/bmp',
+};
+
+function isNativeDocument(filePath) {
+  return path.extname(filePath).toLowerCase() === NATIVE_EXTENSION;
+}
+
+function isSupportedDocument(filePath) {
+  return DOCUMENT_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+}
+
+// Returns { document, warnings } for any supported file type, where document
+// is the object described in msdoc.js and warnings lists conversion problems
+async function readDocument(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+
+  if (isNativeDocument(filePath)) {
+    return { document: await msdoc.unpack(await fs.promises.readFile(filePath)), warnings: [] };
+  }
+
+  if (extension === '.docx') {
+    return importDocx(filePath);
+  }
+
+  if (isMarkdownFile(filePath)) {
+    return importMarkdown(await fs.promises.readFile(filePath, 'utf8'), filePath);
+  }
+
+  // Anything else is treated as legacy HTML and migrated
+  return { document: msdoc.fromHTML(await fs.promises.readFile(filePath, 'utf8')), warnings: [] };
+}
+
+let tempFileCount = 0; // Keeps apart the temporary files of writes that overlap
+
+// Writes to a temporary file next to the target and renames it into place,
+// so a crash mid-write leaves either the old file or the new one, never half
+async function writeFileAtomic(filePath, data) {
+  const tempPath = `${filePath}.${process.pid}.${++tempFileCount}.tmp`;
+  let handle;
+  try {
+    handle = await fs.promises.open(tempPath, 'w');
+    await handle.writeFile(data);
+    await handle.sync();
+    await handle.close();
+    handle = null;
+    await fs.promises.rename(tempPath, filePath);
+  } catch (error) {
+    if (handle) await handle.close().catch(() => {});
+    await fs.promises.unlink(tempPath).catch(() => {});
+    throw error;
+  }
+}
+
+const pendingTasks = new Map(); // Resolved file path -> the last task queued for it
+
+// Runs task once the tasks queued before it for the same file are done, so
+// writes and read-modify-write updates of one file never overlap. Resolves
+// to what task resolves to.
+function queueFileTask(filePath, task) {
+  const key = path.resolve(filePath);
+  const run = () => task();
+  const pending = (pendingTasks.get(key) || Promise.resolve()).then(run, run);
+  pendingTasks.set(key, pending);
+  const forget = () => {
+    if (pendingTasks.get(key) === pending) pendingTasks.delete(key);
+  };
+  pending.then(forget, forget);
+  return pending;
+}
+
+// writeFileAtomic() for files rewritten on every change, such as the stores
+// in userData: creates the directory and waits for the previous write to the
+// same file
+function queuedAtomicWrite(storePath, data) {
+  return queueFileTask(storePath, async () => {
+    await fs.promises.mkdir(path.dirname(storePath), { recursive: true });
+    await writeFileAtomic(storePath, data);
+  });
+}
+
+// Reads an image file into a data: URL, for embedding it in a document
+async function readImageAsDataURL(filePath) {
+  const mime = IMAGE_MIME_TYPES[path.extname(filePath).toLowerCase()];
+  if (!mime) {
+    throw new Error(`${path.basename(filePath)} is not a supported image type`);
+  }
+  const { size } = await fs.promises.stat(filePath);
+  if (size > MAX_EMBEDDED_IMAGE_BYTES) {
+    throw new Error(`${path.basename(filePath)} is too large to embed (over ${MAX_EMBEDDED_IMAGE_BYTES / 1024 / 1024} MB)`);
+  }
+  const data = await fs.promises.readFile(filePath);
+  return `data:${mime};base64,${data.toString('base64')}`;
+}
+
+// Replaces the file: URLs of images in html with the images themselves, so
+// the document still shows them on another machine. Images that can no
+// longer be read keep their link.
+async function embedLocalImages(html) {
+  const pattern = /(<img\b[^>]*?\ssrc=)(["'])(file:[^"']+)\2/gi;
+  const embedded = new Map();
+  for (const [, , , url] of html.matchAll(pattern)) {
+    if (embedded.has(url)) continue;
+    try {
+      embedded.set(url, await readImageAsDataURL(fileURLToPath(url.replace(/&amp;/g, '&'))));
+    } catch (error) {
+      embedded.set(url, null);
+    }
+  }
+  return html.replace(pattern, (match, start, quote, url) => (
+    embedded.get(url) ? `${start}${quote}${embedded.get(url)}${quote}` : match
+  ));
+}
+
+// The document with the linked images of its pages, headers and footers embedded
+async function embedDocumentImages(doc) {
+  const pages = Array.isArray(doc.pages)
+    ? await Promise.all(doc.pages.map(async page => (
+      typeof page.content === 'string' ? { ...page, content: await embedLocalImages(page.content) } : page
+    )))
+    : doc.pages;
+
+  let headerFooter = doc.headerFooter;
+  if (headerFooter) {
+    headerFooter = { ...headerFooter };
+    for (const type of ['header', 'footer']) {
+      if (!headerFooter[type] || typeof headerFooter[type] !== 'object') continue;
+      const variants = { ...headerFooter[type] };
+      for (const [variant, html] of Object.entries(variants)) {
+        if (typeof html === 'string') variants[variant] = await embedLocalImages(html);
+      }
+      headerFooter[type] = variants;
+    }
+  }
+
+  return { ...doc, pages, headerFooter };
+}
+
+async function writeDocument(filePath, doc) {
+  const portable = await embedDocumentImages(doc);
+  const data = isNativeDocument(filePath) ? await msdoc.pack(portable) : msdoc.toHTML(portable);
+  await queueFileTask(filePath, () => writeFileAtomic(filePath, data));
+}
+
+module.exports = {
+  NATIVE_EXTENSION,
+  DOCUMENT_EXTENSIONS,
+  isNativeDocument,
+  isSupportedDocument,
+  readDocument,
+  writeDocument,
+  readImageAsDataURL,
+  writeFileAtomic,
+  queueFileTask,
+  queuedAtomicWrite,
+};
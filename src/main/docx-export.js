@@ -0,0 +1,755 @@
+// Word (.docx) export: turns the model built by src/renderer/docx-serializer.js
+// into an OOXML package
+const fs = require('fs');
+const path = require('path');
+const { fileURLToPath } = require('url');
+const JSZip = require('jszip');
+
+const NS = {
+  w: 'http://schemas.openxmlformats.org/wordprocessingml/2006/main',
+  r: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships',
+  wp: 'http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing',
+  a: 'http://schemas.openxmlformats.org/drawingml/2006/main',
+  pic: 'http://schemas.openxmlformats.org/drawingml/2006/picture',
+  pkgRels: 'http://schemas.openxmlformats.org/package/2006/relationships',
+};
+
+const REL_TYPES = {
+  officeDocument: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument',
+  coreProperties: 'http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties',
+  styles: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles',
+  numbering: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/numbering',
+  settings: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/settings',
+  header: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/header',
+  footer: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/footer',
+  image: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/image',
+  hyperlink: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/hyperlink',
+};
+
+const CONTENT_TYPES = {
+  document: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml',
+  styles: 'application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml',
+  numbering: 'application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml',
+  settings: 'application/vnd.openxmlformats-officedocument.wordprocessingml.settings+xml',
+  header: 'application/vnd.openxmlformats-officedocument.wordprocessingml.header+xml',
+  footer: 'application/vnd.openxmlformats-officedocument.wordprocessingml.footer+xml',
+  core: 'application/vnd.openxmlformats-package.core-properties+xml',
+};
+
+// Word only accepts these raster formats without a fallback image
+const IMAGE_TYPES = {
+  png: 'image/png',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  bmp: 'image/bmp',
+};
+
+// A4 with the .page padding from styles.css (30mm top/bottom, 20mm left/right), in twips
+const PAGE = {
+  width: 11906,
+  height: 16838,
+  marginTop: 1701,
+  marginBottom: 1701,
+  marginLeft: 1134,
+  marginRight: 1134,
+  header: 709,
+  footer: 709,
+};
+const TWIPS_PER_MM = 1440 / 25.4;
+const TWIPS_PER_PX = 1440 / 96;
+const EMU_PER_PX = 9525;
+// Cell padding a table's cells take from the column width (tblCellMar), in twips
+const TABLE_CELL_MARGINS = 230;
+// Space between an image and the text wrapping around it, in EMUs (about 3 mm)
+const IMAGE_WRAP_DISTANCE = 114300;
+
+// Paragraph and character styles written to styles.xml, unless the model has
+// its own. Sizes are in half-points, spacing and indents in twips, and outline
+// is the heading level counted from 0.
+const DEFAULT_STYLES = [
+  { id: 'Normal', name: 'Normal', type: 'paragraph', isDefault: true, spaceAfter: 240 },
+  { id: 'Title', name: 'Title', type: 'paragraph', run: { size: 56 }, spaceAfter: 240 },
+  { id: 'Heading1', name: 'heading 1', type: 'paragraph', outline: 0, run: { bold: true, size: 48 }, spaceBefore: 240, spaceAfter: 120 },
+  { id: 'Heading2', name: 'heading 2', type: 'paragraph', outline: 1, run: { bold: true, size: 36 }, spaceBefore: 240, spaceAfter: 120 },
+  { id: 'Heading3', name: 'heading 3', type: 'paragraph', outline: 2, run: { bold: true, size: 28 }, spaceBefore: 240, spaceAfter: 120 },
+  { id: 'Heading4', name: 'heading 4', type: 'paragraph', outline: 3, run: { bold: true, size: 24 }, spaceBefore: 240, spaceAfter: 120 },
+  { id: 'Heading5', name: 'heading 5', type: 'paragraph', outline: 4, run: { bold: true, size: 20 }, spaceBefore: 240, spaceAfter: 120 },
+  { id: 'Heading6', name: 'heading 6', type: 'paragraph', outline: 5, run: { bold: true, size: 16 }, spaceBefore: 240, spaceAfter: 120 },
+  { id: 'Quote', name: 'Quote', type: 'paragraph', run: { italic: true, color: '555555' } },
+  { id: 'Code', name: 'Code', type: 'paragraph', run: { font: 'Courier New' } },
+  { id: 'Caption', name: 'caption', type: 'paragraph', run: { italic: true, size: 18, color: '44546A' }, spaceAfter: 200 },
+  { id: 'Strong', name: 'Strong', type: 'character', run: { bold: true } },
+  { id: 'Emphasis', name: 'Emphasis', type: 'character', run: { italic: true } },
+  { id: 'InlineCode', name: 'Inline Code', type: 'character', run: { font: 'Courier New' } },
+  { id: 'Hyperlink', name: 'Hyperlink', type: 'character', run: { color: '0563C1', underline: true } },
+];
+
+function escapeXML(value) {
+  return String(value)
+    // Characters that are not allowed anywhere in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function xmlDeclaration(body) {
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n${body}`;
+}
+
+// Width/height in pixels from the image header, for images the renderer could not measure
+function imageSize(buffer, type) {
+  try {
+    if (type === 'png') return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    if (type === 'gif') return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+    if (type === 'bmp') return { width: buffer.readInt32LE(18), height: Math.abs(buffer.readInt32LE(22)) };
+    if (type === 'jpeg') {
+      let offset = 2;
+      while (offset < buffer.length) {
+        const marker = buffer.readUInt16BE(offset);
+        // SOF0..SOF15 except DHT/JPG/DAC hold the frame size
+        if (marker >= 0xffc0 && marker <= 0xffcf && ![0xffc4, 0xffc8, 0xffcc].includes(marker)) {
+          return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+        }
+        offset += 2 + buffer.readUInt16BE(offset + 2);
+      }
+    }
+  } catch (error) {
+    // Truncated or unusual header, fall through
+  }
+  return null;
+}
+
+function detectImageType(buffer) {
+  if (buffer.length < 4) return null;
+  if (buffer.readUInt32BE(0) === 0x89504e47) return 'png';
+  if (buffer.readUInt16BE(0) === 0xffd8) return 'jpeg';
+  if (buffer.toString('ascii', 0, 3) === 'GIF') return 'gif';
+  if (buffer.toString('ascii', 0, 2) === 'BM') return 'bmp';
+  return null;
+}
+
+// Shared state for one export: media files, list numbering and warnings
+class DocxPackage {
+  constructor() {
+    this.media = new Map(); // image src -> { name, type, data, size } or null when unusable
+    this.lists = new Map(); // list id from the model -> { numId, kind, level, start }
+    this.warnings = [];
+    this.drawingId = 0;
+    this.revisionId = 0;
+  }
+
+  async loadImage(src) {
+    if (this.media.has(src)) return;
+
+    let data = null;
+    try {
+      const dataURL = /^data:[^;,]+;base64,(.*)$/i.exec(src);
+      if (dataURL) {
+        data = Buffer.from(dataURL[1], 'base64');
+      } else if (/^file:/i.test(src)) {
+        data = await fs.promises.readFile(fileURLToPath(src));
+      } else if (path.isAbsolute(src)) {
+        data = await fs.promises.readFile(src);
+      } else {
+        this.warnings.push(`Skipped image that is not stored locally: ${src.slice(0, 80)}`);
+      }
+    } catch (error) {
+      this.warnings.push(`Could not read image ${src.slice(0, 80)}: ${error.message}`);
+    }
+
+    const type = data && detectImageType(data);
+    if (data && !type) {
+      this.warnings.push('Skipped an image in a format Word cannot display (only PNG, JPEG, GIF and BMP are supported)');
+    }
+
+    this.media.set(src, type ? {
+      name: `image${this.media.size + 1}.${type === 'jpeg' ? 'jpg' : type}`,
+      type,
+      data,
+      size: imageSize(data, type),
+    } : null);
+  }
+
+  listNumber(list) {
+    if (!this.lists.has(list.id)) {
+      this.lists.set(list.id, { ...list, numId: this.lists.size + 1 });
+    }
+    return this.lists.get(list.id).numId;
+  }
+}
+
+// Writes one XML part (document, header or footer) and collects its relationships.
+// Blocks are written for a width in twips, the column of their section or
+// table cell, which tables fill and images are scaled down to.
+class PartWriter {
+  constructor(pkg) {
+    this.pkg = pkg;
+    this.rels = [];
+  }
+
+  addRelationship(type, target, external = false) {
+    const existing = this.rels.find(rel => rel.type === type && rel.target === target);
+    if (existing) return existing.id;
+
+    const id = `rId${this.rels.length + 1}`;
+    this.rels.push({ id, type, target, external });
+    return id;
+  }
+
+  relationshipsXML() {
+    const rels = this.rels.map(rel =>
+      `<Relationship Id="${rel.id}" Type="${rel.type}" Target="${escapeXML(rel.target)}"${rel.external ? ' TargetMode="External"' : ''}/>`
+    ).join('');
+    return xmlDeclaration(`<Relationships xmlns="${NS.pkgRels}">${rels}</Relationships>`);
+  }
+
+  // Parts must never be empty: Word requires at least one paragraph
+  blocks(blocks, lastParagraphExtra = '', width = contentWidth(sectionGeometry(null))) {
+    const items = blocks.length > 0 ? blocks : [{ type: 'paragraph', runs: [] }];
+    const last = items[items.length - 1];
+
+    let xml = items.map(block => {
+      if (block.type === 'table') return this.table(block, width);
+      return this.paragraph(block, block === last ? lastParagraphExtra : '', width);
+    }).join('');
+
+    // A section break has to live in a paragraph, so tables get one after them
+    if (lastParagraphExtra && last.type === 'table') {
+      xml += this.paragraph({ type: 'paragraph', runs: [] }, lastParagraphExtra, width);
+    }
+    return xml;
+  }
+
+  paragraphProperties(block, extra) {
+    let xml = '';
+    if (block.style) xml += `<w:pStyle w:val="${escapeXML(block.style)}"/>`;
+    if (block.list) {
+      xml += `<w:numPr><w:ilvl w:val="${block.list.level}"/><w:numId w:val="${this.pkg.listNumber(block.list)}"/></w:numPr>`;
+    }
+    if (block.border === 'bottom') {
+      xml += '<w:pBdr><w:bottom w:val="single" w:sz="6" w:space="1" w:color="auto"/></w:pBdr>';
+    }
+    if (block.tabs && block.tabs.length > 0) {
+      xml += `<w:tabs>${block.tabs.map(tab =>
+        `<w:tab w:val="${tab.align}"${tab.leader ? ` w:leader="${tab.leader}"` : ''} w:pos="${Math.round(tab.position)}"/>`
+      ).join('')}</w:tabs>`;
+    }
+
+    const spacing = [];
+    if (block.spaceAfter !== null && block.spaceAfter !== undefined) spacing.push(`w:after="${block.spaceAfter}"`);
+    if (block.lineHeight) spacing.push(`w:line="${Math.round(block.lineHeight * 240)}" w:lineRule="auto"`);
+    if (spacing.length > 0) xml += `<w:spacing ${spacing.join(' ')}/>`;
+
+    if (block.indent) xml += `<w:ind w:left="${block.indent}"/>`;
+    if (block.align) xml += `<w:jc w:val="${block.align}"/>`;
+    xml += extra;
+
+    return xml ? `<w:pPr>${xml}</w:pPr>` : '';
+  }
+
+  paragraph(block, extra = '', width) {
+    let xml = '';
+    const runs = block.runs || [];
+
+    // Consecutive runs with the same link share one <w:hyperlink>
+    for (let i = 0; i < runs.length;) {
+      const link = runs[i].link;
+      if (!link) {
+        xml += this.run(runs[i], null, width);
+        i += 1;
+        continue;
+      }
+
+      const id = this.addRelationship(REL_TYPES.hyperlink, link, true);
+      let inner = '';
+      while (i < runs.length && runs[i].link === link) {
+        inner += this.run(runs[i], 'Hyperlink', width);
+        i += 1;
+      }
+      xml += `<w:hyperlink r:id="${id}" w:history="1">${inner}</w:hyperlink>`;
+    }
+
+    return `<w:p>${this.paragraphProperties(block, extra)}${xml}</w:p>`;
+  }
+
+  runProperties(run, characterStyle) {
+    let xml = '';
+    const style = characterStyle || run.style;
+    if (style) xml += `<w:rStyle w:val="${escapeXML(style)}"/>`;
+    if (run.font) {
+      const font = escapeXML(run.font);
+      xml += `<w:rFonts w:ascii="${font}" w:hAnsi="${font}" w:cs="${font}"/>`;
+    }
+    if (run.bold) xml += '<w:b/>';
+    if (run.italic) xml += '<w:i/>';
+    if (run.strike) xml += '<w:strike/>';
+    if (run.color) xml += `<w:color w:val="${run.color}"/>`;
+    if (run.size) xml += `<w:sz w:val="${run.size}"/><w:szCs w:val="${run.size}"/>`;
+    if (run.underline) xml += '<w:u w:val="single"/>';
+    // Arbitrary highlight colours need shading, <w:highlight> only knows 16 names
+    if (run.highlight) xml += `<w:shd w:val="clear" w:color="auto" w:fill="${run.highlight}"/>`;
+    if (run.vertAlign) xml += `<w:vertAlign w:val="${run.vertAlign}"/>`;
+    return xml ? `<w:rPr>${xml}</w:rPr>` : '';
+  }
+
+  // Runs in a tracked change are wrapped in <w:ins> or <w:del>, and deleted text is <w:delText>
+  run(run, characterStyle = null, width) {
+    const xml = this.runContent(run, characterStyle, width);
+    if (!run.revision || !xml) return xml;
+
+    const { type, author, date } = run.revision;
+    const tag = type === 'delete' ? 'w:del' : 'w:ins';
+    let attributes = `w:id="${++this.pkg.revisionId}" w:author="${escapeXML(author || 'Unknown author')}"`;
+    if (date) attributes += ` w:date="${escapeXML(date.replace(/\.\d+Z$/, 'Z'))}"`;
+    const content = type === 'delete'
+      ? xml.replace(/<(\/?)w:t([ >])/g, '<$1w:delText$2').replace(/<(\/?)w:instrText([ >])/g, '<$1w:delInstrText$2')
+      : xml;
+    return `<${tag} ${attributes}>${content}</${tag}>`;
+  }
+
+  runContent(run, characterStyle, width) {
+    const properties = this.runProperties(run, characterStyle);
+
+    switch (run.type) {
+      case 'break':
+        return '<w:r><w:br/></w:r>';
+      case 'image':
+        return this.image(run, properties, width);
+      case 'field':
+        return [
+          `<w:r>${properties}<w:fldChar w:fldCharType="begin"/></w:r>`,
+          `<w:r>${properties}<w:instrText xml:space="preserve"> ${escapeXML(run.instruction)} </w:instrText></w:r>`,
+          `<w:r>${properties}<w:fldChar w:fldCharType="separate"/></w:r>`,
+          `<w:r>${properties}<w:t xml:space="preserve">${escapeXML(run.text || '')}</w:t></w:r>`,
+          `<w:r>${properties}<w:fldChar w:fldCharType="end"/></w:r>`,
+        ].join('');
+      default: {
+        const content = String(run.text || '').split('\t')
+          .map(part => `<w:t xml:space="preserve">${escapeXML(part)}</w:t>`)
+          .join('<w:tab/>');
+        return `<w:r>${properties}${content}</w:r>`;
+      }
+    }
+  }
+
+  image(run, properties, columnWidth) {
+    const media = this.pkg.media.get(run.src);
+    if (!media) return '';
+
+    const rId = this.addRelationship(REL_TYPES.image, `media/${media.name}`);
+    const maxWidth = Math.floor(columnWidth / TWIPS_PER_PX);
+    let width = run.width || (media.size && media.size.width) || 300;
+    let height = run.height || (media.size && media.size.height) || 200;
+    if (width > maxWidth) {
+      height = Math.round(height * (maxWidth / width));
+      width = maxWidth;
+    }
+
+    const cx = Math.round(width * EMU_PER_PX);
+    const cy = Math.round(height * EMU_PER_PX);
+    const id = ++this.pkg.drawingId;
+    const alt = escapeXML(run.alt || '');
+
+    const graphic = `<wp:docPr id="${id}" name="Picture ${id}" descr="${alt}"/>` +
+      '<wp:cNvGraphicFramePr><a:graphicFrameLocks noChangeAspect="1"/></wp:cNvGraphicFramePr>' +
+      '<a:graphic><a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/picture">' +
+      '<pic:pic>' +
+      `<pic:nvPicPr><pic:cNvPr id="${id}" name="${escapeXML(media.name)}" descr="${alt}"/><pic:cNvPicPr/></pic:nvPicPr>` +
+      `<pic:blipFill><a:blip r:embed="${rId}"/><a:stretch><a:fillRect/></a:stretch></pic:blipFill>` +
+      `<pic:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="${cx}" cy="${cy}"/></a:xfrm><a:prstGeom prst="rect"><a:avLst/></a:prstGeom></pic:spPr>` +
+      '</pic:pic></a:graphicData></a:graphic>';
+
+    // Images the text wraps around float at the side of the column, next to their paragraph
+    if (run.wrap === 'left' || run.wrap === 'right') {
+      const side = run.wrap === 'left' ? 'right' : 'left';
+      return `<w:r>${properties}<w:drawing>` +
+        `<wp:anchor distT="${IMAGE_WRAP_DISTANCE}" distB="${IMAGE_WRAP_DISTANCE}" distL="${IMAGE_WRAP_DISTANCE}" distR="${IMAGE_WRAP_DISTANCE}" ` +
+        `simplePos="0" relativeHeight="${id}" behindDoc="0" locked="0" layoutInCell="1" allowOverlap="0">` +
+        '<wp:simplePos x="0" y="0"/>' +
+        `<wp:positionH relativeFrom="column"><wp:align>${run.wrap}</wp:align></wp:positionH>` +
+        '<wp:positionV relativeFrom="paragraph"><wp:posOffset>0</wp:posOffset></wp:positionV>' +
+        `<wp:extent cx="${cx}" cy="${cy}"/>` +
+        '<wp:effectExtent l="0" t="0" r="0" b="0"/>' +
+        `<wp:wrapSquare wrapText="${side}"/>` +
+        graphic +
+        '</wp:anchor></w:drawing></w:r>';
+    }
+
+    return `<w:r>${properties}<w:drawing>` +
+      `<wp:inline distT="0" distB="0" distL="0" distR="0">` +
+      `<wp:extent cx="${cx}" cy="${cy}"/>` +
+      graphic +
+      '</wp:inline></w:drawing></w:r>';
+  }
+
+  table(block, tableWidth) {
+    // Lay cells out on a grid so row spans can be written as vMerge continuations
+    const grid = [];
+    block.rows.forEach((row, rowIndex) => {
+      grid[rowIndex] = grid[rowIndex] || [];
+      let column = 0;
+      row.cells.forEach(cell => {
+        while (grid[rowIndex][column]) column += 1;
+        const colSpan = Math.max(1, cell.colSpan || 1);
+        const rowSpan = Math.max(1, Math.min(cell.rowSpan || 1, block.rows.length - rowIndex));
+
+        for (let r = 0; r < rowSpan; r++) {
+          grid[rowIndex + r] = grid[rowIndex + r] || [];
+          for (let c = 0; c < colSpan; c++) {
+            grid[rowIndex + r][column + c] = { cell, first: r === 0 && c === 0, start: c === 0, rowSpan, colSpan };
+          }
+        }
+        column += colSpan;
+      });
+    });
+
+    const columnCount = Math.max(1, ...grid.map(row => row.length));
+    const sourceWidths = block.columns && block.columns.length === columnCount
+      ? block.columns
+      : new Array(columnCount).fill(1);
+    const totalWidth = sourceWidths.reduce((sum, width) => sum + width, 0);
+    const widths = sourceWidths.map(width => Math.floor((width / totalWidth) * tableWidth));
+
+    const border = '<w:{side} w:val="single" w:sz="4" w:space="0" w:color="DDDDDD"/>';
+    const borders = ['top', 'left', 'bottom', 'right', 'insideH', 'insideV']
+      .map(side => border.replace('{side}', side)).join('');
+
+    let xml = '<w:tbl><w:tblPr>' +
+      `<w:tblW w:w="${tableWidth}" w:type="dxa"/>` +
+      `<w:tblBorders>${borders}</w:tblBorders>` +
+      '<w:tblLayout w:type="fixed"/>' +
+      '<w:tblCellMar><w:left w:w="115" w:type="dxa"/><w:right w:w="115" w:type="dxa"/></w:tblCellMar>' +
+      '</w:tblPr>';
+    xml += `<w:tblGrid>${widths.map(width => `<w:gridCol w:w="${width}"/>`).join('')}</w:tblGrid>`;
+
+    grid.forEach((gridRow, rowIndex) => {
+      const row = block.rows[rowIndex];
+      xml += `<w:tr>${row && row.header ? '<w:trPr><w:tblHeader/></w:trPr>' : ''}`;
+
+      for (let column = 0; column < columnCount;) {
+        const slot = gridRow[column];
+        if (!slot) {
+          // Ragged rows are padded with empty cells
+          xml += `<w:tc><w:tcPr><w:tcW w:w="${widths[column]}" w:type="dxa"/></w:tcPr><w:p/></w:tc>`;
+          column += 1;
+          continue;
+        }
+
+        const span = slot.colSpan;
+        const cellWidth = widths.slice(column, column + span).reduce((sum, width) => sum + width, 0);
+        let properties = `<w:tcW w:w="${cellWidth}" w:type="dxa"/>`;
+        if (span > 1) properties += `<w:gridSpan w:val="${span}"/>`;
+        if (slot.rowSpan > 1) properties += slot.first ? '<w:vMerge w:val="restart"/>' : '<w:vMerge/>';
+        if (slot.cell.borders) {
+          // Word's order: top, left, bottom, right
+          properties += `<w:tcBorders>${['top', 'left', 'bottom', 'right'].map(side => {
+            const line = slot.cell.borders[side];
+            return line ? `<w:${side} w:val="single" w:sz="${line.size}" w:space="0" w:color="${line.color}"/>` : `<w:${side} w:val="nil"/>`;
+          }).join('')}</w:tcBorders>`;
+        }
+        if (slot.cell.shading) properties += `<w:shd w:val="clear" w:color="auto" w:fill="${slot.cell.shading}"/>`;
+        if (slot.cell.verticalAlign) properties += `<w:vAlign w:val="${slot.cell.verticalAlign}"/>`;
+
+        const content = slot.first ? this.blocks(slot.cell.blocks || [], '', Math.max(cellWidth - TABLE_CELL_MARGINS, 0)) : '<w:p/>';
+        xml += `<w:tc><w:tcPr>${properties}</w:tcPr>${content}</w:tc>`;
+        column += span;
+      }
+
+      xml += '</w:tr>';
+    });
+
+    return `${xml}</w:tbl>`;
+  }
+}
+
+function partXML(root, content) {
+  return xmlDeclaration(
+    `<${root} xmlns:w="${NS.w}" xmlns:r="${NS.r}" xmlns:wp="${NS.wp}" xmlns:a="${NS.a}" xmlns:pic="${NS.pic}">` +
+    `${content}</${root}>`
+  );
+}
+
+// A property that is null or missing is left to the style this one is based on
+function stylesXML(styles) {
+  const isSet = (value) => value !== null && value !== undefined;
+  // false turns off what the base style turns on
+  const toggle = (tag, value) => (value === true ? `<w:${tag}/>` : value === false ? `<w:${tag} w:val="0"/>` : '');
+
+  const runXML = (run = {}) => {
+    let xml = '';
+    if (run.font) xml += `<w:rFonts w:ascii="${escapeXML(run.font)}" w:hAnsi="${escapeXML(run.font)}"/>`;
+    xml += toggle('b', run.bold) + toggle('i', run.italic);
+    if (run.color) xml += `<w:color w:val="${run.color}"/>`;
+    if (run.size) xml += `<w:sz w:val="${run.size}"/><w:szCs w:val="${run.size}"/>`;
+    if (isSet(run.underline)) xml += `<w:u w:val="${run.underline ? 'single' : 'none'}"/>`;
+    return xml ? `<w:rPr>${xml}</w:rPr>` : '';
+  };
+
+  const paragraphXML = (style) => {
+    const outline = Number.isInteger(style.outline);
+    let xml = outline ? '<w:keepNext/>' : '';
+    const spacing = [];
+    if (isSet(style.spaceBefore)) spacing.push(`w:before="${style.spaceBefore}"`);
+    if (isSet(style.spaceAfter)) spacing.push(`w:after="${style.spaceAfter}"`);
+    if (style.lineHeight) spacing.push(`w:line="${Math.round(style.lineHeight * 240)}" w:lineRule="auto"`);
+    if (spacing.length > 0) xml += `<w:spacing ${spacing.join(' ')}/>`;
+    if (style.indent) xml += `<w:ind w:left="${style.indent}"/>`;
+    if (style.align) xml += `<w:jc w:val="${style.align}"/>`;
+    if (outline) xml += `<w:outlineLvl w:val="${style.outline}"/>`;
+    return xml ? `<w:pPr>${xml}</w:pPr>` : '';
+  };
+
+  const styleXML = styles.map(style => {
+    const paragraph = style.type === 'paragraph' ? paragraphXML(style) : '';
+    const basedOn = escapeXML(style.basedOn || 'Normal');
+
+    return `<w:style w:type="${style.type}" w:styleId="${escapeXML(style.id)}"${style.isDefault ? ' w:default="1"' : ''}>` +
+      `<w:name w:val="${escapeXML(style.name)}"/>` +
+      (style.isDefault ? '' : style.type === 'paragraph' ? `<w:basedOn w:val="${basedOn}"/><w:next w:val="Normal"/>` : '') +
+      '<w:qFormat/>' +
+      paragraph + runXML(style.run) +
+      '</w:style>';
+  }).join('');
+
+  return xmlDeclaration(
+    `<w:styles xmlns:w="${NS.w}">` +
+    '<w:docDefaults>' +
+    '<w:rPrDefault><w:rPr><w:rFonts w:ascii="Arial" w:hAnsi="Arial" w:cs="Arial" w:eastAsia="Arial"/>' +
+    '<w:sz w:val="24"/><w:szCs w:val="24"/><w:lang w:val="en-US"/></w:rPr></w:rPrDefault>' +
+    '<w:pPrDefault><w:pPr><w:spacing w:after="0" w:line="240" w:lineRule="auto"/></w:pPr></w:pPrDefault>' +
+    '</w:docDefaults>' +
+    styleXML +
+    '</w:styles>'
+  );
+}
+
+// The model's styles, and the built-in ones it does not define
+function documentStyles(styles) {
+  const ids = new Set((styles || []).map(style => style.id));
+  return [...(styles || []), ...DEFAULT_STYLES.filter(style => !ids.has(style.id))];
+}
+
+function numberingXML(lists) {
+  const bullets = ['•', '◦', '▪'];
+  const numberFormats = ['decimal', 'lowerLetter', 'lowerRoman'];
+
+  const abstractNum = (id, kind) => {
+    let levels = '';
+    for (let level = 0; level < 9; level++) {
+      const format = kind === 'bullet' ? 'bullet' : numberFormats[level % 3];
+      const text = kind === 'bullet' ? bullets[level % 3] : `%${level + 1}.`;
+      levels += `<w:lvl w:ilvl="${level}"><w:start w:val="1"/><w:numFmt w:val="${format}"/>` +
+        `<w:lvlText w:val="${text}"/><w:lvlJc w:val="left"/>` +
+        `<w:pPr><w:ind w:left="${720 * (level + 1)}" w:hanging="360"/></w:pPr>` +
+        (kind === 'bullet' ? '<w:rPr><w:rFonts w:ascii="Arial" w:hAnsi="Arial"/></w:rPr>' : '') +
+        '</w:lvl>';
+    }
+    return `<w:abstractNum w:abstractNumId="${id}"><w:multiLevelType w:val="hybridMultilevel"/>${levels}</w:abstractNum>`;
+  };
+
+  // Every list gets its own w:num with a start override so numbering restarts per list
+  const nums = Array.from(lists.values()).map(list =>
+    `<w:num w:numId="${list.numId}"><w:abstractNumId w:val="${list.kind === 'bullet' ? 0 : 1}"/>` +
+    `<w:lvlOverride w:ilvl="${list.level}"><w:startOverride w:val="${list.start || 1}"/></w:lvlOverride></w:num>`
+  ).join('');
+
+  return xmlDeclaration(
+    `<w:numbering xmlns:w="${NS.w}">${abstractNum(0, 'bullet')}${abstractNum(1, 'number')}${nums}</w:numbering>`
+  );
+}
+
+function settingsXML({ differentOddEven, trackChanges }) {
+  return xmlDeclaration(
+    `<w:settings xmlns:w="${NS.w}">` +
+    (trackChanges ? '<w:trackRevisions/>' : '') +
+    '<w:defaultTabStop w:val="720"/>' +
+    (differentOddEven ? '<w:evenAndOddHeaders/>' : '') +
+    '<w:compat><w:compatSetting w:name="compatibilityMode" w:uri="http://schemas.microsoft.com/office/word" w:val="15"/></w:compat>' +
+    '</w:settings>'
+  );
+}
+
+function corePropertiesXML({ title, author }) {
+  const now = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+  return xmlDeclaration(
+    '<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" ' +
+    'xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" ' +
+    'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">' +
+    `<dc:title>${escapeXML(title || '')}</dc:title>` +
+    `<dc:creator>${escapeXML(author || 'Media Sphere Docs')}</dc:creator>` +
+    `<dcterms:created xsi:type="dcterms:W3CDTF">${now}</dcterms:created>` +
+    `<dcterms:modified xsi:type="dcterms:W3CDTF">${now}</dcterms:modified>` +
+    '</cp:coreProperties>'
+  );
+}
+
+function collectImageSources(blocks, sources) {
+  blocks.forEach(block => {
+    if (block.type === 'table') {
+      block.rows.forEach(row => row.cells.forEach(cell => collectImageSources(cell.blocks || [], sources)));
+    } else {
+      (block.runs || []).forEach(run => {
+        if (run.type === 'image' && run.src) sources.add(run.src);
+      });
+    }
+  });
+  return sources;
+}
+
+// Page size and margins of a section in twips, from its page setup (lengths
+// in mm, width and height already turned for landscape). Without one, PAGE.
+function sectionGeometry(setup) {
+  if (!setup) return { page: PAGE, gutter: 0, orientation: 'portrait' };
+  const twips = (mm) => Math.round(Number(mm) * TWIPS_PER_MM);
+  return {
+    page: {
+      width: twips(setup.width),
+      height: twips(setup.height),
+      marginTop: twips(setup.margins.top),
+      marginBottom: twips(setup.margins.bottom),
+      marginLeft: twips(setup.margins.left),
+      marginRight: twips(setup.margins.right),
+      header: twips(setup.headerDistance),
+      footer: twips(setup.footerDistance),
+    },
+    gutter: twips(setup.gutter),
+    orientation: setup.orientation,
+  };
+}
+
+// Width the text of a section may fill, in twips
+function contentWidth({ page, gutter }) {
+  return page.width - page.marginLeft - page.marginRight - gutter;
+}
+
+// Build the .docx package. Returns { buffer, warnings }.
+async function buildDocx(model, options = {}) {
+  const pkg = new DocxPackage();
+  const zip = new JSZip();
+  const sections = model.sections && model.sections.length > 0 ? model.sections : [{ body: [] }];
+  const parts = { header: model.headers || {}, footer: model.footers || {} };
+  const widths = sections.map(section => contentWidth(sectionGeometry(section.pageSetup)));
+  // Headers and footers are shared by every section, so they fit the narrowest
+  const partWidth = Math.min(...widths);
+  // The variants Word will show; the others are not written
+  const variants = ['default'];
+  if (model.differentFirstPage) variants.push('first');
+  if (model.differentOddEven) variants.push('even');
+
+  const sources = new Set();
+  sections.forEach(section => collectImageSources(section.body || [], sources));
+  ['header', 'footer'].forEach(kind => variants.forEach(variant => collectImageSources(parts[kind][variant] || [], sources)));
+  for (const src of sources) {
+    await pkg.loadImage(src);
+  }
+
+  const documentWriter = new PartWriter(pkg);
+  const contentOverrides = [];
+
+  // Header/footer parts are shared between variants with identical content. Once any
+  // variant has content, every variant in use gets a part, because Word otherwise
+  // shows the default one where the document has an empty first or even page header.
+  const hasPart = {
+    header: variants.some(variant => (parts.header[variant] || []).length > 0),
+    footer: variants.some(variant => (parts.footer[variant] || []).length > 0),
+  };
+  const partCache = { header: new Map(), footer: new Map() };
+
+  const partReference = (kind, blocks) => {
+    const key = JSON.stringify(blocks);
+    if (!partCache[kind].has(key)) {
+      const writer = new PartWriter(pkg);
+      const name = `${kind}${partCache.header.size + partCache.footer.size + 1}.xml`;
+      const root = kind === 'header' ? 'w:hdr' : 'w:ftr';
+      zip.file(`word/${name}`, partXML(root, writer.blocks(blocks, '', partWidth)));
+      if (writer.rels.length > 0) zip.file(`word/_rels/${name}.rels`, writer.relationshipsXML());
+      contentOverrides.push({ partName: `/word/${name}`, type: CONTENT_TYPES[kind] });
+      partCache[kind].set(key, documentWriter.addRelationship(REL_TYPES[kind], name));
+    }
+    return partCache[kind].get(key);
+  };
+
+  // Every section references the same parts. The first page variant is only
+  // turned on in the first section, where the document's first page is.
+  const sectionProperties = (section, index, isLast) => {
+    const titlePage = model.differentFirstPage && index === 0;
+    let xml = '';
+    ['header', 'footer'].forEach(kind => {
+      if (!hasPart[kind]) return;
+      variants.filter(variant => variant !== 'first' || titlePage).forEach(variant => {
+        const element = kind === 'header' ? 'w:headerReference' : 'w:footerReference';
+        xml += `<${element} w:type="${variant}" r:id="${partReference(kind, parts[kind][variant] || [])}"/>`;
+      });
+    });
+    if (!isLast) xml += '<w:type w:val="nextPage"/>';
+    const { page, gutter, orientation } = sectionGeometry(section.pageSetup);
+    xml += `<w:pgSz w:w="${page.width}" w:h="${page.height}"${orientation === 'landscape' ? ' w:orient="landscape"' : ''}/>`;
+    xml += `<w:pgMar w:top="${page.marginTop}" w:right="${page.marginRight}" w:bottom="${page.marginBottom}" ` +
+      `w:left="${page.marginLeft}" w:header="${page.header}" w:footer="${page.footer}" w:gutter="${gutter}"/>`;
+    if (titlePage) xml += '<w:titlePg/>';
+    return `<w:sectPr>${xml}</w:sectPr>`;
+  };
+
+  // Sections keep section breaks and added pages; Word lays out the pages within them
+  let body = '';
+  sections.forEach((section, index) => {
+    const isLast = index === sections.length - 1;
+    if (isLast) {
+      body += documentWriter.blocks(section.body || [], '', widths[index]) + sectionProperties(section, index, true);
+    } else {
+      body += documentWriter.blocks(section.body || [], sectionProperties(section, index, false), widths[index]);
+    }
+  });
+
+  zip.file('word/document.xml', partXML('w:document', `<w:body>${body}</w:body>`));
+
+  documentWriter.addRelationship(REL_TYPES.styles, 'styles.xml');
+  documentWriter.addRelationship(REL_TYPES.numbering, 'numbering.xml');
+  documentWriter.addRelationship(REL_TYPES.settings, 'settings.xml');
+  zip.file('word/_rels/document.xml.rels', documentWriter.relationshipsXML());
+  zip.file('word/styles.xml', stylesXML(options.styles || documentStyles(model.styles)));
+  zip.file('word/numbering.xml', numberingXML(pkg.lists));
+  zip.file('word/settings.xml', settingsXML(model));
+
+  pkg.media.forEach(media => {
+    if (media) zip.file(`word/media/${media.name}`, media.data);
+  });
+
+  zip.file('docProps/core.xml', corePropertiesXML(options));
+  zip.file('_rels/.rels', xmlDeclaration(
+    `<Relationships xmlns="${NS.pkgRels}">` +
+    `<Relationship Id="rId1" Type="${REL_TYPES.officeDocument}" Target="word/document.xml"/>` +
+    `<Relationship Id="rId2" Type="${REL_TYPES.coreProperties}" Target="docProps/core.xml"/>` +
+    '</Relationships>'
+  ));
+
+  const overrides = [
+    { partName: '/word/document.xml', type: CONTENT_TYPES.document },
+    { partName: '/word/styles.xml', type: CONTENT_TYPES.styles },
+    { partName: '/word/numbering.xml', type: CONTENT_TYPES.numbering },
+    { partName: '/word/settings.xml', type: CONTENT_TYPES.settings },
+    { partName: '/docProps/core.xml', type: CONTENT_TYPES.core },
+    ...contentOverrides,
+  ];
+  const defaults = Object.entries(IMAGE_TYPES)
+    .map(([type, mime]) => `<Default Extension="${type === 'jpeg' ? 'jpg' : type}" ContentType="${mime}"/>`)
+    .join('');
+  zip.file('[Content_Types].xml', xmlDeclaration(
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    defaults +
+    overrides.map(override => `<Override PartName="${override.partName}" ContentType="${override.type}"/>`).join('') +
+    '</Types>'
+  ));
+
+  const buffer = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+  return { buffer, warnings: pkg.warnings };
+}
+
+module.exports = {
+  DEFAULT_STYLES,
+  buildDocx,
+};
@@ -0,0 +1,48 @@
+// Word (.docx) import through mammoth
+const mammoth = require('mammoth');
+const msdoc = require('./msdoc');
+
+// Added on top of mammoth's default style map (headings, lists, bold/italic, strike)
+const STYLE_MAP = [
+  "p[style-name='Title'] => h1.doc-title:fresh",
+  "p[style-name='Subtitle'] => h2.doc-subtitle:fresh",
+  "p[style-name='Quote'] => blockquote > p:fresh",
+  "p[style-name='Intense Quote'] => blockquote > p:fresh",
+  "r[style-name='Strong'] => strong",
+  "u => u",
+];
+
+// Collapse mammoth's messages into one entry per distinct message with a count,
+// so a style used on 200 paragraphs is reported once.
+function summarizeMessages(messages) {
+  const summary = new Map();
+  messages.forEach(({ type, message }) => {
+    const key = `${type}:${message}`;
+    const entry = summary.get(key) || { type, message, count: 0 };
+    entry.count += 1;
+    summary.set(key, entry);
+  });
+  return Array.from(summary.values());
+}
+
+// Returns { document, warnings } where warnings lists the constructs mammoth
+// could not convert (unknown styles, unsupported elements, broken images...)
+async function importDocx(filePath) {
+  const result = await mammoth.convertToHtml(
+    { path: filePath },
+    {
+      styleMap: STYLE_MAP,
+      // Keep images inside the document; .msdoc lifts them into package assets on save
+      convertImage: mammoth.images.dataUri,
+    }
+  );
+
+  return {
+    document: msdoc.fromHTML(result.value),
+    warnings: summarizeMessages(result.messages),
+  };
+}
+
+module.exports = {
+  importDocx,
+};
@@ -0,0 +1,65 @@
+// Main-process side of the IPC contract in src/shared/ipc-channels.js
+const { ipcMain } = require('electron');
+const { isChannel, validateArgs } = require('../shared/ipc-channels');
+
+function assertChannel(kind, channel) {
+  if (!isChannel(kind, channel)) {
+    throw new Error(`IPC channel "${channel}" is not declared in src/shared/ipc-channels.js`);
+  }
+}
+
+// Registers a request handler. The handler returns a plain object (or nothing)
+// on success and throws on failure; callers always receive { ok, error, ... }.
+function handle(channel, handler) {
+  assertChannel('invoke', channel);
+
+  ipcMain.handle(channel, async (event, ...args) => {
+    const problem = validateArgs('invoke', channel, args);
+    if (problem) {
+      console.error(`Rejected IPC request: ${problem}`);
+      return { ok: false, error: problem };
+    }
+
+    try {
+      const result = await handler(event, ...args);
+      return { ok: true, ...result };
+    } catch (error) {
+      return { ok: false, error: error.message };
+    }
+  });
+}
+
+function wrapListener(channel, listener) {
+  return (event, ...args) => {
+    const problem = validateArgs('send', channel, args);
+    if (problem) {
+      console.error(`Ignored IPC message: ${problem}`);
+      return;
+    }
+    listener(event, ...args);
+  };
+}
+
+function on(channel, listener) {
+  assertChannel('send', channel);
+  ipcMain.on(channel, wrapListener(channel, listener));
+}
+
+function once(channel, listener) {
+  assertChannel('send', channel);
+  ipcMain.once(channel, wrapListener(channel, listener));
+}
+
+// Sending a malformed event is a bug in the main process, so it throws
+function send(webContents, channel, ...args) {
+  const problem = validateArgs('event', channel, args);
+  if (problem) throw new Error(`Cannot send IPC event: ${problem}`);
+  webContents.send(channel, ...args);
+}
+
+module.exports = {
+  handle,
+  on,
+  once,
+  send,
+};
@@ -0,0 +1,169 @@
+// Markdown import (rendered by marked) and writing of exported Markdown files
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pathToFileURL } = require('url');
+const { Marked } = require('marked');
+const msdoc = require('./msdoc');
+
+const MARKDOWN_EXTENSIONS = ['.md', '.markdown'];
+
+const IMAGE_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/svg+xml': 'svg',
+  'image/webp': 'webp',
+};
+
+function isMarkdownFile(filePath) {
+  return MARKDOWN_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+}
+
+function escapeAttribute(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+// Remember which syntax the file uses so exporting it again does not churn it
+function detectStyle(source) {
+  const withoutCode = source.replace(/^ {0,3}(`{3,}|~{3,})[\s\S]*?^ {0,3}\1/gm, '');
+  const bullet = /^\s*([-*+])\s+\S/m.exec(withoutCode);
+  const strong = /(\*\*|__)(?=\S)/.exec(withoutCode);
+  const emphasis = /(?:^|[^*_\w])([*_])(?=[^*_\s])/m.exec(withoutCode.replace(/^\s*[-*+]\s+/gm, '').replace(/(\*\*|__)/g, ''));
+  const rule = /^ {0,3}([-*_])(?: ?\1){2,}\s*$/m.exec(withoutCode);
+  const fence = /^ {0,3}(`{3,}|~{3,})/m.exec(source);
+
+  return {
+    bullet: bullet ? bullet[1] : '-',
+    strong: strong ? strong[1] : '**',
+    emphasis: emphasis ? emphasis[1] : '*',
+    rule: rule ? rule[0].trim() : '---',
+    fence: fence ? fence[1].charAt(0).repeat(3) : '```',
+  };
+}
+
+// Footnotes become comments. Definitions ("[^label]: text", with indented
+// continuation lines) are removed from the source and each reference is
+// turned into a comment anchored on the word in front of it.
+function footnotesToComments(source, comments, warnings) {
+  const notes = new Map();
+  const lines = source.split('\n');
+  const kept = [];
+  let current = null;
+  let fence = null;
+
+  lines.forEach(line => {
+    const fenceMatch = /^ {0,3}(`{3,}|~{3,})/.exec(line);
+    if (fenceMatch && (!fence || fenceMatch[1].startsWith(fence))) {
+      fence = fence ? null : fenceMatch[1];
+    }
+
+    const definition = !fence && /^\[\^([^\]\s]+)\]:\s?(.*)$/.exec(line);
+    if (definition) {
+      current = definition[1];
+      notes.set(current, definition[2]);
+      return;
+    }
+    if (current && /^( {4}|\t)\S/.test(line)) {
+      notes.set(current, `${notes.get(current)}\n${line.trim()}`);
+      return;
+    }
+    current = null;
+    kept.push({ line, inCode: Boolean(fence) || Boolean(fenceMatch) });
+  });
+
+  const used = new Set();
+  const body = kept.map(({ line, inCode }) => {
+    if (inCode) return line;
+    return line.replace(/(\S+?)\[\^([^\]\s]+)\]/g, (match, word, label) => {
+      if (!notes.has(label)) return match;
+      used.add(label);
+      const id = `fn-${label}`;
+      if (!comments.some(comment => comment.id === id)) {
+        comments.push({ id, text: notes.get(label) });
+      }
+      return `<span class="comment" data-comment-id="${escapeAttribute(id)}" title="${escapeAttribute(notes.get(label))}">${word}</span>`;
+    });
+  }).join('\n');
+
+  notes.forEach((text, label) => {
+    if (!used.has(label)) warnings.push({ type: 'warning', message: `Footnote [^${label}] is never referenced and was dropped`, count: 1 });
+  });
+
+  return body;
+}
+
+function createMarked(filePath) {
+  const baseDir = filePath ? path.dirname(filePath) : null;
+
+  return new Marked({
+    gfm: true,
+    renderer: {
+      // Relative images are shown from disk but keep their original path for export
+      image(href, title, text) {
+        let src = href || '';
+        let original = '';
+        if (baseDir && src && !/^[a-z][a-z0-9+.-]*:/i.test(src) && !src.startsWith('//')) {
+          original = src;
+          src = pathToFileURL(path.resolve(baseDir, decodeURI(src))).href;
+        }
+
+        return `<img src="${escapeAttribute(src)}" alt="${escapeAttribute(text || '')}"` +
+          (title ? ` title="${escapeAttribute(title)}"` : '') +
+          (original ? ` data-md-src="${escapeAttribute(original)}"` : '') +
+          '>';
+      },
+    },
+  });
+}
+
+// Returns { document, warnings } like the other importers
+function importMarkdown(source, filePath = null) {
+  const normalized = source.replace(/\r\n?/g, '\n');
+  const warnings = [];
+  const comments = [];
+
+  const body = footnotesToComments(normalized, comments, warnings);
+  const html = createMarked(filePath).parse(body);
+
+  const document = msdoc.fromHTML(html);
+  document.comments = comments;
+  document.settings.markdown = detectStyle(normalized);
+  return { document, warnings };
+}
+
+// Inline data: images do not belong in a Markdown file, so they are written
+// next to it in "<name>.assets/" and referenced relatively.
+async function writeMarkdown(filePath, markdown) {
+  const assetsDirName = `${path.basename(filePath, path.extname(filePath))}.assets`;
+  const assetsDir = path.join(path.dirname(filePath), assetsDirName);
+  const written = new Map();
+
+  const pattern = /\]\(data:([\w.+-]+\/[\w.+-]+);base64,([A-Za-z0-9+/=]+)/g;
+  const matches = Array.from(markdown.matchAll(pattern));
+  if (matches.length > 0) {
+    await fs.promises.mkdir(assetsDir, { recursive: true });
+  }
+
+  for (const [, mime, data] of matches) {
+    if (written.has(data)) continue;
+    const hash = crypto.createHash('sha1').update(data).digest('hex').slice(0, 12);
+    const name = `image-${hash}.${IMAGE_EXTENSIONS[mime.toLowerCase()] || 'bin'}`;
+    await fs.promises.writeFile(path.join(assetsDir, name), Buffer.from(data, 'base64'));
+    written.set(data, `${assetsDirName}/${name}`);
+  }
+
+  const output = markdown.replace(pattern, (match, mime, data) => `](${encodeURI(written.get(data))}`);
+  await fs.promises.writeFile(filePath, output, 'utf8');
+}
+
+module.exports = {
+  MARKDOWN_EXTENSIONS,
+  isMarkdownFile,
+  importMarkdown,
+  writeMarkdown,
+};
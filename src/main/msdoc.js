@@ -0,0 +1,302 @@
+// Native MediaSphere document format (.msdoc)
+//
+// An .msdoc file is a zip package:
+//   manifest.json                     - format version, metadata, settings, styles, comments, page list
+//   header-footer/header-default.html - the document's header and footer, one file per variant
+//   pages/0001/content.html           - one HTML fragment per page
+//   assets/<hash>.<ext>               - binary assets (images) lifted out of the HTML
+//
+// In memory (and over IPC) a document is a plain object:
+//   { formatVersion, meta, settings, headerFooter, styles, pages: [{ content, lineHeight, pageSetup, pageBreak }], comments }
+// headerFooter is { differentFirstPage, differentOddEven, header: { default, first, even }, footer: { ... } },
+// shown on every page (see src/renderer/header-footer.js).
+// styles are the paragraph and character styles that differ from the
+// defaults (see src/renderer/document-styles.js).
+// settings.pageSetup is the document's paper size and margins; a page with
+// its own pageSetup starts a new section (see src/renderer/page-setup.js).
+// Content flows from page to page within a section unless a page has
+// pageBreak set, so a page's content is where its blocks start, not where
+// the layout last ended it.
+const crypto = require('crypto');
+const JSZip = require('jszip');
+
+const FORMAT_NAME = 'msdoc';
+const FORMAT_VERSION = 2;
+const MANIFEST_FILE = 'manifest.json';
+const PAGE_PARTS = ['content'];
+const HEADER_FOOTER_VARIANTS = ['default', 'first', 'even'];
+
+const MIME_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/svg+xml': 'svg',
+  'image/webp': 'webp',
+  'image/bmp': 'bmp',
+};
+
+// Each entry upgrades a manifest from version N to N + 1.
+// Version 0 is the legacy plain-HTML file written by earlier releases, see fromHTML().
+const MIGRATIONS = {
+  // Headers and footers were per page; the first page's becomes the document's
+  1: (manifest) => {
+    const first = (manifest.pages || [])[0] || {};
+    return {
+      ...manifest,
+      headerFooter: { header: { default: first.header || null }, footer: { default: first.footer || null } },
+    };
+  },
+};
+
+function defaultSettings() {
+  return {
+    showHeader: true,
+    showFooter: true,
+  };
+}
+
+function createEmptyDocument() {
+  const now = new Date().toISOString();
+  return {
+    formatVersion: FORMAT_VERSION,
+    meta: { created: now, modified: now },
+    settings: defaultSettings(),
+    headerFooter: normalizeHeaderFooter(null),
+    styles: [],
+    pages: [{ content: '', lineHeight: null }],
+    comments: [],
+  };
+}
+
+function normalizeHeaderFooter(headerFooter) {
+  const normalized = {
+    differentFirstPage: Boolean(headerFooter) && headerFooter.differentFirstPage === true,
+    differentOddEven: Boolean(headerFooter) && headerFooter.differentOddEven === true,
+  };
+  ['header', 'footer'].forEach(type => {
+    const variants = (headerFooter && headerFooter[type]) || {};
+    normalized[type] = {};
+    HEADER_FOOTER_VARIANTS.forEach(variant => {
+      normalized[type][variant] = typeof variants[variant] === 'string' ? variants[variant] : '';
+    });
+  });
+  return normalized;
+}
+
+// Normalize a document coming from the renderer or from disk so that every
+// field the editor relies on is present.
+function normalizeDocument(doc) {
+  const base = createEmptyDocument();
+  const pages = Array.isArray(doc && doc.pages) && doc.pages.length > 0 ? doc.pages : base.pages;
+  // Documents from before headers were document-wide carry them on each page
+  const headerFooter = (doc && doc.headerFooter) ||
+    { header: { default: pages[0].header }, footer: { default: pages[0].footer } };
+
+  return {
+    formatVersion: FORMAT_VERSION,
+    meta: { ...base.meta, ...(doc && doc.meta) },
+    settings: { ...base.settings, ...(doc && doc.settings) },
+    headerFooter: normalizeHeaderFooter(headerFooter),
+    styles: Array.isArray(doc && doc.styles) ? doc.styles : [],
+    pages: pages.map(page => ({
+      content: typeof page.content === 'string' ? page.content : '',
+      lineHeight: page.lineHeight || null,
+      pageSetup: page.pageSetup && typeof page.pageSetup === 'object' ? page.pageSetup : null,
+      pageBreak: page.pageBreak === true,
+    })),
+    comments: Array.isArray(doc && doc.comments) ? doc.comments : [],
+  };
+}
+
+// Migration path for documents saved before .msdoc existed. Those files hold
+// the innerHTML of every page editor concatenated together (or a full HTML
+// document), so they become a single page that the renderer reflows on load.
+function fromHTML(html) {
+  const bodyMatch = /<body[^>]*>([\s\S]*)<\/body>/i.exec(html);
+  const content = bodyMatch ? bodyMatch[1] : html;
+
+  const doc = createEmptyDocument();
+  doc.pages[0].content = content.trim();
+  return doc;
+}
+
+// Flatten a document into a standalone HTML file. Headers, footers and
+// settings cannot be represented, so this is only used when the user picks
+// the HTML filter in Save As.
+function toHTML(doc) {
+  const body = normalizeDocument(doc).pages
+    .map(page => page.content)
+    .join('\n<div style="page-break-after: always;"></div>\n');
+
+  return [
+    '<!DOCTYPE html>',
+    '<html>',
+    '<head><meta charset="UTF-8"></head>',
+    '<body>',
+    body,
+    '</body>',
+    '</html>',
+    '',
+  ].join('\n');
+}
+
+function pageFolder(index) {
+  return `pages/${String(index + 1).padStart(4, '0')}`;
+}
+
+// Move inline data: URIs out of the HTML into separate zip entries
+function extractAssets(html, zip, assets) {
+  return html.replace(/(\ssrc=)(["'])data:([\w.+-]+\/[\w.+-]+);base64,([^"']+)\2/gi, (match, attr, quote, mime, data) => {
+    const hash = crypto.createHash('sha1').update(data).digest('hex').slice(0, 16);
+    const assetPath = `assets/${hash}.${MIME_EXTENSIONS[mime.toLowerCase()] || 'bin'}`;
+
+    if (!assets.some(asset => asset.path === assetPath)) {
+      zip.file(assetPath, data, { base64: true });
+      assets.push({ path: assetPath, mime: mime.toLowerCase() });
+    }
+    return `${attr}${quote}${assetPath}${quote}`;
+  });
+}
+
+function inlineAssets(html, assetData) {
+  return html.replace(/(\ssrc=)(["'])(assets\/[^"']+)\2/gi, (match, attr, quote, assetPath) => {
+    const asset = assetData[assetPath];
+    return asset ? `${attr}${quote}data:${asset.mime};base64,${asset.data}${quote}` : match;
+  });
+}
+
+async function pack(doc) {
+  const normalized = normalizeDocument(doc);
+  const zip = new JSZip();
+  const assets = [];
+
+  const pages = normalized.pages.map((page, index) => {
+    const folder = pageFolder(index);
+    const entry = { lineHeight: page.lineHeight, pageSetup: page.pageSetup, pageBreak: page.pageBreak };
+
+    PAGE_PARTS.forEach(part => {
+      const partPath = `${folder}/${part}.html`;
+      zip.file(partPath, extractAssets(page[part], zip, assets));
+      entry[part] = partPath;
+    });
+    return entry;
+  });
+
+  const headerFooter = {
+    differentFirstPage: normalized.headerFooter.differentFirstPage,
+    differentOddEven: normalized.headerFooter.differentOddEven,
+  };
+  ['header', 'footer'].forEach(type => {
+    headerFooter[type] = {};
+    HEADER_FOOTER_VARIANTS.forEach(variant => {
+      const partPath = `header-footer/${type}-${variant}.html`;
+      zip.file(partPath, extractAssets(normalized.headerFooter[type][variant], zip, assets));
+      headerFooter[type][variant] = partPath;
+    });
+  });
+
+  const manifest = {
+    format: FORMAT_NAME,
+    formatVersion: FORMAT_VERSION,
+    meta: { ...normalized.meta, modified: new Date().toISOString() },
+    settings: normalized.settings,
+    headerFooter,
+    styles: normalized.styles,
+    comments: normalized.comments,
+    pages,
+    assets,
+  };
+  zip.file(MANIFEST_FILE, JSON.stringify(manifest, null, 2));
+
+  return zip.generateAsync({
+    type: 'nodebuffer',
+    compression: 'DEFLATE',
+    compressionOptions: { level: 6 },
+  });
+}
+
+function upgradeManifest(manifest) {
+  let upgraded = manifest;
+  let version = Number(upgraded.formatVersion) || 0;
+
+  if (version > FORMAT_VERSION) {
+    throw new Error(`This document was created by a newer version of Media Sphere Docs (format ${version}).`);
+  }
+
+  while (version < FORMAT_VERSION) {
+    const migrate = MIGRATIONS[version];
+    if (!migrate) {
+      throw new Error(`No migration available for document format ${version}.`);
+    }
+    upgraded = migrate(upgraded);
+    version += 1;
+    upgraded.formatVersion = version;
+  }
+  return upgraded;
+}
+
+async function unpack(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const manifestFile = zip.file(MANIFEST_FILE);
+  if (!manifestFile) {
+    throw new Error('Not a Media Sphere document: manifest.json is missing.');
+  }
+
+  const manifest = upgradeManifest(JSON.parse(await manifestFile.async('string')));
+  if (manifest.format !== FORMAT_NAME) {
+    throw new Error(`Unsupported document format "${manifest.format}".`);
+  }
+
+  const assetData = {};
+  for (const asset of manifest.assets || []) {
+    const file = zip.file(asset.path);
+    if (file) {
+      assetData[asset.path] = { mime: asset.mime, data: await file.async('base64') };
+    }
+  }
+
+  const readPart = async (partPath) => {
+    const file = partPath && zip.file(partPath);
+    return file ? inlineAssets(await file.async('string'), assetData) : '';
+  };
+
+  const headerFooter = {
+    differentFirstPage: manifest.headerFooter && manifest.headerFooter.differentFirstPage,
+    differentOddEven: manifest.headerFooter && manifest.headerFooter.differentOddEven,
+  };
+  for (const type of ['header', 'footer']) {
+    const variants = (manifest.headerFooter && manifest.headerFooter[type]) || {};
+    headerFooter[type] = {};
+    for (const variant of HEADER_FOOTER_VARIANTS) {
+      headerFooter[type][variant] = await readPart(variants[variant]);
+    }
+  }
+
+  const pages = [];
+  for (const entry of manifest.pages || []) {
+    const page = { lineHeight: entry.lineHeight || null, pageSetup: entry.pageSetup || null, pageBreak: entry.pageBreak === true };
+    for (const part of PAGE_PARTS) {
+      page[part] = await readPart(entry[part]);
+    }
+    pages.push(page);
+  }
+
+  return normalizeDocument({
+    meta: manifest.meta,
+    settings: manifest.settings,
+    headerFooter,
+    styles: manifest.styles,
+    comments: manifest.comments,
+    pages,
+  });
+}
+
+module.exports = {
+  FORMAT_VERSION,
+  createEmptyDocument,
+  normalizeDocument,
+  fromHTML,
+  toHTML,
+  pack,
+  unpack,
+};
@@ -0,0 +1,86 @@
+// PDF output, shared by File > Export as PDF and headless conversion so
+// both produce the same pages from the same editor layout
+const { PDFDocument, PDFHexString, PDFName, PDFNull, PDFNumber } = require('pdf-lib');
+
+const PDF_OPTIONS = {
+  printBackground: true,
+  // Sheet size and margins come from the document's page setup, through
+  // the @page rules and page padding the editor sets for each section
+  margins: {
+    top: 0,
+    bottom: 0,
+    left: 0,
+    right: 0,
+  },
+  preferCSSPageSize: true,
+};
+
+// CSS pixels are 1/96 inch, PDF units 1/72
+const POINTS_PER_PX = 0.75;
+
+// Renders the page loaded in webContents and returns the PDF as a Buffer.
+// outline is the document's headings, [{ title, level, page, top }] with page
+// the index of the sheet they are on and top their distance from its top edge
+// in CSS pixels; they become the PDF's bookmarks.
+async function renderPDF(webContents, outline = []) {
+  const data = await webContents.printToPDF(PDF_OPTIONS);
+  return outline.length > 0 ? addBookmarks(data, outline) : data;
+}
+
+// Adds an outline (bookmark) tree to the PDF, nesting each heading under the
+// one before it with a lower level, and opens it next to the pages
+async function addBookmarks(data, outline) {
+  const pdf = await PDFDocument.load(data);
+  const pages = pdf.getPages();
+
+  const root = { children: [] };
+  const open = [{ level: 0, node: root }];
+  outline.filter(entry => pages[entry.page]).forEach(entry => {
+    while (open[open.length - 1].level >= entry.level) open.pop();
+    const node = { entry, ref: pdf.context.nextRef(), children: [] };
+    open[open.length - 1].node.children.push(node);
+    open.push({ level: entry.level, node });
+  });
+  if (root.children.length === 0) return data;
+
+  // Writes the items under parent and returns how many there are, all levels open
+  const writeItems = (nodes, parentRef) => {
+    let count = 0;
+    nodes.forEach((node, index) => {
+      const page = pages[node.entry.page];
+      const top = page.getHeight() - Math.max(0, node.entry.top) * POINTS_PER_PX;
+      const item = pdf.context.obj({
+        Title: PDFHexString.fromText(node.entry.title),
+        Parent: parentRef,
+        Dest: [page.ref, PDFName.of('XYZ'), PDFNull, PDFNumber.of(top), PDFNull],
+      });
+      if (index > 0) item.set(PDFName.of('Prev'), nodes[index - 1].ref);
+      if (index < nodes.length - 1) item.set(PDFName.of('Next'), nodes[index + 1].ref);
+      if (node.children.length > 0) {
+        item.set(PDFName.of('First'), node.children[0].ref);
+        item.set(PDFName.of('Last'), node.children[node.children.length - 1].ref);
+        item.set(PDFName.of('Count'), PDFNumber.of(writeItems(node.children, node.ref)));
+      }
+      pdf.context.assign(node.ref, item);
+      count += 1 + (item.get(PDFName.of('Count'))?.asNumber() || 0);
+    });
+    return count;
+  };
+
+  const outlinesRef = pdf.context.nextRef();
+  const count = writeItems(root.children, outlinesRef);
+  pdf.context.assign(outlinesRef, pdf.context.obj({
+    Type: 'Outlines',
+    First: root.children[0].ref,
+    Last: root.children[root.children.length - 1].ref,
+    Count: count,
+  }));
+  pdf.catalog.set(PDFName.of('Outlines'), outlinesRef);
+  pdf.catalog.set(PDFName.of('PageMode'), PDFName.of('UseOutlines'));
+
+  return Buffer.from(await pdf.save());
+}
+
+module.exports = {
+  renderPDF,
+};
@@ -0,0 +1,163 @@
+// Recent files, persisted in <userData>/recent-files.json:
+//   { maxEntries, entries: [{ filePath, openedAt, pinned, thumbnail, thumbnailAt }] }
+// Entries are most recent first. maxEntries caps unpinned entries only;
+// pinned files stay until they are unpinned or removed. thumbnail is the
+// name of a PNG of the first page in <userData>/thumbnails.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pathToFileURL } = require('url');
+const { app } = require('electron');
+const { queuedAtomicWrite } = require('./document-io');
+
+const DEFAULT_MAX_ENTRIES = 10;
+const MAX_ENTRIES_LIMIT = 50;
+
+let maxEntries = DEFAULT_MAX_ENTRIES;
+let entries = [];
+
+function getStorePath() {
+  return path.join(app.getPath('userData'), 'recent-files.json');
+}
+
+function getThumbnailDir() {
+  return path.join(app.getPath('userData'), 'thumbnails');
+}
+
+function thumbnailName(filePath) {
+  return `${crypto.createHash('sha1').update(filePath).digest('hex')}.png`;
+}
+
+function save() {
+  return queuedAtomicWrite(getStorePath(), JSON.stringify({ maxEntries, entries }, null, 2));
+}
+
+async function removeThumbnail(entry) {
+  if (entry.thumbnail) {
+    await fs.promises.rm(path.join(getThumbnailDir(), entry.thumbnail), { force: true });
+  }
+}
+
+// Reads the store and forgets unpinned files that no longer exist. Pinned
+// files are kept (they may be on a drive that is not mounted) and shown as missing.
+async function load() {
+  try {
+    const stored = JSON.parse(await fs.promises.readFile(getStorePath(), 'utf8'));
+    maxEntries = Number.isInteger(stored.maxEntries) ? stored.maxEntries : DEFAULT_MAX_ENTRIES;
+    entries = Array.isArray(stored.entries) ? stored.entries.filter(entry => typeof entry.filePath === 'string') : [];
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error('Could not read recent files:', error);
+    entries = [];
+  }
+
+  const missing = entries.filter(entry => !entry.pinned && !fs.existsSync(entry.filePath));
+  if (missing.length > 0) {
+    entries = entries.filter(entry => !missing.includes(entry));
+    await Promise.all(missing.map(removeThumbnail));
+    await save();
+  }
+}
+
+// Snapshot for menus and the start screen, pinned files first
+function getEntries() {
+  const pinned = entries.filter(entry => entry.pinned);
+  const others = entries.filter(entry => !entry.pinned);
+  return [...pinned, ...others].map(entry => ({
+    filePath: entry.filePath,
+    name: path.basename(entry.filePath),
+    openedAt: entry.openedAt,
+    pinned: Boolean(entry.pinned),
+    missing: !fs.existsSync(entry.filePath),
+    // The query changes with every capture so the page does not show a cached image
+    thumbnailURL: entry.thumbnail
+      ? `${pathToFileURL(path.join(getThumbnailDir(), entry.thumbnail)).href}?v=${entry.thumbnailAt || 0}`
+      : null,
+  }));
+}
+
+function getMaxEntries() {
+  return maxEntries;
+}
+
+async function trim() {
+  const unpinned = entries.filter(entry => !entry.pinned);
+  const dropped = unpinned.slice(maxEntries);
+  if (dropped.length > 0) {
+    entries = entries.filter(entry => !dropped.includes(entry));
+    await Promise.all(dropped.map(removeThumbnail));
+  }
+}
+
+async function add(filePath) {
+  const existing = entries.find(entry => entry.filePath === filePath);
+  entries = entries.filter(entry => entry !== existing);
+  entries.unshift({
+    filePath,
+    openedAt: new Date().toISOString(),
+    pinned: existing ? existing.pinned : false,
+    thumbnail: existing ? existing.thumbnail : null,
+    thumbnailAt: existing ? existing.thumbnailAt : null,
+  });
+  await trim();
+  await save();
+  app.addRecentDocument(filePath);
+}
+
+async function remove(filePath) {
+  const entry = entries.find(item => item.filePath === filePath);
+  if (!entry) return;
+  entries = entries.filter(item => item !== entry);
+  await removeThumbnail(entry);
+  await save();
+}
+
+async function setPinned(filePath, pinned) {
+  const entry = entries.find(item => item.filePath === filePath);
+  if (!entry) return;
+  entry.pinned = pinned;
+  await trim();
+  await save();
+}
+
+// Pinned files survive "Clear Recent Files"
+async function clearUnpinned() {
+  const cleared = entries.filter(entry => !entry.pinned);
+  entries = entries.filter(entry => entry.pinned);
+  await Promise.all(cleared.map(removeThumbnail));
+  await save();
+  // The OS list has no pinning, so the pinned files go back on it, oldest first
+  app.clearRecentDocuments();
+  [...entries].reverse().forEach(entry => app.addRecentDocument(entry.filePath));
+}
+
+async function setMaxEntries(count) {
+  if (!Number.isInteger(count) || count < 1 || count > MAX_ENTRIES_LIMIT) {
+    throw new Error(`The number of recent files must be between 1 and ${MAX_ENTRIES_LIMIT}`);
+  }
+  maxEntries = count;
+  await trim();
+  await save();
+}
+
+// image is a NativeImage of the first page
+async function setThumbnail(filePath, image) {
+  const entry = entries.find(item => item.filePath === filePath);
+  if (!entry) return;
+
+  entry.thumbnail = thumbnailName(filePath);
+  entry.thumbnailAt = Date.now();
+  await queuedAtomicWrite(path.join(getThumbnailDir(), entry.thumbnail), image.toPNG());
+  await save();
+}
+
+module.exports = {
+  load,
+  getEntries,
+  getMaxEntries,
+  add,
+  remove,
+  setPinned,
+  clearUnpinned,
+  setMaxEntries,
+  setThumbnail,
+};
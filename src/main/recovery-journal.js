@@ -0,0 +1,84 @@
+// Crash recovery journal: periodic snapshots of every open document, titled
+// or not, kept in <userData>/recovery until the document is saved or
+// discarded. Whatever is still there at the next launch was left behind by a
+// crash and is offered for recovery.
+//
+// Each snapshot is one JSON file, <id>.json:
+//   { id, filePath, title, savedAt, preview, document }
+// where document is the object described in msdoc.js.
+const fs = require('fs');
+const path = require('path');
+const { app } = require('electron');
+const { writeFileAtomic } = require('./document-io');
+
+const SNAPSHOT_ID = /^[\w-]{1,64}$/;
+
+function getJournalDir() {
+  return path.join(app.getPath('userData'), 'recovery');
+}
+
+function snapshotPath(id) {
+  // Ids come from the renderer, so they must not be able to name other files
+  if (!SNAPSHOT_ID.test(id)) {
+    throw new Error(`Invalid recovery snapshot id "${id}"`);
+  }
+  return path.join(getJournalDir(), `${id}.json`);
+}
+
+async function writeSnapshot({ id, filePath, title, preview, document }) {
+  await fs.promises.mkdir(getJournalDir(), { recursive: true });
+  const snapshot = { id, filePath: filePath || null, title, savedAt: new Date().toISOString(), preview, document };
+  await writeFileAtomic(snapshotPath(id), JSON.stringify(snapshot));
+  return snapshot.savedAt;
+}
+
+async function readSnapshot(id) {
+  return JSON.parse(await fs.promises.readFile(snapshotPath(id), 'utf8'));
+}
+
+async function removeSnapshot(id) {
+  await fs.promises.rm(snapshotPath(id), { force: true });
+}
+
+// Summaries of every snapshot, newest first, without the document bodies.
+// Unreadable files (e.g. from a crash during the very first write) are skipped.
+async function listSnapshots() {
+  let names;
+  try {
+    names = await fs.promises.readdir(getJournalDir());
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const snapshots = [];
+  for (const name of names) {
+    if (name.endsWith('.tmp')) {
+      // Left behind by a write that never completed
+      await fs.promises.rm(path.join(getJournalDir(), name), { force: true });
+      continue;
+    }
+    if (!name.endsWith('.json')) continue;
+    try {
+      const { id, filePath, title, savedAt, preview } = await readSnapshot(path.basename(name, '.json'));
+      snapshots.push({ id, filePath, title, savedAt, preview });
+    } catch (error) {
+      console.warn(`Skipping unreadable recovery snapshot ${name}: ${error.message}`);
+    }
+  }
+
+  return snapshots.sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+}
+
+// Used while quitting, when there is no time for async work
+function removeSnapshotsSync(ids) {
+  ids.forEach(id => fs.rmSync(snapshotPath(id), { force: true }));
+}
+
+module.exports = {
+  writeSnapshot,
+  readSnapshot,
+  removeSnapshot,
+  removeSnapshotsSync,
+  listSnapshots,
+};
@@ -0,0 +1,73 @@
+// Words the user added to the spelling dictionary, one list per language,
+// persisted in <userData>/dictionary.json:
+//   { words: { "en-US": ["Electron", ...], ... } }
+// Chromium's spell checker has a single custom dictionary for every language,
+// so the words of all languages are also added to the session's; the lists
+// here are what the renderer shows and checks against per document language.
+const fs = require('fs');
+const path = require('path');
+const { app, session } = require('electron');
+const { queuedAtomicWrite } = require('./document-io');
+
+const MAX_WORD_LENGTH = 100;
+
+let words = {}; // Language -> sorted array of words
+
+function getStorePath() {
+  return path.join(app.getPath('userData'), 'dictionary.json');
+}
+
+function save() {
+  return queuedAtomicWrite(getStorePath(), JSON.stringify({ words }, null, 2));
+}
+
+function isWord(word) {
+  return typeof word === 'string' && word.length > 0 && word.length <= MAX_WORD_LENGTH && !/\s/.test(word);
+}
+
+// Reads the store and hands every word to the spell checker. Call once the app is ready.
+async function load() {
+  try {
+    const stored = JSON.parse(await fs.promises.readFile(getStorePath(), 'utf8'));
+    words = {};
+    Object.entries(stored.words || {}).forEach(([language, list]) => {
+      if (Array.isArray(list)) words[language] = Array.from(new Set(list.filter(isWord))).sort();
+    });
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error('Could not read the user dictionary:', error);
+    words = {};
+  }
+  Object.values(words).flat().forEach(word => session.defaultSession.addWordToSpellCheckerDictionary(word));
+}
+
+function getWords(language) {
+  return [...(words[language] || [])];
+}
+
+async function add(language, word) {
+  if (!isWord(word)) throw new Error('Only a single word can be added to the dictionary');
+  const list = words[language] || [];
+  if (list.includes(word)) return;
+  words[language] = [...list, word].sort();
+  session.defaultSession.addWordToSpellCheckerDictionary(word);
+  await save();
+}
+
+async function remove(language, word) {
+  const list = words[language] || [];
+  if (!list.includes(word)) return;
+  words[language] = list.filter(item => item !== word);
+  if (words[language].length === 0) delete words[language];
+  // The session's dictionary is shared, so the word stays while another language has it
+  if (!Object.values(words).some(other => other.includes(word))) {
+    session.defaultSession.removeWordFromSpellCheckerDictionary(word);
+  }
+  await save();
+}
+
+module.exports = {
+  load,
+  getWords,
+  add,
+  remove,
+};
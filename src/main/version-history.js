@@ -0,0 +1,121 @@
+// Per-document version history, kept in <userData>/history/<hash of path>/.
+//
+// index.json holds the version summaries, oldest first:
+//   { filePath, versions: [{ id, kind, label, savedAt, author, wordCount, hash }] }
+// and versions/<id>.json holds each version's document object (see msdoc.js).
+// kind is 'save' for versions recorded by an explicit save and 'checkpoint'
+// for named checkpoints. Only saves are pruned once MAX_SAVED_VERSIONS is hit.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { app } = require('electron');
+const { writeFileAtomic, queueFileTask } = require('./document-io');
+
+const MAX_SAVED_VERSIONS = 100;
+const VERSION_ID = /^[a-z0-9-]{1,64}$/;
+
+function getHistoryDir(filePath) {
+  const key = crypto.createHash('sha1').update(path.resolve(filePath)).digest('hex');
+  return path.join(app.getPath('userData'), 'history', key);
+}
+
+function versionPath(filePath, id) {
+  if (!VERSION_ID.test(id)) {
+    throw new Error(`Invalid version id "${id}"`);
+  }
+  return path.join(getHistoryDir(filePath), 'versions', `${id}.json`);
+}
+
+function indexPath(filePath) {
+  return path.join(getHistoryDir(filePath), 'index.json');
+}
+
+async function readIndex(filePath) {
+  try {
+    return JSON.parse(await fs.promises.readFile(indexPath(filePath), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return { filePath, versions: [] };
+    throw error;
+  }
+}
+
+async function writeIndex(filePath, index) {
+  await writeFileAtomic(indexPath(filePath), JSON.stringify(index, null, 2));
+}
+
+function getAuthor(doc) {
+  if (doc.meta && doc.meta.author) return doc.meta.author;
+  try {
+    return os.userInfo().username;
+  } catch (error) {
+    return 'Unknown';
+  }
+}
+
+// Records a version and returns its summary. A save whose content matches
+// the latest version is not recorded twice; null is returned instead.
+// Versions of one document are recorded one at a time, so that no update of
+// the index drops another's entry.
+function recordVersion(filePath, doc, options = {}) {
+  return queueFileTask(indexPath(filePath), () => addVersion(filePath, doc, options));
+}
+
+async function addVersion(filePath, doc, { kind = 'save', label = '', wordCount = 0 } = {}) {
+  const index = await readIndex(filePath);
+  const content = JSON.stringify(doc);
+  const hash = crypto.createHash('sha1').update(content).digest('hex');
+
+  const latest = index.versions[index.versions.length - 1];
+  if (kind === 'save' && latest && latest.hash === hash) {
+    return null;
+  }
+
+  const version = {
+    id: `${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`,
+    kind,
+    label,
+    savedAt: new Date().toISOString(),
+    author: getAuthor(doc),
+    wordCount,
+    hash,
+  };
+
+  await fs.promises.mkdir(path.join(getHistoryDir(filePath), 'versions'), { recursive: true });
+  await writeFileAtomic(versionPath(filePath, version.id), content);
+
+  index.filePath = path.resolve(filePath);
+  index.versions.push(version);
+
+  // Drop the oldest plain saves; named checkpoints are kept until deleted
+  const saves = index.versions.filter(entry => entry.kind === 'save');
+  const pruned = saves.slice(0, Math.max(0, saves.length - MAX_SAVED_VERSIONS));
+  if (pruned.length > 0) {
+    index.versions = index.versions.filter(entry => !pruned.includes(entry));
+  }
+  await writeIndex(filePath, index);
+  await Promise.all(pruned.map(entry => fs.promises.rm(versionPath(filePath, entry.id), { force: true })));
+
+  return version;
+}
+
+// Summaries, newest first
+async function listVersions(filePath) {
+  return (await readIndex(filePath)).versions.slice().reverse();
+}
+
+async function readVersion(filePath, id) {
+  const index = await readIndex(filePath);
+  const version = index.versions.find(entry => entry.id === id);
+  if (!version) {
+    throw new Error('This version no longer exists');
+  }
+  const document = JSON.parse(await fs.promises.readFile(versionPath(filePath, id), 'utf8'));
+  return { ...version, document };
+}
+
+module.exports = {
+  recordVersion,
+  listVersions,
+  readVersion,
+};
@@ -0,0 +1,148 @@
+// Comment threads of a document.
+//
+// The commented text is wrapped in one or more <span class="comment"
+// data-comment-id="..."> in the page content; the thread itself lives here
+// and is saved in the document's comments list:
+//   { id, author, created, text, edited, resolved, resolvedBy, resolvedAt, replies: [{ id, author, created, text, edited }] }
+// Times are ISO strings. Documents from before threads had { id, text } only.
+
+class CommentThreads {
+  constructor() {
+    this.threads = new Map();
+  }
+
+  load(comments) {
+    this.threads.clear();
+    (comments || []).forEach(comment => {
+      if (comment && typeof comment.id === 'string') this.threads.set(comment.id, this.normalize(comment));
+    });
+  }
+
+  normalize(comment) {
+    const string = (value) => (typeof value === 'string' ? value : '');
+    const time = (value) => (typeof value === 'string' && !Number.isNaN(Date.parse(value)) ? value : null);
+    return {
+      id: comment.id,
+      author: string(comment.author),
+      created: time(comment.created),
+      text: string(comment.text),
+      edited: time(comment.edited),
+      resolved: comment.resolved === true,
+      resolvedBy: comment.resolved === true ? string(comment.resolvedBy) : '',
+      resolvedAt: comment.resolved === true ? time(comment.resolvedAt) : null,
+      replies: (Array.isArray(comment.replies) ? comment.replies : [])
+        .filter(reply => reply && typeof reply.id === 'string')
+        .map(reply => ({
+          id: reply.id,
+          author: string(reply.author),
+          created: time(reply.created),
+          text: string(reply.text),
+          edited: time(reply.edited)
+        }))
+    };
+  }
+
+  get(id) {
+    return this.threads.get(id) || null;
+  }
+
+  add(id, author, text) {
+    const thread = this.normalize({ id, author, text, created: new Date().toISOString() });
+    this.threads.set(id, thread);
+    return thread;
+  }
+
+  // A thread for text commented before threads existed, with no author or date
+  adopt(id, text) {
+    const thread = this.normalize({ id, text });
+    this.threads.set(id, thread);
+    return thread;
+  }
+
+  reply(id, replyId, author, text) {
+    const thread = this.get(id);
+    if (!thread) return null;
+    const reply = { id: replyId, author, created: new Date().toISOString(), text, edited: null };
+    thread.replies.push(reply);
+    thread.resolved = false; // Answering a resolved thread reopens it, like in Word
+    return reply;
+  }
+
+  // replyId null edits the comment that starts the thread
+  edit(id, replyId, text) {
+    const thread = this.get(id);
+    const entry = replyId ? thread?.replies.find(reply => reply.id === replyId) : thread;
+    if (!entry) return false;
+    entry.text = text;
+    entry.edited = new Date().toISOString();
+    return true;
+  }
+
+  removeReply(id, replyId) {
+    const thread = this.get(id);
+    if (thread) thread.replies = thread.replies.filter(reply => reply.id !== replyId);
+  }
+
+  remove(id) {
+    this.threads.delete(id);
+  }
+
+  setResolved(id, resolved, author) {
+    const thread = this.get(id);
+    if (!thread) return;
+    thread.resolved = resolved;
+    thread.resolvedBy = resolved ? author : '';
+    thread.resolvedAt = resolved ? new Date().toISOString() : null;
+  }
+
+  // Everyone who wrote in a thread, sorted
+  authors(ids) {
+    const names = new Set();
+    ids.forEach(id => {
+      const thread = this.get(id);
+      if (!thread) return;
+      names.add(thread.author);
+      thread.replies.forEach(reply => names.add(reply.author));
+    });
+    return Array.from(names).filter(Boolean).sort((a, b) => a.localeCompare(b));
+  }
+
+  // filter is { author, state }; an author matches if they wrote anything in the thread
+  matches(thread, { author = '', state = 'all' } = {}) {
+    if (state === 'open' && thread.resolved) return false;
+    if (state === 'resolved' && !thread.resolved) return false;
+    return !author || thread.author === author || thread.replies.some(reply => reply.author === author);
+  }
+
+  // The threads with these ids, in that order, for saving
+  serialize(ids) {
+    return ids.map(id => this.get(id)).filter(Boolean).map(thread => ({
+      ...thread,
+      replies: thread.replies.map(reply => ({ ...reply }))
+    }));
+  }
+
+  // A Markdown review summary. entries are [{ thread, quote }] in document order.
+  summary(entries, title) {
+    const open = entries.filter(({ thread }) => !thread.resolved).length;
+    const when = (time) => (time ? new Date(time).toLocaleString() : 'unknown date');
+    const byline = (entry) => `**${entry.author || 'Unknown author'}** · ${when(entry.created)}${entry.edited ? ' (edited)' : ''}`;
+    const lines = [
+      `# Review summary: ${title}`,
+      '',
+      `${entries.length} comment${entries.length === 1 ? '' : 's'}, ${open} open · exported ${new Date().toLocaleString()}`
+    ];
+
+    entries.forEach(({ thread, quote }, index) => {
+      lines.push('', `## ${index + 1}. “${quote.replace(/\s+/g, ' ').trim()}”`, '');
+      lines.push(`${byline(thread)} · ${thread.resolved
+        ? `Resolved${thread.resolvedBy ? ` by ${thread.resolvedBy}` : ''}${thread.resolvedAt ? ` on ${when(thread.resolvedAt)}` : ''}`
+        : 'Open'}`);
+      lines.push('', thread.text);
+      thread.replies.forEach(reply => {
+        lines.push('', `> ${byline(reply)}`, '>', ...reply.text.split('\n').map(line => `> ${line}`));
+      });
+    });
+    return `${lines.join('\n')}\n`;
+  }
+}
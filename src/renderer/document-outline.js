@@ -0,0 +1,128 @@
+// The document's headings as an outline: moving a heading with its section,
+// and the table of contents.
+//
+// A section is a heading and the blocks after it, up to the next heading of
+// the same or a higher level, across pages. Only headings directly in a page's
+// editor start a section that can be moved; the pages must be unsplit first
+// (see LayoutEngine.unsplit()) so no block is in two parts.
+//
+// A table of contents is a div.toc of one paragraph per heading, a link to the
+// heading's id and the number of the page it is on:
+//   <div class="toc" contenteditable="false">
+//     <p class="toc-title">Contents</p>
+//     <p class="toc-entry toc-level-1"><a href="#introduction">Introduction</a><span class="toc-page">1</span></p>
+//   </div>
+// It is not edited by hand but filled in again (DocumentEditor.updateTableOfContents()).
+
+const OUTLINE_TOC_CLASS = 'toc';
+const OUTLINE_TOC_ENTRY_CLASS = 'toc-entry';
+const OUTLINE_TOC_PAGE_CLASS = 'toc-page';
+const OUTLINE_TOC_TITLE = 'Contents';
+
+// Headings below this level are left out of a table of contents
+const OUTLINE_TOC_DEPTH = 3;
+
+class DocumentOutline {
+  // levelOf(element) is the outline level of a heading, 0 for any other block
+  constructor(levelOf) {
+    this.levelOf = levelOf;
+  }
+
+  // The nodes of heading's section in order, or [] if it cannot be moved
+  section(heading) {
+    if (!heading.parentElement?.matches('.page .editor')) return [];
+    const level = this.levelOf(heading);
+    const nodes = [heading];
+    let editor = heading.parentElement;
+    let node = heading.nextSibling;
+    for (;;) {
+      while (!node) {
+        editor = this.nextEditor(editor);
+        if (!editor) return nodes;
+        node = editor.firstChild;
+      }
+      const nextLevel = node.nodeType === Node.ELEMENT_NODE ? this.levelOf(node) : 0;
+      if (nextLevel > 0 && nextLevel <= level) return nodes;
+      nodes.push(node);
+      node = node.nextSibling;
+    }
+  }
+
+  nextEditor(editor) {
+    return editor.closest('.page').nextElementSibling?.querySelector('.editor') || null;
+  }
+
+  // Moves heading's section in front of the block before is in, or to the end
+  // of lastEditor without before. Returns false if it cannot go there.
+  moveSection(heading, before, lastEditor) {
+    const nodes = this.section(heading);
+    const target = before ? before.closest('.page .editor > *') : null;
+    if (nodes.length === 0 || (before && !target) || nodes.includes(target)) return false;
+    nodes.forEach(node => (target ? target.before(node) : lastEditor.appendChild(node)));
+    return true;
+  }
+
+  // An id for a heading to link to, made from its title the way GitHub makes
+  // anchors for Markdown headings, so links in exported Markdown still work
+  slug(title) {
+    return title.toLowerCase().replace(/[^\p{L}\p{N}\s_-]/gu, '').trim().replace(/\s/g, '-') || 'section';
+  }
+
+  // Gives the headings of entries ({ heading, title }) unique ids; an id is
+  // only replaced if replaceable has it (ids an earlier table of contents made)
+  anchor(entries, replaceable = new Set()) {
+    const used = new Set();
+    entries.forEach(({ heading, title }) => {
+      let id = heading.id;
+      if (!id || replaceable.has(id) || used.has(id)) {
+        const base = this.slug(title);
+        id = base;
+        for (let n = 1; used.has(id) || (id !== heading.id && document.getElementById(id)); n++) id = `${base}-${n}`;
+        heading.id = id;
+      }
+      used.add(id);
+    });
+  }
+
+  createTableOfContents() {
+    const toc = document.createElement('div');
+    toc.className = OUTLINE_TOC_CLASS;
+    toc.contentEditable = 'false';
+    return toc;
+  }
+
+  // The ids toc links to
+  targets(toc) {
+    return Array.from(toc.querySelectorAll(`.${OUTLINE_TOC_ENTRY_CLASS} a[href^="#"]`), link => link.getAttribute('href').slice(1));
+  }
+
+  // Fills toc in with entries ({ heading, title, level, page } with page
+  // counted from 0). Returns whether it changed.
+  fill(toc, entries) {
+    const before = toc.innerHTML;
+    const title = document.createElement('p');
+    title.className = 'toc-title';
+    title.textContent = OUTLINE_TOC_TITLE;
+    toc.replaceChildren(title);
+
+    entries.filter(({ level }) => level <= OUTLINE_TOC_DEPTH).forEach(({ heading, title: text, level, page }) => {
+      const entry = document.createElement('p');
+      entry.className = `${OUTLINE_TOC_ENTRY_CLASS} toc-level-${level}`;
+      const link = document.createElement('a');
+      link.href = `#${heading.id}`;
+      link.textContent = text;
+      const number = document.createElement('span');
+      number.className = OUTLINE_TOC_PAGE_CLASS;
+      number.textContent = String(page + 1);
+      entry.append(link, number);
+      toc.appendChild(entry);
+    });
+    if (toc.children.length === 1) {
+      const empty = document.createElement('p');
+      empty.className = 'toc-empty';
+      empty.textContent = 'No headings yet. Text styled as a heading is listed here.';
+      toc.appendChild(empty);
+    }
+    return toc.innerHTML !== before;
+  }
+}
@@ -0,0 +1,399 @@
+// Named paragraph and character styles.
+//
+// A style is
+//   { id, name, type: 'paragraph' | 'character', outline, font, size, bold, italic, underline, color,
+//     align, spaceBefore, spaceAfter, lineHeight, indent }
+// with size, spacing and indent in points, lineHeight a multiple of the font
+// size and outline the heading level (1-6) of a paragraph style that belongs in
+// the document outline, or null. A property that is null is not set by the
+// style: the text keeps what it is based on, Normal for a paragraph style and
+// the heading of its level for one with an outline level.
+//
+// The built-in styles are the elements the editor and the importers already
+// produce: <p> is Normal, <h2> Heading 2, <strong> Strong and so on. A custom
+// style is data-style="<id>" on a <p>, on the <h1>-<h6> of its outline level,
+// or on a <span>. Every use of a style follows it through the CSS built here,
+// so changing a style restyles the whole document. Ids are Word style ids.
+
+const DEFAULT_DOCUMENT_STYLES = [
+  { id: 'Normal', name: 'Normal', type: 'paragraph', spaceBefore: 0, spaceAfter: 12 },
+  { id: 'Title', name: 'Title', type: 'paragraph', size: 28, bold: false, spaceBefore: 0, spaceAfter: 12 },
+  { id: 'Heading1', name: 'Heading 1', type: 'paragraph', outline: 1, size: 24, bold: true, spaceBefore: 12, spaceAfter: 6 },
+  { id: 'Heading2', name: 'Heading 2', type: 'paragraph', outline: 2, size: 18, bold: true, spaceBefore: 12, spaceAfter: 6 },
+  { id: 'Heading3', name: 'Heading 3', type: 'paragraph', outline: 3, size: 14, bold: true, spaceBefore: 12, spaceAfter: 6 },
+  { id: 'Heading4', name: 'Heading 4', type: 'paragraph', outline: 4, size: 12, bold: true, spaceBefore: 12, spaceAfter: 6 },
+  { id: 'Heading5', name: 'Heading 5', type: 'paragraph', outline: 5, size: 10, bold: true, spaceBefore: 12, spaceAfter: 6 },
+  { id: 'Heading6', name: 'Heading 6', type: 'paragraph', outline: 6, size: 8, bold: true, spaceBefore: 12, spaceAfter: 6 },
+  { id: 'Quote', name: 'Quote', type: 'paragraph', italic: true },
+  { id: 'Code', name: 'Code', type: 'paragraph', font: 'Courier New' },
+  { id: 'Strong', name: 'Strong', type: 'character', bold: true },
+  { id: 'Emphasis', name: 'Emphasis', type: 'character', italic: true },
+  { id: 'InlineCode', name: 'Inline Code', type: 'character', font: 'Courier New' }
+];
+
+// The elements of the built-in styles: what applying one creates, and the selector that finds them
+const DOCUMENT_STYLE_ELEMENTS = {
+  Normal: { tag: 'P', selector: 'p' },
+  Title: { tag: 'H1', className: 'doc-title', selector: 'h1.doc-title' },
+  Heading1: { tag: 'H1', selector: 'h1:not(.doc-title)' },
+  Heading2: { tag: 'H2', selector: 'h2' },
+  Heading3: { tag: 'H3', selector: 'h3' },
+  Heading4: { tag: 'H4', selector: 'h4' },
+  Heading5: { tag: 'H5', selector: 'h5' },
+  Heading6: { tag: 'H6', selector: 'h6' },
+  Quote: { tag: 'BLOCKQUOTE', selector: 'blockquote' },
+  Code: { tag: 'PRE', selector: 'pre' },
+  Strong: { tag: 'STRONG', selector: 'strong' },
+  Emphasis: { tag: 'EM', selector: 'em' },
+  InlineCode: { tag: 'CODE', selector: 'code' }
+};
+
+// The blocks a paragraph style is applied to
+const DOCUMENT_STYLE_PARAGRAPHS = 'p, div, h1, h2, h3, h4, h5, h6, pre, blockquote';
+
+// Anything else that ends a run of inline content
+const DOCUMENT_STYLE_BLOCK_TAGS = new Set([
+  'P', 'DIV', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'UL', 'OL', 'LI', 'TABLE', 'HR',
+  'BLOCKQUOTE', 'PRE', 'SECTION', 'ARTICLE', 'HEADER', 'FOOTER', 'FIGURE', 'FIGCAPTION'
+]);
+
+const DOCUMENT_STYLE_ALIGNMENTS = ['left', 'center', 'right', 'justify'];
+
+// Word style ids are letters and digits
+const DOCUMENT_STYLE_ID = /^[A-Za-z][A-Za-z0-9]*$/;
+
+// The CSS of a style that belongs to its paragraphs; Normal gives the rest to all text
+const DOCUMENT_STYLE_PARAGRAPH_CSS = new Set(['text-align', 'margin-top', 'margin-bottom', 'margin-left', 'line-height']);
+
+class DocumentStyles {
+  constructor() {
+    this.styles = new Map();
+    this.load([]);
+  }
+
+  // saved are the styles a document keeps, see serialize()
+  load(saved) {
+    this.styles.clear();
+    DEFAULT_DOCUMENT_STYLES.forEach(style => this.styles.set(style.id, this.normalize(style)));
+    (saved || []).forEach(style => {
+      if (!style || typeof style.id !== 'string' || !DOCUMENT_STYLE_ID.test(style.id)) return;
+      const builtIn = this.defaultStyle(style.id);
+      this.styles.set(style.id, this.normalize(builtIn
+        ? { ...style, name: builtIn.name, type: builtIn.type, outline: builtIn.outline }
+        : style));
+    });
+  }
+
+  normalize(style) {
+    const number = (value, min, max) => (typeof value === 'number' && Number.isFinite(value) ? Math.min(Math.max(value, min), max) : null);
+    const flag = (value) => (typeof value === 'boolean' ? value : null);
+    const type = style.type === 'character' ? 'character' : 'paragraph';
+    const paragraph = type === 'paragraph';
+    // Quotes and braces would end the CSS font-family value
+    const font = typeof style.font === 'string' ? style.font.replace(/["'\\;{}<>]/g, '').trim() : '';
+    return {
+      id: style.id,
+      name: typeof style.name === 'string' && style.name.trim() ? style.name.trim() : style.id,
+      type,
+      outline: paragraph && Number.isInteger(style.outline) && style.outline >= 1 && style.outline <= 6 ? style.outline : null,
+      font: font || null,
+      size: number(style.size, 1, 400),
+      bold: flag(style.bold),
+      italic: flag(style.italic),
+      underline: flag(style.underline),
+      color: typeof style.color === 'string' && /^#[0-9a-f]{6}$/i.test(style.color) ? style.color.toLowerCase() : null,
+      align: paragraph && DOCUMENT_STYLE_ALIGNMENTS.includes(style.align) ? style.align : null,
+      spaceBefore: paragraph ? number(style.spaceBefore, 0, 1584) : null,
+      spaceAfter: paragraph ? number(style.spaceAfter, 0, 1584) : null,
+      lineHeight: paragraph ? number(style.lineHeight, 0.5, 10) : null,
+      indent: paragraph ? number(style.indent, -1584, 1584) : null
+    };
+  }
+
+  defaultStyle(id) {
+    return DEFAULT_DOCUMENT_STYLES.find(style => style.id === id) || null;
+  }
+
+  isBuiltIn(id) {
+    return Boolean(this.defaultStyle(id));
+  }
+
+  get(id) {
+    return this.styles.get(id) || null;
+  }
+
+  // Built-in styles first, then custom ones in the order they were made
+  list(type = null) {
+    return Array.from(this.styles.values()).filter(style => !type || style.type === type);
+  }
+
+  // What a document saves: its custom styles and the built-in ones it changed
+  serialize() {
+    return this.list().filter(style => {
+      const builtIn = this.defaultStyle(style.id);
+      return !builtIn || JSON.stringify(style) !== JSON.stringify(this.normalize(builtIn));
+    }).map(style => ({ ...style }));
+  }
+
+  // Adds a custom style and returns it; its id comes from its name
+  create(name, properties) {
+    const letters = name.replace(/[^A-Za-z0-9]/g, '');
+    const stem = /^[A-Za-z]/.test(letters) ? letters : `Style${letters}`;
+    let id = stem;
+    for (let suffix = 2; this.styles.has(id); suffix++) id = `${stem}${suffix}`;
+    const style = this.normalize({ ...properties, id, name });
+    this.styles.set(id, style);
+    return style;
+  }
+
+  // A built-in style keeps its name, type and level; any style keeps its type
+  update(id, properties) {
+    const style = this.get(id);
+    if (!style) return null;
+    const builtIn = this.defaultStyle(id);
+    const fixed = builtIn ? { name: builtIn.name, type: builtIn.type, outline: builtIn.outline } : { type: style.type };
+    const updated = this.normalize({ ...style, ...properties, ...fixed, id });
+    this.styles.set(id, updated);
+    return updated;
+  }
+
+  reset(id) {
+    const builtIn = this.defaultStyle(id);
+    if (builtIn) this.styles.set(id, this.normalize(builtIn));
+  }
+
+  remove(id) {
+    if (!this.isBuiltIn(id)) this.styles.delete(id);
+  }
+
+  // The element a style is: its tag, and the class or data-style that marks it
+  element(style) {
+    const builtIn = DOCUMENT_STYLE_ELEMENTS[style.id];
+    if (builtIn) return builtIn;
+    if (style.type === 'character') return { tag: 'SPAN', style: style.id, selector: `[data-style="${style.id}"]` };
+    return { tag: style.outline ? `H${style.outline}` : 'P', style: style.id, selector: `[data-style="${style.id}"]` };
+  }
+
+  // The style of element, or null if it is not the element of one
+  styleOf(element) {
+    const custom = this.get(element.dataset?.style);
+    if (custom) return custom;
+    const builtIn = Object.keys(DOCUMENT_STYLE_ELEMENTS).find(id => element.matches(DOCUMENT_STYLE_ELEMENTS[id].selector));
+    return builtIn ? this.get(builtIn) : null;
+  }
+
+  // The paragraph and character style of the text at node in root. A
+  // paragraph in a quote or code block is in the outer block's style.
+  stylesAt(node, root) {
+    let paragraph = null;
+    let character = null;
+    let element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+    for (; element && element !== root && root.contains(element); element = element.parentElement) {
+      const style = this.styleOf(element);
+      if (style?.type === 'character') {
+        character = character || style;
+      } else if (style && (!paragraph || paragraph.id === 'Normal')) {
+        paragraph = style;
+      }
+    }
+    return { paragraph: paragraph || this.get('Normal'), character };
+  }
+
+  // The uses of style in root
+  uses(root, style) {
+    return Array.from(root.querySelectorAll(this.element(style).selector));
+  }
+
+  // The CSS declarations of style, as [property, value]
+  declarations(style) {
+    const points = (value) => `${value}pt`;
+    const declarations = [];
+    if (style.font) declarations.push(['font-family', `"${style.font}"`]);
+    if (style.size !== null) declarations.push(['font-size', points(style.size)]);
+    if (style.bold !== null) declarations.push(['font-weight', style.bold ? 'bold' : 'normal']);
+    if (style.italic !== null) declarations.push(['font-style', style.italic ? 'italic' : 'normal']);
+    if (style.underline !== null) declarations.push(['text-decoration-line', style.underline ? 'underline' : 'none']);
+    if (style.color) declarations.push(['color', style.color]);
+    if (style.align) declarations.push(['text-align', style.align]);
+    if (style.spaceBefore !== null) declarations.push(['margin-top', points(style.spaceBefore)]);
+    if (style.spaceAfter !== null) declarations.push(['margin-bottom', points(style.spaceAfter)]);
+    if (style.lineHeight !== null) declarations.push(['line-height', String(style.lineHeight)]);
+    if (style.indent !== null) declarations.push(['margin-left', points(style.indent)]);
+    return declarations;
+  }
+
+  // The stylesheet that formats every use of every style on the pages
+  css() {
+    const rule = (selector, declarations) => (declarations.length === 0 ? '' :
+      `${selector} { ${declarations.map(([property, value]) => `${property}: ${value};`).join(' ')} }`);
+    const scope = '#page-container .editor';
+    return this.list().map(style => {
+      const declarations = this.declarations(style);
+      const selector = `${scope} ${this.element(style).selector}`;
+      if (style.id !== 'Normal') return rule(selector, declarations);
+      // Every style is based on Normal, so its font is the editor's
+      return [
+        rule(scope, declarations.filter(([property]) => !DOCUMENT_STYLE_PARAGRAPH_CSS.has(property))),
+        rule(selector, declarations.filter(([property]) => DOCUMENT_STYLE_PARAGRAPH_CSS.has(property)))
+      ].filter(Boolean).join('\n');
+    }).filter(Boolean).join('\n');
+  }
+
+  // Gives paragraph style id to the blocks range touches in root and returns them.
+  // Text straight in a list item, table cell or root gets a paragraph of its own.
+  applyParagraphStyle(range, root, id) {
+    const style = this.get(id);
+    if (!style || style.type !== 'paragraph') return [];
+    return this.paragraphs(range, root).map(block => {
+      // A paragraph in a quote or code block leaves it for its new style
+      while (block.parentElement !== root && ['BLOCKQUOTE', 'PRE'].includes(block.parentElement.tagName)) {
+        this.lift(block, block.parentElement);
+      }
+      return this.restyle(block, style);
+    });
+  }
+
+  // The innermost blocks range touches. A selection that ends at the start of
+  // a block, as when a whole paragraph is selected, does not touch it.
+  paragraphs(range, root) {
+    const touches = (block) => {
+      if (!range.intersectsNode(block) || block.querySelector(DOCUMENT_STYLE_PARAGRAPHS) || block.closest('[data-layout-repeat]')) return false;
+      if (range.collapsed || !block.contains(range.endContainer)) return true;
+      const lead = document.createRange();
+      lead.setStart(block, 0);
+      lead.setEnd(range.endContainer, range.endOffset);
+      return lead.toString() !== '';
+    };
+    const blocks = Array.from(root.querySelectorAll(DOCUMENT_STYLE_PARAGRAPHS)).filter(touches);
+    if (blocks.length > 0) return blocks;
+
+    let container = range.startContainer.nodeType === Node.ELEMENT_NODE ? range.startContainer : range.startContainer.parentElement;
+    while (container !== root && !['LI', 'TD', 'TH'].includes(container.tagName)) container = container.parentElement;
+    let child = range.startContainer === container
+      ? container.childNodes[Math.min(range.startOffset, container.childNodes.length - 1)]
+      : range.startContainer;
+    while (child && child.parentNode !== container) child = child.parentNode;
+
+    if (child?.nodeType === Node.ELEMENT_NODE && DOCUMENT_STYLE_BLOCK_TAGS.has(child.tagName)) {
+      return child.matches(DOCUMENT_STYLE_PARAGRAPHS) ? [child] : [];
+    }
+    const paragraph = document.createElement('p');
+    if (!child) {
+      paragraph.appendChild(document.createElement('br'));
+      container.appendChild(paragraph);
+      return [paragraph];
+    }
+    const inline = (node) => node && !(node.nodeType === Node.ELEMENT_NODE && DOCUMENT_STYLE_BLOCK_TAGS.has(node.tagName));
+    let first = child;
+    while (inline(first.previousSibling)) first = first.previousSibling;
+    let last = child;
+    while (inline(last.nextSibling)) last = last.nextSibling;
+    first.before(paragraph);
+    for (let node = first; node; ) {
+      const next = node === last ? null : node.nextSibling;
+      paragraph.appendChild(node);
+      node = next;
+    }
+    return [paragraph];
+  }
+
+  // Gives block the element of paragraph style, keeping its content and other attributes
+  restyle(block, style) {
+    const { tag, className, style: id } = this.element(style);
+    let element = block;
+    if (block.tagName !== tag) {
+      element = document.createElement(tag);
+      Array.from(block.attributes).forEach(({ name, value }) => element.setAttribute(name, value));
+      while (block.firstChild) element.appendChild(block.firstChild);
+      block.replaceWith(element);
+    }
+    element.classList.remove('doc-title');
+    if (className) element.classList.add(className);
+    if (element.classList.length === 0) element.removeAttribute('class');
+    if (id) {
+      element.dataset.style = id;
+    } else {
+      element.removeAttribute('data-style');
+    }
+    // What the style sets comes from the style from now on
+    this.declarations(style).forEach(([property]) => element.style.removeProperty(property));
+    if (!element.getAttribute('style')) element.removeAttribute('style');
+    return element;
+  }
+
+  // Gives the text range covers in root character style id, or none without
+  // one, and returns its text nodes. Text has one character style, so it
+  // leaves any other it was in.
+  applyCharacterStyle(range, root, id) {
+    const style = id ? this.get(id) : null;
+    if (style && style.type !== 'character') return [];
+
+    const pieces = [];
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      if (!range.intersectsNode(node) || node.parentElement.closest('[data-layout-repeat]')) continue;
+      const start = node === range.startContainer ? range.startOffset : 0;
+      const end = node === range.endContainer ? range.endOffset : node.length;
+      if (end > start) pieces.push({ node, start, end });
+    }
+
+    return pieces.map(({ node, start, end }) => {
+      let piece = node;
+      if (end < piece.length) piece.splitText(end);
+      if (start > 0) piece = piece.splitText(start);
+      for (let styled = this.characterElement(piece, root); styled; styled = this.characterElement(piece, root)) {
+        this.lift(piece, styled);
+      }
+      if (style) this.wrap(piece, style);
+      return piece;
+    });
+  }
+
+  // The element of a character style that node is in
+  characterElement(node, root) {
+    for (let element = node.parentElement; element && element !== root; element = element.parentElement) {
+      if (this.styleOf(element)?.type === 'character') return element;
+    }
+    return null;
+  }
+
+  // Wraps node in the element of character style, joining one right before it
+  wrap(node, style) {
+    const { tag, style: id } = this.element(style);
+    const element = document.createElement(tag);
+    if (id) element.dataset.style = id;
+    const previous = node.previousSibling;
+    if (previous?.nodeType === Node.ELEMENT_NODE && previous.cloneNode(false).isEqualNode(element)) {
+      previous.appendChild(node);
+    } else {
+      node.before(element);
+      element.appendChild(node);
+    }
+  }
+
+  // Takes node out of ancestor, which is split in two around it. The
+  // elements between them are copied around node, so it keeps their formatting.
+  lift(node, ancestor) {
+    const tail = document.createRange();
+    tail.setStartAfter(node);
+    tail.setEnd(ancestor, ancestor.childNodes.length);
+    const after = ancestor.cloneNode(false);
+    after.appendChild(tail.extractContents());
+
+    const between = [];
+    for (let parent = node.parentNode; parent !== ancestor; parent = parent.parentNode) between.push(parent);
+    let lifted = node;
+    between.forEach(parent => {
+      const copy = parent.cloneNode(false);
+      copy.appendChild(lifted);
+      lifted = copy;
+    });
+    ancestor.after(lifted, after);
+
+    // Whatever the split left empty goes
+    [...between, ancestor, after].forEach(element => {
+      const text = DOCUMENT_STYLE_BLOCK_TAGS.has(element.tagName) ? element.textContent.trim() : element.textContent;
+      if (!text && element.children.length === 0) element.remove();
+    });
+  }
+}
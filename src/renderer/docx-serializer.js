@@ -0,0 +1,572 @@
+// Walks the page/editor DOM built by DocumentEditor and produces the plain
+// data model that src/main/docx-export.js turns into an OOXML package.
+//
+// Model: { sections: [{ body, pageSetup }], headers, footers, differentFirstPage, differentOddEven, trackChanges, styles }.
+// A section starts at the first page and at every page Word must start on a new
+// sheet too (a section break or Add Page); pageSetup is its setup (see page-setup.js)
+// plus its width and height in mm. headers and footers are { default, first, even }
+// (see header-footer.js). Each part is a list of
+//   { type: 'paragraph', style, align, indent, lineHeight, spaceAfter, list, border, tabs, runs }
+//   { type: 'table', columns, rows: [{ header, cells: [{ colSpan, rowSpan, shading, verticalAlign, borders, blocks }] }] }
+// and runs are { type: 'text' | 'break' | 'image' | 'field', ...formatting }; an image run's wrap is
+// 'left' or 'right' when text flows around it (see image-editor.js). A run in a tracked
+// change (see track-changes.js) has revision: { type: 'insert' | 'delete', author, date }.
+// Paragraphs and runs name their style (see document-styles.js); styles are the
+// document's styles in the form docx-export.js writes them. A paragraph's
+// spaceAfter is null where its style decides. A cell's borders are null where the
+// table's apply, otherwise { top, right, bottom, left }, each { size, color } in
+// eighths of a point, or null for none. A paragraph's tabs are its tab stops,
+// [{ align, leader, position }] with position in twips.
+
+const DOCX_BLOCK_TAGS = new Set([
+  'P', 'DIV', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'UL', 'OL', 'LI', 'TABLE', 'HR',
+  'BLOCKQUOTE', 'PRE', 'SECTION', 'ARTICLE', 'HEADER', 'FOOTER', 'FIGURE', 'FIGCAPTION'
+]);
+
+// Half-point sizes for <font size="1..7">, matching the #fontSize options
+const DOCX_FONT_SIZES = { 1: 16, 2: 20, 3: 24, 4: 28, 5: 36, 6: 48, 7: 72 };
+
+const DOCX_SAFE_LINK = /^(https?:|mailto:)/i;
+
+class DocxSerializer {
+  constructor() {
+    this.listCounter = 0;
+    this.colorContext = document.createElement('canvas').getContext('2d');
+    this.styles = new Map(); // By id, as serializeStyles() returns them
+  }
+
+  // options: { showHeader, showFooter, pageNumbers, pageSetups, headerFooter, trackChanges, styles }, pageSetups
+  // being one per page, headerFooter { differentFirstPage, differentOddEven, header, footer } with a
+  // rendered element for each variant and styles the document's styles
+  serialize(pageContainer, options = {}) {
+    this.listCounter = 0;
+    const styles = this.serializeStyles(options.styles || []);
+    this.styles = new Map(styles.map(style => [style.id, style]));
+
+    const sections = [];
+    Array.from(pageContainer.querySelectorAll('.page')).forEach((page, index) => {
+      if (index === 0 || page.dataset.pageSetup || page.dataset.pageBreak === 'true') {
+        sections.push({ body: [], pageSetup: options.pageSetups?.[index] || null });
+      }
+      const editor = page.querySelector('.editor');
+      // Only paragraphs have Normal's spacing, as on the page
+      const bodyContext = { lineHeight: this.parseLineHeight(editor?.style.lineHeight), spaceAfter: 0 };
+      sections[sections.length - 1].body.push(...this.serializeBlocks(editor, bodyContext));
+    });
+
+    const headerFooter = options.headerFooter || {};
+    const parts = (type, visible) => {
+      const variants = {};
+      ['default', 'first', 'even'].forEach(variant => {
+        variants[variant] = visible ? this.serializeBlocks(headerFooter[type]?.[variant], { align: 'center', spaceAfter: 0 }) : [];
+        if (type === 'footer' && options.pageNumbers) {
+          variants[variant].push({
+            type: 'paragraph',
+            align: 'center',
+            spaceAfter: 0,
+            runs: [{ type: 'field', instruction: 'PAGE', text: '1' }]
+          });
+        }
+      });
+      return variants;
+    };
+
+    return {
+      sections,
+      headers: parts('header', options.showHeader !== false),
+      footers: parts('footer', options.showFooter !== false),
+      differentFirstPage: headerFooter.differentFirstPage === true,
+      differentOddEven: headerFooter.differentOddEven === true,
+      trackChanges: options.trackChanges === true,
+      styles
+    };
+  }
+
+  // The document's styles as styles.xml entries: sizes in half-points,
+  // spacing and indents in twips and outline levels counted from 0
+  serializeStyles(styles) {
+    const twips = (points) => (points === null ? null : Math.round(points * 20));
+    return styles.map(style => {
+      const heading = /^Heading[1-6]$/.test(style.id);
+      return {
+        id: style.id,
+        name: heading ? style.name.toLowerCase() : style.name, // Word knows its headings as 'heading 1'...
+        type: style.type,
+        isDefault: style.id === 'Normal',
+        basedOn: style.outline && !heading ? `Heading${style.outline}` : null,
+        outline: style.outline ? style.outline - 1 : null,
+        run: {
+          font: style.font,
+          size: style.size === null ? null : Math.round(style.size * 2),
+          bold: style.bold,
+          italic: style.italic,
+          underline: style.underline,
+          color: style.color ? style.color.slice(1).toUpperCase() : null
+        },
+        align: this.parseAlign(style.align),
+        spaceBefore: twips(style.spaceBefore),
+        spaceAfter: twips(style.spaceAfter),
+        lineHeight: style.lineHeight,
+        indent: twips(style.indent)
+      };
+    });
+  }
+
+  // A custom style element's style, if the document has it
+  styleOf(element, type) {
+    const style = this.styles.get(element.dataset.style);
+    return style && style.type === type ? style.id : null;
+  }
+
+  // A run takes one character style. One inside another adds its formatting
+  // directly instead, fallback when the document does not define it.
+  addCharacterStyle(format, id, fallback = {}) {
+    if (!format.style) {
+      format.style = id;
+    } else {
+      Object.entries(this.styles.get(id)?.run || fallback).forEach(([key, value]) => {
+        if (value !== null) format[key] = value;
+      });
+    }
+  }
+
+  // Block-level walk: loose inline content between blocks becomes its own paragraph
+  serializeBlocks(container, context) {
+    if (!container) return [];
+
+    const blocks = [];
+    let paragraph = null;
+
+    const flush = () => {
+      if (paragraph) {
+        this.finishParagraph(paragraph);
+        // Whitespace between block elements is not a paragraph
+        if (paragraph.runs.some(run => run.type !== 'text' || run.text.trim())) {
+          blocks.push(paragraph);
+        }
+        paragraph = null;
+      }
+    };
+
+    container.childNodes.forEach(node => {
+      if (node.nodeType === Node.ELEMENT_NODE && this.isBlock(node)) {
+        flush();
+        blocks.push(...this.serializeBlock(node, context));
+      } else {
+        if (!paragraph) paragraph = this.createParagraph(context);
+        this.collectRuns(node, paragraph.runs, context.format || {}, context);
+      }
+    });
+    flush();
+
+    return blocks;
+  }
+
+  isBlock(element) {
+    if (DOCX_BLOCK_TAGS.has(element.tagName)) return true;
+    // insertImage() adds images as display:block, give them their own paragraph
+    return element.tagName === 'IMG' && element.style.display === 'block';
+  }
+
+  serializeBlock(element, context) {
+    const tag = element.tagName;
+
+    if (/^H[1-6]$/.test(tag)) {
+      const style = this.styleOf(element, 'paragraph') ||
+        (element.classList.contains('doc-title') ? 'Title' : `Heading${tag.charAt(1)}`);
+      return this.serializeContainer(element, { ...context, style, spaceAfter: null });
+    }
+
+    switch (tag) {
+      case 'UL':
+      case 'OL':
+        return this.serializeList(element, context);
+      case 'TABLE':
+        return [this.serializeTable(element, context)];
+      case 'HR':
+        return [{ ...this.createParagraph(context), border: 'bottom' }];
+      case 'BLOCKQUOTE':
+        return this.serializeContainer(element, {
+          ...context,
+          style: context.style || 'Quote',
+          indent: (context.indent || 0) + 720,
+          spaceAfter: null
+        });
+      case 'PRE':
+        return this.serializeContainer(element, { ...context, style: 'Code', preformatted: true, spaceAfter: null });
+      case 'P':
+        if (element.classList.contains(OUTLINE_TOC_ENTRY_CLASS)) return this.serializeContentsEntry(element, context);
+        return this.serializeContainer(element, {
+          ...context,
+          style: this.styleOf(element, 'paragraph') || context.style,
+          spaceAfter: null
+        });
+      case 'FIGCAPTION':
+        return this.serializeContainer(element, { ...context, style: 'Caption', spaceAfter: null });
+      case 'IMG': {
+        const paragraph = this.createParagraph(this.paragraphContext(element, context));
+        // Centred images (image-editor.js) have auto side margins
+        if (element.style.marginLeft === 'auto' && element.style.marginRight === 'auto') paragraph.align = 'center';
+        this.collectRuns(element, paragraph.runs, context.format || {}, context);
+        return [paragraph];
+      }
+      default:
+        return this.serializeContainer(element, context);
+    }
+  }
+
+  // A table of contents entry (document-outline.js) has its page number at a
+  // dotted tab stop on the right. Word has no page to link to, so it is text.
+  serializeContentsEntry(element, context) {
+    const level = parseInt((/toc-level-(\d)/.exec(element.className) || [])[1], 10) || 1;
+    const width = Math.round((element.parentElement?.clientWidth || element.clientWidth) * 15); // CSS pixels to twips
+    return this.serializeContainer(element, {
+      ...context,
+      indent: (context.indent || 0) + 360 * (level - 1),
+      tabs: [{ align: 'right', leader: 'dot', position: width }],
+      spaceAfter: null
+    });
+  }
+
+  // A block element always yields at least one (possibly empty) paragraph
+  serializeContainer(element, context) {
+    const innerContext = this.paragraphContext(element, context);
+    const blocks = this.serializeBlocks(element, innerContext);
+    return blocks.length > 0 ? blocks : [this.createParagraph(innerContext)];
+  }
+
+  paragraphContext(element, context) {
+    const next = { ...context };
+    const align = this.parseAlign(element.style.textAlign || element.getAttribute('align'));
+    if (align) next.align = align;
+
+    const lineHeight = this.parseLineHeight(element.style.lineHeight);
+    if (lineHeight) next.lineHeight = lineHeight;
+
+    // Block backgrounds (table cell shading) are not text highlights
+    next.format = this.inlineFormat(element, context.format || {}, { block: true });
+    return next;
+  }
+
+  serializeList(list, context) {
+    const level = context.list ? context.list.level + 1 : 0;
+    const listInfo = {
+      id: ++this.listCounter,
+      kind: list.tagName === 'OL' ? 'number' : 'bullet',
+      level,
+      start: parseInt(list.getAttribute('start'), 10) || 1
+    };
+
+    const blocks = [];
+    Array.from(list.children).forEach(item => {
+      if (item.tagName === 'UL' || item.tagName === 'OL') {
+        blocks.push(...this.serializeList(item, { ...context, list: listInfo }));
+        return;
+      }
+
+      const itemBlocks = this.serializeContainer(item, { ...context, list: listInfo });
+      // Only the first paragraph of an item carries the bullet, the rest are indented continuations
+      let first = true;
+      itemBlocks.forEach(block => {
+        if (block.list !== listInfo) return;
+        if (!first) {
+          block.list = null;
+          block.indent = 720 * (level + 1);
+        }
+        first = false;
+      });
+      blocks.push(...itemBlocks);
+    });
+    return blocks;
+  }
+
+  serializeTable(table, context) {
+    const cellContext = { lineHeight: context.lineHeight, spaceAfter: 0 };
+    // Widths set on the table's columns (see table-editor.js) win over what is laid out
+    const cols = Array.from(table.querySelectorAll(':scope > colgroup > col'));
+    let columns = cols.length > 0 && cols.every(col => parseFloat(col.style.width) > 0)
+      ? cols.map(col => parseFloat(col.style.width))
+      : null;
+
+    const rows = Array.from(table.rows).map(row => {
+      const header = row.parentElement.tagName === 'THEAD' ||
+        (row.cells.length > 0 && Array.from(row.cells).every(cell => cell.tagName === 'TH'));
+
+      // Column widths come from the first row without merged cells
+      if (!columns && Array.from(row.cells).every(cell => cell.colSpan === 1)) {
+        const widths = Array.from(row.cells).map(cell => cell.offsetWidth);
+        if (widths.every(width => width > 0)) columns = widths;
+      }
+
+      return {
+        header,
+        cells: Array.from(row.cells).map(cell => ({
+          colSpan: cell.colSpan || 1,
+          rowSpan: cell.rowSpan || 1,
+          shading: this.parseColor(cell.style.backgroundColor),
+          verticalAlign: { top: 'top', middle: 'center', bottom: 'bottom' }[cell.style.verticalAlign || cell.getAttribute('valign')] || null,
+          borders: this.cellBorders(cell),
+          blocks: this.serializeContainer(cell, {
+            ...cellContext,
+            format: cell.tagName === 'TH' ? { bold: true } : {}
+          })
+        }))
+      };
+    });
+
+    return { type: 'table', columns, rows };
+  }
+
+  // The borders set on the cell itself; see the model above
+  cellBorders(cell) {
+    const sides = ['top', 'right', 'bottom', 'left'];
+    const style = cell.style;
+    if (sides.every(side => !style.getPropertyValue(`border-${side}-style`))) return null;
+    const borders = {};
+    sides.forEach(side => {
+      const lineStyle = style.getPropertyValue(`border-${side}-style`);
+      const width = parseFloat(style.getPropertyValue(`border-${side}-width`)) || 1;
+      borders[side] = !lineStyle || lineStyle === 'none' || lineStyle === 'hidden'
+        ? null
+        : { size: Math.max(2, Math.round(width * 6)), color: this.parseColor(style.getPropertyValue(`border-${side}-color`)) || '000000' };
+    });
+    return borders;
+  }
+
+  createParagraph(context) {
+    return {
+      type: 'paragraph',
+      style: context.style || null,
+      align: context.align || null,
+      indent: context.indent || 0,
+      lineHeight: context.lineHeight || null,
+      spaceAfter: context.spaceAfter ?? null,
+      list: context.list || null,
+      border: null,
+      tabs: context.tabs || null,
+      runs: []
+    };
+  }
+
+  // Trim collapsed whitespace at the paragraph edges and drop the trailing <br>
+  // that contenteditable keeps at the end of every line
+  finishParagraph(paragraph) {
+    const { runs } = paragraph;
+    if (runs.length > 0 && runs[runs.length - 1].type === 'break') runs.pop();
+
+    // Only the ends of the paragraph; spaces next to a field or image are text
+    const first = runs[0];
+    if (first && first.type === 'text') first.text = first.text.replace(/^ +/, '');
+    const last = runs[runs.length - 1];
+    if (last && last.type === 'text') last.text = last.text.replace(/ +$/, '');
+
+    paragraph.runs = runs.filter(run => run.type !== 'text' || run.text !== '');
+  }
+
+  collectRuns(node, runs, format, context) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      if (context.preformatted) {
+        node.data.split('\n').forEach((line, index) => {
+          if (index > 0) runs.push({ type: 'break' });
+          if (line) runs.push({ type: 'text', text: line, ...format });
+        });
+        return;
+      }
+
+      let text = node.data.replace(/[ \t\n\r]+/g, ' ');
+      const previous = runs[runs.length - 1];
+      if (text.startsWith(' ') && (!previous || previous.type === 'break' ||
+          (previous.type === 'text' && previous.text.endsWith(' ')))) {
+        text = text.slice(1);
+      }
+      if (text) runs.push({ type: 'text', text, ...format });
+      return;
+    }
+
+    if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+    if (node.tagName === 'BR') {
+      runs.push({ type: 'break' });
+      return;
+    }
+
+    // Header and footer fields (header-footer.js) that Word can keep up to date stay fields
+    if (node.dataset.field) {
+      const instruction = HEADER_FOOTER_FIELDS[node.dataset.field]?.instruction;
+      runs.push(instruction
+        ? { type: 'field', instruction, text: node.textContent, ...format }
+        : { type: 'text', text: node.textContent, ...format });
+      return;
+    }
+
+    if (node.classList.contains(OUTLINE_TOC_PAGE_CLASS)) {
+      runs.push({ type: 'text', text: `\t${node.textContent}`, ...format });
+      return;
+    }
+
+    // Caption numbers (image-editor.js) stay a sequence Word numbers
+    if (node.classList.contains(IMAGE_CAPTION_NUMBER_CLASS)) {
+      runs.push({ type: 'field', instruction: `SEQ ${IMAGE_CAPTION_LABEL} \\* ARABIC`, text: node.textContent, ...format });
+      return;
+    }
+
+    if (node.tagName === 'IMG') {
+      // A captioned image wraps with its figure
+      const frame = node.parentElement?.matches(`figure.${IMAGE_FIGURE_CLASS}`) ? node.parentElement : node;
+      runs.push({
+        type: 'image',
+        src: node.getAttribute('src') || '',
+        width: node.width || node.naturalWidth || 0,
+        height: node.height || node.naturalHeight || 0,
+        alt: node.getAttribute('alt') || '',
+        wrap: ['left', 'right'].includes(frame.style.float) ? frame.style.float : null,
+        link: format.link || null,
+        revision: format.revision || null
+      });
+      return;
+    }
+
+    const childFormat = this.inlineFormat(node, format);
+    node.childNodes.forEach(child => this.collectRuns(child, runs, childFormat, context));
+  }
+
+  inlineFormat(element, format, { block = false } = {}) {
+    const next = { ...format };
+
+    if (element.matches('ins.revision, del.revision')) {
+      next.revision = {
+        type: element.tagName === 'INS' ? 'insert' : 'delete',
+        author: element.dataset.author || '',
+        date: element.dataset.date || null
+      };
+      return next;
+    }
+
+    const custom = block ? null : this.styleOf(element, 'character');
+    if (custom) this.addCharacterStyle(next, custom);
+
+    switch (element.tagName) {
+      case 'B':
+        next.bold = true;
+        break;
+      case 'STRONG':
+        this.addCharacterStyle(next, 'Strong', { bold: true });
+        break;
+      case 'I':
+        next.italic = true;
+        break;
+      case 'EM':
+        this.addCharacterStyle(next, 'Emphasis', { italic: true });
+        break;
+      case 'U':
+      case 'INS':
+        next.underline = true;
+        break;
+      case 'S':
+      case 'STRIKE':
+      case 'DEL':
+        next.strike = true;
+        break;
+      case 'SUB':
+        next.vertAlign = 'subscript';
+        break;
+      case 'SUP':
+        next.vertAlign = 'superscript';
+        break;
+      case 'CODE':
+        this.addCharacterStyle(next, 'InlineCode', { font: 'Courier New' });
+        break;
+      case 'KBD':
+      case 'SAMP':
+        next.font = 'Courier New';
+        break;
+      case 'A': {
+        const href = element.getAttribute('href') || '';
+        if (DOCX_SAFE_LINK.test(href)) next.link = href;
+        break;
+      }
+      case 'FONT': {
+        const face = element.getAttribute('face');
+        const size = DOCX_FONT_SIZES[element.getAttribute('size')];
+        const color = this.parseColor(element.getAttribute('color'));
+        if (face) next.font = face.split(',')[0].replace(/["']/g, '').trim();
+        if (size) next.size = size;
+        if (color) next.color = color;
+        break;
+      }
+    }
+
+    const style = element.style;
+    if (style.fontWeight) next.bold = style.fontWeight === 'bold' || parseInt(style.fontWeight, 10) >= 600;
+    if (style.fontStyle) next.italic = style.fontStyle === 'italic';
+
+    const decoration = style.textDecorationLine || style.textDecoration;
+    if (decoration) {
+      if (decoration.includes('underline')) next.underline = true;
+      if (decoration.includes('line-through')) next.strike = true;
+    }
+
+    const color = this.parseColor(style.color);
+    if (color) next.color = color;
+
+    const highlight = block ? null : this.parseColor(style.backgroundColor);
+    if (highlight) next.highlight = highlight;
+
+    if (style.fontFamily) next.font = style.fontFamily.split(',')[0].replace(/["']/g, '').trim();
+
+    const size = this.parseFontSize(style.fontSize);
+    if (size) next.size = size;
+
+    return next;
+  }
+
+  parseAlign(value) {
+    const alignments = { left: 'left', start: 'left', center: 'center', right: 'right', end: 'right', justify: 'both' };
+    return alignments[(value || '').toLowerCase()] || null;
+  }
+
+  // Unitless or percentage line-height as a multiple of single spacing
+  parseLineHeight(value) {
+    const match = /^([\d.]+)(%?)$/.exec(value || '');
+    if (!match) return null;
+    return match[2] ? parseFloat(match[1]) / 100 : parseFloat(match[1]);
+  }
+
+  // CSS font-size to half-points
+  parseFontSize(value) {
+    const match = /^([\d.]+)(px|pt|em|rem)$/.exec(value || '');
+    if (!match) return null;
+
+    const amount = parseFloat(match[1]);
+    const points = { px: amount * 0.75, pt: amount, em: amount * 12, rem: amount * 12 }[match[2]];
+    return Math.round(points * 2);
+  }
+
+  // Any CSS colour to RRGGBB, or null for transparent/invalid values
+  parseColor(value) {
+    if (!value || value === 'transparent' || value === 'inherit' || value === 'initial') return null;
+
+    // An invalid colour leaves fillStyle untouched, so check against two sentinels
+    const sentinels = ['#000001', '#000002'].map(sentinel => {
+      this.colorContext.fillStyle = sentinel;
+      this.colorContext.fillStyle = value;
+      return this.colorContext.fillStyle;
+    });
+    if (sentinels[0] !== sentinels[1]) return null;
+
+    const normalized = sentinels[0];
+    if (normalized.startsWith('#')) return normalized.slice(1).toUpperCase();
+
+    const rgba = /rgba?\(([\d.]+),\s*([\d.]+),\s*([\d.]+)(?:,\s*([\d.]+))?\)/.exec(normalized);
+    if (!rgba || (rgba[4] !== undefined && parseFloat(rgba[4]) === 0)) return null;
+
+    return rgba.slice(1, 4)
+      .map(channel => Math.round(parseFloat(channel)).toString(16).padStart(2, '0'))
+      .join('')
+      .toUpperCase();
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DocxSerializer;
+}
@@ -0,0 +1,203 @@
+// Undo and redo for the whole document.
+//
+// Each step is one transaction, named for the menu ("Typing", "Insert Row
+// Above", "Replace All (12)"), and holds the document as it was after it:
+// a serializeDocument() object plus where the caret was, as an offset into
+// the body text. Undoing goes back to the state of the step before, so it
+// does not matter what made a change: typing on any page, the layout moving
+// text between pages, or a command rewriting pages, headers and footers or
+// comments.
+//
+// States are kept small. Each page is stored as JSON and shared with the
+// step before when it did not change, and embedded images are stored once
+// however many steps show them. The oldest steps are dropped once there are
+// more than HISTORY_MAX_STEPS or they hold more than HISTORY_MAX_SIZE
+// characters.
+
+const HISTORY_MAX_STEPS = 200;
+const HISTORY_MAX_SIZE = 32 * 1024 * 1024;
+
+// Typing and deleting are grouped into one step until a pause
+const HISTORY_TYPING_PAUSE = 1000; // ms
+
+// Step names for the browser's own edits, by InputEvent.inputType; the
+// grouped ones are marked
+const HISTORY_INPUT_LABELS = {
+  insertText: 'Typing',
+  insertReplacementText: 'Typing',
+  insertCompositionText: 'Typing',
+  insertParagraph: 'Typing',
+  insertLineBreak: 'Typing',
+  deleteContentBackward: 'Delete',
+  deleteContentForward: 'Delete',
+  deleteWordBackward: 'Delete',
+  deleteWordForward: 'Delete',
+  deleteSoftLineBackward: 'Delete',
+  deleteSoftLineForward: 'Delete',
+  deleteHardLineBackward: 'Delete',
+  deleteHardLineForward: 'Delete',
+  deleteByCut: 'Cut',
+  deleteByDrag: 'Move',
+  insertFromDrop: 'Move',
+  insertFromPaste: 'Paste',
+  formatBold: 'Bold',
+  formatItalic: 'Italic',
+  formatUnderline: 'Underline',
+  formatStrikeThrough: 'Strikethrough',
+  formatSuperscript: 'Superscript',
+  formatSubscript: 'Subscript',
+  formatJustifyLeft: 'Align Left',
+  formatJustifyCenter: 'Center',
+  formatJustifyRight: 'Align Right',
+  formatJustifyFull: 'Justify',
+  formatIndent: 'Indent',
+  formatOutdent: 'Outdent',
+  formatRemove: 'Clear Formatting',
+  formatFontName: 'Font',
+  formatFontColor: 'Font Color',
+  formatBackColor: 'Highlight',
+  insertOrderedList: 'Numbered List',
+  insertUnorderedList: 'Bullet List',
+  insertHorizontalRule: 'Horizontal Line',
+  insertLink: 'Link'
+};
+const HISTORY_GROUPED_LABELS = new Set(['Typing', 'Delete']);
+
+// Stands for an embedded image in a stored state. JSON escapes a NUL in
+// document text, so it cannot occur there.
+const HISTORY_IMAGE_TOKEN = /\u0000(\d+)\u0000/g;
+const HISTORY_DATA_URL = /data:[\w.+-]+\/[\w.+-]+;base64,[A-Za-z0-9+/=]+/g;
+
+class EditHistory {
+  constructor({ maxSteps = HISTORY_MAX_STEPS, maxSize = HISTORY_MAX_SIZE } = {}) {
+    this.maxSteps = maxSteps;
+    this.maxSize = maxSize;
+    this.reset(null);
+  }
+
+  // Starts over from state, with nothing to undo
+  reset(state, caret = null) {
+    this.steps = [];
+    this.index = -1;
+    this.images = new Map(); // Token number -> data URL
+    this.tokens = new Map(); // Data URL -> token number
+    this.nextImage = 0;
+    this.saved = null;
+    if (state) this.record(null, state, caret);
+  }
+
+  // The names of the steps undo() and redo() would take, or null
+  get undoLabel() {
+    return this.index > 0 ? this.steps[this.index].label : null;
+  }
+
+  get redoLabel() {
+    return this.index < this.steps.length - 1 ? this.steps[this.index + 1].label : null;
+  }
+
+  // Adds a step after the current one, dropping any that were undone.
+  // Returns false when state is the same as the current one.
+  record(label, state, caret = null) {
+    const current = this.steps[this.index];
+    const pages = state.pages.map((page, i) => {
+      const json = this.pack(page);
+      // One copy of a page that did not change
+      return current && current.pages[i] === json ? current.pages[i] : json;
+    });
+    const rest = this.pack({ ...state, pages: undefined });
+    if (current && current.rest === rest && pages.length === current.pages.length &&
+        pages.every((page, i) => page === current.pages[i])) {
+      current.caret = caret;
+      return false;
+    }
+
+    this.steps.splice(this.index + 1);
+    this.steps.push({ label, pages, rest, caret, size: this.sizeOf(pages, rest, current) });
+    this.index = this.steps.length - 1;
+    this.trim();
+    return true;
+  }
+
+  // Each returns { state, caret } to show, or null if there is no step to take
+  undo() {
+    if (this.index <= 0) return null;
+    this.index--;
+    return this.current();
+  }
+
+  redo() {
+    if (this.index >= this.steps.length - 1) return null;
+    this.index++;
+    return this.current();
+  }
+
+  current() {
+    const step = this.steps[this.index];
+    return {
+      state: { ...this.unpack(step.rest), pages: step.pages.map(page => this.unpack(page)) },
+      caret: step.caret
+    };
+  }
+
+  // The document is saved as the current step shows it, or, with saved
+  // false, as no step does
+  markSaved(saved = true) {
+    this.saved = saved ? this.steps[this.index] || null : null;
+  }
+
+  isSaved() {
+    return Boolean(this.saved) && this.saved === this.steps[this.index];
+  }
+
+  pack(value) {
+    return JSON.stringify(value).replace(HISTORY_DATA_URL, url => {
+      let token = this.tokens.get(url);
+      if (token === undefined) {
+        token = this.nextImage++;
+        this.tokens.set(url, token);
+        this.images.set(token, url);
+      }
+      return `\u0000${token}\u0000`;
+    });
+  }
+
+  unpack(json) {
+    return JSON.parse(json.replace(HISTORY_IMAGE_TOKEN, (match, token) => this.images.get(Number(token))));
+  }
+
+  // Characters a step adds, counting the pages it shares with previous once
+  sizeOf(pages, rest, previous = null) {
+    return pages.reduce((size, page, i) => (previous && previous.pages[i] === page ? size : size + page.length), rest.length);
+  }
+
+  size() {
+    let size = this.steps.reduce((total, step) => total + step.size, 0);
+    this.images.forEach(url => { size += url.length; });
+    return size;
+  }
+
+  // Drops the oldest steps while there are too many or they are too large;
+  // the current step always stays
+  trim() {
+    let dropped = false;
+    while (this.index > 0 && (this.steps.length > this.maxSteps || this.size() > this.maxSize)) {
+      this.steps.shift();
+      this.index--;
+      this.steps[0].size = this.sizeOf(this.steps[0].pages, this.steps[0].rest);
+      this.steps[0].label = null;
+      dropped = true;
+    }
+    if (!dropped) return;
+
+    // Images only the dropped steps showed
+    const used = new Set();
+    this.steps.forEach(step => [step.rest, ...step.pages].forEach(json => {
+      for (const [, token] of json.matchAll(HISTORY_IMAGE_TOKEN)) used.add(Number(token));
+    }));
+    this.images.forEach((url, token) => {
+      if (used.has(token)) return;
+      this.images.delete(token);
+      this.tokens.delete(url);
+    });
+  }
+}
@@ -0,0 +1,94 @@
+// Document-wide headers and footers, and the fields they can contain.
+//
+// A document has one header and one footer, each with optional variants for
+// the first page and for even pages:
+//   { differentFirstPage, differentOddEven, header: { default, first, even }, footer: { ... } }
+// The values are HTML. Every page's .header and .footer show the variant that
+// applies to that page, with the fields filled in for it. A field is
+// <span class="doc-field" data-field="page"></span>; definitions keep it empty
+// and rendering fills in its text.
+
+const HEADER_FOOTER_FIELDS = {
+  page: { label: 'Page number', instruction: 'PAGE' },
+  pages: { label: 'Page count', instruction: 'NUMPAGES' },
+  date: { label: 'Date', instruction: 'DATE' },
+  filename: { label: 'File name', instruction: null }, // Word's FILENAME would name the .docx
+  title: { label: 'Title', instruction: 'TITLE' },
+  author: { label: 'Author', instruction: 'AUTHOR' }
+};
+
+const HEADER_FOOTER_VARIANTS = ['default', 'first', 'even'];
+
+class HeaderFooter {
+  // Fills in anything missing; html is applied to every definition, e.g. to sanitize it
+  normalize(definitions, html = (value) => value) {
+    const normalized = {
+      differentFirstPage: definitions?.differentFirstPage === true,
+      differentOddEven: definitions?.differentOddEven === true
+    };
+    ['header', 'footer'].forEach(type => {
+      normalized[type] = {};
+      HEADER_FOOTER_VARIANTS.forEach(variant => {
+        const value = definitions?.[type]?.[variant];
+        normalized[type][variant] = html(typeof value === 'string' ? value : '');
+      });
+    });
+    return normalized;
+  }
+
+  // The variant shown on the page at index (0-based)
+  variant(definitions, index) {
+    if (index === 0 && definitions.differentFirstPage) return 'first';
+    if (index % 2 === 1 && definitions.differentOddEven) return 'even';
+    return 'default';
+  }
+
+  // The variants some page can show
+  variantsInUse(definitions) {
+    return HEADER_FOOTER_VARIANTS.filter(variant =>
+      variant === 'default' ||
+      (variant === 'first' && definitions.differentFirstPage) ||
+      (variant === 'even' && definitions.differentOddEven));
+  }
+
+  placeholder(type, variant, definitions) {
+    if (variant === 'first') return `First page ${type}...`;
+    if (variant === 'even') return `Even page ${type}...`;
+    if (definitions.differentOddEven) return `Odd page ${type}...`;
+    return `${type.charAt(0).toUpperCase()}${type.slice(1)}...`;
+  }
+
+  // text is shown until the field is rendered; editors drop empty spans
+  fieldHTML(name, text = '') {
+    const span = document.createElement('span');
+    span.className = 'doc-field';
+    span.dataset.field = name;
+    span.textContent = text;
+    return span.outerHTML;
+  }
+
+  // The definition a rendered header or footer stands for: its HTML with the fields emptied
+  definition(element) {
+    const copy = element.cloneNode(true);
+    copy.querySelectorAll('[data-field]').forEach(field => {
+      field.textContent = '';
+      field.removeAttribute('contenteditable');
+    });
+    return copy.innerHTML;
+  }
+
+  // values maps field names to their text for the page the element is on
+  fillFields(element, values) {
+    element.querySelectorAll('[data-field]').forEach(field => {
+      const text = values[field.dataset.field] ?? '';
+      if (field.textContent !== text) field.textContent = text;
+      if (field.getAttribute('contenteditable') !== 'false') field.setAttribute('contenteditable', 'false');
+    });
+  }
+
+  // Leaves an element that already shows html alone, so a caret in it stays put
+  render(element, html, values) {
+    if (this.definition(element) !== html) element.innerHTML = html;
+    this.fillFields(element, values);
+  }
+}
@@ -0,0 +1,275 @@
+// Allowlist-based HTML sanitizer for everything that enters an editor:
+// opened files, pasted and dropped HTML, insertHTML and new links.
+//
+// The input is parsed into an inert document (nothing loads or runs), then
+// copied element by element: known formatting elements and attributes are
+// kept, unknown elements are unwrapped, dangerous ones are dropped with their
+// content. Every removal is counted and reported as
+// { type: 'warning', message, count }, the same shape import warnings use.
+
+const SANITIZER_ALLOWED_TAGS = new Set([
+  'P', 'DIV', 'SPAN', 'BR', 'HR', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6',
+  'B', 'STRONG', 'I', 'EM', 'U', 'S', 'STRIKE', 'DEL', 'INS', 'SUB', 'SUP', 'MARK', 'SMALL', 'BIG', 'FONT',
+  'BLOCKQUOTE', 'PRE', 'CODE', 'KBD', 'SAMP', 'VAR', 'Q', 'CITE', 'ABBR', 'DFN', 'TIME', 'WBR',
+  'UL', 'OL', 'LI', 'DL', 'DT', 'DD',
+  'TABLE', 'THEAD', 'TBODY', 'TFOOT', 'TR', 'TD', 'TH', 'CAPTION', 'COLGROUP', 'COL',
+  'A', 'IMG', 'FIGURE', 'FIGCAPTION', 'SECTION', 'ARTICLE', 'HEADER', 'FOOTER', 'ASIDE', 'CENTER'
+]);
+
+// Removed together with their content
+const SANITIZER_DROPPED_TAGS = {
+  SCRIPT: 'script',
+  NOSCRIPT: 'script',
+  STYLE: 'style sheet',
+  LINK: 'external resource',
+  META: 'external resource',
+  BASE: 'external resource',
+  IFRAME: 'embedded frame',
+  FRAME: 'embedded frame',
+  FRAMESET: 'embedded frame',
+  OBJECT: 'embedded object',
+  EMBED: 'embedded object',
+  APPLET: 'embedded object',
+  PORTAL: 'embedded frame',
+  TEMPLATE: 'template',
+  AUDIO: 'media element',
+  VIDEO: 'media element',
+  SOURCE: 'media element',
+  TRACK: 'media element',
+  CANVAS: 'canvas',
+  INPUT: 'form control',
+  BUTTON: 'form control',
+  SELECT: 'form control',
+  TEXTAREA: 'form control',
+  DIALOG: 'dialog'
+};
+
+const SANITIZER_GLOBAL_ATTRIBUTES = new Set(['class', 'id', 'title', 'lang', 'dir', 'style', 'align']);
+
+const SANITIZER_TAG_ATTRIBUTES = {
+  A: ['href', 'name', 'target', 'rel'],
+  IMG: ['src', 'alt', 'width', 'height'],
+  FONT: ['color', 'face', 'size'],
+  OL: ['start', 'type', 'reversed'],
+  UL: ['type'],
+  LI: ['value'],
+  TABLE: ['border', 'cellpadding', 'cellspacing', 'width'],
+  TD: ['colspan', 'rowspan', 'width', 'height', 'valign', 'bgcolor'],
+  TH: ['colspan', 'rowspan', 'width', 'height', 'valign', 'bgcolor', 'scope'],
+  COL: ['span', 'width'],
+  COLGROUP: ['span', 'width'],
+  TIME: ['datetime'],
+  Q: ['cite'],
+  BLOCKQUOTE: ['cite']
+};
+
+// data-* attributes the editor itself relies on
+const SANITIZER_DATA_ATTRIBUTES = new Set([
+  'data-comment-id', 'data-md-src', 'data-field', 'data-revision-id', 'data-author', 'data-date', 'data-style'
+]);
+
+const SANITIZER_STYLE_PROPERTIES = new Set([
+  'color', 'background-color', 'font-family', 'font-size', 'font-weight', 'font-style', 'font-variant',
+  'text-decoration', 'text-decoration-line', 'text-decoration-style', 'text-decoration-color',
+  'text-align', 'text-indent', 'text-transform', 'line-height', 'letter-spacing', 'word-spacing',
+  'white-space', 'vertical-align', 'direction', 'unicode-bidi',
+  'margin', 'margin-top', 'margin-right', 'margin-bottom', 'margin-left',
+  'padding', 'padding-top', 'padding-right', 'padding-bottom', 'padding-left',
+  'border', 'border-top', 'border-right', 'border-bottom', 'border-left',
+  'border-width', 'border-style', 'border-color', 'border-collapse', 'border-spacing',
+  'border-top-width', 'border-right-width', 'border-bottom-width', 'border-left-width',
+  'border-top-style', 'border-right-style', 'border-bottom-style', 'border-left-style',
+  'border-top-color', 'border-right-color', 'border-bottom-color', 'border-left-color',
+  'width', 'height', 'max-width', 'max-height', 'min-width', 'min-height',
+  'display', 'float', 'clear', 'list-style-type', 'list-style-position', 'table-layout',
+  'page-break-before', 'page-break-after', 'page-break-inside', 'break-before', 'break-after', 'break-inside',
+  'transform', 'object-fit', 'object-position'
+]);
+
+// Even on allowed properties these never belong in a document
+const SANITIZER_UNSAFE_STYLE_VALUE = /expression\s*\(|url\s*\(|javascript:|behavior|-moz-binding|@import/i;
+
+const SANITIZER_LINK_SCHEMES = ['http', 'https', 'mailto', 'tel'];
+const SANITIZER_IMAGE_SCHEMES = ['http', 'https', 'file', 'blob'];
+const SANITIZER_DATA_IMAGE = /^data:image\/(png|jpe?g|gif|webp|bmp|svg\+xml);base64,[a-z0-9+/=\s]*$/i;
+
+const SANITIZER_XHTML_NAMESPACE = 'http://www.w3.org/1999/xhtml';
+const SANITIZER_FOREIGN_NAMES = {
+  'http://www.w3.org/2000/svg': 'SVG',
+  'http://www.w3.org/1998/Math/MathML': 'MathML'
+};
+
+class HtmlSanitizer {
+  // options: { reservedIds, reservedClasses } ids and class names used by
+  // the application UI, which document content must not shadow. The page
+  // frame's classes (page, editor, header, ...) are among them: content with
+  // those would be taken for pages of its own.
+  constructor(options = {}) {
+    this.reservedIds = options.reservedIds || new Set();
+    this.reservedClasses = options.reservedClasses || new Set();
+    this.removed = new Map();
+  }
+
+  // Returns { html, removed } where removed lists what was taken out
+  sanitize(html) {
+    this.removed = new Map();
+
+    const source = new DOMParser().parseFromString(`<body>${html || ''}</body>`, 'text/html');
+    const output = document.createElement('div');
+    this.copyChildren(source.body, output);
+
+    return { html: output.innerHTML, removed: this.getReport() };
+  }
+
+  // Returns a safe href for a link the user typed, or null if it must be refused
+  sanitizeURL(url, schemes = SANITIZER_LINK_SCHEMES) {
+    // Browsers ignore control characters and whitespace inside schemes ("java\tscript:")
+    const trimmed = String(url || '').trim();
+    const compact = trimmed.replace(/[\u0000-\u0020\u007f-\u009f]/g, '');
+    if (!compact) return null;
+
+    // Fragments, relative paths and protocol-relative URLs have no scheme of their own
+    const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(compact);
+    if (!scheme) {
+      return compact.startsWith('//') ? null : trimmed;
+    }
+    return schemes.includes(scheme[1].toLowerCase()) ? trimmed : null;
+  }
+
+  note(message) {
+    this.removed.set(message, (this.removed.get(message) || 0) + 1);
+  }
+
+  getReport() {
+    return Array.from(this.removed, ([message, count]) => ({ type: 'warning', message, count }));
+  }
+
+  copyChildren(source, target) {
+    Array.from(source.childNodes).forEach(node => {
+      if (node.nodeType === Node.TEXT_NODE) {
+        target.appendChild(document.createTextNode(node.data));
+      } else if (node.nodeType === Node.ELEMENT_NODE) {
+        this.copyElement(node, target);
+      } else if (node.nodeType !== Node.COMMENT_NODE) {
+        this.note('Removed unsupported markup');
+      }
+      // Comments (including Word's conditional comments) are dropped silently
+    });
+  }
+
+  copyElement(element, target) {
+    // SVG, MathML and Office XML (o:p, v:shape, ...) are not part of the document model
+    if (element.namespaceURI !== SANITIZER_XHTML_NAMESPACE) {
+      this.note(`Removed embedded ${SANITIZER_FOREIGN_NAMES[element.namespaceURI] || 'foreign'} content`);
+      return;
+    }
+
+    const tag = element.tagName.toUpperCase();
+    if (SANITIZER_DROPPED_TAGS[tag]) {
+      this.note(`Removed ${SANITIZER_DROPPED_TAGS[tag]}`);
+      return;
+    }
+
+    if (tag.includes(':')) {
+      // Office namespace tags such as <o:p> only wrap whitespace or text
+      this.copyChildren(element, target);
+      return;
+    }
+
+    if (!SANITIZER_ALLOWED_TAGS.has(tag)) {
+      // Keep the text of unknown wrappers (<form>, <nav>, <label>, ...)
+      this.copyChildren(element, target);
+      return;
+    }
+
+    const copy = document.createElement(tag.toLowerCase());
+    this.copyAttributes(element, copy, tag);
+
+    if (tag === 'IMG' && !copy.hasAttribute('src')) {
+      return;
+    }
+    if (tag === 'A' && copy.getAttribute('target') === '_blank') {
+      copy.setAttribute('rel', 'noopener noreferrer');
+    }
+
+    this.copyChildren(element, copy);
+    target.appendChild(copy);
+  }
+
+  copyAttributes(element, copy, tag) {
+    const tagAttributes = SANITIZER_TAG_ATTRIBUTES[tag] || [];
+
+    Array.from(element.attributes).forEach(({ name, value }) => {
+      const attribute = name.toLowerCase();
+
+      if (attribute.startsWith('on')) {
+        this.note('Removed event handler attribute');
+        return;
+      }
+      if (!SANITIZER_GLOBAL_ATTRIBUTES.has(attribute) && !tagAttributes.includes(attribute) &&
+          !SANITIZER_DATA_ATTRIBUTES.has(attribute)) {
+        return; // Presentational leftovers (contenteditable, xmlns, ...) are dropped without a note
+      }
+
+      if (attribute === 'style') {
+        const style = this.sanitizeStyle(value);
+        if (style) copy.setAttribute('style', style);
+        return;
+      }
+      if (attribute === 'id' && this.reservedIds.has(value)) {
+        return;
+      }
+      if (attribute === 'class') {
+        const classes = value.split(/\s+/).filter(Boolean);
+        const kept = classes.filter(name => !this.reservedClasses.has(name));
+        if (kept.length < classes.length) this.note('Removed class names the application uses for its pages and controls');
+        if (kept.length > 0) copy.setAttribute('class', kept.join(' '));
+        return;
+      }
+      if (attribute === 'href' || attribute === 'cite') {
+        const url = this.sanitizeURL(value);
+        if (url === null) {
+          this.note('Removed link with an unsafe address');
+          return;
+        }
+        copy.setAttribute(attribute, url);
+        return;
+      }
+      if (attribute === 'src') {
+        const url = SANITIZER_DATA_IMAGE.test(value.trim()) ? value.trim() : this.sanitizeURL(value, SANITIZER_IMAGE_SCHEMES);
+        if (url === null) {
+          this.note('Removed image with an unsupported source');
+          return;
+        }
+        copy.setAttribute('src', url);
+        return;
+      }
+
+      copy.setAttribute(attribute, value);
+    });
+  }
+
+  // Parses the declaration with the browser's CSS parser (which drops invalid
+  // values) and keeps allowed properties only
+  sanitizeStyle(value) {
+    const parsed = document.createElement('span').style;
+    parsed.cssText = value;
+
+    const kept = document.createElement('span').style;
+    let dropped = false;
+    for (let i = 0; i < parsed.length; i++) {
+      const property = parsed[i];
+      const propertyValue = parsed.getPropertyValue(property);
+      if (!SANITIZER_STYLE_PROPERTIES.has(property) || SANITIZER_UNSAFE_STYLE_VALUE.test(propertyValue)) {
+        dropped = true;
+        continue;
+      }
+      kept.setProperty(property, propertyValue, parsed.getPropertyPriority(property));
+    }
+
+    if (dropped || SANITIZER_UNSAFE_STYLE_VALUE.test(value)) {
+      this.note('Removed unsupported style properties');
+    }
+    return kept.cssText;
+  }
+}
@@ -0,0 +1,350 @@
+// Images: position and wrapping, resizing, rotating, cropping and captions.
+//
+// An image is an <img> whose picture is inlined as a data: URL, so the
+// document carries it (msdoc.js moves it into the package when saving). Its
+// frame is what sits in the text: the image itself, or once it has a caption
+// the <figure class="image-figure"> holding it and its <figcaption>. The
+// frame's styles are one of IMAGE_WRAP_STYLES. A caption starts with
+// "Figure <span class="caption-number">N</span>", N counting the captions in
+// document order. Rotating and cropping redraw the picture, so every export
+// shows the result.
+//
+// The selected image gets an overlay on its page with a handle at each
+// corner. Dragging one resizes the image, keeping its aspect ratio, or while
+// cropping moves that corner of the crop box.
+
+const IMAGE_FIGURE_CLASS = 'image-figure';
+const IMAGE_CAPTION_NUMBER_CLASS = 'caption-number';
+const IMAGE_CAPTION_LABEL = 'Figure';
+
+// Frame styles for each wrapping; a figure cannot sit inside a line of text
+const IMAGE_WRAP_STYLES = {
+  inline: { display: 'inline', float: '', margin: '0 2px', textAlign: '' },
+  block: { display: 'block', float: '', margin: '5px 0', textAlign: '' },
+  left: { display: 'block', float: 'left', margin: '5px 12px 5px 0', textAlign: '' },
+  right: { display: 'block', float: 'right', margin: '5px 0 5px 12px', textAlign: '' },
+  center: { display: 'block', float: '', margin: '5px auto', textAlign: 'center' }
+};
+
+const IMAGE_HANDLES = ['nw', 'ne', 'se', 'sw'];
+const IMAGE_MIN_WIDTH = 16; // CSS pixels
+const IMAGE_MIN_CROP = 0.05; // Least that is left of either side, as a fraction of it
+const IMAGE_JPEG_QUALITY = 0.92;
+
+// Blocks a figure goes between, splitting the one its image was in
+const IMAGE_BLOCK_TAGS = new Set(['P', 'DIV', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'PRE', 'BLOCKQUOTE']);
+
+class ImageEditor {
+  constructor() {
+    this.image = null; // The selected image
+    this.crop = null; // While cropping, { top, right, bottom, left } as fractions of the image
+    this.drag = null; // The handle being dragged, see startDrag()
+    this.overlay = null;
+  }
+
+  // A new image of src on a line of its own
+  create(src, alt) {
+    const image = document.createElement('img');
+    image.src = src;
+    image.alt = alt;
+    image.style.maxWidth = '100%';
+    Object.assign(image.style, IMAGE_WRAP_STYLES.block);
+    return image;
+  }
+
+  figureOf(image) {
+    const parent = image.parentElement;
+    return parent?.matches(`figure.${IMAGE_FIGURE_CLASS}`) ? parent : null;
+  }
+
+  frameOf(image) {
+    return this.figureOf(image) || image;
+  }
+
+  wrapOf(image) {
+    const frame = this.frameOf(image);
+    const { display, float, marginLeft } = frame.style;
+    if (float === 'left' || float === 'right') return float;
+    if (frame === image && display !== 'block') return 'inline';
+    return marginLeft === 'auto' ? 'center' : 'block';
+  }
+
+  setWrap(image, wrap) {
+    const frame = this.frameOf(image);
+    if (!IMAGE_WRAP_STYLES[wrap] || (wrap === 'inline' && frame !== image)) return false;
+    Object.assign(frame.style, IMAGE_WRAP_STYLES[wrap]);
+    return true;
+  }
+
+  // Width the image may take up: its table cell's or its editor's
+  maxWidth(image) {
+    const container = image.closest('td, th') || image.closest('.editor');
+    if (!container) return Infinity;
+    const style = getComputedStyle(container);
+    return container.clientWidth - parseFloat(style.paddingLeft) - parseFloat(style.paddingRight);
+  }
+
+  // Sets the width in CSS pixels; the height follows the picture's aspect ratio
+  resize(image, width) {
+    const size = Math.round(Math.min(Math.max(width, IMAGE_MIN_WIDTH), this.maxWidth(image)));
+    image.style.width = `${size}px`;
+    image.style.height = '';
+    image.removeAttribute('width');
+    image.removeAttribute('height');
+  }
+
+  // Back to the picture's own size, or as much of it as fits
+  resetSize(image) {
+    const changed = Boolean(image.style.width || image.style.height || image.hasAttribute('width') || image.hasAttribute('height'));
+    image.style.width = '';
+    image.style.height = '';
+    image.removeAttribute('width');
+    image.removeAttribute('height');
+    return changed;
+  }
+
+  // The picture of image, decoded
+  async picture(image) {
+    const picture = new Image();
+    picture.src = image.src;
+    await picture.decode();
+    if (!picture.naturalWidth || !picture.naturalHeight) throw new Error('The image has no size of its own');
+    return picture;
+  }
+
+  // A width × height canvas that paint(context) draws on, as a data: URL of
+  // the image's own type; other types than JPEG and WebP become PNG
+  draw(image, width, height, paint) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    paint(canvas.getContext('2d'));
+    const type = /^data:image\/(jpeg|webp)[;,]/i.exec(image.src);
+    return canvas.toDataURL(type ? `image/${type[1].toLowerCase()}` : 'image/png', IMAGE_JPEG_QUALITY);
+  }
+
+  // Replaces the picture, keeping the size the image has on the page when it has one set
+  async replacePicture(image, src, width) {
+    image.src = src;
+    image.removeAttribute('data-md-src'); // No longer the file it came from
+    if (image.style.width) this.resize(image, width);
+    await image.decode().catch(() => {});
+  }
+
+  // Turns the picture a quarter turn
+  async rotate(image, clockwise) {
+    const picture = await this.picture(image);
+    const { naturalWidth: width, naturalHeight: height } = picture;
+    const src = this.draw(image, height, width, context => {
+      context.translate(clockwise ? height : 0, clockwise ? 0 : width);
+      context.rotate((clockwise ? 1 : -1) * Math.PI / 2);
+      context.drawImage(picture, 0, 0);
+    });
+    await this.replacePicture(image, src, image.offsetHeight);
+  }
+
+  startCrop() {
+    this.crop = { top: 0, right: 0, bottom: 0, left: 0 };
+    this.position();
+  }
+
+  cancelCrop() {
+    this.crop = null;
+    this.position();
+  }
+
+  // Keeps the part of the picture inside the crop box. Resolves to whether anything was cut off.
+  async applyCrop() {
+    const { image, crop } = this;
+    this.crop = null;
+    if (!crop || Object.values(crop).every(side => side === 0)) {
+      this.position();
+      return false;
+    }
+
+    const picture = await this.picture(image);
+    const { naturalWidth, naturalHeight } = picture;
+    const x = Math.round(crop.left * naturalWidth);
+    const y = Math.round(crop.top * naturalHeight);
+    const width = Math.max(1, Math.round((1 - crop.left - crop.right) * naturalWidth));
+    const height = Math.max(1, Math.round((1 - crop.top - crop.bottom) * naturalHeight));
+    const src = this.draw(image, width, height, context => context.drawImage(picture, x, y, width, height, 0, 0, width, height));
+    await this.replacePicture(image, src, image.offsetWidth * (1 - crop.left - crop.right));
+    this.position();
+    return true;
+  }
+
+  // Puts image in a figure with an empty caption and returns the caption.
+  // A figure is a block, so the block the image was in is split around it.
+  addCaption(image) {
+    const wrap = this.wrapOf(image);
+    const figure = document.createElement('figure');
+    figure.className = IMAGE_FIGURE_CLASS;
+    figure.style.width = 'fit-content';
+    figure.style.maxWidth = '100%';
+
+    const caption = document.createElement('figcaption');
+    const number = document.createElement('span');
+    number.className = IMAGE_CAPTION_NUMBER_CLASS;
+    caption.append(`${IMAGE_CAPTION_LABEL} `, number, ': ');
+
+    // Up to the editor or the list item or cell the image is in, which the figure goes into
+    let block = image.parentElement;
+    while (block && !block.matches('.editor, li, td, th') && !IMAGE_BLOCK_TAGS.has(block.tagName)) block = block.parentElement;
+    if (block && !block.matches('.editor, li, td, th')) {
+      const tail = document.createRange();
+      tail.setStartAfter(image);
+      tail.setEnd(block, block.childNodes.length);
+      const after = block.cloneNode(false);
+      after.appendChild(tail.extractContents());
+      block.after(figure, after);
+      figure.append(image, caption);
+      [block, after].forEach(part => {
+        if (!part.textContent.trim() && !part.querySelector('img, table, hr')) part.remove();
+      });
+    } else {
+      image.before(figure);
+      figure.append(image, caption);
+    }
+
+    Object.assign(image.style, { display: 'block', float: '', margin: '0' });
+    this.setWrap(image, wrap === 'inline' ? 'block' : wrap);
+    return caption;
+  }
+
+  // Takes image out of its figure, dropping the caption
+  removeCaption(image) {
+    const figure = this.figureOf(image);
+    if (!figure) return false;
+    const wrap = this.wrapOf(image);
+    figure.replaceWith(image);
+    this.setWrap(image, wrap);
+    return true;
+  }
+
+  // Numbers the captions in root in document order. Returns whether any changed.
+  numberCaptions(root) {
+    let changed = false;
+    root.querySelectorAll(`figure.${IMAGE_FIGURE_CLASS} > figcaption .${IMAGE_CAPTION_NUMBER_CLASS}`).forEach((number, index) => {
+      const text = String(index + 1);
+      if (number.textContent === text) return;
+      number.textContent = text;
+      changed = true;
+    });
+    return changed;
+  }
+
+  // Whether range selects image and no text, e.g. after the layout wrapped the image in a block
+  isSelected(image, range) {
+    return !range.collapsed && range.intersectsNode(image) && !range.toString().trim() &&
+      !range.cloneContents().querySelectorAll('img').item(1);
+  }
+
+  // Shows the overlay on image
+  select(image) {
+    if (image !== this.image) this.crop = null;
+    this.image = image;
+    if (!this.overlay) this.overlay = this.createOverlay();
+    this.position();
+  }
+
+  deselect() {
+    this.image = null;
+    this.crop = null;
+    this.drag = null;
+    this.overlay?.remove();
+  }
+
+  createOverlay() {
+    const overlay = document.createElement('div');
+    overlay.className = 'image-overlay';
+    const shade = document.createElement('div');
+    shade.className = 'image-crop-shade';
+    shade.appendChild(document.createElement('div'));
+    const box = document.createElement('div');
+    box.className = 'image-crop-box';
+    IMAGE_HANDLES.forEach(corner => {
+      const handle = document.createElement('div');
+      handle.className = `image-handle image-handle-${corner}`;
+      handle.dataset.imageHandle = corner;
+      box.appendChild(handle);
+    });
+    overlay.append(shade, box);
+    return overlay;
+  }
+
+  // The zoom of page: its size on screen over its size in CSS pixels
+  scaleOf(page) {
+    return page.offsetWidth ? page.getBoundingClientRect().width / page.offsetWidth : 1;
+  }
+
+  // Moves the overlay over the image, on the image's page, after the image or the layout moved
+  position() {
+    const page = this.image?.isConnected ? this.image.closest('#page-container .page') : null;
+    if (!page) {
+      this.deselect();
+      return;
+    }
+    if (this.overlay.parentNode !== page) page.appendChild(this.overlay);
+
+    const pageRect = page.getBoundingClientRect();
+    const rect = this.image.getBoundingClientRect();
+    const scale = this.scaleOf(page);
+    Object.assign(this.overlay.style, {
+      left: `${(rect.left - pageRect.left) / scale}px`,
+      top: `${(rect.top - pageRect.top) / scale}px`,
+      width: `${rect.width / scale}px`,
+      height: `${rect.height / scale}px`
+    });
+
+    const crop = this.crop || { top: 0, right: 0, bottom: 0, left: 0 };
+    [this.overlay.querySelector('.image-crop-shade > div'), this.overlay.querySelector('.image-crop-box')].forEach(box => {
+      Object.keys(crop).forEach(side => {
+        box.style[side] = `${crop[side] * 100}%`;
+      });
+    });
+    this.overlay.classList.toggle('cropping', Boolean(this.crop));
+  }
+
+  // Starts dragging the handle at corner (nw, ne, se or sw) from client point x, y
+  startDrag(corner, x, y) {
+    const scale = this.scaleOf(this.image.closest('.page'));
+    this.drag = {
+      corner,
+      x,
+      y,
+      scale,
+      width: this.image.offsetWidth,
+      height: this.image.offsetHeight,
+      crop: this.crop && { ...this.crop }
+    };
+  }
+
+  // Follows the mouse to client point x, y
+  dragTo(x, y) {
+    const { corner, scale, width, height, crop } = this.drag;
+    const dx = (x - this.drag.x) / scale;
+    const dy = (y - this.drag.y) / scale;
+
+    if (crop) {
+      const next = { ...crop };
+      const opposite = { top: 'bottom', bottom: 'top', left: 'right', right: 'left' };
+      const move = (side, delta) => {
+        next[side] = Math.min(Math.max(crop[side] + delta, 0), 1 - IMAGE_MIN_CROP - crop[opposite[side]]);
+      };
+      move(corner.includes('n') ? 'top' : 'bottom', (corner.includes('n') ? dy : -dy) / height);
+      move(corner.includes('w') ? 'left' : 'right', (corner.includes('w') ? dx : -dx) / width);
+      this.crop = next;
+    } else {
+      this.resize(this.image, width + (corner.includes('e') ? dx : -dx));
+    }
+    this.position();
+  }
+
+  // Ends the drag; returns whether the image was resized
+  endDrag() {
+    const resized = Boolean(this.drag && !this.drag.crop);
+    this.drag = null;
+    return resized;
+  }
+}
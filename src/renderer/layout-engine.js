@@ -0,0 +1,740 @@
+// Pagination: lays the blocks of each section out over its pages.
+//
+// The pages of a section hold one logical flow of blocks. A page is filled
+// up to its usable height, pulling blocks back from the next page when it has
+// room and pushing the rest onto it when it overflows. A block that does not
+// fit is split where it can be:
+//   - paragraphs and other text blocks at a line boundary, keeping at least
+//     the CSS orphans/widows number of lines (default 2) on either side
+//   - tables at a row boundary, repeating the header rows on the next page
+//   - lists between items, and other containers between their child blocks
+// Headings (and anything with break-after: avoid) move on with the block after
+// them. The second part of a split block is a shallow copy, remembered as the
+// continuation of the first so the two can be joined again when the text
+// before them changes or the document is saved (see logicalCopy()).
+//
+// Only pages that changed are laid out, plus whatever they push to or pull
+// from; the pass stops as soon as a page boundary stays where it was.
+
+const LAYOUT_BLOCK_TAGS = new Set([
+  'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'DD', 'DIV', 'DL', 'DT', 'FIGCAPTION', 'FIGURE', 'FOOTER',
+  'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HEADER', 'HR', 'LI', 'OL', 'P', 'PRE', 'SECTION', 'TABLE', 'UL'
+]);
+
+// Moved as a whole, never split
+const LAYOUT_ATOMIC_TAGS = new Set(['FIGURE', 'HR', 'IMG', 'VIDEO', 'AUDIO', 'CANVAS', 'SVG']);
+
+const LAYOUT_HEADING_TAGS = new Set(['H1', 'H2', 'H3', 'H4', 'H5', 'H6']);
+
+// Marks the table header rows copied onto the next page; never saved
+const LAYOUT_REPEAT_ATTRIBUTE = 'data-layout-repeat';
+
+// Where the selection was while blocks are moved between pages
+const LAYOUT_CARET_ATTRIBUTE = 'data-layout-caret';
+
+// Rounding slack when comparing positions, in pixels
+const LAYOUT_EPSILON = 0.5;
+
+class LayoutEngine {
+  // hooks: {
+  //   getUsableHeight(page)  - height the page's .editor may fill, in CSS pixels
+  //   isHardBreak(page)      - whether content may not flow onto the page from the one before
+  //   insertPageAfter(page)  - creates an empty page in the same section after page and returns it
+  //   removePage(page)       - removes a page that has become empty
+  // }
+  constructor(hooks) {
+    this.hooks = hooks;
+    this.heads = new Map(); // continuation -> the block it continues
+    this.dirty = new Set();
+    this.dirtyAll = false;
+  }
+
+  // Lays out page, and whatever it affects, on the next reflow(). Without a page, everything.
+  markDirty(page) {
+    if (page) {
+      this.dirty.add(page);
+    } else {
+      this.dirtyAll = true;
+    }
+  }
+
+  // Removes a page the user deleted, which should be empty. Its section
+  // setup or page break is the caller's to keep; the page before it is laid
+  // out again on the next reflow(), taking back what may now flow onto it.
+  removePage(page) {
+    let previous = page.previousElementSibling;
+    while (previous && !previous.classList.contains('page')) previous = previous.previousElementSibling;
+    this.dirty.delete(page);
+    this.hooks.removePage(page);
+    if (previous) this.markDirty(previous);
+  }
+
+  hasPendingWork() {
+    return this.dirtyAll || this.dirty.size > 0;
+  }
+
+  // Lays out the dirty pages of pageContainer. Returns whether any content
+  // moved between pages.
+  reflow(pageContainer) {
+    if (!this.hasPendingWork()) return false;
+
+    const full = this.dirtyAll;
+    const dirty = this.dirty;
+    this.dirty = new Set();
+    this.dirtyAll = false;
+    this.prune();
+
+    const caret = this.saveCaret(pageContainer);
+    let changed = false;
+    try {
+      let page = pageContainer.querySelector('.page');
+      let previousMoved = false;
+      while (page) {
+        const next = this.nextPage(page);
+        // A page that shrank may take blocks back from the next one, so the page before a dirty one is laid out too
+        const affected = full || previousMoved || dirty.has(page) || (next && dirty.has(next) && !this.hooks.isHardBreak(next));
+        previousMoved = affected ? this.fillPage(page) : false;
+        changed = changed || previousMoved;
+        page = this.nextPage(page);
+      }
+    } finally {
+      this.restoreCaret(pageContainer, caret);
+    }
+    return changed;
+  }
+
+  // A copy of pageContainer with every split block joined again in the page
+  // where it starts and the repeated table headers removed, for saving and export
+  logicalCopy(pageContainer) {
+    // Mark the continuations on the live pages, where they can be checked, then copy
+    const marked = [];
+    const mark = (head, tail) => {
+      tail.setAttribute('data-layout-tail', '');
+      marked.push(tail);
+      const last = this.lastBlock(head);
+      const first = this.firstBlock(tail);
+      if (last && first && this.continues(last, first)) mark(last, first);
+    };
+    const pages = Array.from(pageContainer.querySelectorAll('.page'));
+    pages.forEach((page, index) => {
+      const first = this.firstBlock(page.querySelector('.editor'));
+      const last = index > 0 ? this.lastBlock(pages[index - 1].querySelector('.editor')) : null;
+      if (first && last && this.continues(last, first)) mark(last, first);
+    });
+
+    const copy = pageContainer.cloneNode(true);
+    marked.forEach(tail => tail.removeAttribute('data-layout-tail'));
+
+    const isTail = (last, first) => first.hasAttribute('data-layout-tail');
+    let last = null; // The last block so far, which a page that starts with a continuation joins
+    copy.querySelectorAll('.page .editor').forEach(editor => {
+      const first = this.firstBlock(editor);
+      if (last && first && first.hasAttribute('data-layout-tail')) {
+        this.join(last, first, isTail);
+        first.remove();
+      }
+      last = this.lastBlock(editor) || last;
+    });
+    copy.querySelectorAll(`[${LAYOUT_REPEAT_ATTRIBUTE}], [${LAYOUT_CARET_ATTRIBUTE}]`).forEach(node => node.remove());
+    copy.querySelectorAll('[data-layout-tail]').forEach(node => node.removeAttribute('data-layout-tail'));
+    return copy;
+  }
+
+  // Joins every split block again in place, for changes made to the HTML of
+  // whole pages. The next reflow() lays everything out again.
+  unsplit(pageContainer) {
+    let last = null;
+    pageContainer.querySelectorAll('.page .editor').forEach(editor => {
+      const first = this.firstBlock(editor);
+      if (last && first && this.continues(last, first)) {
+        this.join(last, first);
+        first.remove();
+      }
+      last = this.lastBlock(editor) || last;
+    });
+    pageContainer.querySelectorAll(`[${LAYOUT_REPEAT_ATTRIBUTE}]`).forEach(node => node.remove());
+    this.markDirty(null);
+  }
+
+  // Text of an editor as the reader sees it, without the repeated table headers
+  visibleText(editor) {
+    let text = editor.innerText;
+    // A continued table is the first block on its page, so its copied header is the first match
+    editor.querySelectorAll(`[${LAYOUT_REPEAT_ATTRIBUTE}]`).forEach(repeat => {
+      text = text.replace(repeat.innerText, '');
+    });
+    return text;
+  }
+
+  // Whether block is the rest of a block the layout split, on a later page
+  isContinuation(block) {
+    return this.heads.has(block);
+  }
+
+  // The first part of a block the layout split, or block itself
+  headOf(block) {
+    let head = block;
+    while (this.heads.has(head)) head = this.heads.get(head);
+    return head;
+  }
+
+  // Forgets continuations whose blocks were deleted
+  prune() {
+    this.heads.forEach((head, tail) => {
+      if (!tail.isConnected) this.heads.delete(tail);
+    });
+  }
+
+  nextPage(page) {
+    let next = page.nextElementSibling;
+    while (next && !next.classList.contains('page')) next = next.nextElementSibling;
+    return next;
+  }
+
+  // The next page if content flows onto it
+  nextFlowPage(page) {
+    const next = this.nextPage(page);
+    return next && !this.hooks.isHardBreak(next) ? next : null;
+  }
+
+  // Fills one page from the flow. Returns whether its last block or the next
+  // page's first block changed, i.e. whether the next page needs laying out.
+  fillPage(page) {
+    const editor = page.querySelector('.editor');
+    if (!editor) return false;
+
+    this.wrapInlineRuns(editor);
+    const lastBefore = this.lastBlock(editor);
+    const nextBefore = this.nextFlowPage(page);
+    const nextFirstBefore = nextBefore ? this.firstBlock(nextBefore.querySelector('.editor')) : null;
+    let moved = false;
+
+    // Pull blocks back while there is room, joining a block split across the boundary first
+    let next;
+    while ((next = this.nextFlowPage(page))) {
+      const nextEditor = next.querySelector('.editor');
+      this.wrapInlineRuns(nextEditor);
+      const first = this.firstBlock(nextEditor);
+      if (!first) {
+        this.hooks.removePage(next);
+        moved = true;
+        continue;
+      }
+
+      const last = this.lastBlock(editor);
+      if (last && this.continues(last, first)) {
+        this.join(last, first);
+        first.remove();
+        moved = true;
+      } else if (this.isOverflowing(editor) || !this.hasRoomFor(editor, first)) {
+        break;
+      } else {
+        editor.appendChild(first);
+      }
+      if (this.isOverflowing(editor)) break;
+    }
+
+    if (this.isOverflowing(editor)) this.pushOverflow(page);
+
+    const after = this.nextFlowPage(page);
+    const nextFirstAfter = after ? this.firstBlock(after.querySelector('.editor')) : null;
+    return moved || after !== nextBefore || nextFirstAfter !== nextFirstBefore || this.lastBlock(editor) !== lastBefore;
+  }
+
+  // Moves whatever does not fit on page to the start of the next page in the section
+  pushOverflow(page) {
+    const editor = page.querySelector('.editor');
+    const { bottom } = this.contentBox(editor);
+    const blocks = this.blocks(editor);
+    let index = blocks.findIndex(block => this.rectOf(block).bottom > bottom + LAYOUT_EPSILON);
+    if (index === -1) return;
+
+    const overflowing = blocks[index];
+    let tail = this.rectOf(overflowing).top < bottom
+      ? this.split(overflowing, bottom, { force: false })
+      : null;
+
+    if (!tail) {
+      // A heading goes with the block after it
+      let start = index;
+      while (start > 0 && this.keepsWithNext(blocks[start - 1])) start--;
+      if (start > 0) {
+        index = start;
+      } else if (index === 0 || this.rectOf(overflowing).top < bottom) {
+        // Nothing would be left on the page, so split against the rules, or
+        // leave a block taller than the page where it is
+        tail = this.split(overflowing, bottom, { force: true });
+        if (!tail && index === 0) index = 1;
+      }
+    }
+
+    const moving = [];
+    if (tail) moving.push(tail);
+    let node = tail ? overflowing.nextSibling : blocks[index];
+    while (node) {
+      const following = node.nextSibling;
+      if (!this.isCaretMarker(node) || moving.length > 0) moving.push(node);
+      node = following;
+    }
+    if (moving.length === 0) return;
+
+    const next = this.nextFlowPage(page) || this.hooks.insertPageAfter(page);
+    const nextEditor = next.querySelector('.editor');
+    const anchor = nextEditor.firstChild;
+    moving.forEach(item => nextEditor.insertBefore(item, anchor));
+  }
+
+  // Splits block so that what stays ends above bottom (a client y). Returns
+  // the detached second part, or null if the block has to move as a whole.
+  // With force, widow, orphan and minimum row rules are ignored to make progress.
+  split(block, bottom, { force }) {
+    if (LAYOUT_ATOMIC_TAGS.has(block.tagName)) return null;
+    if (block.tagName === 'TABLE') return this.splitTable(block, bottom, force);
+    if (this.isTextBlock(block)) return this.splitText(block, bottom, force);
+    return this.splitChildren(block, bottom, force);
+  }
+
+  splitText(block, bottom, force) {
+    const text = this.textIndex(block);
+    if (text.length === 0) return null;
+
+    const range = document.createRange();
+    const rectAt = (index) => {
+      const { node, offset } = this.locate(text, index);
+      range.setStart(node, offset);
+      range.setEnd(node, offset + 1);
+      const rects = range.getClientRects();
+      return rects.length > 0 ? rects[rects.length - 1] : null;
+    };
+    // First character whose rect edge is below y. Collapsed whitespace has
+    // no rect and counts as being on the line of the next visible character.
+    const firstBelow = (y, edge) => {
+      let low = 0;
+      let high = text.length;
+      while (low < high) {
+        const middle = (low + high) >> 1;
+        let probe = middle;
+        let rect = rectAt(probe);
+        while (!rect && probe + 1 < text.length) rect = rectAt(++probe);
+        if (rect && rect[edge] > y + LAYOUT_EPSILON) {
+          high = middle;
+        } else {
+          low = middle + 1;
+        }
+      }
+      return low;
+    };
+
+    let splitAt = firstBelow(bottom, 'bottom');
+    if (splitAt === 0 || splitAt >= text.length) return null;
+
+    if (!force) {
+      const style = getComputedStyle(block);
+      const lineHeight = this.lineHeight(block, style);
+      const lines = (from, to) => Math.max(1, Math.round((to - from) / lineHeight));
+      const firstTop = this.visibleRect(rectAt, 0, text.length).top;
+      const lastBottom = this.visibleRect(rectAt, text.length - 1, -1).bottom;
+      const widows = parseInt(style.widows, 10) || 2;
+      const orphans = parseInt(style.orphans, 10) || 2;
+
+      let splitTop = this.visibleRect(rectAt, splitAt, text.length).top;
+      const after = lines(splitTop, lastBottom);
+      if (after < widows) {
+        // Take lines from this page so enough go to the next
+        splitAt = firstBelow(splitTop - (widows - after) * lineHeight - lineHeight / 2, 'top');
+        if (splitAt === 0) return null;
+        splitTop = this.visibleRect(rectAt, splitAt, text.length).top;
+      }
+      if (lines(firstTop, splitTop) < orphans) return null;
+    }
+
+    const { node, offset } = this.locate(text, splitAt);
+    range.setStart(node, offset);
+    range.setEnd(block, block.childNodes.length);
+    const tail = this.shallowCopy(block);
+    tail.appendChild(range.extractContents());
+    this.registerSplit(block, tail);
+    return tail;
+  }
+
+  splitTable(table, bottom, force) {
+    const headerRows = this.headerRows(table);
+    const bodyRows = Array.from(table.rows).filter(row =>
+      !headerRows.includes(row) && !row.closest(`[${LAYOUT_REPEAT_ATTRIBUTE}]`) && row.parentElement.tagName !== 'TFOOT'
+    );
+
+    let index = bodyRows.findIndex(row => row.getBoundingClientRect().bottom > bottom + LAYOUT_EPSILON);
+    if (index === -1) return null;
+
+    // Never separate a cell from the rows it spans
+    for (let i = 0; i < index; i++) {
+      if (Array.from(bodyRows[i].cells).some(cell => i + (cell.rowSpan || 1) > index)) {
+        index = i;
+        break;
+      }
+    }
+    if (index === 0) {
+      if (!force || bodyRows.length < 2) return null;
+      index = 1;
+    }
+
+    const tail = this.shallowCopy(table);
+    table.querySelectorAll(':scope > colgroup').forEach(group => {
+      const copy = group.cloneNode(true);
+      copy.setAttribute(LAYOUT_REPEAT_ATTRIBUTE, '');
+      tail.appendChild(copy);
+    });
+    if (headerRows.length > 0) {
+      const header = document.createElement('thead');
+      headerRows.forEach(row => header.appendChild(row.cloneNode(true)));
+      header.setAttribute(LAYOUT_REPEAT_ATTRIBUTE, '');
+      header.contentEditable = 'false'; // Edited in the original header
+      tail.appendChild(header);
+    }
+
+    const firstMoved = bodyRows[index];
+    const section = firstMoved.parentElement;
+    let target = tail;
+    if (section !== table) {
+      target = this.shallowCopy(section);
+      tail.appendChild(target);
+      this.registerSplit(section, target);
+    }
+    let row = firstMoved;
+    while (row) {
+      const following = row.nextSibling;
+      target.appendChild(row);
+      row = following;
+    }
+    if (section !== table) {
+      let sibling = section.nextSibling;
+      while (sibling) {
+        const following = sibling.nextSibling;
+        tail.appendChild(sibling);
+        sibling = following;
+      }
+    }
+
+    this.registerSplit(table, tail);
+    return tail;
+  }
+
+  // Lists and other containers split between their child blocks
+  splitChildren(block, bottom, force) {
+    const children = this.blocks(block);
+    let index = children.findIndex(child => this.rectOf(child).bottom > bottom + LAYOUT_EPSILON);
+    if (index === -1) return null;
+
+    const isList = block.tagName === 'UL' || block.tagName === 'OL';
+    let childTail = null;
+    const child = children[index];
+    if (!isList && child.nodeType === Node.ELEMENT_NODE && this.rectOf(child).top < bottom) {
+      childTail = this.split(child, bottom, { force: force && index === 0 });
+    }
+    if (!childTail && index === 0) {
+      if (!force || children.length < 2) return null;
+      index = 1;
+    }
+
+    const tail = this.shallowCopy(block);
+    if (childTail) {
+      tail.appendChild(childTail);
+    }
+    let node = childTail ? children[index].nextSibling : children[index];
+    while (node) {
+      const following = node.nextSibling;
+      tail.appendChild(node);
+      node = following;
+    }
+
+    if (block.tagName === 'OL') {
+      // Numbering carries on in the second part
+      const kept = block.querySelectorAll(':scope > li').length - (childTail ? 1 : 0);
+      tail.setAttribute('start', String((parseInt(block.getAttribute('start'), 10) || 1) + kept));
+    }
+
+    this.registerSplit(block, tail);
+    return tail;
+  }
+
+  // tail now holds the end of head, so whatever continued head continues tail
+  registerSplit(head, tail) {
+    this.heads.forEach((blockHead, continuation) => {
+      if (blockHead === head) this.heads.set(continuation, tail);
+    });
+    this.heads.set(tail, head);
+  }
+
+  // Appends tail, the continuation of head, to head. isTail tells whether a
+  // child of tail continues the last child of head.
+  join(head, tail, isTail = (last, first) => this.continues(last, first)) {
+    tail.querySelectorAll(`:scope > [${LAYOUT_REPEAT_ATTRIBUTE}]`).forEach(node => node.remove());
+
+    const last = this.lastBlock(head);
+    const first = this.firstBlock(tail);
+    if (last && first && last.nodeType === Node.ELEMENT_NODE && first.nodeType === Node.ELEMENT_NODE && isTail(last, first)) {
+      this.join(last, first, isTail);
+      first.remove();
+    } else if (this.isTextBlock(head)) {
+      this.mergeInline(head, tail);
+    }
+    while (tail.firstChild) head.appendChild(tail.firstChild);
+
+    if (this.heads.get(tail) !== undefined) this.heads.delete(tail);
+    this.heads.forEach((blockHead, continuation) => {
+      if (blockHead === tail) this.heads.set(continuation, head);
+    });
+  }
+
+  // Rejoins inline formatting that a line split cut in two, e.g. <b>one </b><b>two</b>
+  mergeInline(head, tail) {
+    const last = head.lastChild;
+    const first = tail.firstChild;
+    if (!last || !first) return;
+
+    if (last.nodeType === Node.TEXT_NODE && first.nodeType === Node.TEXT_NODE) {
+      last.appendData(first.data);
+      first.remove();
+    } else if (last.nodeType === Node.ELEMENT_NODE && first.nodeType === Node.ELEMENT_NODE &&
+        !this.isCaretMarker(first) && last.cloneNode(false).isEqualNode(first.cloneNode(false))) {
+      this.mergeInline(last, first);
+      while (first.firstChild) last.appendChild(first.firstChild);
+      first.remove();
+    }
+  }
+
+  // Whether first (at the top of a page) continues last (at the bottom of the page before)
+  continues(last, first) {
+    const head = this.heads.get(first);
+    if (!head) return false;
+    if (head === last) return true;
+    // The head was split by Enter or merged away by Backspace: the block
+    // now at the end of the page carries on in the continuation
+    if (last.tagName !== first.tagName) return false;
+    return !head.isConnected ||
+      (head.parentNode === last.parentNode && Boolean(head.compareDocumentPosition(last) & Node.DOCUMENT_POSITION_FOLLOWING));
+  }
+
+  keepsWithNext(block) {
+    if (block.nodeType !== Node.ELEMENT_NODE) return false;
+    if (LAYOUT_HEADING_TAGS.has(block.tagName)) return true;
+    const breakAfter = getComputedStyle(block).breakAfter;
+    return breakAfter === 'avoid' || breakAfter === 'avoid-page';
+  }
+
+  // Rows repeated at the top of every page the table spans; on a continued
+  // table, the copies already repeated there
+  headerRows(table) {
+    if (table.tHead) return Array.from(table.tHead.rows);
+    const rows = Array.from(table.rows);
+    const header = [];
+    for (const row of rows) {
+      if (row.cells.length === 0 || !Array.from(row.cells).every(cell => cell.tagName === 'TH')) break;
+      header.push(row);
+    }
+    return header.length < rows.length ? header : [];
+  }
+
+  // A block holding only inline content, split at line boundaries
+  isTextBlock(element) {
+    if (element.nodeType !== Node.ELEMENT_NODE || LAYOUT_ATOMIC_TAGS.has(element.tagName)) return false;
+    if (['TABLE', 'THEAD', 'TBODY', 'TFOOT', 'TR', 'UL', 'OL', 'DL'].includes(element.tagName)) return false;
+    return !Array.from(element.querySelectorAll('*')).some(child => LAYOUT_BLOCK_TAGS.has(child.tagName));
+  }
+
+  // Bare text and inline elements directly in the editor (e.g. the first line
+  // typed into an empty page) are wrapped in a <div>, as Enter would
+  wrapInlineRuns(editor) {
+    let run = [];
+    const wrap = () => {
+      if (run.some(node => this.isContent(node) && node.nodeName !== 'BR')) {
+        const block = document.createElement('div');
+        run[0].before(block);
+        run.forEach(node => block.appendChild(node));
+      }
+      run = [];
+    };
+    Array.from(editor.childNodes).forEach(node => {
+      if (node.nodeType === Node.ELEMENT_NODE && LAYOUT_BLOCK_TAGS.has(node.tagName)) {
+        wrap();
+      } else {
+        run.push(node);
+      }
+    });
+    wrap();
+  }
+
+  isCaretMarker(node) {
+    return node.nodeType === Node.ELEMENT_NODE && node.hasAttribute(LAYOUT_CARET_ATTRIBUTE);
+  }
+
+  isContent(node) {
+    if (node.nodeType === Node.TEXT_NODE) return node.data.trim() !== '';
+    return node.nodeType === Node.ELEMENT_NODE && !this.isCaretMarker(node);
+  }
+
+  // Child nodes that take part in the layout; a lone <br> or a repeated table header does not
+  blocks(parent) {
+    return Array.from(parent.childNodes).filter(node =>
+      this.isContent(node) && node.nodeName !== 'BR' && !node.hasAttribute?.(LAYOUT_REPEAT_ATTRIBUTE));
+  }
+
+  firstBlock(parent) {
+    return this.blocks(parent)[0] || null;
+  }
+
+  lastBlock(parent) {
+    const blocks = this.blocks(parent);
+    return blocks[blocks.length - 1] || null;
+  }
+
+  // Client coordinates of the area the editor's content may fill
+  contentBox(editor) {
+    const style = getComputedStyle(editor);
+    const rect = editor.getBoundingClientRect();
+    const scale = editor.offsetHeight > 0 ? rect.height / editor.offsetHeight : 1; // Zoom is a transform
+    const inset = (side) => parseFloat(style[`padding${side}`]) + parseFloat(style[`border${side}Width`]);
+    const top = rect.top + inset('Top') * scale;
+    const height = this.hooks.getUsableHeight(editor.closest('.page')) - inset('Top') - inset('Bottom');
+    return { top, bottom: top + height * scale, scale };
+  }
+
+  isOverflowing(editor) {
+    const last = this.lastBlock(editor);
+    if (!last) return false;
+    return this.rectOf(last).bottom > this.contentBox(editor).bottom + LAYOUT_EPSILON;
+  }
+
+  // Whether any of block, which is on the next page, could move up. The next
+  // page has the same width, so its height there is its height here.
+  hasRoomFor(editor, block) {
+    const last = this.lastBlock(editor);
+    const { top, bottom } = this.contentBox(editor);
+    const room = bottom - (last ? this.rectOf(last).bottom : top);
+    if (room <= LAYOUT_EPSILON) return false;
+    if (this.rectOf(block).height <= room) return true;
+    // Part of it may fit; split() decides
+    return block.nodeType === Node.ELEMENT_NODE && !LAYOUT_ATOMIC_TAGS.has(block.tagName);
+  }
+
+  rectOf(node) {
+    if (node.nodeType === Node.ELEMENT_NODE) return node.getBoundingClientRect();
+    const range = document.createRange();
+    range.selectNodeContents(node);
+    return range.getBoundingClientRect();
+  }
+
+  lineHeight(block, style) {
+    const scale = block.offsetHeight > 0 ? block.getBoundingClientRect().height / block.offsetHeight : 1;
+    const lineHeight = parseFloat(style.lineHeight);
+    return (Number.isFinite(lineHeight) ? lineHeight : parseFloat(style.fontSize) * 1.2) * scale;
+  }
+
+  // The rect of the first character from index on (step 1) or back (step -1) that has one
+  visibleRect(rectAt, index, stop) {
+    const step = stop > index ? 1 : -1;
+    for (let i = index; i !== stop; i += step) {
+      const rect = rectAt(i);
+      if (rect) return rect;
+    }
+    return { top: 0, bottom: 0 };
+  }
+
+  // Text nodes of block with the offset each starts at, for addressing characters
+  textIndex(block) {
+    const nodes = [];
+    let length = 0;
+    const walker = document.createTreeWalker(block, NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) {
+      const node = walker.currentNode;
+      if (node.data.length === 0) continue;
+      nodes.push({ node, start: length });
+      length += node.data.length;
+    }
+    return { nodes, length };
+  }
+
+  locate(text, index) {
+    let low = 0;
+    let high = text.nodes.length - 1;
+    while (low < high) {
+      const middle = (low + high + 1) >> 1;
+      if (text.nodes[middle].start <= index) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+    const { node, start } = text.nodes[low];
+    return { node, offset: index - start };
+  }
+
+  shallowCopy(element) {
+    const copy = element.cloneNode(false);
+    copy.removeAttribute('id');
+    return copy;
+  }
+
+  // Leaves markers where the selection starts and ends so it survives blocks moving
+  saveCaret(pageContainer) {
+    const selection = window.getSelection();
+    if (selection.rangeCount === 0) return null;
+    const range = selection.getRangeAt(0);
+    if (!pageContainer.contains(range.startContainer) || !range.startContainer.parentElement?.closest('.editor')) return null;
+
+    const marker = () => {
+      const span = document.createElement('span');
+      span.setAttribute(LAYOUT_CARET_ATTRIBUTE, '');
+      return span;
+    };
+    const end = range.collapsed ? null : marker();
+    if (end) {
+      const endRange = range.cloneRange();
+      endRange.collapse(false);
+      endRange.insertNode(end);
+    }
+    const start = marker();
+    const startRange = range.cloneRange();
+    startRange.collapse(true);
+    startRange.insertNode(start);
+    const focused = document.activeElement?.classList.contains('editor');
+    return { start, end, focused };
+  }
+
+  restoreCaret(pageContainer, caret) {
+    if (!caret) return;
+    const position = (marker) => {
+      if (!marker.isConnected) return null;
+      const previous = marker.previousSibling;
+      const next = marker.nextSibling;
+      const parent = marker.parentNode;
+      marker.remove();
+      if (previous && previous.nodeType === Node.TEXT_NODE) {
+        const offset = previous.data.length;
+        if (next && next.nodeType === Node.TEXT_NODE) {
+          previous.appendData(next.data);
+          next.remove();
+        }
+        return { node: previous, offset };
+      }
+      return { node: parent, offset: next ? Array.prototype.indexOf.call(parent.childNodes, next) : parent.childNodes.length };
+    };
+
+    const editor = caret.start.isConnected ? caret.start.closest('.editor') : null;
+    if (editor && caret.focused) {
+      editor.focus({ preventScroll: true });
+      caret.start.scrollIntoView({ block: 'nearest' });
+    }
+    // The start first: removing it may merge the text node the end would be in
+    const start = position(caret.start);
+    const end = caret.end ? position(caret.end) : null;
+    if (!start || !editor) return;
+
+    const range = document.createRange();
+    range.setStart(start.node, start.offset);
+    if (end) range.setEnd(end.node, end.offset);
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+  }
+}
@@ -0,0 +1,435 @@
+// Converts the editor DOM into GitHub-flavoured Markdown.
+//
+// Output is kept canonical (one line per paragraph unless the source had soft
+// line breaks, blank lines between blocks) and honours the syntax preferences
+// detected when a Markdown file was imported, so opening and exporting a file
+// leaves it unchanged. Comments become footnotes.
+
+const MD_BLOCK_TAGS = new Set([
+  'P', 'DIV', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'UL', 'OL', 'LI', 'TABLE', 'HR',
+  'BLOCKQUOTE', 'PRE', 'SECTION', 'ARTICLE', 'HEADER', 'FOOTER', 'FIGURE', 'FIGCAPTION'
+]);
+
+// Order in which inline marks nest, outermost first
+const MD_MARK_ORDER = ['link', 'strong', 'em', 'del', 'u', 'code'];
+
+class MarkdownSerializer {
+  // style: { bullet, emphasis, strong, rule, fence } as detected by src/main/markdown.js
+  constructor(style = {}) {
+    this.style = {
+      bullet: '-',
+      emphasis: '*',
+      strong: '**',
+      rule: '---',
+      fence: '```',
+      ...style
+    };
+    this.footnotes = [];
+  }
+
+  // Serialize every page editor as one continuous document
+  serialize(pageContainer, options = {}) {
+    this.footnotes = [];
+    this.baseDir = options.baseDir || null;
+
+    const blocks = [];
+    pageContainer.querySelectorAll('.page .editor').forEach(editor => {
+      blocks.push(...this.serializeBlocks(editor));
+    });
+
+    let markdown = blocks.filter(block => block !== '').join('\n\n');
+    if (this.footnotes.length > 0) {
+      markdown += '\n\n' + this.footnotes
+        .map(note => `[^${note.label}]: ${note.text.split('\n').join('\n    ')}`)
+        .join('\n');
+    }
+    return markdown ? `${markdown}\n` : '';
+  }
+
+  isBlock(node) {
+    return node.nodeType === Node.ELEMENT_NODE && MD_BLOCK_TAGS.has(node.tagName);
+  }
+
+  // Returns a list of Markdown blocks (strings without surrounding blank lines)
+  serializeBlocks(container) {
+    const blocks = [];
+    let inline = [];
+
+    const flush = () => {
+      const text = this.serializeInline(inline).trim();
+      if (text) blocks.push(this.escapeLineStarts(text));
+      inline = [];
+    };
+
+    container.childNodes.forEach(node => {
+      if (this.isBlock(node)) {
+        flush();
+        const block = this.serializeBlock(node);
+        if (block !== null) blocks.push(block);
+      } else {
+        inline.push(node);
+      }
+    });
+    flush();
+
+    return blocks;
+  }
+
+  serializeBlock(element) {
+    const tag = element.tagName;
+
+    if (/^H[1-6]$/.test(tag)) {
+      const text = this.serializeInline(Array.from(element.childNodes)).replace(/\s*\n\s*/g, ' ').trim();
+      return `${'#'.repeat(Number(tag.charAt(1)))} ${text}`;
+    }
+    if (element.classList.contains(OUTLINE_TOC_CLASS)) return this.serializeContents(element);
+
+    switch (tag) {
+      case 'UL':
+      case 'OL':
+        return this.serializeList(element);
+      case 'TABLE':
+        return this.serializeTable(element);
+      case 'HR':
+        return this.style.rule;
+      case 'BLOCKQUOTE':
+        return this.serializeBlocks(element).join('\n\n')
+          .split('\n')
+          .map(line => (line ? `> ${line}` : '>'))
+          .join('\n');
+      case 'PRE':
+        return this.serializeCodeBlock(element);
+      default: {
+        // Paragraph-like containers. Editor lines that are only a <br> are empty paragraphs.
+        const blocks = this.serializeBlocks(element);
+        return blocks.length > 0 ? blocks.join('\n\n') : '';
+      }
+    }
+  }
+
+  serializeCodeBlock(pre) {
+    const code = pre.querySelector('code');
+    const language = code ? (/language-(\S+)/.exec(code.className) || [])[1] || '' : '';
+    const text = (code || pre).textContent.replace(/\n$/, '');
+
+    // The fence must be longer than any run of fence characters inside the code
+    const fenceChar = this.style.fence.charAt(0);
+    const longestRun = Math.max(0, ...(text.match(new RegExp(`${fenceChar === '`' ? '`' : '~'}+`, 'g')) || []).map(run => run.length));
+    const fence = fenceChar.repeat(Math.max(3, longestRun + 1));
+
+    return `${fence}${language}\n${text}\n${fence}`;
+  }
+
+  // A table of contents (document-outline.js) becomes a list of links to the
+  // headings, nested by level; page numbers mean nothing in Markdown
+  serializeContents(toc) {
+    const lines = Array.from(toc.querySelectorAll(`.${OUTLINE_TOC_ENTRY_CLASS}`)).map(entry => {
+      const level = parseInt((/toc-level-(\d)/.exec(entry.className) || [])[1], 10) || 1;
+      const link = entry.querySelector('a');
+      return `${'  '.repeat(level - 1)}${this.style.bullet} ${link ? this.serializeInline([link]).trim() : ''}`;
+    });
+    return lines.length > 0 ? `${OUTLINE_TOC_TITLE}\n\n${lines.join('\n')}` : '';
+  }
+
+  serializeList(list) {
+    const ordered = list.tagName === 'OL';
+    const start = parseInt(list.getAttribute('start'), 10) || 1;
+    const items = Array.from(list.children).filter(child => child.tagName === 'LI');
+    // A list is "loose" (blank lines between items) when its items hold paragraphs
+    const loose = items.some(item => Array.from(item.children).some(child => child.tagName === 'P'));
+
+    const rendered = items.map((item, index) => {
+      const marker = ordered ? `${start + index}.` : this.style.bullet;
+      const indent = ' '.repeat(marker.length + 1);
+      const content = this.serializeBlocks(item);
+      const body = content.join(loose ? '\n\n' : '\n');
+
+      const lines = body.split('\n').map((line, lineIndex) => {
+        if (lineIndex === 0) return line;
+        return line ? indent + line : '';
+      });
+      return `${marker} ${lines.join('\n')}`.replace(/\s+$/, '');
+    });
+
+    return rendered.join(loose ? '\n\n' : '\n');
+  }
+
+  serializeTable(table) {
+    const rows = Array.from(table.rows);
+    if (rows.length === 0) return null;
+
+    const cellText = cell => this.serializeInline(Array.from(cell.childNodes))
+      .trim()
+      .replace(/\n/g, '<br>')
+      .replace(/\|/g, '\\|');
+
+    const header = rows[0];
+    const body = rows.slice(1);
+    const columnCount = Math.max(...rows.map(row => row.cells.length));
+    const pad = cells => {
+      while (cells.length < columnCount) cells.push('');
+      return cells;
+    };
+
+    const headerCells = pad(Array.from(header.cells).map(cellText));
+    const alignments = pad(Array.from(header.cells).map(cell => {
+      const align = (cell.getAttribute('align') || cell.style.textAlign || '').toLowerCase();
+      if (align === 'center') return ':---:';
+      if (align === 'right') return '---:';
+      if (align === 'left') return ':---';
+      return '---';
+    })).map(align => align || '---');
+
+    const line = cells => `| ${cells.join(' | ')} |`;
+    return [
+      line(headerCells),
+      line(alignments),
+      ...body.map(row => line(pad(Array.from(row.cells).map(cellText))))
+    ].join('\n');
+  }
+
+  // Inline content is flattened into text segments carrying a set of marks,
+  // then written out so adjacent segments share delimiters: <b>a</b><b>b</b>
+  // gives **ab** rather than **a****b**.
+  serializeInline(nodes) {
+    const segments = [];
+    nodes.forEach(node => this.collectSegments(node, {}, segments));
+
+    // contenteditable keeps a <br> at the end of lines, which is not a hard break
+    while (segments.length > 0) {
+      const last = segments[segments.length - 1];
+      if (last.type === 'break' || (last.type === 'text' && !last.text.trim())) {
+        segments.pop();
+      } else {
+        break;
+      }
+    }
+    return this.writeSegments(segments);
+  }
+
+  collectSegments(node, marks, segments) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      const text = node.data.replace(/\u00a0/g, ' ');
+      if (text) segments.push({ type: 'text', text, marks });
+      return;
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+    switch (node.tagName) {
+      case 'BR':
+        segments.push({ type: 'break', marks });
+        return;
+      case 'IMG':
+        segments.push({ type: 'image', node, marks });
+        return;
+    }
+
+    const next = { ...marks };
+    switch (node.tagName) {
+      case 'B':
+      case 'STRONG':
+        next.strong = true;
+        break;
+      case 'I':
+      case 'EM':
+        next.em = true;
+        break;
+      case 'S':
+      case 'STRIKE':
+      case 'DEL':
+        next.del = true;
+        break;
+      case 'U':
+        next.u = true;
+        break;
+      case 'CODE':
+        next.code = true;
+        break;
+      case 'A':
+        if (node.getAttribute('href')) {
+          next.link = { href: node.getAttribute('href'), title: node.getAttribute('title') || '' };
+        }
+        break;
+    }
+
+    const style = node.style;
+    if (style) {
+      if (style.fontWeight === 'bold' || parseInt(style.fontWeight, 10) >= 600) next.strong = true;
+      if (style.fontStyle === 'italic') next.em = true;
+      const decoration = style.textDecorationLine || style.textDecoration || '';
+      if (decoration.includes('line-through')) next.del = true;
+      if (decoration.includes('underline')) next.u = true;
+    }
+
+    node.childNodes.forEach(child => this.collectSegments(child, next, segments));
+
+    if (node.classList.contains('comment')) {
+      segments.push({ type: 'footnote', label: this.addFootnote(node), marks });
+    }
+  }
+
+  addFootnote(span) {
+    const id = span.dataset.commentId || '';
+    // A comment on text in several paragraphs has one anchor in each, all referring to one footnote
+    const existing = id && this.footnotes.find(note => note.id === id);
+    if (existing) return existing.label;
+    // Footnotes that came from a Markdown file keep their original label
+    let label = id.startsWith('fn-') ? id.slice(3) : null;
+    if (!label || this.footnotes.some(note => note.label === label)) {
+      let counter = this.footnotes.length + 1;
+      while (this.footnotes.some(note => note.label === String(counter))) counter++;
+      label = String(counter);
+    }
+    this.footnotes.push({ id, label, text: span.title || '' });
+    return label;
+  }
+
+  markKey(name, value) {
+    return name === 'link' ? `link:${value.href}:${value.title}` : name;
+  }
+
+  openMark(name) {
+    switch (name) {
+      case 'link': return '[';
+      case 'strong': return this.style.strong;
+      case 'em': return this.style.emphasis;
+      case 'del': return '~~';
+      case 'u': return '<u>';
+      default: return '';
+    }
+  }
+
+  closeMark(name, value) {
+    switch (name) {
+      case 'link': {
+        const title = value.title ? ` "${value.title.replace(/"/g, '\\"')}"` : '';
+        return `](${this.escapeURL(value.href)}${title})`;
+      }
+      case 'strong': return this.style.strong;
+      case 'em': return this.style.emphasis;
+      case 'del': return '~~';
+      case 'u': return '</u>';
+      default: return '';
+    }
+  }
+
+  writeSegments(segments) {
+    let output = '';
+    let open = []; // [{ name, value, key }] outermost first
+    let pendingSpace = '';
+
+    const closeTo = (depth) => {
+      while (open.length > depth) {
+        const mark = open.pop();
+        output += this.closeMark(mark.name, mark.value);
+      }
+    };
+
+    const wanted = marks => MD_MARK_ORDER
+      .filter(name => marks[name] && name !== 'code')
+      .map(name => ({ name, value: marks[name], key: this.markKey(name, marks[name]) }));
+
+    // Keep the longest common prefix of open marks, then open the rest
+    const applyMarks = (marks) => {
+      const target = wanted(marks);
+      let common = 0;
+      while (common < open.length && common < target.length && open[common].key === target[common].key) {
+        common++;
+      }
+      if (common < open.length) {
+        closeTo(common);
+      }
+      output += pendingSpace;
+      pendingSpace = '';
+      target.slice(common).forEach(mark => {
+        output += this.openMark(mark.name);
+        open.push(mark);
+      });
+    };
+
+    segments.forEach(segment => {
+      if (segment.type === 'text') {
+        // Emphasis delimiters cannot sit next to whitespace, so push spaces outside
+        const match = /^(\s*)([\s\S]*?)(\s*)$/.exec(segment.text);
+        const [, leading, core, trailing] = match;
+        if (!core) {
+          pendingSpace += segment.text;
+          return;
+        }
+
+        pendingSpace += leading;
+        applyMarks(segment.marks);
+        output += segment.marks.code ? this.inlineCode(core) : this.escapeText(core);
+        pendingSpace = trailing;
+        return;
+      }
+
+      applyMarks(segment.marks);
+      if (segment.type === 'break') {
+        output += '\\\n';
+      } else if (segment.type === 'image') {
+        output += this.serializeImage(segment.node);
+      } else if (segment.type === 'footnote') {
+        output += `[^${segment.label}]`;
+      }
+    });
+
+    closeTo(0);
+    return output + pendingSpace;
+  }
+
+  serializeImage(img) {
+    const alt = (img.getAttribute('alt') || '').replace(/([[\]])/g, '\\$1');
+    const title = img.getAttribute('title');
+    let src = img.dataset.mdSrc || img.getAttribute('src') || '';
+
+    // Local images are written relative to the Markdown file when possible
+    if (this.baseDir && src.startsWith('file://')) {
+      const filePath = decodeURI(src.replace(/^file:\/\//, ''));
+      const base = this.baseDir.replace(/\\/g, '/').replace(/\/?$/, '/');
+      if (filePath.startsWith(base)) src = encodeURI(filePath.slice(base.length));
+    }
+
+    return `![${alt}](${this.escapeURL(src)}${title ? ` "${title.replace(/"/g, '\\"')}"` : ''})`;
+  }
+
+  inlineCode(text) {
+    const longestRun = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(longestRun + 1);
+    const padding = text.startsWith('`') || text.endsWith('`') ? ' ' : '';
+    return `${fence}${padding}${text}${padding}${fence}`;
+  }
+
+  escapeURL(url) {
+    return /[\s()]/.test(url) ? `<${url.replace(/[<>]/g, encodeURIComponent)}>` : url;
+  }
+
+  // Escape only what Markdown would otherwise interpret, so plain prose is left alone
+  escapeText(text) {
+    return text
+      .replace(/\\(?=[!-/:-@[-`{-~])/g, '\\\\')
+      .replace(/`/g, '\\`')
+      // A lone "*" between spaces is not emphasis
+      .replace(/\*/g, (match, offset) => (/\s/.test(text[offset - 1] || ' ') && /\s/.test(text[offset + 1] || ' ') ? '*' : '\\*'))
+      // Brackets only matter where they could form a link or footnote reference
+      .replace(/\[(?=\^)/g, '\\[')
+      .replace(/\](?=[([:])/g, '\\]')
+      .replace(/~~/g, '\\~\\~')
+      .replace(/(^|[^\w])_|_(?=[^\w]|$)/g, (match) => match.replace('_', '\\_'))
+      .replace(/<(?=[a-zA-Z/!?])/g, '\\<');
+  }
+
+  // Text that would start a heading, quote, list or rule at the beginning of a line
+  escapeLineStarts(text) {
+    return text.split('\n').map(line => line
+      .replace(/^(\s*)([#>+-])(?=\s|$)/, '$1\\$2')
+      .replace(/^(\s*)(#{1,6})(?=\s)/, '$1\\$2')
+      .replace(/^(\s*)(\d+)([.)])(?=\s)/, '$1$2\\$3')
+      .replace(/^(\s*)(=+|-+)\s*$/, (match, space, rule) => `${space}\\${rule}`)
+    ).join('\n');
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MarkdownSerializer;
+}
@@ -0,0 +1,114 @@
+// Paper size, orientation and margins of a document or section, and how
+// they turn into the geometry of the .page elements on screen and in print.
+//
+// A setup is { size, orientation, margins: { top, bottom, left, right },
+// gutter, headerDistance, footerDistance }, lengths in millimetres. The
+// document's setup is settings.pageSetup; a page that starts a new section
+// carries its own in data-page-setup, and the pages after it follow it.
+// Margins are where the body text starts; the header and footer sit at their
+// distance from the page edge and push the body away if they grow past it.
+
+const PAPER_SIZES = {
+  A3: { label: 'A3 (297 × 420 mm)', width: 297, height: 420 },
+  A4: { label: 'A4 (210 × 297 mm)', width: 210, height: 297 },
+  A5: { label: 'A5 (148 × 210 mm)', width: 148, height: 210 },
+  Letter: { label: 'Letter (8.5 × 11 in)', width: 215.9, height: 279.4 },
+  Legal: { label: 'Legal (8.5 × 14 in)', width: 215.9, height: 355.6 }
+};
+
+// Matches the page padding documents had before page setup existed
+const DEFAULT_PAGE_SETUP = {
+  size: 'A4',
+  orientation: 'portrait',
+  margins: { top: 30, bottom: 30, left: 20, right: 20 },
+  gutter: 0,
+  headerDistance: 12.7,
+  footerDistance: 12.7
+};
+
+// The body must keep at least this much room, in millimetres
+const PAGE_MIN_BODY = 20;
+
+const PX_PER_MM = 96 / 25.4;
+
+// Height of a page apply() has not sized yet, in millimetres
+const DEFAULT_PAGE_SETUP_HEIGHT = PAPER_SIZES[DEFAULT_PAGE_SETUP.size].height;
+
+class PageSetup {
+  // Fills in anything missing or invalid from the defaults
+  normalize(setup) {
+    const number = (value, fallback) => (Number.isFinite(Number(value)) && Number(value) >= 0 ? Number(value) : fallback);
+    const margins = (setup && setup.margins) || {};
+    return {
+      size: PAPER_SIZES[setup?.size] ? setup.size : DEFAULT_PAGE_SETUP.size,
+      orientation: setup?.orientation === 'landscape' ? 'landscape' : 'portrait',
+      margins: {
+        top: number(margins.top, DEFAULT_PAGE_SETUP.margins.top),
+        bottom: number(margins.bottom, DEFAULT_PAGE_SETUP.margins.bottom),
+        left: number(margins.left, DEFAULT_PAGE_SETUP.margins.left),
+        right: number(margins.right, DEFAULT_PAGE_SETUP.margins.right)
+      },
+      gutter: number(setup?.gutter, DEFAULT_PAGE_SETUP.gutter),
+      headerDistance: number(setup?.headerDistance, DEFAULT_PAGE_SETUP.headerDistance),
+      footerDistance: number(setup?.footerDistance, DEFAULT_PAGE_SETUP.footerDistance)
+    };
+  }
+
+  // { width, height } of the sheet in millimetres, after orientation
+  dimensions(setup) {
+    const { width, height } = PAPER_SIZES[setup.size];
+    return setup.orientation === 'landscape' ? { width: height, height: width } : { width, height };
+  }
+
+  // Returns a message describing what is wrong, or null
+  validate(setup) {
+    const { width, height } = this.dimensions(setup);
+    const { top, bottom, left, right } = setup.margins;
+    if (width - left - right - setup.gutter < PAGE_MIN_BODY) {
+      return 'The left and right margins and gutter leave no room for text';
+    }
+    if (height - top - bottom < PAGE_MIN_BODY) {
+      return 'The top and bottom margins leave no room for text';
+    }
+    if (setup.headerDistance >= top || setup.footerDistance >= bottom) {
+      return 'The header and footer must be closer to the edge than the margins';
+    }
+    return null;
+  }
+
+  // Sizes one .page element. name is its CSS named page, so printing uses the right sheet.
+  apply(page, setup, name) {
+    const { width, height } = this.dimensions(setup);
+    const { margins } = setup;
+    const header = page.querySelector('.header');
+    const footer = page.querySelector('.footer');
+    const headerHeight = header ? header.offsetHeight / PX_PER_MM : 0;
+    const footerHeight = footer ? footer.offsetHeight / PX_PER_MM : 0;
+
+    const style = page.style;
+    style.setProperty('--page-width', `${width}mm`);
+    style.setProperty('--page-height', `${height}mm`);
+    style.setProperty('--margin-left', `${margins.left + setup.gutter}mm`);
+    style.setProperty('--margin-right', `${margins.right}mm`);
+    style.setProperty('--header-distance', `${setup.headerDistance}mm`);
+    style.setProperty('--footer-distance', `${setup.footerDistance}mm`);
+    style.setProperty('--body-top', `${Math.max(margins.top, setup.headerDistance + headerHeight)}mm`);
+    style.setProperty('--body-bottom', `${Math.max(margins.bottom, setup.footerDistance + footerHeight)}mm`);
+    style.setProperty('page', name);
+  }
+
+  // Height available to the editor of a page that apply() has sized, in pixels
+  bodyHeight(page) {
+    const pageStyle = getComputedStyle(page);
+    const height = parseFloat(page.style.getPropertyValue('--page-height')) || DEFAULT_PAGE_SETUP_HEIGHT;
+    return height * PX_PER_MM - parseFloat(pageStyle.paddingTop) - parseFloat(pageStyle.paddingBottom);
+  }
+
+  // @page rules for the named pages used by apply()
+  printStyles(setups) {
+    return Array.from(setups, ([name, setup]) => {
+      const { width, height } = this.dimensions(setup);
+      return `@page ${name} { size: ${width}mm ${height}mm; margin: 0; }`;
+    }).join('\n');
+  }
+}
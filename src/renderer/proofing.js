@@ -0,0 +1,120 @@
+// Spelling and grammar checks over the text as the reader sees it.
+//
+// The checks run over the text of a TextSearch index (see text-search.js), so
+// an issue is a pair of offsets into it and never crosses a line. Spelling
+// asks the spell checker Electron provides (preload.js), one word at a time;
+// the other checks are rules that need no dictionary and work offline:
+//   repeated  the same word twice in a row ("the the")
+//   spaces    more than one space between two words
+//   passive   a form of "to be" and a past participle ("was written"), in English only
+// An issue is { type, start, end, text, message, suggestions }, suggestions
+// being the texts that could replace it. Spelling suggestions take a call to
+// the spell checker each, so they are looked up when an issue is shown.
+
+// The context menu and the review panel offer at most this many spellings
+const PROOFING_MAX_SUGGESTIONS = 5;
+
+const PROOFING_TYPES = {
+  spelling: 'Spelling',
+  repeated: 'Repeated word',
+  spaces: 'Extra spaces',
+  passive: 'Passive voice'
+};
+
+// Letters, with apostrophes inside words ("don't"); numbers and underscores
+// are matched too, so that words containing them can be skipped whole
+const PROOFING_WORD = /[\p{L}\p{M}\p{N}_]+(?:['’][\p{L}\p{M}\p{N}_]+)*/gu;
+
+// Web and mail addresses are not spelled
+const PROOFING_ADDRESS = /(?:\b[a-z][a-z\d+.-]*:\/\/|\bwww\.)[^\s]+|[^\s@]+@[^\s@]+\.[^\s@]+/giu;
+
+const PROOFING_REPEATED = /(?<![\p{L}\p{M}\p{N}_'’])([\p{L}\p{M}]+(?:['’][\p{L}\p{M}]+)*)( +)\1(?![\p{L}\p{M}\p{N}_'’])/giu;
+
+const PROOFING_SPACES = /(?<=\S) {2,}(?=\S)/gu;
+
+// The verb "to be", an optional adverb and the word that may be a participle
+const PROOFING_PASSIVE = /(?<![\p{L}'’])(?:am|is|are|was|were|be|been|being|(?:is|are|was|were)n['’]t)(?: +\p{L}+ly)? +(\p{L}+)(?![\p{L}'’])/giu;
+
+// Past participles that do not end in -ed
+const PROOFING_PARTICIPLES = new Set([
+  'awoken', 'beaten', 'become', 'begun', 'bent', 'bitten', 'blown', 'born', 'borne', 'bought', 'bound',
+  'broken', 'brought', 'built', 'burnt', 'caught', 'chosen', 'done', 'drawn', 'driven', 'dug', 'dealt',
+  'eaten', 'fallen', 'fed', 'felt', 'fought', 'found', 'forbidden', 'forgiven', 'forgotten', 'frozen',
+  'given', 'gotten', 'grown', 'held', 'heard', 'hidden', 'hit', 'hung', 'hurt', 'kept', 'known', 'laid',
+  'led', 'left', 'lent', 'lost', 'made', 'meant', 'met', 'mistaken', 'overcome', 'overseen', 'overtaken',
+  'paid', 'proven', 'put', 'read', 'rewritten', 'ridden', 'run', 'said', 'seen', 'sent', 'set', 'sewn',
+  'shaken', 'shot', 'shown', 'shut', 'sold', 'sought', 'spent', 'spoken', 'spread', 'stolen', 'struck',
+  'stuck', 'sung', 'sunk', 'sworn', 'swept', 'taken', 'taught', 'thought', 'thrown', 'told', 'torn',
+  'understood', 'undertaken', 'undone', 'upheld', 'withdrawn', 'woken', 'won', 'worn', 'written'
+]);
+
+// Words ending in -ed that are not participles
+const PROOFING_NOT_PARTICIPLES = new Set([
+  'bed', 'red', 'shed', 'wed', 'bred', 'sled', 'need', 'seed', 'feed', 'speed', 'weed', 'breed', 'greed',
+  'deed', 'heed', 'indeed', 'proceed', 'succeed', 'exceed', 'hundred', 'sacred', 'naked', 'wicked', 'embed'
+]);
+
+class Proofing {
+  // The issues in an index's text in order. spelling is the spell checker
+  // ({ isMisspelled(word) }) or null to leave spelling out; known words are
+  // never misspelled (the user's dictionary); passive voice is only looked
+  // for when language is English.
+  check({ text }, { language = '', spelling = null, known = new Set() } = {}) {
+    const issues = [
+      ...(spelling ? this.checkSpelling(text, spelling, known) : []),
+      ...this.checkRepeated(text),
+      ...this.checkSpaces(text),
+      ...(/^en\b/i.test(language) ? this.checkPassive(text) : [])
+    ];
+    return issues.sort((a, b) => a.start - b.start || a.end - b.end);
+  }
+
+  issue(type, start, text, message, suggestions = []) {
+    return { type, start, end: start + text.length, text, message, suggestions };
+  }
+
+  checkSpelling(text, spelling, known) {
+    const addresses = Array.from(text.matchAll(PROOFING_ADDRESS), match => [match.index, match.index + match[0].length]);
+    const misspelled = new Map(); // Each word is asked about once
+    const issues = [];
+    for (const match of text.matchAll(PROOFING_WORD)) {
+      const word = match[0].replace(/’/g, "'");
+      if (word.length < 2 || /[\p{N}_]/u.test(word) || (word === word.toUpperCase() && word !== word.toLowerCase())) continue;
+      if (known.has(word) || known.has(word.toLowerCase())) continue;
+      if (addresses.some(([start, end]) => match.index >= start && match.index < end)) continue;
+      if (!misspelled.has(word)) misspelled.set(word, Boolean(spelling.isMisspelled(word)));
+      if (misspelled.get(word)) issues.push(this.issue('spelling', match.index, match[0], `"${match[0]}" is not in the dictionary.`));
+    }
+    return issues;
+  }
+
+  checkRepeated(text) {
+    return Array.from(text.matchAll(PROOFING_REPEATED), match =>
+      this.issue('repeated', match.index, match[0], `"${match[1]}" is repeated.`, [match[1]]));
+  }
+
+  checkSpaces(text) {
+    return Array.from(text.matchAll(PROOFING_SPACES), match =>
+      this.issue('spaces', match.index, match[0], 'There is more than one space between these words.', [' ']));
+  }
+
+  checkPassive(text) {
+    const issues = [];
+    for (const match of text.matchAll(PROOFING_PASSIVE)) {
+      const word = match[1].toLowerCase();
+      const participle = PROOFING_PARTICIPLES.has(word) || (word.endsWith('ed') && word.length > 3 && !PROOFING_NOT_PARTICIPLES.has(word));
+      if (participle) issues.push(this.issue('passive', match.index, match[0], 'Passive voice. Consider saying who or what does this.'));
+    }
+    return issues;
+  }
+
+  // The name of an issue's type, for the panel and the context menu
+  title(issue) {
+    return PROOFING_TYPES[issue.type];
+  }
+
+  // What Ignore All matches on: the word for spelling, the text otherwise
+  key(issue) {
+    return `${issue.type}:${issue.type === 'spelling' ? issue.text : issue.text.toLowerCase()}`;
+  }
+}
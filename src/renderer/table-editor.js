@@ -0,0 +1,586 @@
+// Table editing: rows, columns, merged cells, borders, shading and sorting.
+//
+// Rows and columns are worked out on the table's grid of slots, where a cell
+// with a colspan or rowspan fills several. Column widths are <col> elements
+// in a <colgroup>, in percent of the table, so they survive zoom and export.
+// Tables the layout split over pages must be joined (LayoutEngine.unsplit)
+// before a change here; the editor does that.
+
+const TABLE_CELL_BORDER = '1px solid #dddddd';
+const TABLE_CELL_PADDING = '8px';
+const TABLE_BORDER_SIDES = ['Top', 'Right', 'Bottom', 'Left'];
+
+// Pixels either side of a column border that pick it up for resizing
+const TABLE_RESIZE_MARGIN = 4;
+
+// Narrowest a column can be dragged, in percent of the table
+const TABLE_MIN_COLUMN_WIDTH = 3;
+
+// Blocks in a cell, which need no line break between them when cells are merged
+const TABLE_BLOCK_TAGS = new Set(['P', 'DIV', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'UL', 'OL', 'TABLE', 'BLOCKQUOTE', 'PRE', 'HR']);
+
+// Cell formatting a new cell takes from the one next to it
+const TABLE_CELL_FORMAT = [
+  'border-top', 'border-right', 'border-bottom', 'border-left', 'padding', 'vertical-align', 'background-color', 'text-align'
+];
+
+class TableEditor {
+  // An empty table of rows × columns, the first row its header
+  create(rows, columns) {
+    const table = document.createElement('table');
+    table.style.width = '100%';
+    table.style.borderCollapse = 'collapse';
+    const head = table.createTHead();
+    const body = table.createTBody();
+    for (let r = 0; r < rows; r++) {
+      const row = (r === 0 ? head : body).insertRow();
+      for (let c = 0; c < columns; c++) row.appendChild(this.createCell(r === 0 ? 'TH' : 'TD'));
+    }
+    this.setColumnWidths(table, new Array(columns).fill(100 / columns));
+    return table;
+  }
+
+  // An empty cell, formatted like template if there is one
+  createCell(tag, template = null) {
+    const cell = document.createElement(tag);
+    if (template) {
+      TABLE_CELL_FORMAT.forEach(property => {
+        const value = template.style.getPropertyValue(property);
+        if (value) cell.style.setProperty(property, value);
+      });
+    } else {
+      // Side by side, as the border shorthand would also reset border-image
+      TABLE_BORDER_SIDES.forEach(side => { cell.style[`border${side}`] = TABLE_CELL_BORDER; });
+      cell.style.padding = TABLE_CELL_PADDING;
+      if (tag === 'TH') cell.style.textAlign = 'left';
+    }
+    cell.appendChild(document.createElement('br'));
+    return cell;
+  }
+
+  rows(table) {
+    return Array.from(table.rows).filter(row => row.closest('table') === table);
+  }
+
+  // grid[row][column] is the slot { cell, row, column } of the cell covering
+  // it, row and column being where the cell starts
+  grid(table) {
+    const grid = [];
+    this.rows(table).forEach((row, rowIndex) => {
+      grid[rowIndex] = grid[rowIndex] || [];
+      let column = 0;
+      Array.from(row.cells).forEach(cell => {
+        while (grid[rowIndex][column]) column++;
+        const slot = { cell, row: rowIndex, column };
+        for (let r = 0; r < (cell.rowSpan || 1); r++) {
+          grid[rowIndex + r] = grid[rowIndex + r] || [];
+          for (let c = 0; c < (cell.colSpan || 1); c++) grid[rowIndex + r][column + c] = slot;
+        }
+        column += cell.colSpan || 1;
+      });
+    });
+    // Row spans past the last row do not make rows
+    return grid.slice(0, this.rows(table).length);
+  }
+
+  columnCount(table) {
+    return Math.max(0, ...this.grid(table).map(row => row.length));
+  }
+
+  // Where cell starts in the grid
+  position(table, cell) {
+    for (const row of this.grid(table)) {
+      const slot = row.find(item => item?.cell === cell);
+      if (slot) return { row: slot.row, column: slot.column };
+    }
+    return null;
+  }
+
+  // The rows and columns from one cell to another, grown until no cell
+  // sticks out of them: { top, left, bottom, right }
+  rect(table, from, to = from) {
+    const grid = this.grid(table);
+    const a = this.position(table, from);
+    const b = this.position(table, to);
+    const rect = {
+      top: Math.min(a.row, b.row),
+      left: Math.min(a.column, b.column),
+      bottom: Math.min(Math.max(a.row + from.rowSpan - 1, b.row + to.rowSpan - 1), grid.length - 1),
+      right: Math.max(a.column + from.colSpan - 1, b.column + to.colSpan - 1)
+    };
+    for (let grown = true; grown; ) {
+      grown = false;
+      for (let r = rect.top; r <= rect.bottom; r++) {
+        for (let c = rect.left; c <= rect.right; c++) {
+          const slot = grid[r]?.[c];
+          if (!slot) continue;
+          const bottom = Math.min(slot.row + slot.cell.rowSpan - 1, grid.length - 1);
+          const right = slot.column + slot.cell.colSpan - 1;
+          if (slot.row < rect.top || slot.column < rect.left || bottom > rect.bottom || right > rect.right) {
+            rect.top = Math.min(rect.top, slot.row);
+            rect.left = Math.min(rect.left, slot.column);
+            rect.bottom = Math.max(rect.bottom, bottom);
+            rect.right = Math.max(rect.right, right);
+            grown = true;
+          }
+        }
+      }
+    }
+    return rect;
+  }
+
+  // The cells in rect, in document order
+  cellsIn(table, rect) {
+    const cells = new Set();
+    this.grid(table).slice(rect.top, rect.bottom + 1).forEach(row => {
+      row.slice(rect.left, rect.right + 1).forEach(slot => {
+        if (slot) cells.add(slot.cell);
+      });
+    });
+    return Array.from(cells);
+  }
+
+  // Puts cell into row at column, before the cells that start from there on
+  insertCellAt(table, row, column, cell) {
+    const grid = this.grid(table);
+    const rowIndex = this.rows(table).indexOf(row);
+    const next = Array.from(row.cells).find(item => {
+      const slot = grid[rowIndex]?.find(candidate => candidate?.cell === item);
+      return slot && slot.column >= column;
+    });
+    row.insertBefore(cell, next || null);
+  }
+
+  setSpan(cell, colSpan, rowSpan) {
+    if (colSpan > 1) cell.colSpan = colSpan; else cell.removeAttribute('colspan');
+    if (rowSpan > 1) cell.rowSpan = rowSpan; else cell.removeAttribute('rowspan');
+  }
+
+  isHeaderRow(row) {
+    return row.parentElement.tagName === 'THEAD';
+  }
+
+  // Adds a row above or below the rows cell covers and returns its first cell
+  insertRow(table, cell, below) {
+    const rows = this.rows(table);
+    const grid = this.grid(table);
+    const position = this.position(table, cell);
+    const reference = below ? Math.min(position.row + cell.rowSpan - 1, rows.length - 1) : position.row;
+    const index = below ? reference + 1 : reference;
+
+    const row = document.createElement('tr');
+    const referenceRow = rows[reference];
+    if (below && this.isHeaderRow(referenceRow) && !referenceRow.nextElementSibling) {
+      // Below the header is the first row of the body
+      const body = table.tBodies[0] || table.createTBody();
+      body.insertBefore(row, body.rows[0] || null);
+    } else if (below) {
+      referenceRow.after(row);
+    } else {
+      referenceRow.before(row);
+    }
+
+    const header = this.isHeaderRow(row);
+    const grown = new Set();
+    for (let column = 0; column < grid[reference].length;) {
+      const slot = grid[reference][column];
+      if (!slot) {
+        row.appendChild(this.createCell(header ? 'TH' : 'TD'));
+        column++;
+        continue;
+      }
+      const spansOver = slot.row < index && slot.row + slot.cell.rowSpan > index;
+      if (spansOver) {
+        if (!grown.has(slot.cell)) slot.cell.rowSpan += 1;
+        grown.add(slot.cell);
+      } else {
+        const tag = header ? 'TH' : (this.isHeaderRow(slot.cell.parentElement) ? 'TD' : slot.cell.tagName);
+        const added = this.createCell(tag, slot.cell);
+        this.setSpan(added, slot.cell.colSpan, 1);
+        row.appendChild(added);
+      }
+      column = slot.column + slot.cell.colSpan;
+    }
+    if (row.cells.length === 0) {
+      // Every cell spans the new row, which would then have no height
+      row.remove();
+      grown.forEach(spanning => { spanning.rowSpan -= 1; });
+      return cell;
+    }
+    return row.cells[0];
+  }
+
+  // Deletes the rows from one cell to another and returns the cell the caret
+  // should go to, or null if that was the whole table
+  deleteRows(table, from, to = from) {
+    const { top, bottom, left } = this.rect(table, from, to);
+    for (let index = bottom; index >= top; index--) this.deleteRow(table, index);
+    return this.afterDelete(table, Math.min(top, this.rows(table).length - 1), left);
+  }
+
+  deleteRow(table, index) {
+    const grid = this.grid(table);
+    const rows = this.rows(table);
+    const seen = new Set();
+    (grid[index] || []).forEach(slot => {
+      if (!slot || seen.has(slot.cell)) return;
+      seen.add(slot.cell);
+      if (slot.cell.rowSpan <= 1) return;
+      if (slot.row === index && rows[index + 1]) {
+        // A cell that starts here and spans further moves down a row
+        this.insertCellAt(table, rows[index + 1], slot.column, slot.cell);
+      }
+      this.setSpan(slot.cell, slot.cell.colSpan, slot.cell.rowSpan - 1);
+    });
+    rows[index].remove();
+    this.removeEmptySections(table);
+  }
+
+  // Adds a column left or right of the columns cell covers and returns the new cell in cell's row
+  insertColumn(table, cell, right) {
+    const grid = this.grid(table);
+    const rows = this.rows(table);
+    const position = this.position(table, cell);
+    const reference = right ? position.column + cell.colSpan - 1 : position.column;
+    const index = right ? reference + 1 : reference;
+    const widths = this.hasColumnWidths(table) ? this.columnWidths(table) : null;
+
+    let result = null;
+    const grown = new Set();
+    rows.forEach((row, rowIndex) => {
+      const slot = grid[rowIndex][index];
+      if (slot && slot.column < index) {
+        // A merged cell across the new column's place widens instead
+        if (!grown.has(slot.cell)) slot.cell.colSpan += 1;
+        grown.add(slot.cell);
+        return;
+      }
+      const template = grid[rowIndex][reference]?.cell || null;
+      const tag = this.isHeaderRow(row) ? 'TH' : (template?.tagName === 'TH' && !this.isHeaderRow(template.parentElement) ? 'TH' : 'TD');
+      const added = this.createCell(tag, template);
+      this.insertCellAt(table, row, index, added);
+      if (rowIndex === position.row) result = added;
+    });
+
+    if (widths) {
+      // The new column takes half of the one it was added next to
+      const half = widths[reference] / 2;
+      widths.splice(reference, 1, half);
+      widths.splice(index, 0, half);
+      this.setColumnWidths(table, widths);
+    }
+    return result || cell;
+  }
+
+  // Deletes the columns from one cell to another; returns the cell the caret
+  // should go to, or null if that was the whole table
+  deleteColumns(table, from, to = from) {
+    const { top, left, right } = this.rect(table, from, to);
+    const widths = this.hasColumnWidths(table) ? this.columnWidths(table) : null;
+    for (let column = right; column >= left; column--) this.deleteColumn(table, column);
+    if (widths && this.rows(table).length > 0) {
+      widths.splice(left, right - left + 1);
+      this.setColumnWidths(table, widths);
+    }
+    return this.afterDelete(table, top, Math.min(left, this.columnCount(table) - 1));
+  }
+
+  deleteColumn(table, column) {
+    const seen = new Set();
+    this.grid(table).forEach(row => {
+      const slot = row[column];
+      if (!slot || seen.has(slot.cell)) return;
+      seen.add(slot.cell);
+      if (slot.cell.colSpan > 1) {
+        this.setSpan(slot.cell, slot.cell.colSpan - 1, slot.cell.rowSpan);
+      } else {
+        slot.cell.remove();
+      }
+    });
+    // Rows left without cells go, and with them a row of every span over them
+    this.rows(table).forEach(row => {
+      if (row.cells.length === 0) this.deleteRow(table, this.rows(table).indexOf(row));
+    });
+    this.removeEmptySections(table);
+  }
+
+  // The cell at row and column once rows or columns were deleted; with
+  // nothing left the table goes
+  afterDelete(table, row, column) {
+    const grid = this.grid(table);
+    if (grid.length === 0 || this.columnCount(table) === 0) {
+      table.remove();
+      return null;
+    }
+    const cells = grid[Math.max(0, Math.min(row, grid.length - 1))];
+    return (cells[Math.max(0, column)] || cells.find(Boolean))?.cell || table.querySelector('td, th');
+  }
+
+  removeEmptySections(table) {
+    table.querySelectorAll(':scope > thead, :scope > tbody, :scope > tfoot').forEach(section => {
+      if (section.rows.length === 0) section.remove();
+    });
+  }
+
+  // Merges the cells from one cell to another into the first and returns it,
+  // or null if there is nothing to merge. Their content is kept, in order.
+  merge(table, from, to) {
+    const rect = this.rect(table, from, to);
+    const cells = this.cellsIn(table, rect);
+    if (cells.length < 2) return null;
+
+    const target = this.grid(table)[rect.top][rect.left].cell;
+    // Anything but a line break counts, the editor's caret markers too
+    const isEmpty = (cell) => !cell.textContent.trim() && !cell.querySelector(':not(br)');
+    const isBlock = (node) => node?.nodeType === Node.ELEMENT_NODE && TABLE_BLOCK_TAGS.has(node.tagName);
+    const trim = (cell) => {
+      while (cell.lastChild?.nodeName === 'BR' || (cell.lastChild?.nodeType === Node.TEXT_NODE && !cell.lastChild.data.trim())) {
+        cell.lastChild.remove();
+      }
+    };
+    if (isEmpty(target)) target.replaceChildren();
+    cells.filter(cell => cell !== target).forEach(cell => {
+      if (!isEmpty(cell)) {
+        trim(target);
+        if (target.hasChildNodes() && !isBlock(target.lastChild) && !isBlock(cell.firstChild)) {
+          target.appendChild(document.createElement('br'));
+        }
+        while (cell.firstChild) target.appendChild(cell.firstChild);
+      }
+      cell.remove();
+    });
+    if (!target.hasChildNodes()) target.appendChild(document.createElement('br'));
+    this.setSpan(target, rect.right - rect.left + 1, rect.bottom - rect.top + 1);
+
+    // Rows whose cells all went into a cell above them are spanned away
+    this.rows(table).forEach(row => {
+      if (row.cells.length > 0) return;
+      const index = this.rows(table).indexOf(row);
+      new Set(this.grid(table)[index].filter(Boolean).map(slot => slot.cell)).forEach(cell => {
+        this.setSpan(cell, cell.colSpan, cell.rowSpan - 1);
+      });
+      row.remove();
+    });
+    this.removeEmptySections(table);
+    return target;
+  }
+
+  // Splits a merged cell back into one cell per slot; returns false for a cell that is not merged
+  split(table, cell) {
+    if (cell.colSpan <= 1 && cell.rowSpan <= 1) return false;
+    const rows = this.rows(table);
+    const { row, column } = this.position(table, cell);
+    const bottom = Math.min(row + cell.rowSpan, rows.length);
+    const right = column + cell.colSpan;
+    this.setSpan(cell, 1, 1);
+    for (let r = row; r < bottom; r++) {
+      for (let c = column; c < right; c++) {
+        if (r === row && c === column) continue;
+        this.insertCellAt(table, rows[r], c, this.createCell(this.isHeaderRow(rows[r]) ? 'TH' : cell.tagName, cell));
+      }
+    }
+    return true;
+  }
+
+  // Makes the first row the header, repeated on every page and in Word, or a body row again
+  toggleHeaderRow(table) {
+    const retag = (row, tag) => Array.from(row.cells).forEach(cell => {
+      if (cell.tagName === tag) return;
+      const replacement = document.createElement(tag);
+      Array.from(cell.attributes).forEach(({ name, value }) => replacement.setAttribute(name, value));
+      while (cell.firstChild) replacement.appendChild(cell.firstChild);
+      cell.replaceWith(replacement);
+    });
+
+    if (table.tHead && table.tHead.rows.length > 0) {
+      const body = table.tBodies[0] || table.createTBody();
+      Array.from(table.tHead.rows).reverse().forEach(row => {
+        retag(row, 'TD');
+        body.insertBefore(row, body.rows[0] || null);
+      });
+      table.tHead.remove();
+      return false;
+    }
+    const first = this.rows(table)[0];
+    if (!first) return false;
+    const head = table.createTHead();
+    head.appendChild(first);
+    retag(first, 'TH');
+    this.removeEmptySections(table);
+    return true;
+  }
+
+  // Sorts the body rows by the text in column; returns false when merged
+  // rows make that impossible
+  sort(table, column, descending = false) {
+    const grid = this.grid(table);
+    const rows = this.rows(table);
+    const body = rows.filter(row => !this.isHeaderRow(row) && row.parentElement.tagName !== 'TFOOT');
+    if (body.length < 2) return true;
+    if (body.some(row => Array.from(row.cells).some(cell => cell.rowSpan > 1))) return false;
+
+    const key = (row) => {
+      const text = grid[rows.indexOf(row)][column]?.cell.textContent.trim() || '';
+      const number = /^[-+]?[\d,]*\.?\d+%?$/.test(text) ? parseFloat(text.replace(/,/g, '')) : NaN;
+      return { text, number };
+    };
+    const keys = new Map(body.map(row => [row, key(row)]));
+    const sorted = body.slice().sort((a, b) => {
+      const x = keys.get(a);
+      const y = keys.get(b);
+      // Empty cells go last either way
+      if (!x.text || !y.text) return (!x.text) - (!y.text);
+      const order = !Number.isNaN(x.number) && !Number.isNaN(y.number)
+        ? x.number - y.number
+        : x.text.localeCompare(y.text, undefined, { numeric: true, sensitivity: 'base' });
+      return descending ? -order : order;
+    });
+
+    const section = body[0].parentElement;
+    sorted.forEach(row => section.appendChild(row));
+    this.removeEmptySections(table);
+    return true;
+  }
+
+  setShading(cells, color) {
+    cells.forEach(cell => {
+      if (color) {
+        cell.style.backgroundColor = color;
+      } else {
+        cell.style.removeProperty('background-color');
+      }
+    });
+  }
+
+  setVerticalAlign(cells, value) {
+    cells.forEach(cell => {
+      if (value) {
+        cell.style.verticalAlign = value;
+      } else {
+        cell.style.removeProperty('vertical-align');
+      }
+    });
+  }
+
+  // Turns the borders of the cells from one cell to another on: 'all',
+  // 'outside' (around them) or 'inside' (between them), or 'none' off.
+  // The cells next to them get the same border on the edge they share.
+  setBorders(table, from, to, mode) {
+    const grid = this.grid(table);
+    const rect = this.rect(table, from, to);
+    const set = (cell, side, on) => {
+      cell.style[`border${side}`] = on ? TABLE_CELL_BORDER : 'none';
+    };
+    const opposite = { Top: 'Bottom', Bottom: 'Top', Left: 'Right', Right: 'Left' };
+
+    this.cellsIn(table, rect).forEach(cell => {
+      const { row, column } = this.position(table, cell);
+      const edges = {
+        Top: row === rect.top,
+        Bottom: row + cell.rowSpan - 1 >= rect.bottom,
+        Left: column === rect.left,
+        Right: column + cell.colSpan - 1 === rect.right
+      };
+      TABLE_BORDER_SIDES.forEach(side => {
+        const outer = edges[side];
+        if (mode === 'outside' && !outer) return;
+        if (mode === 'inside' && outer) return;
+        const on = mode !== 'none';
+        set(cell, side, on);
+        if (!outer) return;
+        // The neighbours along this edge
+        const neighbours = new Set();
+        for (let r = row; r < row + cell.rowSpan; r++) {
+          for (let c = column; c < column + cell.colSpan; c++) {
+            const slot = side === 'Top' ? grid[row - 1]?.[c]
+              : side === 'Bottom' ? grid[row + cell.rowSpan]?.[c]
+                : side === 'Left' ? grid[r]?.[column - 1] : grid[r]?.[column + cell.colSpan];
+            if (slot) neighbours.add(slot.cell);
+          }
+        }
+        neighbours.forEach(neighbour => set(neighbour, opposite[side], on));
+      });
+    });
+  }
+
+  // The next (or previous) cell in reading order, or null at the end
+  nextCell(table, cell, backward = false) {
+    const cells = this.rows(table).flatMap(row => Array.from(row.cells));
+    return cells[cells.indexOf(cell) + (backward ? -1 : 1)] || null;
+  }
+
+  hasColumnWidths(table) {
+    return Boolean(table.querySelector(':scope > colgroup'));
+  }
+
+  // Column widths in percent: the table's own for count columns if it has
+  // them, otherwise as laid out; null if the table is not laid out
+  columnWidths(table, count = this.columnCount(table)) {
+    const cols = Array.from(table.querySelectorAll(':scope > colgroup > col'));
+    if (cols.length === count && cols.every(col => col.style.width.endsWith('%'))) {
+      return cols.map(col => parseFloat(col.style.width));
+    }
+    const total = table.getBoundingClientRect().width;
+    if (!total) return null;
+    const widths = new Array(count).fill(null);
+    this.grid(table).forEach(row => row.forEach((slot, column) => {
+      if (slot && slot.cell.colSpan === 1 && widths[column] === null) {
+        widths[column] = slot.cell.getBoundingClientRect().width / total * 100;
+      }
+    }));
+    // Columns that only have merged cells share what is left
+    const known = widths.filter(width => width !== null);
+    const rest = Math.max(0, 100 - known.reduce((sum, width) => sum + width, 0));
+    const unknown = count - known.length;
+    return widths.map(width => (width === null ? rest / unknown : width));
+  }
+
+  // Gives the table fixed column widths, in percent
+  setColumnWidths(table, widths) {
+    const total = widths.reduce((sum, width) => sum + width, 0) || 1;
+    const percent = widths.map(width => `${(width / total * 100).toFixed(2)}%`);
+    let group = table.querySelector(':scope > colgroup');
+    if (!group || group.children.length !== widths.length || table.querySelectorAll(':scope > colgroup').length > 1) {
+      table.querySelectorAll(':scope > colgroup').forEach(existing => existing.remove());
+      group = document.createElement('colgroup');
+      widths.forEach(() => group.appendChild(document.createElement('col')));
+      const caption = table.caption;
+      table.insertBefore(group, caption ? caption.nextSibling : table.firstChild);
+    }
+    Array.from(group.children).forEach((col, index) => {
+      col.removeAttribute('span');
+      col.removeAttribute('width');
+      col.style.width = percent[index];
+    });
+    if (!table.style.width) {
+      const available = table.parentElement?.clientWidth;
+      table.style.width = available ? `${Math.min(100, Math.round(table.offsetWidth / available * 100))}%` : '100%';
+    }
+    table.style.tableLayout = 'fixed';
+  }
+
+  // The column whose right border is within reach of x (a client
+  // coordinate) on cell, or -1; the table's outer edges do not count
+  borderAt(table, cell, x) {
+    const rect = cell.getBoundingClientRect();
+    const position = this.position(table, cell);
+    if (!position) return -1;
+    let column = -1;
+    if (rect.right - x <= TABLE_RESIZE_MARGIN) {
+      column = position.column + cell.colSpan - 1;
+    } else if (x - rect.left <= TABLE_RESIZE_MARGIN) {
+      column = position.column - 1;
+    }
+    return column >= 0 && column < this.columnCount(table) - 1 ? column : -1;
+  }
+
+  // Moves the border right of column by delta percent, between its two columns
+  resizeColumn(widths, column, delta) {
+    const pair = widths[column] + widths[column + 1];
+    const left = Math.min(Math.max(widths[column] + delta, TABLE_MIN_COLUMN_WIDTH), pair - TABLE_MIN_COLUMN_WIDTH);
+    const resized = widths.slice();
+    resized[column] = left;
+    resized[column + 1] = pair - left;
+    return resized;
+  }
+}
@@ -0,0 +1,180 @@
+// Find and replace over text as the reader sees it.
+//
+// The text of the searched elements is indexed as one string: the text nodes
+// in document order, with a line break wherever a block, line break or image
+// comes between two of them. Matches never cross a line break, so they stay
+// within one paragraph, but they do run across formatting, and across pages
+// for a paragraph the layout split (sameBlock tells the parts of one block
+// apart from separate blocks). Deleted suggestions, repeated table headers
+// and header/footer fields are not part of the text. Offsets into the string
+// are turned back into DOM ranges to highlight and replace.
+
+// Not searched, and everything inside them left alone
+const TEXT_SEARCH_SKIP = 'del.revision, [data-layout-repeat], [data-field], script, style';
+
+const TEXT_SEARCH_BLOCKS = 'p, div, h1, h2, h3, h4, h5, h6, li, td, th, blockquote, pre, figure, figcaption, section, article';
+
+// Elements that end a line of text where they are
+const TEXT_SEARCH_BREAK_TAGS = new Set(['BR', 'IMG', 'HR']);
+
+// Word characters for whole-word matching
+const TEXT_SEARCH_WORD = '[\\p{L}\\p{N}_]';
+
+class TextSearch {
+  constructor(sameBlock = (a, b) => a === b) {
+    this.sameBlock = sameBlock;
+  }
+
+  // The RegExp for a query; throws a SyntaxError for an invalid regular expression
+  pattern({ query, regex = false, matchCase = false, wholeWord = false }) {
+    let source = regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    if (wholeWord) source = `(?<!${TEXT_SEARCH_WORD})(?:${source})(?!${TEXT_SEARCH_WORD})`;
+    return new RegExp(source, matchCase ? 'gmu' : 'gimu');
+  }
+
+  // The text of roots, in order, as { text, pieces: [{ node, start }] } with a
+  // piece for each text node at its offset in text
+  index(roots) {
+    let text = '';
+    const pieces = [];
+    let block = null;
+    roots.forEach(root => {
+      const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, {
+        acceptNode: node => node.nodeType === Node.ELEMENT_NODE && node.matches(TEXT_SEARCH_SKIP)
+          ? NodeFilter.FILTER_REJECT
+          : NodeFilter.FILTER_ACCEPT
+      });
+      for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+        if (node.nodeType === Node.ELEMENT_NODE) {
+          if (TEXT_SEARCH_BREAK_TAGS.has(node.tagName)) text += '\n';
+          continue;
+        }
+        const parent = node.parentElement.closest(TEXT_SEARCH_BLOCKS);
+        const current = parent && root.contains(parent) ? parent : root;
+        if (block && current !== block && !this.sameBlock(block, current)) text += '\n';
+        block = current;
+        pieces.push({ node, start: text.length });
+        // Source line breaks and no-break spaces read as spaces; each stays one character
+        text += node.data.replace(/\s/g, ' ');
+      }
+    });
+    return { text, pieces };
+  }
+
+  // Matches of pattern in an index, as [{ start, end, match }] with match the
+  // RegExp result. Empty matches and those across lines are left out.
+  find({ text }, pattern) {
+    const matches = [];
+    pattern.lastIndex = 0;
+    for (let match = pattern.exec(text); match; match = pattern.exec(text)) {
+      if (!match[0]) {
+        pattern.lastIndex++;
+        continue;
+      }
+      if (!match[0].includes('\n')) matches.push({ start: match.index, end: match.index + match[0].length, match });
+    }
+    return matches;
+  }
+
+  // The last piece starting at or before offset; for the end of a range, the
+  // last one starting before it, so the range ends in the node it covers
+  pieceAt(pieces, offset, end) {
+    let low = 0;
+    let high = pieces.length - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      const start = pieces[middle].start;
+      if (end ? start < offset : start <= offset) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return pieces[low];
+  }
+
+  // The DOM range of text between two offsets of an index; an offset on a
+  // line break between nodes is taken as the end of the node before it
+  range({ pieces }, start, end) {
+    const range = document.createRange();
+    const first = this.pieceAt(pieces, start, false);
+    const last = this.pieceAt(pieces, end, true);
+    range.setStart(first.node, Math.min(start - first.start, first.node.data.length));
+    range.setEnd(last.node, Math.min(end - last.start, last.node.data.length));
+    return range;
+  }
+
+  // The same text as one range per text node, to highlight it without what
+  // lies between the parts of a paragraph split across pages
+  textRanges(index, start, end) {
+    const ranges = [];
+    const { pieces } = index;
+    for (let i = pieces.indexOf(this.pieceAt(pieces, start, false)); i < pieces.length && pieces[i].start < end; i++) {
+      const { node, start: pieceStart } = pieces[i];
+      const from = Math.max(start - pieceStart, 0);
+      const to = Math.min(end - pieceStart, node.data.length);
+      if (to > from) ranges.push(this.range(index, pieceStart + from, pieceStart + to));
+    }
+    return ranges;
+  }
+
+  // The offset in an index of a DOM boundary point
+  offsetAt({ text, pieces }, container, offset) {
+    const piece = pieces.find(({ node }) => node === container);
+    if (piece) return piece.start + Math.min(offset, container.data.length);
+    const point = document.createRange();
+    point.setStart(container, offset);
+    const next = pieces.find(({ node }) => point.comparePoint(node, 0) >= 0);
+    return next ? next.start : text.length;
+  }
+
+  // The text that replaces a match. For a regular expression $& is the match,
+  // $1 to $99 its groups, $<name> a named group and $$ a dollar sign;
+  // otherwise replacement is taken literally.
+  expand(replacement, match, regex) {
+    if (!regex) return replacement;
+    return replacement.replace(/\$(\$|&|\d{1,2}|<([^>]*)>)/g, (token, ref, name) => {
+      if (ref === '$') return '$';
+      if (ref === '&') return match[0];
+      if (name !== undefined) return match.groups ? match.groups[name] ?? '' : token;
+      // $12 with fewer groups is group 1 followed by a 2
+      let group = Number(ref);
+      let rest = '';
+      if (ref.length === 2 && group >= match.length) {
+        group = Number(ref[0]);
+        rest = ref[1];
+      }
+      return group > 0 && group < match.length ? (match[group] ?? '') + rest : token;
+    });
+  }
+
+  // Replaces what range covers with text, which takes the formatting of the
+  // first character replaced, and returns a collapsed range after it
+  replace(range, text) {
+    const { startContainer, startOffset, endContainer } = range;
+    range.deleteContents();
+
+    // The end of the range may have been in formatting that is now empty
+    for (let node = endContainer; node && node.isConnected && !node.contains(startContainer);) {
+      const empty = node.nodeType === Node.TEXT_NODE
+        ? !node.data
+        : !node.hasChildNodes() && !node.matches(TEXT_SEARCH_BLOCKS) && !TEXT_SEARCH_BREAK_TAGS.has(node.tagName);
+      if (!empty) break;
+      const parent = node.parentNode;
+      node.remove();
+      node = parent;
+    }
+
+    const caret = document.createRange();
+    if (startContainer.nodeType === Node.TEXT_NODE) {
+      startContainer.insertData(startOffset, text);
+      caret.setStart(startContainer, startOffset + text.length);
+    } else {
+      const node = document.createTextNode(text);
+      range.insertNode(node);
+      caret.setStartAfter(node);
+    }
+    caret.collapse(true);
+    return caret;
+  }
+}
@@ -0,0 +1,277 @@
+// Tracked changes (suggesting mode).
+//
+// A suggested insertion is <ins class="revision">, a suggested deletion
+// <del class="revision">, both with data-revision-id, data-author and
+// data-date (an ISO string). The text stays in the page until the change is
+// accepted or rejected. One edit may leave several elements with the same id,
+// e.g. a deletion across paragraphs; they are accepted or rejected together.
+// Only text and images are tracked: paragraph breaks and formatting are
+// applied as they are.
+
+const REVISION_SELECTOR = 'ins.revision, del.revision';
+
+// Inserted content with these goes between the halves of the block the caret is in
+const REVISION_BLOCK_TAGS = new Set([
+  'P', 'DIV', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'UL', 'OL', 'LI', 'TABLE', 'HR',
+  'BLOCKQUOTE', 'PRE', 'SECTION', 'ARTICLE', 'HEADER', 'FOOTER', 'FIGURE', 'FIGCAPTION'
+]);
+
+class TrackChanges {
+  constructor(generateId) {
+    this.generateId = generateId;
+  }
+
+  createMark(type, author, id = this.generateId()) {
+    const mark = document.createElement(type === 'insert' ? 'ins' : 'del');
+    mark.className = 'revision';
+    mark.dataset.revisionId = id;
+    mark.dataset.author = author;
+    mark.dataset.date = new Date().toISOString();
+    return mark;
+  }
+
+  // The tracked change a node is in, innermost first
+  revisionAt(node) {
+    const element = node?.nodeType === Node.ELEMENT_NODE ? node : node?.parentElement;
+    return element?.closest(REVISION_SELECTOR) || null;
+  }
+
+  isOwnInsertion(mark, author) {
+    return Boolean(mark) && mark.tagName === 'INS' && mark.dataset.author === author;
+  }
+
+  // Text nodes and images the range covers, as { node, start, end }
+  segments(range, root) {
+    const segments = [];
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT | NodeFilter.SHOW_ELEMENT);
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      if (!range.intersectsNode(node) || node.parentElement.closest('[data-layout-repeat]')) continue;
+      if (node.nodeType === Node.TEXT_NODE) {
+        const start = node === range.startContainer ? range.startOffset : 0;
+        const end = node === range.endContainer ? range.endOffset : node.length;
+        if (end > start) segments.push({ node, start, end });
+      } else if (node.tagName === 'IMG') {
+        segments.push({ node });
+      }
+    }
+    return segments;
+  }
+
+  // Splits a text node so that [start, end) is a node of its own and returns it
+  isolate({ node, start, end }) {
+    if (node.nodeType !== Node.TEXT_NODE) return node;
+    let piece = node;
+    if (end < piece.length) piece.splitText(end);
+    if (start > 0) piece = piece.splitText(start);
+    return piece;
+  }
+
+  // Wraps node in a revision of type, joining one by the same author right next to it
+  wrap(node, type, author, id) {
+    const tag = type === 'insert' ? 'INS' : 'DEL';
+    const joins = (sibling) => sibling?.nodeType === Node.ELEMENT_NODE && sibling.tagName === tag &&
+      sibling.classList.contains('revision') && sibling.dataset.author === author;
+    if (joins(node.previousSibling)) {
+      node.previousSibling.appendChild(node);
+    } else if (joins(node.nextSibling)) {
+      node.nextSibling.prepend(node);
+    } else {
+      const mark = this.createMark(type, author, id);
+      node.parentNode.insertBefore(mark, node);
+      mark.appendChild(node);
+    }
+    return node.parentNode;
+  }
+
+  // Marks what the range covers as deleted by author. The author's own
+  // suggested insertions are removed outright and text that is already
+  // deleted is stepped over. Returns a collapsed range for the caret, before
+  // the change when backward, after it otherwise, or null if the range has no
+  // text or images (e.g. only a paragraph break).
+  deleteRange(range, root, author, { backward = true } = {}) {
+    const segments = this.segments(range, root);
+    if (segments.length === 0) return null;
+
+    const id = this.generateId();
+    const caret = document.createRange();
+    segments.forEach((segment, index) => {
+      const piece = this.isolate(segment);
+      const mark = this.revisionAt(piece);
+      const deleted = mark?.closest('del.revision');
+      const own = !deleted && this.isOwnInsertion(mark, author);
+      const result = deleted || (own ? piece : this.wrap(piece, 'delete', author, id));
+
+      if (backward && index === 0) caret.setStartBefore(result);
+      if (!backward && index === segments.length - 1) caret.setStartAfter(result);
+      if (own) {
+        piece.remove();
+        if (!mark.textContent && !mark.querySelector('img')) mark.remove();
+      }
+    });
+    caret.collapse(true);
+    return caret;
+  }
+
+  // Moves the collapsed range to where author can insert: past deleted text,
+  // and out of someone else's insertion, which is split in two around it
+  placeCaret(range, author) {
+    for (let mark = this.revisionAt(range.startContainer); mark; mark = this.revisionAt(range.startContainer)) {
+      if (mark.tagName === 'DEL') {
+        range.setStartAfter(mark);
+      } else if (mark.dataset.author !== author) {
+        const tail = document.createRange();
+        tail.setStart(range.startContainer, range.startOffset);
+        tail.setEnd(mark, mark.childNodes.length);
+        const second = mark.cloneNode(false);
+        second.appendChild(tail.extractContents());
+        mark.after(second);
+        range.setStartAfter(mark);
+        [mark, second].forEach(part => {
+          if (!part.textContent && !part.querySelector('img')) part.remove();
+        });
+      } else {
+        break;
+      }
+      range.collapse(true);
+    }
+  }
+
+  // The author's insertion the collapsed range is in or right after
+  ownInsertionAt(range, author) {
+    const mark = this.revisionAt(range.startContainer);
+    if (this.isOwnInsertion(mark, author)) return mark;
+    const { startContainer: container, startOffset: offset } = range;
+    const before = container.nodeType === Node.TEXT_NODE
+      ? (offset === 0 ? container.previousSibling : null)
+      : container.childNodes[offset - 1];
+    return before && before.matches?.('ins.revision') && this.isOwnInsertion(before, author) ? before : null;
+  }
+
+  // Inserts text at the collapsed range as author's suggestion and moves the range after it
+  insertText(range, text, author) {
+    this.placeCaret(range, author);
+    const mark = this.ownInsertionAt(range, author);
+    const { startContainer: container, startOffset: offset } = range;
+    if (mark && container.nodeType === Node.TEXT_NODE && mark.contains(container)) {
+      container.insertData(offset, text);
+      range.setStart(container, offset + text.length);
+    } else {
+      const node = document.createTextNode(text);
+      if (mark) {
+        mark.appendChild(node);
+      } else {
+        const inserted = this.createMark('insert', author);
+        inserted.appendChild(node);
+        range.insertNode(inserted);
+      }
+      range.setStart(node, text.length);
+    }
+    range.collapse(true);
+  }
+
+  // Inserts html at the collapsed range as author's suggestion, every text node
+  // and image in it marked, and moves the range after it. Blocks split the
+  // block the range is in.
+  insertHTML(range, html, root, author) {
+    this.placeCaret(range, author);
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    const fragment = template.content;
+    const last = fragment.lastChild;
+    if (!last) return;
+    const hasBlocks = Array.from(fragment.childNodes).some(node => REVISION_BLOCK_TAGS.has(node.tagName));
+
+    // Inline content inside the author's own insertion is part of it already
+    if (hasBlocks || !this.isOwnInsertion(this.revisionAt(range.startContainer), author)) {
+      const id = this.generateId();
+      const nodes = [];
+      const walker = document.createTreeWalker(fragment, NodeFilter.SHOW_TEXT | NodeFilter.SHOW_ELEMENT);
+      for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+        if ((node.nodeType === Node.TEXT_NODE && node.data.trim()) || node.tagName === 'IMG') nodes.push(node);
+      }
+      nodes.forEach(node => this.wrap(node, 'insert', author, id));
+    }
+
+    const start = range.startContainer.nodeType === Node.ELEMENT_NODE ? range.startContainer : range.startContainer.parentElement;
+    let block = start.closest(Array.from(REVISION_BLOCK_TAGS).join(','));
+    if (!hasBlocks || !block || block === root || !root.contains(block)) {
+      range.insertNode(fragment);
+    } else {
+      while (block.parentElement !== root && block.parentElement.closest('li, td, th, blockquote') === null) {
+        block = block.parentElement;
+      }
+      const tail = document.createRange();
+      tail.setStart(range.startContainer, range.startOffset);
+      tail.setEnd(block, block.childNodes.length);
+      const second = block.cloneNode(false);
+      second.appendChild(tail.extractContents());
+      block.after(fragment, second);
+      [block, second].forEach(part => {
+        if (!part.textContent.trim() && !part.querySelector('img, table, hr')) part.remove();
+      });
+    }
+    range.setStartAfter(last);
+    range.collapse(true);
+  }
+
+  elements(root, id) {
+    return Array.from(root.querySelectorAll(REVISION_SELECTOR))
+      .filter(element => element.dataset.revisionId === id);
+  }
+
+  // Accepting keeps an insertion and drops a deletion; rejecting does the opposite
+  resolve(root, id, accept) {
+    this.elements(root, id).forEach(element => {
+      const keep = (element.tagName === 'INS') === accept;
+      const parent = element.parentNode;
+      if (keep) {
+        element.replaceWith(...element.childNodes);
+      } else {
+        element.remove();
+        // Formatting that only held the removed text goes too
+        if (!parent.hasChildNodes() && parent !== root && !REVISION_BLOCK_TAGS.has(parent.tagName)) parent.remove();
+      }
+      parent.normalize();
+    });
+  }
+
+  // The changes in root in document order: [{ id, type, author, date, text }]
+  list(root) {
+    const changes = new Map();
+    root.querySelectorAll(REVISION_SELECTOR).forEach(element => {
+      const id = element.dataset.revisionId;
+      const change = changes.get(id);
+      const text = element.textContent || (element.querySelector('img') ? '[image]' : '');
+      if (change) {
+        change.text += text;
+        return;
+      }
+      changes.set(id, {
+        id,
+        type: element.tagName === 'INS' ? 'insert' : 'delete',
+        author: element.dataset.author || '',
+        date: element.dataset.date || null,
+        text
+      });
+    });
+    return Array.from(changes.values());
+  }
+
+  // A hue per author, the same in every document
+  authorHue(author) {
+    let hash = 0;
+    for (const character of author) hash = (hash * 31 + character.codePointAt(0)) >>> 0;
+    return hash % 360;
+  }
+
+  // CSS giving each author's changes their colour
+  authorStyles(authors) {
+    return authors.map(author => {
+      const hue = this.authorHue(author);
+      const selector = (theme) => ['ins', 'del']
+        .map(tag => `${theme}#page-container ${tag}.revision[data-author="${CSS.escape(author)}"]`).join(', ');
+      return `${selector('')} { color: hsl(${hue}, 70%, 38%); }\n` +
+        `${selector("html[data-theme='dark'] ")} { color: hsl(${hue}, 70%, 70%); }`;
+    }).join('\n');
+  }
+}
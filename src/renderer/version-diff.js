@@ -0,0 +1,197 @@
+// Word-level comparison of two document versions for the History panel.
+//
+// Each version is reduced to its body text, one entry per paragraph, and the
+// two token lists are compared with Myers' O(ND) algorithm after trimming the
+// common start and end. The result is rendered as paragraphs containing
+// <ins>/<del> marks. Headers and footers are not compared.
+
+const DIFF_BLOCK_TAGS = new Set([
+  'P', 'DIV', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'LI', 'TR', 'TD', 'TH', 'PRE',
+  'BLOCKQUOTE', 'SECTION', 'ARTICLE', 'HEADER', 'FOOTER', 'FIGURE', 'FIGCAPTION', 'HR', 'TABLE', 'UL', 'OL'
+]);
+
+// Stands for a paragraph boundary in the token list
+const DIFF_PARAGRAPH = '\u2029';
+
+// Past this many edits the comparison gives up on detail and shows the
+// changed region as one deletion and one insertion
+const DIFF_MAX_EDITS = 4000;
+
+class VersionDiff {
+  // doc is the object described in src/main/msdoc.js
+  documentParagraphs(doc) {
+    const paragraphs = [];
+    (doc.pages || []).forEach(page => {
+      const body = new DOMParser().parseFromString(`<body>${page.content || ''}</body>`, 'text/html').body;
+      let current = '';
+      const flush = () => {
+        const text = current.replace(/\s+/g, ' ').trim();
+        if (text) paragraphs.push(text);
+        current = '';
+      };
+      const walk = (node) => {
+        node.childNodes.forEach(child => {
+          if (child.nodeType === Node.TEXT_NODE) {
+            current += child.data;
+          } else if (child.nodeType === Node.ELEMENT_NODE) {
+            if (child.tagName === 'BR') {
+              current += ' ';
+            } else if (DIFF_BLOCK_TAGS.has(child.tagName)) {
+              flush();
+              walk(child);
+              flush();
+            } else {
+              walk(child);
+            }
+          }
+        });
+      };
+      walk(body);
+      flush();
+    });
+    return paragraphs;
+  }
+
+  tokenize(doc) {
+    const tokens = [];
+    this.documentParagraphs(doc).forEach((paragraph, index) => {
+      if (index > 0) tokens.push(DIFF_PARAGRAPH);
+      tokens.push(...paragraph.split(/(\s+)/).filter(Boolean));
+    });
+    return tokens;
+  }
+
+  // Returns [{ type: 'equal' | 'insert' | 'delete', tokens }]
+  compare(oldDoc, newDoc) {
+    const a = this.tokenize(oldDoc);
+    const b = this.tokenize(newDoc);
+
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+      endA--;
+      endB--;
+    }
+
+    const ops = [];
+    const push = (type, token) => {
+      const last = ops[ops.length - 1];
+      if (last && last.type === type) {
+        last.tokens.push(token);
+      } else {
+        ops.push({ type, tokens: [token] });
+      }
+    };
+
+    a.slice(0, start).forEach(token => push('equal', token));
+    const middle = this.myers(a.slice(start, endA), b.slice(start, endB));
+    middle.forEach(([type, token]) => push(type, token));
+    a.slice(endA).forEach(token => push('equal', token));
+    return ops;
+  }
+
+  // Shortest edit script between two token lists as [type, token] pairs
+  myers(a, b) {
+    const n = a.length;
+    const m = b.length;
+    const max = Math.min(n + m, DIFF_MAX_EDITS);
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    const trace = [];
+
+    let found = n === 0 && m === 0;
+    for (let d = 0; d <= max && !found; d++) {
+      trace.push(v.slice());
+      for (let k = -d; k <= d; k += 2) {
+        let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+          ? v[offset + k + 1]
+          : v[offset + k - 1] + 1;
+        let y = x - k;
+        while (x < n && y < m && a[x] === b[y]) {
+          x++;
+          y++;
+        }
+        v[offset + k] = x;
+        if (x >= n && y >= m) {
+          found = true;
+          break;
+        }
+      }
+    }
+
+    if (!found) {
+      return [...a.map(token => ['delete', token]), ...b.map(token => ['insert', token])];
+    }
+
+    // Walk the trace backwards to recover the edits
+    const edits = [];
+    let x = n;
+    let y = m;
+    for (let d = trace.length - 1; d >= 0 && (x > 0 || y > 0); d--) {
+      const previous = trace[d];
+      const k = x - y;
+      const prevK = (k === -d || (k !== d && previous[offset + k - 1] < previous[offset + k + 1])) ? k + 1 : k - 1;
+      const prevX = previous[offset + prevK];
+      const prevY = prevX - prevK;
+
+      while (x > prevX && y > prevY) {
+        edits.push(['equal', a[--x]]);
+        y--;
+      }
+      if (d > 0) {
+        if (x === prevX) {
+          edits.push(['insert', b[--y]]);
+        } else {
+          edits.push(['delete', a[--x]]);
+        }
+      }
+    }
+    return edits.reverse();
+  }
+
+  // Renders the comparison into container and returns { inserted, deleted } word counts
+  render(container, oldDoc, newDoc) {
+    const ops = this.compare(oldDoc, newDoc);
+    const stats = { inserted: 0, deleted: 0 };
+
+    container.innerHTML = '';
+    let paragraph = document.createElement('p');
+    container.appendChild(paragraph);
+
+    ops.forEach(({ type, tokens }) => {
+      let text = '';
+      const flush = () => {
+        if (!text) return;
+        const node = type === 'equal' ? document.createTextNode(text) : document.createElement(type === 'insert' ? 'ins' : 'del');
+        if (type !== 'equal') node.textContent = text;
+        paragraph.appendChild(node);
+        text = '';
+      };
+
+      tokens.forEach(token => {
+        if (token === DIFF_PARAGRAPH) {
+          flush();
+          if (type !== 'equal') paragraph.appendChild(document.createElement(type === 'insert' ? 'ins' : 'del')).textContent = '¶';
+          paragraph = document.createElement('p');
+          container.appendChild(paragraph);
+          return;
+        }
+        if (type === 'insert' && /\S/.test(token)) stats.inserted++;
+        if (type === 'delete' && /\S/.test(token)) stats.deleted++;
+        text += token;
+      });
+      flush();
+    });
+
+    if (stats.inserted === 0 && stats.deleted === 0) {
+      container.innerHTML = '';
+      const note = document.createElement('p');
+      note.className = 'history-no-changes';
+      note.textContent = 'The text of these versions is identical.';
+      container.appendChild(note);
+    }
+    return stats;
+  }
+}
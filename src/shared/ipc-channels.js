@@ -0,0 +1,155 @@
+// The IPC contract between the main process and the renderer.
+//
+// Every channel either side uses is declared here with the types of its
+// arguments, in order. A type is 'string', 'number', 'boolean', 'object' or
+// 'array', optionally suffixed with '?' when null/undefined is allowed, or an
+// object literal describing the fields of a payload. The main process
+// validates against this table in both directions (src/main/ipc.js) and the
+// preload refuses channels that are not in it, so a misspelled channel or
+// malformed payload is reported instead of silently doing nothing.
+
+// Renderer -> main requests (ipcRenderer.invoke / ipcMain.handle). Handlers
+// always resolve to { ok: true, ...result } or { ok: false, error }.
+const INVOKE_CHANNELS = {
+  'new-document': [],
+  'open-file': [],
+  'open-files': [{ filePaths: 'array' }],
+  'import-file': [],
+  'save-file-dialog': [],
+  'save-file': [{ filePath: 'string', document: 'object', wordCount: 'number?' }],
+  'auto-save-document': [{ id: 'string', title: 'string', preview: 'string', document: 'object' }],
+  'recover-document': [{ id: 'string' }],
+  'discard-recovery': [{ id: 'string' }],
+  'export-to-pdf': [{ outline: 'array' }],
+  'export-to-docx': [{ model: 'object', title: 'string', author: 'string?' }],
+  'export-to-markdown': [{ markdown: 'string', filePath: 'string?', document: 'object?', wordCount: 'number?' }],
+  'export-review-summary': [{ markdown: 'string' }],
+  'user-info': [],
+  'history-list': [{ filePath: 'string' }],
+  'history-read': [{ filePath: 'string', id: 'string' }],
+  'history-checkpoint': [{ filePath: 'string', label: 'string', wordCount: 'number', document: 'object' }],
+  'history-save-copy': [{ filePath: 'string', id: 'string' }],
+  'select-image': [],
+  'embed-image': [{ url: 'string' }],
+  'recent-files-list': [],
+  'recent-files-open': [{ filePath: 'string' }],
+  'recent-files-pin': [{ filePath: 'string', pinned: 'boolean' }],
+  'recent-files-remove': [{ filePath: 'string' }],
+  'recent-files-set-limit': [{ maxEntries: 'number' }],
+  'recent-files-thumbnail': [{ rect: { x: 'number', y: 'number', width: 'number', height: 'number' } }],
+  'spell-check-languages': [],
+  'dictionary-words': [{ language: 'string' }],
+  'dictionary-add': [{ language: 'string', word: 'string' }],
+  'dictionary-remove': [{ language: 'string', word: 'string' }],
+};
+
+// Renderer -> main notifications (ipcRenderer.send / ipcMain.on)
+const SEND_CHANNELS = {
+  'document-state': [{ modified: 'boolean', blank: 'boolean' }],
+  'document-saved-status': ['boolean'],
+  'history-state': [{ undo: 'string?', redo: 'string?' }],
+  'spell-check-state': [{ enabled: 'boolean', language: 'string?' }],
+  'conversion-output': [{ error: 'string?', document: 'object?', warnings: 'array?', markdown: 'string?', model: 'object?', title: 'string?', author: 'string?', outline: 'array?' }],
+};
+
+// Main -> renderer events (webContents.send / ipcRenderer.on)
+const EVENT_CHANNELS = {
+  'menu-open': [],
+  'menu-import': [],
+  'menu-save': [],
+  'menu-save-as': [],
+  'menu-export-pdf': [],
+  'menu-export-docx': [],
+  'menu-export-markdown': [],
+  'menu-history': [],
+  'menu-start-screen': [],
+  'menu-page-setup': [],
+  'menu-print': [],
+  'menu-undo': [],
+  'menu-redo': [],
+  'menu-find': [],
+  'menu-theme-toggle': [],
+  'insert-image': [],
+  'insert-table': [],
+  'insert-link': [],
+  'insert-special-char': [],
+  'insert-hr': [],
+  'insert-section-break': [],
+  'insert-header-footer-field': [],
+  'insert-toc': [],
+  'update-toc': [],
+  'add-comment': [],
+  'format-command': ['string', 'string?'],
+  'toggle-reading-mode': [],
+  'toggle-comments': [],
+  'toggle-navigation': [],
+  'toggle-suggesting': [],
+  'show-revisions': [],
+  'apply-style': ['string'],
+  'show-styles': [],
+  'toggle-spell-check': ['boolean'],
+  'show-proofing': [],
+  'show-word-count': [],
+  'document-opened': [{ filePath: 'string', document: 'object', warnings: 'array', imported: 'boolean' }],
+  'document-recovered': ['object'],
+  'convert-document': [{ filePath: 'string', document: 'object', format: 'string', outputDir: 'string' }],
+  'recovery-available': ['array'],
+  'recent-files-changed': [{ entries: 'array', maxEntries: 'number' }],
+};
+
+const CHANNELS = {
+  invoke: INVOKE_CHANNELS,
+  send: SEND_CHANNELS,
+  event: EVENT_CHANNELS,
+};
+
+function describe(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+// Returns an error message, or null when the value matches the type
+function checkType(type, value, name) {
+  if (typeof type === 'object') {
+    if (describe(value) !== 'object') return `${name} must be an object, got ${describe(value)}`;
+    for (const [key, fieldType] of Object.entries(type)) {
+      const problem = checkType(fieldType, value[key], `${name}.${key}`);
+      if (problem) return problem;
+    }
+    return null;
+  }
+
+  const optional = type.endsWith('?');
+  const baseType = optional ? type.slice(0, -1) : type;
+  if (value === undefined || value === null) {
+    return optional ? null : `${name} is required`;
+  }
+  if (describe(value) !== baseType) return `${name} must be ${baseType === 'array' ? 'an' : 'a'} ${baseType}, got ${describe(value)}`;
+  return null;
+}
+
+function isChannel(kind, channel) {
+  return Boolean(CHANNELS[kind]) && Object.prototype.hasOwnProperty.call(CHANNELS[kind], channel);
+}
+
+// kind is 'invoke', 'send' or 'event'. Returns an error message or null.
+function validateArgs(kind, channel, args) {
+  if (!isChannel(kind, channel)) return `Unknown IPC channel "${channel}"`;
+
+  const types = CHANNELS[kind][channel];
+  if (args.length > types.length) {
+    return `"${channel}" takes ${types.length} argument${types.length === 1 ? '' : 's'}, got ${args.length}`;
+  }
+  for (let i = 0; i < types.length; i++) {
+    const problem = checkType(types[i], args[i], `"${channel}" argument ${i + 1}`);
+    if (problem) return problem;
+  }
+  return null;
+}
+
+module.exports = {
+  CHANNELS,
+  isChannel,
+  validateArgs,
+};
@@ -0,0 +1,9 @@
+// Limits both processes enforce. The page cannot require this file, so
+// main.js passes it to preload.js, which exposes it as window.mediaSphere.limits.
+
+// Every page holds its images as data: URLs, so very large ones are refused
+const MAX_EMBEDDED_IMAGE_BYTES = 25 * 1024 * 1024;
+
+module.exports = {
+  MAX_EMBEDDED_IMAGE_BYTES,
+};